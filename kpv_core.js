@@ -0,0 +1,4226 @@
+/*
+  Headless core of the Knowledge Path Visualizer: the curriculum model
+  and its interchange formats, the unlock engine, the progress store with
+  its storage and sync backends, and the progress file formats.
+
+  Nothing here touches the DOM, React or D3, so the same file runs in the
+  browser, where index.html loads it before react_app.js and its
+  declarations are shared as globals, and in Node, where it is a CommonJS
+  module (see test/).  The scripting API at the end of the file,
+  createKnowledgePathApi, is what react_app.js exposes as `window.KPV`.
+*/
+
+// Storage.  Everything the core saves goes through `activeStorage`, which
+// has the localStorage interface (getItem, setItem, removeItem, key,
+// length).  It is the browser's localStorage when there is one and an
+// in-memory store otherwise; setStorage swaps it, for instance to give
+// each test a clean store.
+function createMemoryStorage(initial) {
+  const items = new Map(Object.entries(initial || {}));
+  return {
+    get length() {
+      return items.size;
+    },
+    key: function (index) {
+      const keys = Array.from(items.keys());
+      return index < keys.length ? keys[index] : null;
+    },
+    getItem: function (key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    setItem: function (key, value) {
+      items.set(key, String(value));
+    },
+    removeItem: function (key) {
+      items.delete(key);
+    },
+    clear: function () {
+      items.clear();
+    },
+  };
+}
+
+// Reading `localStorage` throws where storage is blocked (such as pages
+// opened from disk in some browsers), so this falls back to memory then too.
+function defaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage) return localStorage;
+  } catch (err) {
+    // fall through to the in-memory store
+  }
+  return createMemoryStorage();
+}
+
+let activeStorage = defaultStorage();
+
+function setStorage(storage) {
+  activeStorage = storage || defaultStorage();
+}
+
+function getStorage() {
+  return activeStorage;
+}
+
+// Storage backends.  Besides the localStorage interface a backend may
+// offer `ready`, a promise that settles once its contents are loaded (the
+// app waits for it before reading anything), and `events`, an emitter (see
+// createEmitter) reporting 'change' with the keys another device changed
+// and 'status' with the backend's sync status.  The backend is chosen per
+// device and remembered in localStorage itself under STORAGE_CONFIG_KEY.
+const STORAGE_CONFIG_KEY = 'kpv-storage';
+
+const STORAGE_BACKENDS = [
+  { id: 'local', label: 'This browser', hint: 'localStorage; nothing leaves this device.' },
+  { id: 'indexeddb', label: 'IndexedDB', hint: 'A larger store in this browser, for big histories.' },
+  {
+    id: 'rest',
+    label: 'Sync server',
+    hint: 'Shared through a sync server; offline edits wait until it is reachable.',
+  },
+];
+
+function loadStorageConfig() {
+  try {
+    const stored = JSON.parse(defaultStorage().getItem(STORAGE_CONFIG_KEY));
+    if (
+      stored &&
+      STORAGE_BACKENDS.some(function (b) {
+        return b.id === stored.backend;
+      })
+    ) {
+      return {
+        backend: stored.backend,
+        url: typeof stored.url === 'string' ? stored.url : '',
+        strategy: findSyncStrategy(stored.strategy).id,
+      };
+    }
+  } catch (err) {
+    // fall through to localStorage
+  }
+  return { backend: 'local', url: '', strategy: SYNC_STRATEGIES[0].id };
+}
+
+function saveStorageConfig(config) {
+  defaultStorage().setItem(STORAGE_CONFIG_KEY, JSON.stringify(config));
+}
+
+// Build the backend a config asks for.  A sync server without a URL is a
+// configuration error rather than a silent fallback.
+function createStorage(config, options) {
+  if (config.backend === 'indexeddb') {
+    return createIndexedDbStorage(Object.assign({ seed: defaultStorage() }, options));
+  }
+  if (config.backend === 'rest') {
+    if (!config.url) throw new Error('The sync server needs a URL.');
+    return createRestStorage(Object.assign({ url: config.url, strategy: config.strategy }, options));
+  }
+  return defaultStorage();
+}
+
+// Only the app's own entries are copied between backends and devices;
+// the backend choice and the sync bookkeeping stay on this device.
+function isSyncedKey(key) {
+  return key.indexOf('kpv-react-') === 0;
+}
+
+// IndexedDB backend.  IndexedDB is asynchronous and the core reads
+// synchronously, so the whole store is loaded into memory before `ready`
+// resolves and every write updates the copy in memory at once and the
+// database in the background.  A newly created database starts as a copy
+// of `seed` (localStorage in the app), so switching backend keeps progress.
+function createIndexedDbStorage(options) {
+  const opts = options || {};
+  const factory = opts.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+  const cache = createMemoryStorage();
+  const onError =
+    opts.onError ||
+    function (err) {
+      console.error('IndexedDB write failed', err);
+    };
+  let db = null;
+  let created = false;
+
+  function write(key, value) {
+    if (!db) return;
+    const items = db.transaction('items', 'readwrite').objectStore('items');
+    const request = value === null ? items.delete(key) : items.put(value, key);
+    request.onerror = function () {
+      onError(request.error);
+    };
+  }
+
+  const ready = new Promise(function (resolve, reject) {
+    if (!factory) {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const request = factory.open(opts.name || 'kpv', 1);
+    request.onupgradeneeded = function () {
+      request.result.createObjectStore('items');
+      created = true;
+    };
+    request.onerror = function () {
+      reject(request.error);
+    };
+    request.onsuccess = function () {
+      db = request.result;
+      const cursorRequest = db.transaction('items').objectStore('items').openCursor();
+      cursorRequest.onerror = function () {
+        reject(cursorRequest.error);
+      };
+      cursorRequest.onsuccess = function () {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cache.setItem(cursor.key, cursor.value);
+          cursor.continue();
+          return;
+        }
+        if (created && opts.seed) {
+          for (let i = 0; i < opts.seed.length; i++) {
+            const key = opts.seed.key(i);
+            if (isSyncedKey(key)) storage.setItem(key, opts.seed.getItem(key));
+          }
+        }
+        resolve(storage);
+      };
+    };
+  });
+
+  const storage = {
+    get length() {
+      return cache.length;
+    },
+    key: function (index) {
+      return cache.key(index);
+    },
+    getItem: function (key) {
+      return cache.getItem(key);
+    },
+    setItem: function (key, value) {
+      cache.setItem(key, value);
+      write(key, String(value));
+    },
+    removeItem: function (key) {
+      cache.removeItem(key);
+      write(key, null);
+    },
+    clear: function () {
+      const keys = [];
+      for (let i = 0; i < cache.length; i++) keys.push(cache.key(i));
+      keys.forEach(storage.removeItem);
+    },
+    ready: ready,
+  };
+  return storage;
+}
+
+// Conflict resolution for the sync server.  Two devices conflict when both
+// changed an entry since they last synced.  Each change is
+// `{ key, value, time }`, with `value` null for a removed entry and `time`
+// the millisecond timestamp of the edit on its device.
+const SYNC_STRATEGIES = [
+  {
+    id: 'last-write-wins',
+    label: 'Last write wins',
+    hint: 'The most recent edit to an entry replaces the other.',
+  },
+  {
+    id: 'per-topic',
+    label: 'Merge per topic',
+    hint: 'Keep the higher progress of each topic and combine checklists, reviews and history.',
+  },
+];
+
+function findSyncStrategy(id) {
+  return (
+    SYNC_STRATEGIES.find(function (s) {
+      return s.id === id;
+    }) || SYNC_STRATEGIES[0]
+  );
+}
+
+// Strip the profile prefix (see profileScopedKey) to find what an entry is.
+function storageKeyKind(key) {
+  const base = key.replace(/^kpv-react-profile-[^/]*\//, '');
+  const match = /^kpv-react-(progress|checklist|history|reviews)-/.exec(base);
+  return match ? match[1] : null;
+}
+
+function parseJson(text, fallback) {
+  try {
+    const value = JSON.parse(text);
+    return value === null || value === undefined ? fallback : value;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// Merge two versions of an entry that can be combined topic by topic.
+// Returns the merged value, or undefined when the entry cannot be merged.
+function mergeStoredValues(kind, a, b) {
+  if (kind === 'progress') {
+    return String(Math.max(Number(a) || 0, Number(b) || 0));
+  }
+  if (kind === 'checklist') {
+    const done = parseJson(a, []).slice();
+    parseJson(b, []).forEach(function (item) {
+      if (done.indexOf(item) === -1) done.push(item);
+    });
+    return JSON.stringify(done);
+  }
+  if (kind === 'history') {
+    const history = parseJson(a, []).filter(isHistoryEvent);
+    return JSON.stringify(mergeHistory(history, parseJson(b, []).filter(isHistoryEvent)));
+  }
+  if (kind === 'reviews') {
+    // Per topic, the schedule with the more recent review wins.
+    const merged = Object.assign({}, parseJson(a, {}));
+    const other = parseJson(b, {});
+    Object.keys(other).forEach(function (id) {
+      if (!merged[id] || lastReviewed(other[id]) > lastReviewed(merged[id])) merged[id] = other[id];
+    });
+    return JSON.stringify(merged);
+  }
+  return undefined;
+}
+
+function lastReviewed(schedule) {
+  const log = schedule.log || [];
+  return log.length > 0 ? Date.parse(log[log.length - 1].at) : 0;
+}
+
+// Resolve a conflict between this device's change and the server's copy.
+// Returns the winning `{ key, value, time }`.  Ties go to the server so
+// every device settles on the same value.
+function resolveSyncConflict(local, remote, strategy) {
+  const newer = local.time > remote.time ? local : remote;
+  if (findSyncStrategy(strategy).id !== 'per-topic') return newer;
+  const kind = storageKeyKind(local.key);
+  if (!kind || local.value === null || remote.value === null) return newer;
+  const merged = mergeStoredValues(kind, local.value, remote.value);
+  if (merged === undefined) return newer;
+  return { key: local.key, value: merged, time: Math.max(local.time, remote.time) };
+}
+
+// Sync server backend.  Entries live in `local` (localStorage in the app)
+// so the app keeps working offline, and every edit is also written to a
+// journal of changes the server has not seen yet.  `sync()` posts the
+// journal to `<url>/sync` along with the revision this device last saw;
+// the server resolves conflicts (see resolveSyncConflict and
+// sync_server.js) and replies with every entry changed since, which is
+// written back and reported as a 'change' event.  The journal survives a
+// reload, so edits made offline are sent once the server is reachable.
+//
+// Options: `url`, `strategy`, `local`, `fetch`, `now` (the clock, for
+// tests), `delay` (milliseconds from an edit to the next sync, or null to
+// sync only when asked) and `interval` (milliseconds between syncs that
+// pick up other devices' changes, or null for none).
+const SYNC_PENDING_KEY = 'kpv-sync-pending';
+const SYNC_STATE_KEY = 'kpv-sync-state';
+
+function createRestStorage(options) {
+  const url = String(options.url).replace(/\/+$/, '');
+  const local = options.local || defaultStorage();
+  const fetchImpl =
+    options.fetch ||
+    (typeof fetch !== 'undefined'
+      ? function (input, init) {
+          return fetch(input, init);
+        }
+      : null);
+  const now = options.now || Date.now;
+  const delay = options.delay === undefined ? 1000 : options.delay;
+  const events = createEmitter();
+  const pending = parseJson(local.getItem(SYNC_PENDING_KEY), {});
+  const syncState = Object.assign({ revision: 0, lastSync: null }, parseJson(local.getItem(SYNC_STATE_KEY), {}));
+  const status = { online: null, syncing: false, error: null };
+  let running = null;
+  let timer = null;
+  let poller = null;
+
+  function currentStatus() {
+    return {
+      online: status.online,
+      syncing: status.syncing,
+      error: status.error,
+      pending: Object.keys(pending).length,
+      lastSync: syncState.lastSync,
+    };
+  }
+
+  function reportStatus() {
+    events.emit('status', currentStatus());
+  }
+
+  function journal(key, value) {
+    if (!isSyncedKey(key) || local.getItem(key) === value) return;
+    pending[key] = { value: value, time: now() };
+    local.setItem(SYNC_PENDING_KEY, JSON.stringify(pending));
+    reportStatus();
+    if (delay !== null && !timer) {
+      timer = setTimeout(function () {
+        timer = null;
+        syncInBackground();
+      }, delay);
+    }
+  }
+
+  // Syncs nobody waits for report a failure through the status.
+  function syncInBackground() {
+    storage.sync().catch(function (err) {
+      status.online = false;
+      status.error = err.message;
+      reportStatus();
+    });
+  }
+
+  // The first sync from a device also uploads what it already had, dated
+  // 0 so that anything the server holds wins under last-write-wins.
+  function outgoing() {
+    const changes = Object.keys(pending).map(function (key) {
+      return { key: key, value: pending[key].value, time: pending[key].time };
+    });
+    if (syncState.revision === 0) {
+      for (let i = 0; i < local.length; i++) {
+        const key = local.key(i);
+        if (isSyncedKey(key) && !pending[key]) changes.push({ key: key, value: local.getItem(key), time: 0 });
+      }
+    }
+    return changes;
+  }
+
+  // What a sync server must answer with before the journal is cleared.
+  function isSyncReply(reply) {
+    return (
+      reply !== null &&
+      typeof reply === 'object' &&
+      typeof reply.revision === 'number' &&
+      Array.isArray(reply.items) &&
+      reply.items.every(function (item) {
+        return (
+          item !== null &&
+          typeof item === 'object' &&
+          typeof item.key === 'string' &&
+          (item.value === null || typeof item.value === 'string')
+        );
+      })
+    );
+  }
+
+  function receive(sent, reply) {
+    // Journal entries edited again while the request was out stay queued.
+    sent.forEach(function (change) {
+      const entry = pending[change.key];
+      if (entry && entry.time === change.time && entry.value === change.value) delete pending[change.key];
+    });
+    const changed = [];
+    reply.items.forEach(function (item) {
+      if (!isSyncedKey(item.key) || pending[item.key] || local.getItem(item.key) === item.value) return;
+      if (item.value === null) local.removeItem(item.key);
+      else local.setItem(item.key, item.value);
+      changed.push(item.key);
+    });
+    syncState.revision = reply.revision;
+    syncState.lastSync = new Date(now()).toISOString();
+    local.setItem(SYNC_PENDING_KEY, JSON.stringify(pending));
+    local.setItem(SYNC_STATE_KEY, JSON.stringify(syncState));
+    if (changed.length > 0) events.emit('change', { keys: changed });
+  }
+
+  const storage = {
+    get length() {
+      return local.length;
+    },
+    key: function (index) {
+      return local.key(index);
+    },
+    getItem: function (key) {
+      return local.getItem(key);
+    },
+    setItem: function (key, value) {
+      journal(key, String(value));
+      local.setItem(key, value);
+    },
+    removeItem: function (key) {
+      journal(key, null);
+      local.removeItem(key);
+    },
+    clear: function () {
+      const keys = [];
+      for (let i = 0; i < local.length; i++) keys.push(local.key(i));
+      keys.filter(isSyncedKey).forEach(storage.removeItem);
+    },
+    ready: Promise.resolve(),
+    events: events,
+    status: currentStatus,
+    // Send the journal and take in other devices' changes.  Resolves to
+    // the status afterwards; a failed request or a reply that is not
+    // understood leaves the journal queued.
+    sync: function () {
+      if (running) return running;
+      if (!fetchImpl) return Promise.reject(new Error('fetch is not available.'));
+      const sent = outgoing();
+      status.syncing = true;
+      reportStatus();
+      running = fetchImpl(url + '/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          since: syncState.revision,
+          strategy: findSyncStrategy(options.strategy).id,
+          changes: sent,
+        }),
+      })
+        .then(function (response) {
+          if (!response.ok) throw new Error('The sync server answered ' + response.status + '.');
+          return response.json();
+        })
+        .then(function (reply) {
+          if (!isSyncReply(reply)) throw new Error('The sync server sent a reply that is not understood.');
+          receive(sent, reply);
+          status.online = true;
+          status.error = null;
+        })
+        .catch(function (err) {
+          status.online = false;
+          status.error = err.message;
+        })
+        .then(function () {
+          running = null;
+          status.syncing = false;
+          reportStatus();
+          return currentStatus();
+        });
+      return running;
+    },
+    // Stop the timers, for instance before switching backend.
+    close: function () {
+      clearTimeout(timer);
+      clearInterval(poller);
+      timer = null;
+      poller = null;
+    },
+  };
+  if (options.interval) {
+    poller = setInterval(syncInBackground, options.interval);
+  }
+  return storage;
+}
+
+// js-yaml is a global in the browser; in Node the vendored copy is loaded
+// on first use.  Returns null when neither is available.
+let yamlModule;
+
+function yamlParser() {
+  if (typeof jsyaml !== 'undefined') return jsyaml;
+  if (yamlModule === undefined) {
+    yamlModule = null;
+    if (typeof require === 'function') {
+      try {
+        yamlModule = require('./vendor/js-yaml.min.js');
+      } catch (err) {
+        yamlModule = null;
+      }
+    }
+  }
+  return yamlModule;
+}
+
+// Data definitions: topics, their prerequisites and tags.  Progress is stored
+// as a whole percentage from 0 to 100.  You can modify these arrays to add
+// additional topics and dependencies.
+const initialNodes = [
+  {
+    id: 'basics',
+    title: 'Programming Fundamentals',
+    description:
+      'Learn variables, control flow, functions and the building blocks of code.',
+    dependencies: [],
+    tags: ['programming'],
+    progress: 0,
+  },
+  {
+    id: 'datastructures',
+    title: 'Data Structures',
+    description:
+      'Study arrays, lists, stacks, queues, trees and more.  Knowing how data is organised is essential.',
+    dependencies: ['basics'],
+    tags: ['programming', 'computer science'],
+    progress: 0,
+  },
+  {
+    id: 'algorithms',
+    title: 'Algorithms',
+    description:
+      'Explore sorting, searching and other fundamental algorithms.  Learn to reason about complexity.',
+    dependencies: ['basics'],
+    tags: ['computer science'],
+    progress: 0,
+  },
+  {
+    id: 'graphs',
+    title: 'Graph Theory',
+    description:
+      'Understand nodes and edges, traversal algorithms and shortest paths.',
+    dependencies: ['datastructures', 'algorithms'],
+    tags: ['computer science', 'mathematics'],
+    progress: 0,
+  },
+  {
+    id: 'machinelearning',
+    title: 'Machine Learning',
+    description:
+      'Dive into supervised and unsupervised learning, regression, classification and neural networks.',
+    dependencies: ['algorithms'],
+    tags: ['data', 'mathematics'],
+    progress: 0,
+  },
+];
+
+// Derive edges from prerequisites.  For each prerequisite, we create an
+// edge connecting it (source) to the dependent topic (target), tagged with
+// the kind of link: required, alternative or recommended.
+// Edges are rebuilt whenever a different curriculum is loaded.
+// Dependencies on ids that do not exist are skipped (d3.forceLink throws on
+// unknown ids); they are reported by diagnoseGraph instead.
+function buildEdges(nodes) {
+  const ids = Object.create(null);
+  for (const node of nodes) {
+    ids[node.id] = true;
+  }
+  const edges = [];
+  const seen = Object.create(null);
+  for (const node of nodes) {
+    for (const link of prerequisiteLinks(node)) {
+      const key = link.id + '>' + node.id;
+      if (ids[link.id] && !seen[key]) {
+        seen[key] = true;
+        edges.push({ source: link.id, target: node.id, kind: link.kind });
+      }
+    }
+  }
+  return edges;
+}
+
+// Padding of a group frame around its members and the room its label
+// takes at the top.  The graph draws frames with them and the layered
+// layout leaves space for them between swimlanes.
+const GROUP_PADDING = 14;
+const GROUP_LABEL_HEIGHT = 18;
+
+// Deterministic left-to-right layout in the style of a research tree.
+// Each topic is ranked by its longest prerequisite chain, so it always
+// sits to the right of everything it requires.  Within a rank, topics are
+// ordered by a few barycenter sweeps (alternately by the average position
+// of their prerequisites and of their dependents), the usual heuristic for
+// reducing edge crossings.  With `laneOf` the rows are split into
+// swimlanes: laneOf(node) returns [lane, sublane] numbers, topics are kept
+// together by lane and sublane inside each rank, and lanes are stacked
+// with room between them for the group frames.  Returns a map of
+// id -> { x, y, rank }.
+function computeLayeredLayout(nodes, width, height, laneOf) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  function depsOf(n) {
+    return allPrerequisites(n).filter(function (dep) {
+      return byId[dep] && dep !== n.id;
+    });
+  }
+
+  // Longest-path ranking.  Topics on a cycle are ranked as if the edge
+  // closing the cycle were absent.
+  const rank = Object.create(null);
+  const visiting = Object.create(null);
+  function rankOf(id) {
+    if (rank[id] !== undefined) return rank[id];
+    if (visiting[id]) return 0;
+    visiting[id] = true;
+    let r = 0;
+    depsOf(byId[id]).forEach(function (dep) {
+      r = Math.max(r, rankOf(dep) + 1);
+    });
+    visiting[id] = false;
+    rank[id] = r;
+    return r;
+  }
+  nodes.forEach(function (n) {
+    rankOf(n.id);
+  });
+
+  const layers = [];
+  nodes.forEach(function (n) {
+    const r = rank[n.id];
+    if (!layers[r]) layers[r] = [];
+    layers[r].push(n.id);
+  });
+  for (let r = 0; r < layers.length; r++) {
+    if (!layers[r]) layers[r] = [];
+  }
+
+  const dependents = Object.create(null);
+  nodes.forEach(function (n) {
+    depsOf(n).forEach(function (dep) {
+      (dependents[dep] = dependents[dep] || []).push(n.id);
+    });
+  });
+  // Relative position (0..1) of every topic inside its layer.
+  const position = Object.create(null);
+  function updatePositions(layer) {
+    layer.forEach(function (id, idx) {
+      position[id] = layer.length === 1 ? 0.5 : idx / (layer.length - 1);
+    });
+  }
+  layers.forEach(updatePositions);
+  function sortByBarycenter(layer, neighboursOf) {
+    const centre = Object.create(null);
+    layer.forEach(function (id) {
+      const neighbours = neighboursOf(id);
+      centre[id] =
+        neighbours.length === 0
+          ? position[id]
+          : neighbours.reduce(function (sum, other) {
+              return sum + position[other];
+            }, 0) / neighbours.length;
+    });
+    // Array.prototype.sort is stable, so ties keep their previous order.
+    layer.sort(function (a, b) {
+      return centre[a] - centre[b];
+    });
+    updatePositions(layer);
+  }
+  for (let sweep = 0; sweep < 4; sweep++) {
+    for (let r = 1; r < layers.length; r++) {
+      sortByBarycenter(layers[r], function (id) {
+        return depsOf(byId[id]);
+      });
+    }
+    for (let r = layers.length - 2; r >= 0; r--) {
+      sortByBarycenter(layers[r], function (id) {
+        return dependents[id] || [];
+      });
+    }
+  }
+
+  // Swimlanes: a stable sort by lane keeps the barycenter order inside
+  // each lane.  `slot` is the row of a topic counted over all lanes.
+  const slot = Object.create(null);
+  const laneTop = [];
+  let laneCount = 0;
+  let tallest = layers.reduce(function (max, layer) {
+    return Math.max(max, layer.length);
+  }, 1);
+  if (laneOf) {
+    const lane = Object.create(null);
+    nodes.forEach(function (n) {
+      lane[n.id] = laneOf(n);
+    });
+    const laneSize = [];
+    layers.forEach(function (layer) {
+      layer.sort(function (a, b) {
+        return lane[a][0] - lane[b][0] || lane[a][1] - lane[b][1];
+      });
+      const counts = {};
+      layer.forEach(function (id) {
+        const l = lane[id][0];
+        counts[l] = (counts[l] || 0) + 1;
+        slot[id] = counts[l] - 1;
+        laneSize[l] = Math.max(laneSize[l] || 0, counts[l]);
+      });
+    });
+    let rows = 0;
+    laneSize.forEach(function (size, l) {
+      if (!size) return;
+      laneTop[l] = { row: rows, lanes: laneCount };
+      rows += size;
+      laneCount += 1;
+    });
+    layers.forEach(function (layer) {
+      layer.forEach(function (id) {
+        const top = laneTop[lane[id][0]];
+        slot[id] = { row: top.row + slot[id], lanes: top.lanes };
+      });
+    });
+    tallest = Math.max(1, rows);
+  }
+
+  // Spread the layers over the available space, within sensible bounds
+  // so small curricula do not sprawl and large ones stay legible.
+  const margin = 80;
+  const columnGap =
+    layers.length > 1 ? Math.max(150, Math.min(240, (width - 2 * margin) / (layers.length - 1))) : 0;
+  const rowGap = tallest > 1 ? Math.max(60, Math.min(100, (height - 2 * margin) / (tallest - 1))) : 0;
+  const totalWidth = columnGap * (layers.length - 1);
+  const left = Math.max(margin, (width - totalWidth) / 2);
+  const result = Object.create(null);
+  if (laneOf) {
+    // Every lane after the first leaves room for two frame borders and
+    // the labels of nested frames.
+    const laneGap = 4 * GROUP_PADDING + 2 * GROUP_LABEL_HEIGHT;
+    const totalHeight = rowGap * (tallest - 1) + laneGap * (laneCount - 1);
+    const top = Math.max(margin / 2, height / 2 - totalHeight / 2);
+    layers.forEach(function (layer, r) {
+      layer.forEach(function (id) {
+        result[id] = {
+          x: left + r * columnGap,
+          y: top + slot[id].row * rowGap + slot[id].lanes * laneGap,
+          rank: r,
+        };
+      });
+    });
+    return result;
+  }
+  layers.forEach(function (layer, r) {
+    const top = height / 2 - (rowGap * (layer.length - 1)) / 2;
+    layer.forEach(function (id, idx) {
+      result[id] = { x: left + r * columnGap, y: Math.max(margin / 2, top) + idx * rowGap, rank: r };
+    });
+  });
+  return result;
+}
+
+// The built-in example curriculum.  It keeps the legacy storage prefix so
+// progress saved before external curricula existed is still picked up.
+const BUILTIN_CURRICULUM_ID = 'builtin-example';
+const BUILTIN_CURRICULUM = {
+  id: BUILTIN_CURRICULUM_ID,
+  title: 'Example Curriculum',
+  settings: {},
+  groups: [],
+  nodes: initialNodes,
+};
+
+// localStorage key under which the last externally loaded curriculum is
+// remembered, so a page refresh does not fall back to the example.
+const ACTIVE_CURRICULUM_KEY = 'kpv-react-active-curriculum';
+
+// Learner profiles.  Each profile has its own progress, pins and history;
+// curricula are shared.  The default profile keeps the original storage
+// keys so progress saved before profiles existed still belongs to it, and
+// every other profile prefixes its keys with `kpv-react-profile-<id>/`.
+// The list of profiles and the active one live under PROFILES_KEY as
+// `{ active, profiles: [{ id, name }] }`.
+const PROFILES_KEY = 'kpv-react-profiles';
+const DEFAULT_PROFILE_ID = 'default';
+
+function profileScopedKey(profileId, key) {
+  if (!profileId || profileId === DEFAULT_PROFILE_ID) return key;
+  return 'kpv-react-profile-' + profileId + '/' + key;
+}
+
+function loadProfiles() {
+  try {
+    const stored = JSON.parse(activeStorage.getItem(PROFILES_KEY));
+    if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+      const active = stored.profiles.some(function (p) {
+        return p.id === stored.active;
+      })
+        ? stored.active
+        : stored.profiles[0].id;
+      return { active: active, profiles: stored.profiles };
+    }
+  } catch (err) {
+    // fall through to the default profile
+  }
+  return { active: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default' }] };
+}
+
+function saveProfiles(state) {
+  activeStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+}
+
+// Profile management helpers.  Like the curriculum editing helpers they
+// return `{ state, error }` and never mutate their input.
+function createProfile(state, name) {
+  const trimmed = String(name || '').trim();
+  if (trimmed === '') return { state: state, error: 'A profile needs a name.' };
+  const base = slugify(trimmed) || 'learner';
+  let id = base;
+  let counter = 2;
+  while (
+    id === DEFAULT_PROFILE_ID ||
+    state.profiles.some(function (p) {
+      return p.id === id;
+    })
+  ) {
+    id = base + '-' + counter++;
+  }
+  return {
+    state: { active: id, profiles: state.profiles.concat([{ id: id, name: trimmed }]) },
+    error: null,
+  };
+}
+
+function renameProfile(state, id, name) {
+  const trimmed = String(name || '').trim();
+  if (trimmed === '') return { state: state, error: 'A profile needs a name.' };
+  return {
+    state: {
+      active: state.active,
+      profiles: state.profiles.map(function (p) {
+        return p.id === id ? { id: p.id, name: trimmed } : p;
+      }),
+    },
+    error: null,
+  };
+}
+
+// Remove a profile and every localStorage entry that belongs to it.  The
+// default profile cannot be deleted because it owns the unprefixed keys.
+function deleteProfile(state, id) {
+  if (id === DEFAULT_PROFILE_ID) {
+    return { state: state, error: 'The default profile cannot be deleted.' };
+  }
+  const prefix = profileScopedKey(id, '');
+  const doomed = [];
+  for (let i = 0; i < activeStorage.length; i++) {
+    const key = activeStorage.key(i);
+    if (key.indexOf(prefix) === 0) doomed.push(key);
+  }
+  doomed.forEach(function (key) {
+    activeStorage.removeItem(key);
+  });
+  const profiles = state.profiles.filter(function (p) {
+    return p.id !== id;
+  });
+  return {
+    state: { active: state.active === id ? profiles[0].id : state.active, profiles: profiles },
+    error: null,
+  };
+}
+
+// Build the localStorage key that holds progress for one topic.  Topics of
+// the built-in example use the original `kpv-react-progress-<id>` keys;
+// external curricula are namespaced by their id so that two curricula which
+// happen to share topic ids never overwrite each other's progress.
+function progressStorageKey(curriculumId, nodeId, profileId) {
+  if (!curriculumId || curriculumId === BUILTIN_CURRICULUM_ID) {
+    return profileScopedKey(profileId, 'kpv-react-progress-' + nodeId);
+  }
+  return profileScopedKey(profileId, 'kpv-react-progress-' + curriculumId + '/' + nodeId);
+}
+
+// Turn an arbitrary string (a title or file name) into a curriculum id.
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\.(json|ya?ml|md|markdown|mmd|mermaid)$/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Parse the text of a curriculum file.  Markdown outlines (*.md) and
+// Mermaid flowcharts (*.mmd, or any text that starts like one) go to their
+// own readers.  Otherwise JSON is tried first; anything that is not JSON
+// (or a file named *.yaml / *.yml) is handed to js-yaml.  Parse failures
+// are returned as readable messages rather than thrown so that the caller
+// can show them alongside validation errors.
+function parseCurriculumText(text, sourceName) {
+  const name = sourceName || '';
+  if (/\.(md|markdown)$/i.test(name)) return markdownOutlineToCurriculum(text);
+  if (/\.(mmd|mermaid)$/i.test(name) || looksLikeMermaid(text)) return mermaidToCurriculum(text);
+  const looksYaml = /\.ya?ml$/i.test(name);
+  if (!looksYaml) {
+    try {
+      return { data: JSON.parse(text), errors: [] };
+    } catch (err) {
+      if (/\.json$/i.test(name) || !yamlParser()) {
+        return { data: null, errors: ['Could not parse ' + (name || 'file') + ' as JSON: ' + err.message] };
+      }
+    }
+  }
+  if (!yamlParser()) {
+    return { data: null, errors: ['YAML support is unavailable because js-yaml failed to load.'] };
+  }
+  try {
+    return { data: yamlParser().load(text), errors: [] };
+  } catch (err) {
+    return { data: null, errors: ['Could not parse ' + (name || 'file') + ' as YAML: ' + err.message] };
+  }
+}
+
+// True when the first statement (after any front matter and comments) is
+// a Mermaid flowchart header.
+function looksLikeMermaid(text) {
+  const body = String(text).replace(/^\s*---\r?\n[\s\S]*?\r?\n---[ \t]*(\r?\n|$)/, '');
+  return /^(\s*(%%[^\n]*)?\n)*\s*(graph|flowchart)(\s+(TB|TD|BT|RL|LR))?\s*;?\s*(\r?\n|$)/i.test(body);
+}
+
+// Validate a parsed curriculum definition and normalise it into the shape
+// used by the app: `{ id, title, nodes }`.  The definition may either be a
+// bare array of topics or an object with `topics` (or `nodes`) plus an
+// optional `id` and `title`.  Every problem found is collected so the user
+// can fix a file in one pass; `curriculum` is null when any error exists.
+function validateCurriculum(data, sourceName) {
+  const errors = [];
+  let topics = null;
+  let meta = {};
+  if (Array.isArray(data)) {
+    topics = data;
+  } else if (data && typeof data === 'object') {
+    meta = data;
+    topics = Array.isArray(data.topics) ? data.topics : data.nodes;
+    if (!Array.isArray(topics)) {
+      errors.push('The curriculum must contain a "topics" array.');
+      return { curriculum: null, errors: errors };
+    }
+  } else {
+    errors.push('The curriculum must be an array of topics or an object with a "topics" array.');
+    return { curriculum: null, errors: errors };
+  }
+  if (topics.length === 0) {
+    errors.push('The curriculum does not define any topics.');
+  }
+
+  const seen = Object.create(null);
+  topics.forEach(function (topic, idx) {
+    const where = 'Topic #' + (idx + 1);
+    if (!topic || typeof topic !== 'object' || Array.isArray(topic)) {
+      errors.push(where + ' is not an object.');
+      return;
+    }
+    if (typeof topic.id !== 'string' || topic.id.trim() === '') {
+      errors.push(where + ' is missing an "id".');
+    } else if (seen[topic.id]) {
+      errors.push(where + ' reuses the id "' + topic.id + '" already used by topic #' + seen[topic.id] + '.');
+    } else {
+      seen[topic.id] = idx + 1;
+    }
+    const label = typeof topic.id === 'string' && topic.id ? where + ' ("' + topic.id + '")' : where;
+    if (typeof topic.title !== 'string' || topic.title.trim() === '') {
+      errors.push(label + ' is missing a "title".');
+    }
+    if (topic.description !== undefined && typeof topic.description !== 'string') {
+      errors.push(label + ' has a "description" that is not text.');
+    }
+    if (topic.dependencies !== undefined && !Array.isArray(topic.dependencies)) {
+      errors.push(label + ' has "dependencies" that is not a list.');
+    }
+    if (topic.recommended !== undefined && !Array.isArray(topic.recommended)) {
+      errors.push(label + ' has "recommended" that is not a list.');
+    }
+    if (topic.effort !== undefined && !(typeof topic.effort === 'number' && topic.effort >= 0)) {
+      errors.push(label + ' has an "effort" that is not a non-negative number of hours.');
+    }
+    if (topic.tags !== undefined && !isTagList(topic.tags)) {
+      errors.push(label + ' has "tags" that is not a list of names.');
+    }
+    if (topic.group !== undefined && (typeof topic.group !== 'string' || topic.group === '')) {
+      errors.push(label + ' has a "group" that is not a group id.');
+    }
+    if (topic.content !== undefined && typeof topic.content !== 'string') {
+      errors.push(label + ' has "content" that is not text.');
+    }
+    if (topic.resources !== undefined) {
+      if (!Array.isArray(topic.resources)) {
+        errors.push(label + ' has "resources" that is not a list.');
+      } else {
+        topic.resources.forEach(function (resource, resIdx) {
+          const resLabel = label + ' resource #' + (resIdx + 1);
+          if (!resource || typeof resource.title !== 'string' || resource.title.trim() === '') {
+            errors.push(resLabel + ' is missing a "title".');
+            return;
+          }
+          if (resource.url !== undefined && !isSafeUrl(resource.url)) {
+            errors.push(resLabel + ' has a "url" that is not an http(s), mailto or relative link.');
+          }
+          if (resource.type !== undefined && RESOURCE_TYPES.indexOf(resource.type) === -1) {
+            errors.push(resLabel + ' has an unknown "type"; use one of ' + RESOURCE_TYPES.join(', ') + '.');
+          }
+        });
+      }
+    }
+    if (topic.checklist !== undefined) {
+      if (!Array.isArray(topic.checklist)) {
+        errors.push(label + ' has a "checklist" that is not a list.');
+      } else {
+        topic.checklist.forEach(function (item, itemIdx) {
+          const text = item && typeof item === 'object' ? item.title : item;
+          if (typeof text !== 'string' || text.trim() === '') {
+            errors.push(label + ' checklist item #' + (itemIdx + 1) + ' has no text.');
+          }
+        });
+      }
+    }
+    if (topic.unlockThreshold !== undefined && !isPercentage(topic.unlockThreshold)) {
+      errors.push(label + ' has an "unlockThreshold" that is not a number from 0 to 100.');
+    }
+    if (topic.alternatives !== undefined) {
+      if (!Array.isArray(topic.alternatives)) {
+        errors.push(label + ' has "alternatives" that is not a list.');
+      } else {
+        topic.alternatives.forEach(function (group, groupIdx) {
+          const groupLabel = label + ' alternative group #' + (groupIdx + 1);
+          if (!group || !Array.isArray(group.topics) || group.topics.length === 0) {
+            errors.push(groupLabel + ' needs a non-empty "topics" list.');
+          } else if (
+            group.count !== undefined &&
+            !(Number.isInteger(group.count) && group.count >= 1 && group.count <= group.topics.length)
+          ) {
+            errors.push(groupLabel + ' has a "count" that is not between 1 and ' + group.topics.length + '.');
+          }
+        });
+      }
+    }
+  });
+  if (meta.settings !== undefined) {
+    if (!meta.settings || typeof meta.settings !== 'object') {
+      errors.push('"settings" must be an object.');
+    } else if (meta.settings.unlockThreshold !== undefined && !isPercentage(meta.settings.unlockThreshold)) {
+      errors.push('"settings.unlockThreshold" must be a number from 0 to 100.');
+    }
+  }
+
+  // Groups may nest through `parent`, which has to name another group and
+  // must not lead back to the group itself.
+  const groups = meta.groups === undefined ? [] : meta.groups;
+  const groupIds = Object.create(null);
+  if (!Array.isArray(groups)) {
+    errors.push('"groups" must be a list.');
+  } else {
+    groups.forEach(function (group, idx) {
+      const where = 'Group #' + (idx + 1);
+      if (!group || typeof group !== 'object' || typeof group.id !== 'string' || group.id.trim() === '') {
+        errors.push(where + ' is missing an "id".');
+        return;
+      }
+      if (groupIds[group.id]) {
+        errors.push(where + ' reuses the id "' + group.id + '" already used by group #' + groupIds[group.id] + '.');
+      } else {
+        groupIds[group.id] = idx + 1;
+      }
+      if (typeof group.title !== 'string' || group.title.trim() === '') {
+        errors.push(where + ' ("' + group.id + '") is missing a "title".');
+      }
+    });
+    groups.forEach(function (group, idx) {
+      if (!group || typeof group !== 'object' || group.parent === undefined) return;
+      const label = 'Group #' + (idx + 1) + ' ("' + group.id + '")';
+      if (!Object.prototype.hasOwnProperty.call(groupIds, group.parent)) {
+        errors.push(label + ' has unknown parent group "' + group.parent + '".');
+      } else if (groupAncestry(groups, group.parent).indexOf(group.id) !== -1) {
+        errors.push(label + ' is nested inside itself.');
+      }
+    });
+  }
+  topics.forEach(function (topic, idx) {
+    if (!topic || typeof topic.group !== 'string' || topic.group === '') return;
+    if (!Object.prototype.hasOwnProperty.call(groupIds, topic.group)) {
+      errors.push('Topic #' + (idx + 1) + ' ("' + topic.id + '") belongs to unknown group "' + topic.group + '".');
+    }
+  });
+
+  // Prerequisite ids can only be checked once every topic id is known.
+  // Each id may appear once per topic, whatever its kind.
+  topics.forEach(function (topic, idx) {
+    if (!topic || typeof topic !== 'object') return;
+    const label = 'Topic #' + (idx + 1) + ' ("' + topic.id + '")';
+    const listed = Object.create(null);
+    prerequisiteLinks(normaliseTopic(topic)).forEach(function (link) {
+      if (!Object.prototype.hasOwnProperty.call(seen, link.id)) {
+        errors.push(label + ' depends on unknown topic "' + link.id + '".');
+      } else if (listed[link.id]) {
+        errors.push(label + ' lists "' + link.id + '" as a prerequisite more than once.');
+      }
+      listed[link.id] = true;
+    });
+  });
+
+  if (errors.length > 0) {
+    return { curriculum: null, errors: errors };
+  }
+  const title = typeof meta.title === 'string' && meta.title ? meta.title : sourceName || 'Untitled curriculum';
+  const id = slugify(typeof meta.id === 'string' && meta.id ? meta.id : title);
+  const settings = {};
+  if (meta.settings && typeof meta.settings.unlockThreshold === 'number') {
+    settings.unlockThreshold = meta.settings.unlockThreshold;
+  }
+  return {
+    curriculum: {
+      id: id === BUILTIN_CURRICULUM_ID ? id + '-external' : id,
+      title: title,
+      settings: settings,
+      groups: groups.map(function (group) {
+        const copy = { id: group.id, title: group.title.trim() };
+        if (typeof group.parent === 'string') copy.parent = group.parent;
+        if (group.collapsed === true) copy.collapsed = true;
+        return copy;
+      }),
+      nodes: topics.map(normaliseTopic),
+    },
+    errors: [],
+  };
+}
+
+function isPercentage(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+function isTagList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every(function (tag) {
+      return typeof tag === 'string' && tag.trim() !== '';
+    })
+  );
+}
+
+// Learning resources attached to a topic are shown in its modal with a
+// label for their kind.
+const RESOURCE_TYPES = ['link', 'article', 'book', 'video', 'course'];
+
+// Only web, mail and relative links are followed; anything else (notably
+// `javascript:` URLs) is rejected in curricula and shown as plain text in
+// markdown.
+function isSafeUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') return false;
+  return /^(https?:|mailto:)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+// Checklist items become `{ id, title }`.  Plain strings get an id derived
+// from their text so ticks survive reordering; duplicates are numbered.
+function normaliseChecklist(items) {
+  const used = Object.create(null);
+  const checklist = [];
+  items.forEach(function (item, idx) {
+    const title = item && typeof item === 'object' ? item.title : item;
+    if (typeof title !== 'string' || title.trim() === '') return;
+    let id = item && typeof item === 'object' && typeof item.id === 'string' && item.id ? item.id : slugify(title);
+    if (!id) id = 'item-' + (idx + 1);
+    const base = id;
+    let counter = 2;
+    while (used[id]) {
+      id = base + '-' + counter++;
+    }
+    used[id] = true;
+    checklist.push({ id: id, title: title.trim() });
+  });
+  return checklist;
+}
+
+// Tags of a topic, trimmed and without duplicates.  Topics saved before
+// tags existed simply have none.
+function topicTags(node) {
+  const tags = [];
+  (node.tags || []).forEach(function (tag) {
+    const trimmed = String(tag).trim();
+    if (trimmed !== '' && tags.indexOf(trimmed) === -1) tags.push(trimmed);
+  });
+  return tags;
+}
+
+// Copy a topic definition into the shape used by the app, filling in
+// defaults for optional fields.  Only list-shaped fields are copied so a
+// malformed definition cannot crash prerequisiteLinks during validation.
+function normaliseTopic(topic) {
+  const node = {
+    id: topic.id,
+    title: topic.title,
+    description: typeof topic.description === 'string' ? topic.description : '',
+    dependencies: Array.isArray(topic.dependencies) ? topic.dependencies.slice() : [],
+    alternatives: Array.isArray(topic.alternatives)
+      ? topic.alternatives
+          .filter(function (group) {
+            return group && Array.isArray(group.topics);
+          })
+          .map(function (group) {
+            return { count: Number.isInteger(group.count) ? group.count : 1, topics: group.topics.slice() };
+          })
+      : [],
+    recommended: Array.isArray(topic.recommended) ? topic.recommended.slice() : [],
+    tags: isTagList(topic.tags) ? topicTags(topic) : [],
+    progress: 0,
+  };
+  if (typeof topic.group === 'string' && topic.group !== '') {
+    node.group = topic.group;
+  }
+  if (isPercentage(topic.unlockThreshold)) {
+    node.unlockThreshold = topic.unlockThreshold;
+  }
+  if (typeof topic.effort === 'number' && topic.effort >= 0) {
+    node.effort = topic.effort;
+  }
+  if (typeof topic.content === 'string' && topic.content.trim() !== '') {
+    node.content = topic.content;
+  }
+  if (Array.isArray(topic.resources)) {
+    const resources = topic.resources
+      .filter(function (resource) {
+        return resource && typeof resource.title === 'string' && resource.title.trim() !== '';
+      })
+      .map(function (resource) {
+        const copy = { title: resource.title, type: RESOURCE_TYPES.indexOf(resource.type) !== -1 ? resource.type : 'link' };
+        if (isSafeUrl(resource.url)) copy.url = resource.url;
+        return copy;
+      });
+    if (resources.length > 0) node.resources = resources;
+  }
+  if (Array.isArray(topic.checklist)) {
+    const checklist = normaliseChecklist(topic.checklist);
+    if (checklist.length > 0) node.checklist = checklist;
+  }
+  return node;
+}
+
+// Curriculum interchange formats.  Besides JSON and YAML a curriculum can
+// be read from a Markdown outline or a Mermaid flowchart, and written out
+// as either of those, as Graphviz DOT, or as GraphML and GEXF for graph
+// tools such as yEd and Gephi.  The readers build the same definition a
+// JSON file would, so validateCurriculum still has the last word; they
+// only report what they cannot translate, naming the line of each problem.
+const CURRICULUM_FORMATS = [
+  { id: 'markdown', label: 'Markdown outline', extension: '.md', type: 'text/markdown' },
+  { id: 'mermaid', label: 'Mermaid flowchart', extension: '.mmd', type: 'text/plain' },
+  { id: 'dot', label: 'Graphviz DOT', extension: '.dot', type: 'text/vnd.graphviz' },
+  { id: 'graphml', label: 'GraphML', extension: '.graphml', type: 'application/graphml+xml' },
+  { id: 'gexf', label: 'GEXF', extension: '.gexf', type: 'application/xml' },
+];
+
+// A slug of `text` that is not yet in `taken`, which it is then added to.
+function uniqueSlug(text, taken, fallback) {
+  const base = slugify(text) || fallback;
+  let id = base;
+  let counter = 2;
+  while (taken[id]) {
+    id = base + '-' + counter++;
+  }
+  taken[id] = true;
+  return id;
+}
+
+function splitList(text) {
+  return text
+    .split(',')
+    .map(function (item) {
+      return item.trim();
+    })
+    .filter(function (item) {
+      return item !== '';
+    });
+}
+
+// Order "Line N: ..." messages by line; problems found after reading the
+// whole file would otherwise come last.
+function byLine(errors) {
+  function lineOf(message) {
+    return parseInt(/^Line (\d+)/.exec(message)[1], 10);
+  }
+  return errors.slice().sort(function (a, b) {
+    return lineOf(a) - lineOf(b);
+  });
+}
+
+// A heading or topic line may end in `{#id}` to set its id; otherwise the
+// id is derived from the title.
+function splitOutlineId(text) {
+  const match = /^(.*?)\s*\{#([^}\s]+)\}\s*$/.exec(text);
+  return match ? { title: match[1].trim(), id: match[2] } : { title: text.trim(), id: null };
+}
+
+const OUTLINE_FIELD = /^(requires|recommended|tags|threshold|effort|any\s+(\d+)\s+of)\s*:\s*(.*)$/i;
+
+// Whether a description line would be read as something else: a field, a
+// list item, a table, a code fence or an escaped line.  Such lines are
+// written with a leading backslash, which the reader removes again.
+function outlineNeedsEscape(text) {
+  return OUTLINE_FIELD.test(text) || /^(([-*+]|\d+[.)])\s|\||```|~~~|\\)/.test(text);
+}
+
+// Read a Markdown outline:
+//
+//   # Curriculum title
+//   threshold: 75
+//   ## Group            (### for a group inside it, and so on)
+//   - Topic title {#optional-id}
+//     Indented lines describe the topic, apart from these fields:
+//     requires: Other topic, another-id
+//     any 1 of: Option A, Option B
+//     recommended: Nice to have
+//     threshold: 80
+//     tags: core, maths
+//     effort: 3
+//
+// Topics are top-level `-` items and prerequisites name other topics by id
+// or (case-insensitively) by title.  A description line that would read as
+// one of the above starts with a backslash (`\- not a topic`).  Other prose
+// is ignored.  Returns `{ data, errors }` like parseCurriculumText.
+function markdownOutlineToCurriculum(text) {
+  const errors = [];
+  const data = { groups: [], topics: [] };
+  const topicIds = Object.create(null);
+  const groupIds = Object.create(null);
+  const descriptions = [];
+  const refs = [];
+  let groupStack = [];
+  let current = null;
+  let fence = null;
+
+  function fail(lineNo, message) {
+    errors.push('Line ' + lineNo + ': ' + message);
+  }
+
+  // Apply one `name: value` field to a topic (or, for the threshold, to
+  // the curriculum settings).  Topic names are resolved once every topic
+  // has been read.
+  function readField(match, lineNo, target) {
+    const name = match[1].toLowerCase();
+    const value = match[3].trim();
+    if (name === 'threshold' || name === 'effort') {
+      const number = value === '' ? NaN : Number(value.replace(/%$/, ''));
+      if (name === 'threshold' && !isPercentage(number)) {
+        fail(lineNo, '"threshold" needs a percentage from 0 to 100.');
+      } else if (name === 'effort' && !(number >= 0)) {
+        fail(lineNo, '"effort" needs a number of hours.');
+      } else {
+        target[name === 'threshold' ? 'unlockThreshold' : 'effort'] = number;
+      }
+      return;
+    }
+    const names = splitList(value);
+    if (name === 'tags') {
+      target.tags = names;
+      return;
+    }
+    if (names.length === 0) {
+      fail(lineNo, '"' + match[1] + '" does not name any topics.');
+      return;
+    }
+    let list = names;
+    if (match[2] !== undefined) {
+      target.alternatives = (target.alternatives || []).concat([{ count: parseInt(match[2], 10), topics: list }]);
+    } else {
+      const key = name === 'requires' ? 'dependencies' : 'recommended';
+      list = target[key] = (target[key] || []).concat(names);
+    }
+    for (let idx = list.length - names.length; idx < list.length; idx++) {
+      refs.push({ list: list, index: idx, line: lineNo });
+    }
+  }
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach(function (line, idx) {
+      const lineNo = idx + 1;
+      const fenceMatch = /^\s*(```|~~~)/.exec(line);
+      if (fence) {
+        if (fenceMatch && fenceMatch[1] === fence) fence = null;
+        return;
+      }
+      if (fenceMatch) {
+        fail(lineNo, 'code blocks are not supported in an outline.');
+        fence = fenceMatch[1];
+        return;
+      }
+      if (line.trim() === '') {
+        if (current) current.lines.push('');
+        return;
+      }
+      const heading = /^(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line);
+      if (heading) {
+        current = null;
+        if (heading[1].length === 1) {
+          if (data.title !== undefined) fail(lineNo, 'only one "#" title is allowed; use "##" for groups.');
+          else data.title = heading[2];
+          return;
+        }
+        let depth = heading[1].length - 2;
+        if (depth > groupStack.length) {
+          fail(lineNo, 'this heading skips a level; nest groups one level at a time.');
+          depth = groupStack.length;
+        }
+        const parsed = splitOutlineId(heading[2]);
+        const group = { id: parsed.id || uniqueSlug(parsed.title, groupIds, 'group'), title: parsed.title };
+        groupIds[group.id] = true;
+        if (depth > 0) group.parent = groupStack[depth - 1];
+        data.groups.push(group);
+        groupStack = groupStack.slice(0, depth).concat([group.id]);
+        return;
+      }
+      if (/^\s+([-*+]|\d+[.)])\s/.test(line)) {
+        fail(lineNo, 'nested lists are not supported; list every topic at the top level and use "requires:".');
+        return;
+      }
+      if (/^\d+[.)]\s/.test(line)) {
+        fail(lineNo, 'numbered lists are not supported; start each topic with "- ".');
+        return;
+      }
+      if (/^\s*\|/.test(line)) {
+        fail(lineNo, 'tables are not supported in an outline.');
+        return;
+      }
+      const item = /^[-*+]\s+(.*)$/.exec(line);
+      if (item) {
+        const parsed = splitOutlineId(item[1]);
+        const topic = { id: parsed.id || uniqueSlug(parsed.title, topicIds, 'topic'), title: parsed.title };
+        topicIds[topic.id] = true;
+        if (groupStack.length > 0) topic.group = groupStack[groupStack.length - 1];
+        data.topics.push(topic);
+        current = { topic: topic, lines: [] };
+        descriptions.push(current);
+        return;
+      }
+      const field = OUTLINE_FIELD.exec(line.trim());
+      if (current && /^\s/.test(line)) {
+        if (field) {
+          readField(field, lineNo, current.topic);
+        } else {
+          const prose = line.trim();
+          const escaped = prose.charAt(0) === '\\' && outlineNeedsEscape(prose.slice(1));
+          current.lines.push(escaped ? prose.slice(1) : prose);
+        }
+        return;
+      }
+      // Unindented prose ends the topic.  Before the first group or topic
+      // a threshold line sets the curriculum's default.
+      current = null;
+      if (field && field[1].toLowerCase() === 'threshold' && data.topics.length === 0 && data.groups.length === 0) {
+        data.settings = {};
+        readField(field, lineNo, data.settings);
+      } else if (field) {
+        fail(lineNo, 'indent "' + field[1] + ':" under the topic it belongs to.');
+      }
+    });
+
+  descriptions.forEach(function (entry) {
+    const description = entry.lines.join('\n').trim();
+    if (description !== '') entry.topic.description = description;
+  });
+
+  // Prerequisites may use an id or a title.  Ids win, so a title is only
+  // looked up when no topic has that id.
+  const byTitle = Object.create(null);
+  data.topics.forEach(function (topic) {
+    const key = topic.title.toLowerCase();
+    byTitle[key] = byTitle[key] ? byTitle[key].concat([topic.id]) : [topic.id];
+  });
+  refs.forEach(function (ref) {
+    const name = ref.list[ref.index];
+    if (Object.prototype.hasOwnProperty.call(topicIds, name)) return;
+    const matches = byTitle[name.toLowerCase()] || [];
+    if (matches.length === 1) {
+      ref.list[ref.index] = matches[0];
+    } else if (matches.length > 1) {
+      fail(ref.line, 'more than one topic is called "' + name + '"; refer to it by id instead.');
+    } else {
+      fail(ref.line, '"' + name + '" is not the id or title of a topic in this outline.');
+    }
+  });
+  return { data: data, errors: byLine(errors) };
+}
+
+// Write a curriculum as a Markdown outline that markdownOutlineToCurriculum
+// reads back.  Resources, checklists and content have no place in an
+// outline and are left out.  Prerequisites are written as titles where a
+// title identifies its topic unambiguously, and as ids otherwise.
+function curriculumToMarkdown(curriculum) {
+  const nodes = curriculum.nodes;
+  const titleCounts = Object.create(null);
+  const ids = Object.create(null);
+  nodes.forEach(function (n) {
+    const key = n.title.toLowerCase();
+    titleCounts[key] = (titleCounts[key] || 0) + 1;
+    ids[n.id] = true;
+  });
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  function ref(id) {
+    const node = byId[id];
+    if (!node) return id;
+    const title = node.title;
+    const clear =
+      titleCounts[title.toLowerCase()] === 1 && title.indexOf(',') === -1 && (!ids[title] || title === id);
+    return clear ? title : id;
+  }
+  function withId(title, id) {
+    return slugify(title) === id ? title : title + ' {#' + id + '}';
+  }
+  const lines = ['# ' + curriculum.title, ''];
+  if (curriculum.settings && typeof curriculum.settings.unlockThreshold === 'number') {
+    lines.push('threshold: ' + curriculum.settings.unlockThreshold, '');
+  }
+  function writeTopic(node) {
+    lines.push('- ' + withId(node.title, node.id));
+    if (node.description) {
+      node.description.split('\n').forEach(function (text) {
+        const prose = text.trim();
+        lines.push(prose === '' ? '' : '  ' + (outlineNeedsEscape(prose) ? '\\' : '') + prose);
+      });
+    }
+    if ((node.dependencies || []).length > 0) lines.push('  requires: ' + node.dependencies.map(ref).join(', '));
+    (node.alternatives || []).forEach(function (group) {
+      lines.push('  any ' + group.count + ' of: ' + group.topics.map(ref).join(', '));
+    });
+    if ((node.recommended || []).length > 0) lines.push('  recommended: ' + node.recommended.map(ref).join(', '));
+    if (node.unlockThreshold !== undefined) lines.push('  threshold: ' + node.unlockThreshold);
+    if ((node.tags || []).length > 0) lines.push('  tags: ' + node.tags.join(', '));
+    if (node.effort !== undefined) lines.push('  effort: ' + node.effort);
+    lines.push('');
+  }
+  nodes
+    .filter(function (n) {
+      return !n.group;
+    })
+    .forEach(writeTopic);
+  const groups = curriculum.groups || [];
+  function writeGroup(group, depth) {
+    lines.push('#'.repeat(Math.min(depth + 2, 6)) + ' ' + withId(group.title, group.id), '');
+    nodes
+      .filter(function (n) {
+        return n.group === group.id;
+      })
+      .forEach(writeTopic);
+    groups
+      .filter(function (g) {
+        return g.parent === group.id;
+      })
+      .forEach(function (g) {
+        writeGroup(g, depth + 1);
+      });
+  }
+  groups
+    .filter(function (g) {
+      return !g.parent;
+    })
+    .forEach(function (g) {
+      writeGroup(g, 0);
+    });
+  return lines.join('\n').replace(/\n+$/, '\n');
+}
+
+// Mermaid node shapes, longest openings first so `((` is not read as `(`.
+const MERMAID_SHAPES = [
+  ['(((', ')))'],
+  ['([', '])'],
+  ['[[', ']]'],
+  ['[(', ')]'],
+  ['((', '))'],
+  ['{{', '}}'],
+  ['[/', '/]'],
+  ['[\\', '\\]'],
+  ['[', ']'],
+  ['(', ')'],
+  ['{', '}'],
+  ['>', ']'],
+];
+
+// Words that cannot be used as Mermaid node ids.
+const MERMAID_RESERVED = ['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classDef', 'click', 'linkStyle'];
+
+function mermaidText(label) {
+  return label
+    .replace(/#quot;/g, '"')
+    .replace(/#(\d+);/g, function (match, code) {
+      return String.fromCharCode(parseInt(code, 10));
+    })
+    .trim();
+}
+
+// Read one node reference (`id`, optionally followed by a shape holding
+// its label) at the start of `rest`.  Returns `{ id, title, length }`,
+// `{ error }`, or null when `rest` does not start with an id.
+function readMermaidNode(rest) {
+  const idMatch = /^\s*([A-Za-z0-9_]+)/.exec(rest);
+  if (!idMatch) return null;
+  let length = idMatch[0].length;
+  let title = null;
+  const shape = MERMAID_SHAPES.find(function (pair) {
+    return rest.substr(length, pair[0].length) === pair[0];
+  });
+  if (shape) {
+    let start = length + shape[0].length;
+    let close;
+    if (rest.charAt(start) === '"') {
+      const quote = rest.indexOf('"', start + 1);
+      if (quote === -1) return { error: 'the label of "' + idMatch[1] + '" has no closing quote.' };
+      title = rest.slice(start + 1, quote);
+      close = rest.substr(quote + 1, shape[1].length) === shape[1] ? quote + 1 : -1;
+    } else {
+      close = rest.indexOf(shape[1], start);
+      title = close === -1 ? '' : rest.slice(start, close);
+    }
+    if (close === -1) return { error: 'the shape of "' + idMatch[1] + '" is not closed with "' + shape[1] + '".' };
+    length = close + shape[1].length;
+    title = mermaidText(title);
+  }
+  const className = /^:::[A-Za-z0-9_-]+/.exec(rest.slice(length));
+  if (className) length += className[0].length;
+  return { id: idMatch[1], title: title, length: length };
+}
+
+// Read one link at the start of `rest`: `-->`, `==>` or `-.->`, with an
+// optional label as `-->|label|` or `-- label -->`.  Returns
+// `{ kind, label, length }`, `{ error }`, or null when there is no link.
+function readMermaidLink(rest) {
+  let match = /^\s*(--|==|-\.)\s+([^|]*?)\s+(-{2,}>|={2,}>|\.-+>)\s*/.exec(rest);
+  if (match) {
+    return { kind: match[1] === '-.' ? 'recommended' : 'required', label: match[2], length: match[0].length };
+  }
+  match = /^\s*(<|o|x)?(-{2,}|={2,}|-\.+-|~{3,})(>|o|x)?(?:\|([^|]*)\|)?\s*/.exec(rest);
+  if (!match) return null;
+  if (match[2].charAt(0) === '~' || match[3] !== '>' || match[1]) {
+    return { error: 'only one-way arrows (-->, ==> and -.->) are supported; "' + match[0].trim() + '" is not.' };
+  }
+  const kind = match[2].indexOf('.') !== -1 ? 'recommended' : 'required';
+  return { kind: kind, label: match[4] || '', length: match[0].length };
+}
+
+// Read a Mermaid `graph` or `flowchart`.  Nodes become topics (the label
+// is the title), `-->` and `==>` links required prerequisites and `-.->`
+// links recommended ones.  A link labelled "any N of" is part of a group
+// of alternatives; links to the same topic with the same label form one
+// group.  Subgraphs become groups, and an optional front matter `title:`
+// names the curriculum.  Styling lines are ignored.  Returns
+// `{ data, errors }` like parseCurriculumText.
+function mermaidToCurriculum(text) {
+  const errors = [];
+  const lines = String(text).split(/\r?\n/);
+  const data = { groups: [], topics: [] };
+  const topics = Object.create(null);
+  const taken = Object.create(null);
+  const links = [];
+  const stack = [];
+  let index = 0;
+
+  function fail(lineNo, message) {
+    errors.push('Line ' + lineNo + ': ' + message);
+  }
+
+  if (lines[0].trim() === '---') {
+    const close = lines.findIndex(function (line, idx) {
+      return idx > 0 && line.trim() === '---';
+    });
+    if (close === -1) return { data: null, errors: ['Line 1: the front matter is never closed with "---".'] };
+    lines.slice(1, close).forEach(function (line) {
+      const match = /^title:\s*(.*?)\s*$/.exec(line);
+      if (!match) return;
+      const quoted = /^"(.*)"$/.exec(match[1]);
+      try {
+        data.title = quoted ? JSON.parse(match[1]) : match[1].replace(/^'(.*)'$/, '$1');
+      } catch (err) {
+        data.title = quoted[1];
+      }
+    });
+    index = close + 1;
+  }
+  while (index < lines.length && (lines[index].trim() === '' || /^\s*%%/.test(lines[index]))) index++;
+  const header = /^\s*(\w+)/.exec(lines[index] || '');
+  if (!header || !/^\s*(graph|flowchart)(\s+(TB|TD|BT|RL|LR))?\s*;?\s*$/i.test(lines[index])) {
+    return {
+      data: null,
+      errors: [
+        'Line ' + (index + 1) + ': only Mermaid "graph" and "flowchart" diagrams can be imported' +
+          (header ? ', not "' + header[1] + '".' : '.'),
+      ],
+    };
+  }
+
+  function mention(node) {
+    if (!topics[node.id]) {
+      topics[node.id] = { id: node.id, title: node.title || node.id };
+      taken[node.id] = true;
+      data.topics.push(topics[node.id]);
+    } else if (node.title) {
+      topics[node.id].title = node.title;
+    }
+    if (stack.length > 0 && !topics[node.id].group) topics[node.id].group = stack[stack.length - 1];
+  }
+
+  for (let i = index + 1; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const line = lines[i].replace(/;\s*$/, '').trim();
+    if (line === '' || /^%%/.test(line) || /^(classDef|class|style|linkStyle|click|direction)\b/.test(line)) continue;
+    if (line === 'end') {
+      if (stack.length === 0) fail(lineNo, '"end" does not close a subgraph.');
+      stack.pop();
+      continue;
+    }
+    const subgraph = /^subgraph\s+(.*)$/.exec(line);
+    if (subgraph) {
+      const spec = subgraph[1].trim();
+      const named = /^([A-Za-z0-9_]+)\s*(?:\[\s*(?:"([^"]*)"|([^\]]*))\s*\])?$/.exec(spec);
+      let group;
+      if (named) {
+        const title = named[2] !== undefined ? named[2] : named[3];
+        group = { id: named[1], title: title === undefined ? named[1] : mermaidText(title) };
+        if (taken[group.id]) fail(lineNo, 'the subgraph id "' + group.id + '" is already used.');
+        taken[group.id] = true;
+      } else {
+        const title = mermaidText(spec.replace(/^"(.*)"$/, '$1'));
+        group = { id: uniqueSlug(title, taken, 'group'), title: title };
+      }
+      if (stack.length > 0) group.parent = stack[stack.length - 1];
+      data.groups.push(group);
+      stack.push(group.id);
+      continue;
+    }
+    let rest = line;
+    let previous = null;
+    let pending = null;
+    let problem = null;
+    while (rest.trim() !== '' && !problem) {
+      if (pending || !previous) {
+        const node = readMermaidNode(rest);
+        if (!node || node.error) {
+          problem = node ? node.error : 'could not read "' + rest.trim() + '".';
+          break;
+        }
+        mention(node);
+        if (pending) {
+          links.push({ from: previous.id, to: node.id, kind: pending.kind, label: pending.label, line: lineNo });
+        }
+        previous = node;
+        pending = null;
+        rest = rest.slice(node.length);
+        continue;
+      }
+      if (/^\s*&/.test(rest)) {
+        problem = '"&" is not supported; write one link per pair of topics.';
+        break;
+      }
+      const link = readMermaidLink(rest);
+      if (!link || link.error) {
+        problem = link ? link.error : 'could not read "' + rest.trim() + '".';
+        break;
+      }
+      pending = link;
+      rest = rest.slice(link.length);
+    }
+    if (!problem && pending) problem = 'the link at the end of the line does not lead anywhere.';
+    if (problem) fail(lineNo, problem);
+  }
+  if (stack.length > 0) {
+    fail(lines.length, 'the subgraph "' + stack[stack.length - 1] + '" is never closed with "end".');
+  }
+
+  links.forEach(function (link) {
+    const topic = topics[link.to];
+    const label = link.label.trim().replace(/\s+/g, ' ');
+    if (label === '') {
+      const field = link.kind === 'required' ? 'dependencies' : 'recommended';
+      topic[field] = (topic[field] || []).concat([link.from]);
+      return;
+    }
+    const any = /^any (\d+) of\b/i.exec(label);
+    if (!any || link.kind !== 'required') {
+      fail(link.line, 'the link label "' + label + '" is not understood; only "any N of" labels on --> are imported.');
+      return;
+    }
+    topic.alternatives = topic.alternatives || [];
+    topic.alternativeLabels = topic.alternativeLabels || [];
+    const at = topic.alternativeLabels.indexOf(label.toLowerCase());
+    if (at === -1) {
+      topic.alternativeLabels.push(label.toLowerCase());
+      topic.alternatives.push({ count: parseInt(any[1], 10), topics: [link.from] });
+    } else {
+      topic.alternatives[at].topics.push(link.from);
+    }
+  });
+  data.topics.forEach(function (topic) {
+    delete topic.alternativeLabels;
+  });
+  return { data: data, errors: byLine(errors) };
+}
+
+// Mermaid ids may only use letters, digits and underscores, so other
+// characters become underscores and clashes are numbered.
+function mermaidIds(curriculum) {
+  const taken = Object.create(null);
+  function assign(id) {
+    let base = id.replace(/[^A-Za-z0-9_]/g, '_') || 'n';
+    if (MERMAID_RESERVED.indexOf(base) !== -1) base = base + '_';
+    let safe = base;
+    let counter = 2;
+    while (taken[safe]) {
+      safe = base + '_' + counter++;
+    }
+    taken[safe] = true;
+    return safe;
+  }
+  const topics = Object.create(null);
+  const groups = Object.create(null);
+  curriculum.nodes.forEach(function (n) {
+    topics[n.id] = assign(n.id);
+  });
+  (curriculum.groups || []).forEach(function (g) {
+    groups[g.id] = assign(g.id);
+  });
+  return { topics: topics, groups: groups };
+}
+
+function mermaidLabel(text) {
+  return '"' + String(text).replace(/"/g, '#quot;').replace(/\s*\n\s*/g, ' ') + '"';
+}
+
+// Write a curriculum as a Mermaid flowchart that mermaidToCurriculum reads
+// back.  Only titles, groups and prerequisites have a place in the chart.
+function curriculumToMermaid(curriculum) {
+  const ids = mermaidIds(curriculum);
+  const groups = curriculum.groups || [];
+  const lines = ['---', 'title: ' + JSON.stringify(curriculum.title), '---', 'graph LR'];
+  function writeTopics(groupId, indent) {
+    curriculum.nodes
+      .filter(function (n) {
+        return (n.group || null) === groupId;
+      })
+      .forEach(function (n) {
+        lines.push(indent + ids.topics[n.id] + '[' + mermaidLabel(n.title) + ']');
+      });
+    groups
+      .filter(function (g) {
+        return groupId !== null && g.parent === groupId;
+      })
+      .forEach(function (g) {
+        writeGroup(g, indent);
+      });
+  }
+  function writeGroup(group, indent) {
+    lines.push(indent + 'subgraph ' + ids.groups[group.id] + ' [' + mermaidLabel(group.title) + ']');
+    writeTopics(group.id, indent + '  ');
+    lines.push(indent + 'end');
+  }
+  writeTopics(null, '  ');
+  groups
+    .filter(function (g) {
+      return !g.parent;
+    })
+    .forEach(function (g) {
+      writeGroup(g, '  ');
+    });
+  curriculum.nodes.forEach(function (n) {
+    const target = ids.topics[n.id];
+    prerequisiteLinks(n).forEach(function (link) {
+      const source = ids.topics[link.id];
+      if (!source) return;
+      if (link.kind === 'recommended') {
+        lines.push('  ' + source + ' -.-> ' + target);
+      } else if (link.kind === 'alternative') {
+        const count = n.alternatives[link.group].count;
+        const label = 'any ' + count + ' of' + (link.group > 0 ? ' #' + (link.group + 1) : '');
+        lines.push('  ' + source + ' -->|' + label + '| ' + target);
+      } else {
+        lines.push('  ' + source + ' --> ' + target);
+      }
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Each prerequisite link of the curriculum as `{ source, target, kind,
+// count, choice }`, with `count` and `choice` (numbered from 1) set for
+// alternatives.
+function curriculumLinks(curriculum) {
+  const links = [];
+  curriculum.nodes.forEach(function (n) {
+    prerequisiteLinks(n).forEach(function (link) {
+      const entry = { source: link.id, target: n.id, kind: link.kind };
+      if (link.kind === 'alternative') {
+        entry.count = n.alternatives[link.group].count;
+        entry.choice = link.group + 1;
+      }
+      links.push(entry);
+    });
+  });
+  return links;
+}
+
+function groupTitle(curriculum, id) {
+  const group = findGroup(curriculum, id);
+  return group ? group.title : '';
+}
+
+function dotString(text) {
+  return '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+// Write a curriculum as a Graphviz digraph.  Groups become clusters,
+// recommended links are dashed and alternatives are labelled.
+function curriculumToDot(curriculum) {
+  const groups = curriculum.groups || [];
+  const lines = [
+    'digraph ' + dotString(curriculum.title) + ' {',
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded];',
+  ];
+  function writeTopics(groupId, indent) {
+    curriculum.nodes
+      .filter(function (n) {
+        return (n.group || null) === groupId;
+      })
+      .forEach(function (n) {
+        lines.push(indent + dotString(n.id) + ' [label=' + dotString(n.title) + '];');
+      });
+    groups
+      .filter(function (g) {
+        return groupId !== null && g.parent === groupId;
+      })
+      .forEach(function (g) {
+        writeGroup(g, indent);
+      });
+  }
+  function writeGroup(group, indent) {
+    lines.push(indent + 'subgraph ' + dotString('cluster_' + group.id) + ' {');
+    lines.push(indent + '  label=' + dotString(group.title) + ';');
+    writeTopics(group.id, indent + '  ');
+    lines.push(indent + '}');
+  }
+  writeTopics(null, '  ');
+  groups
+    .filter(function (g) {
+      return !g.parent;
+    })
+    .forEach(function (g) {
+      writeGroup(g, '  ');
+    });
+  curriculumLinks(curriculum).forEach(function (link) {
+    let attrs = '';
+    if (link.kind === 'recommended') attrs = ' [style=dashed]';
+    if (link.kind === 'alternative') attrs = ' [label=' + dotString('any ' + link.count + ' of') + ']';
+    lines.push('  ' + dotString(link.source) + ' -> ' + dotString(link.target) + attrs + ';');
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// Escape text for XML content and attributes, dropping the control
+// characters XML 1.0 cannot hold.
+function xmlEscape(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Node attributes shared by the GraphML and GEXF exports, as
+// `[key, value]` for the values a topic actually has.
+function topicAttributes(curriculum, n) {
+  const values = [];
+  if (n.description) values.push(['description', n.description]);
+  if (n.group) values.push(['group', groupTitle(curriculum, n.group)]);
+  if (n.unlockThreshold !== undefined) values.push(['threshold', n.unlockThreshold]);
+  if ((n.tags || []).length > 0) values.push(['tags', n.tags.join(', ')]);
+  if (n.effort !== undefined) values.push(['effort', n.effort]);
+  return values;
+}
+
+// Write a curriculum as GraphML.  Topics carry their title, description,
+// group title, threshold, tags and effort; links their kind and, for
+// alternatives, the count and which group of alternatives they are in.
+function curriculumToGraphML(curriculum) {
+  const keys = [
+    ['name', 'graph', 'string'],
+    ['title', 'node', 'string'],
+    ['description', 'node', 'string'],
+    ['group', 'node', 'string'],
+    ['threshold', 'node', 'double'],
+    ['tags', 'node', 'string'],
+    ['effort', 'node', 'double'],
+    ['kind', 'edge', 'string'],
+    ['count', 'edge', 'int'],
+    ['choice', 'edge', 'int'],
+  ];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+  ];
+  keys.forEach(function (key) {
+    lines.push(
+      '  <key id="' + key[0] + '" for="' + key[1] + '" attr.name="' + key[0] + '" attr.type="' + key[2] + '"/>',
+    );
+  });
+  lines.push('  <graph id="curriculum" edgedefault="directed">');
+  lines.push('    <data key="name">' + xmlEscape(curriculum.title) + '</data>');
+  curriculum.nodes.forEach(function (n) {
+    lines.push('    <node id="' + xmlEscape(n.id) + '">');
+    lines.push('      <data key="title">' + xmlEscape(n.title) + '</data>');
+    topicAttributes(curriculum, n).forEach(function (attr) {
+      lines.push('      <data key="' + attr[0] + '">' + xmlEscape(attr[1]) + '</data>');
+    });
+    lines.push('    </node>');
+  });
+  curriculumLinks(curriculum).forEach(function (link, idx) {
+    lines.push(
+      '    <edge id="e' + idx + '" source="' + xmlEscape(link.source) + '" target="' + xmlEscape(link.target) + '">',
+    );
+    lines.push('      <data key="kind">' + link.kind + '</data>');
+    if (link.kind === 'alternative') {
+      lines.push('      <data key="count">' + link.count + '</data>');
+      lines.push('      <data key="choice">' + link.choice + '</data>');
+    }
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// Write a curriculum as GEXF 1.3, with the same attributes as GraphML.
+function curriculumToGexf(curriculum) {
+  const nodeAttributes = [
+    ['description', 'string'],
+    ['group', 'string'],
+    ['threshold', 'double'],
+    ['tags', 'string'],
+    ['effort', 'double'],
+  ];
+  const edgeAttributes = [
+    ['kind', 'string'],
+    ['count', 'integer'],
+    ['choice', 'integer'],
+  ];
+  function declare(cls, attributes) {
+    lines.push('    <attributes class="' + cls + '">');
+    attributes.forEach(function (attr) {
+      lines.push('      <attribute id="' + attr[0] + '" title="' + attr[0] + '" type="' + attr[1] + '"/>');
+    });
+    lines.push('    </attributes>');
+  }
+  function attvalues(values, indent) {
+    if (values.length === 0) return;
+    lines.push(indent + '<attvalues>');
+    values.forEach(function (value) {
+      lines.push(indent + '  <attvalue for="' + value[0] + '" value="' + xmlEscape(value[1]) + '"/>');
+    });
+    lines.push(indent + '</attvalues>');
+  }
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <meta>',
+    '    <creator>Knowledge Path Visualizer</creator>',
+    '    <description>' + xmlEscape(curriculum.title) + '</description>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+  ];
+  declare('node', nodeAttributes);
+  declare('edge', edgeAttributes);
+  lines.push('    <nodes>');
+  curriculum.nodes.forEach(function (n) {
+    lines.push('      <node id="' + xmlEscape(n.id) + '" label="' + xmlEscape(n.title) + '">');
+    attvalues(topicAttributes(curriculum, n), '        ');
+    lines.push('      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+  curriculumLinks(curriculum).forEach(function (link, idx) {
+    lines.push(
+      '      <edge id="' + idx + '" source="' + xmlEscape(link.source) + '" target="' + xmlEscape(link.target) + '">',
+    );
+    const values = [['kind', link.kind]];
+    if (link.kind === 'alternative') values.push(['count', link.count], ['choice', link.choice]);
+    attvalues(values, '        ');
+    lines.push('      </edge>');
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+// Write a curriculum in one of CURRICULUM_FORMATS.
+function exportCurriculum(curriculum, formatId) {
+  switch (formatId) {
+    case 'markdown':
+      return curriculumToMarkdown(curriculum);
+    case 'mermaid':
+      return curriculumToMermaid(curriculum);
+    case 'dot':
+      return curriculumToDot(curriculum);
+    case 'graphml':
+      return curriculumToGraphML(curriculum);
+    case 'gexf':
+      return curriculumToGexf(curriculum);
+    default:
+      throw new Error('Unknown curriculum format "' + formatId + '".');
+  }
+}
+
+// Parse and validate in one step.  Returns `{ curriculum, errors }`.
+function loadCurriculumText(text, sourceName) {
+  const parsed = parseCurriculumText(text, sourceName);
+  if (parsed.errors.length > 0) {
+    return { curriculum: null, errors: parsed.errors };
+  }
+  return validateCurriculum(parsed.data, sourceName);
+}
+
+// Read the remembered external curriculum from localStorage, if any.  A
+// stored definition that no longer validates is discarded.
+function loadStoredCurriculum() {
+  const stored = activeStorage.getItem(ACTIVE_CURRICULUM_KEY);
+  if (!stored) return BUILTIN_CURRICULUM;
+  try {
+    const data = JSON.parse(stored);
+    const result = validateCurriculum(data);
+    if (result.curriculum) {
+      // Keep the stored id verbatim: an edited copy of the built-in
+      // example must go on reading the example's progress keys.
+      result.curriculum.id = data.id;
+      return result.curriculum;
+    }
+  } catch (err) {
+    // fall through to the built-in example
+  }
+  activeStorage.removeItem(ACTIVE_CURRICULUM_KEY);
+  return BUILTIN_CURRICULUM;
+}
+
+// Remember the active curriculum definition.  The pristine built-in
+// example needs no copy; anything else (including an edited example) is
+// written out so it survives a refresh.
+function saveCurriculum(curriculum) {
+  if (curriculum === BUILTIN_CURRICULUM) {
+    activeStorage.removeItem(ACTIVE_CURRICULUM_KEY);
+  } else {
+    activeStorage.setItem(
+      ACTIVE_CURRICULUM_KEY,
+      JSON.stringify({
+        id: curriculum.id,
+        title: curriculum.title,
+        settings: curriculum.settings,
+        groups: curriculum.groups,
+        nodes: curriculum.nodes,
+      }),
+    );
+  }
+}
+
+// Curriculum editing helpers.  Each takes a curriculum and returns
+// `{ curriculum, error }`: a new curriculum object when the edit is
+// allowed, or the unchanged one plus a message explaining the refusal.
+// Topics are never mutated in place so previous versions can be kept on
+// the undo stack.
+
+// True when making `targetId` depend on `sourceId` would close a loop,
+// i.e. the source already (transitively) depends on the target.
+function wouldCreateCycle(nodes, sourceId, targetId) {
+  if (sourceId === targetId) return true;
+  const pending = [sourceId];
+  const seen = Object.create(null);
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (id === targetId) return true;
+    if (seen[id]) continue;
+    seen[id] = true;
+    const node = nodes.find(function (n) {
+      return n.id === id;
+    });
+    if (node) Array.prototype.push.apply(pending, allPrerequisites(node));
+  }
+  return false;
+}
+
+function findTopic(curriculum, id) {
+  return curriculum.nodes.find(function (n) {
+    return n.id === id;
+  });
+}
+
+function findGroup(curriculum, id) {
+  return (curriculum.groups || []).find(function (group) {
+    return group.id === id;
+  });
+}
+
+// The group and the groups it is nested in, innermost first.  Stops at
+// unknown ids and at a repeat, so it is safe on unvalidated definitions.
+function groupAncestry(groups, groupId) {
+  const byId = Object.create(null);
+  groups.forEach(function (group) {
+    if (group && typeof group === 'object') byId[group.id] = group;
+  });
+  const chain = [];
+  let current = groupId;
+  while (current !== undefined && byId[current] && chain.indexOf(current) === -1) {
+    chain.push(current);
+    current = byId[current].parent;
+  }
+  return chain;
+}
+
+function withNodes(curriculum, nodes) {
+  return Object.assign({}, curriculum, { nodes: nodes });
+}
+
+// Add a topic with an id derived from its title, made unique by suffixing
+// a counter when needed.
+function addTopic(curriculum, title) {
+  const base = slugify(title) || 'topic';
+  let id = base;
+  let counter = 2;
+  while (findTopic(curriculum, id)) {
+    id = base + '-' + counter++;
+  }
+  const topic = { id: id, title: title, description: '', dependencies: [], progress: 0 };
+  return { curriculum: withNodes(curriculum, curriculum.nodes.concat([topic])), error: null, id: id };
+}
+
+// Change a topic's title, description, tags or other settings.
+function updateTopic(curriculum, id, changes) {
+  if (changes.title !== undefined && String(changes.title).trim() === '') {
+    return { curriculum: curriculum, error: 'A topic needs a title.' };
+  }
+  if (changes.unlockThreshold !== undefined && !isPercentage(changes.unlockThreshold)) {
+    return { curriculum: curriculum, error: 'The unlock threshold must be between 0 and 100.' };
+  }
+  if (changes.effort !== undefined && !(typeof changes.effort === 'number' && changes.effort >= 0)) {
+    return { curriculum: curriculum, error: 'The effort estimate must be zero or more hours.' };
+  }
+  if (changes.tags !== undefined && !isTagList(changes.tags)) {
+    return { curriculum: curriculum, error: 'Tags must be non-empty names.' };
+  }
+  if (changes.group !== undefined && !findGroup(curriculum, changes.group)) {
+    return { curriculum: curriculum, error: 'Unknown group "' + changes.group + '".' };
+  }
+  if (
+    changes.resources !== undefined &&
+    changes.resources.some(function (resource) {
+      return resource.url !== undefined && !isSafeUrl(resource.url);
+    })
+  ) {
+    return { curriculum: curriculum, error: 'Resource links must be http(s), mailto or relative addresses.' };
+  }
+  const nodes = curriculum.nodes.map(function (n) {
+    return n.id === id ? Object.assign({}, n, changes) : n;
+  });
+  return { curriculum: withNodes(curriculum, nodes), error: null };
+}
+
+// The editor shows resources one per line as `title | url | type`, with the
+// url and type optional.
+function formatResourceLines(resources) {
+  return (resources || [])
+    .map(function (resource) {
+      const parts = [resource.title, resource.url || ''];
+      if (resource.type !== 'link') parts.push(resource.type);
+      return parts.join(' | ').replace(/( \| )+$/, '');
+    })
+    .join('\n');
+}
+
+function parseResourceLines(text) {
+  return text
+    .split('\n')
+    .map(function (line) {
+      return line.split('|').map(function (part) {
+        return part.trim();
+      });
+    })
+    .filter(function (parts) {
+      return parts[0] !== '';
+    })
+    .map(function (parts) {
+      const resource = { title: parts[0], type: RESOURCE_TYPES.indexOf(parts[2]) !== -1 ? parts[2] : 'link' };
+      if (parts[1]) resource.url = parts[1];
+      return resource;
+    });
+}
+
+// Copy of a topic's prerequisite lists with `id` removed from all of them.
+// Alternative groups that become empty are dropped and the rest have their
+// count clamped to what is left.
+function withoutPrerequisite(node, id) {
+  const alternatives = (node.alternatives || [])
+    .map(function (group) {
+      const topics = group.topics.filter(function (dep) {
+        return dep !== id;
+      });
+      return { count: Math.min(group.count, topics.length), topics: topics };
+    })
+    .filter(function (group) {
+      return group.topics.length > 0;
+    });
+  return Object.assign({}, node, {
+    dependencies: (node.dependencies || []).filter(function (dep) {
+      return dep !== id;
+    }),
+    alternatives: alternatives,
+    recommended: (node.recommended || []).filter(function (dep) {
+      return dep !== id;
+    }),
+  });
+}
+
+// Delete a topic and drop it from every other topic's prerequisites.
+function removeTopic(curriculum, id) {
+  const nodes = curriculum.nodes
+    .filter(function (n) {
+      return n.id !== id;
+    })
+    .map(function (n) {
+      return allPrerequisites(n).indexOf(id) === -1 ? n : withoutPrerequisite(n, id);
+    });
+  return { curriculum: withNodes(curriculum, nodes), error: null };
+}
+
+// The kind of link from `sourceId` to a topic: 'required', 'alternative',
+// 'recommended', or null when the source is not a prerequisite.
+function prerequisiteKind(node, sourceId) {
+  const link = prerequisiteLinks(node).find(function (l) {
+    return l.id === sourceId;
+  });
+  return link ? link.kind : null;
+}
+
+// Make `sourceId` a prerequisite of `targetId` of the given kind, or
+// remove it when kind is null.  The editor manages a single alternative
+// group: alternatives added here join the first group (created on demand
+// with a count of one).
+function setPrerequisite(curriculum, sourceId, targetId, kind) {
+  const target = findTopic(curriculum, targetId);
+  if (!target || !findTopic(curriculum, sourceId)) {
+    return { curriculum: curriculum, error: 'Unknown topic.' };
+  }
+  if (prerequisiteKind(target, sourceId) === kind) {
+    return { curriculum: curriculum, error: null };
+  }
+  if (kind && !prerequisiteKind(target, sourceId) && wouldCreateCycle(curriculum.nodes, sourceId, targetId)) {
+    const source = findTopic(curriculum, sourceId);
+    return {
+      curriculum: curriculum,
+      error:
+        sourceId === targetId
+          ? 'A topic cannot be its own prerequisite.'
+          : '"' + target.title + '" cannot require "' + source.title + '" because "' +
+            source.title + '" already depends on it.',
+    };
+  }
+  const stripped = withoutPrerequisite(target, sourceId);
+  const changes = {
+    dependencies: stripped.dependencies,
+    alternatives: stripped.alternatives,
+    recommended: stripped.recommended,
+  };
+  if (kind === 'required') {
+    changes.dependencies = changes.dependencies.concat([sourceId]);
+  } else if (kind === 'recommended') {
+    changes.recommended = changes.recommended.concat([sourceId]);
+  } else if (kind === 'alternative') {
+    const first = changes.alternatives[0] || { count: 1, topics: [] };
+    changes.alternatives = [{ count: first.count, topics: first.topics.concat([sourceId]) }].concat(
+      changes.alternatives.slice(1),
+    );
+  }
+  return updateTopic(curriculum, targetId, changes);
+}
+
+// Change how many topics of the first alternative group are needed.
+function setAlternativeCount(curriculum, targetId, count) {
+  const target = findTopic(curriculum, targetId);
+  const groups = (target && target.alternatives) || [];
+  if (groups.length === 0) {
+    return { curriculum: curriculum, error: null };
+  }
+  if (!(Number.isInteger(count) && count >= 1 && count <= groups[0].topics.length)) {
+    return { curriculum: curriculum, error: 'Choose between 1 and ' + groups[0].topics.length + ' alternatives.' };
+  }
+  const alternatives = [{ count: count, topics: groups[0].topics }].concat(groups.slice(1));
+  return updateTopic(curriculum, targetId, { alternatives: alternatives });
+}
+
+// Change curriculum-wide settings such as the default unlock threshold.
+function updateSettings(curriculum, changes) {
+  if (changes.unlockThreshold !== undefined && !isPercentage(changes.unlockThreshold)) {
+    return { curriculum: curriculum, error: 'The unlock threshold must be between 0 and 100.' };
+  }
+  return {
+    curriculum: Object.assign({}, curriculum, { settings: Object.assign({}, curriculum.settings, changes) }),
+    error: null,
+  };
+}
+
+// Merge a profile's stored progress into a curriculum's topics and
+// compute unlocks.
+function nodesFromCurriculum(curriculum, profileId) {
+  const loaded = curriculum.nodes.map(function (node) {
+    const stored = activeStorage.getItem(progressStorageKey(curriculum.id, node.id, profileId));
+    if (stored !== null) {
+      return Object.assign({}, node, { progress: parseInt(stored, 10) });
+    }
+    return Object.assign({}, node);
+  });
+  return computeUnlocks(loaded, curriculum.settings);
+}
+
+function saveProgress(curriculumId, topicId, profileId, progress) {
+  activeStorage.setItem(progressStorageKey(curriculumId, topicId, profileId), String(progress));
+}
+
+// Unlock rules.  A topic may list three kinds of prerequisites:
+//   dependencies – required; every one must reach the threshold
+//   alternatives – OR-groups, `[{ count, topics }]`; at least `count` of
+//                  each group's topics must reach the threshold
+//   recommended  – suggested background that never blocks unlocking
+// The threshold is the topic's own `unlockThreshold` when set, otherwise
+// the curriculum's `settings.unlockThreshold`, otherwise 75 %.
+const DEFAULT_UNLOCK_THRESHOLD = 75;
+
+function unlockThresholdFor(node, settings) {
+  if (typeof node.unlockThreshold === 'number') return node.unlockThreshold;
+  if (settings && typeof settings.unlockThreshold === 'number') return settings.unlockThreshold;
+  return DEFAULT_UNLOCK_THRESHOLD;
+}
+
+// Every prerequisite of a topic as `{ id, kind, group }`, where kind is
+// 'required', 'alternative' or 'recommended' and group indexes into
+// `alternatives` for alternative links.
+function prerequisiteLinks(node) {
+  const links = [];
+  (node.dependencies || []).forEach(function (id) {
+    links.push({ id: id, kind: 'required' });
+  });
+  (node.alternatives || []).forEach(function (group, idx) {
+    (group.topics || []).forEach(function (id) {
+      links.push({ id: id, kind: 'alternative', group: idx });
+    });
+  });
+  (node.recommended || []).forEach(function (id) {
+    links.push({ id: id, kind: 'recommended' });
+  });
+  return links;
+}
+
+// Ids of the prerequisites that can block unlocking (required and
+// alternative), without duplicates.
+function blockingPrerequisites(node) {
+  const ids = [];
+  prerequisiteLinks(node).forEach(function (link) {
+    if (link.kind !== 'recommended' && ids.indexOf(link.id) === -1) ids.push(link.id);
+  });
+  return ids;
+}
+
+// Ids of all prerequisites of any kind, without duplicates.
+function allPrerequisites(node) {
+  const ids = [];
+  prerequisiteLinks(node).forEach(function (link) {
+    if (ids.indexOf(link.id) === -1) ids.push(link.id);
+  });
+  return ids;
+}
+
+// Work out whether a topic is unlocked and why.  `byId` maps ids to nodes
+// carrying progress.  The result lists each requirement with whether it
+// is met so the Modal can explain what is still missing:
+//   { unlocked, threshold, required: [item], groups: [{ count, met, items }],
+//     recommended: [item] }
+// where item is `{ id, title, progress, met }`.  Missing topics count as
+// unmet so a broken reference never unlocks anything.
+function evaluateUnlock(node, byId, settings) {
+  const threshold = unlockThresholdFor(node, settings);
+  function item(id) {
+    const dep = byId[id];
+    return {
+      id: id,
+      title: dep ? dep.title : id,
+      progress: dep ? dep.progress : 0,
+      met: Boolean(dep) && dep.progress >= threshold,
+    };
+  }
+  const required = (node.dependencies || []).map(item);
+  const groups = (node.alternatives || []).map(function (group) {
+    const items = (group.topics || []).map(item);
+    const metCount = items.filter(function (i) {
+      return i.met;
+    }).length;
+    return { count: group.count, metCount: metCount, met: metCount >= group.count, items: items };
+  });
+  const recommended = (node.recommended || []).map(item);
+  const unlocked =
+    required.every(function (i) {
+      return i.met;
+    }) &&
+    groups.every(function (g) {
+      return g.met;
+    });
+  return {
+    unlocked: unlocked,
+    threshold: threshold,
+    required: required,
+    groups: groups,
+    recommended: recommended,
+  };
+}
+
+// One sentence naming what a topic still needs, built from the result of
+// evaluateUnlock.  Shown in the modal and announced when a locked topic is
+// activated.
+function requirementSummary(status) {
+  const unmet = [];
+  status.required.forEach(function (item) {
+    if (!item.met) unmet.push(item.title);
+  });
+  status.groups.forEach(function (group) {
+    if (!group.met) {
+      unmet.push(
+        (group.count - group.metCount) + ' more of ' +
+          group.items
+            .filter(function (item) {
+              return !item.met;
+            })
+            .map(function (item) {
+              return item.title;
+            })
+            .join(', '),
+      );
+    }
+  });
+  return unmet.length === 0
+    ? 'All requirements met (prerequisites need ' + status.threshold + '%).'
+    : 'Still needed at ' + status.threshold + '%: ' + unmet.join('; ') + '.';
+}
+
+function lockedMessage(node, nodes, settings) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  return node.title + ' is locked. ' + requirementSummary(evaluateUnlock(node, byId, settings));
+}
+
+// What a locked topic still needs, from the result of evaluateUnlock:
+//   { items: [{ id, title, progress, needed, alternative, locked, missing }],
+//     points, ready, blocked }
+// `needed` is how many percentage points a prerequisite is short of the
+// threshold.  An unmet alternative group lists the missing topics closest
+// to the threshold, as many as it still needs.  `points` totals the
+// shortfall, `ready` is true when every listed prerequisite can be studied
+// now (it is unlocked itself) and `blocked` when the topic can never
+// unlock because a prerequisite does not exist or a group asks for more
+// topics than it has.
+function unlockShortfall(status, byId) {
+  let blocked = false;
+  function shortItem(item, alternative) {
+    const dep = byId[item.id];
+    if (!dep) blocked = true;
+    return {
+      id: item.id,
+      title: item.title,
+      progress: item.progress,
+      needed: status.threshold - item.progress,
+      alternative: alternative,
+      locked: Boolean(dep) && !dep.unlocked,
+      missing: !dep,
+    };
+  }
+  const items = [];
+  status.required.forEach(function (item) {
+    if (!item.met) items.push(shortItem(item, false));
+  });
+  status.groups.forEach(function (group) {
+    if (group.met) return;
+    const open = group.items
+      .filter(function (item) {
+        return !item.met && byId[item.id];
+      })
+      .sort(function (a, b) {
+        return b.progress - a.progress;
+      });
+    const wanted = group.count - group.metCount;
+    if (open.length < wanted) blocked = true;
+    open.slice(0, wanted).forEach(function (item) {
+      items.push(shortItem(item, true));
+    });
+  });
+  return {
+    items: items,
+    points: items.reduce(function (sum, item) {
+      return sum + item.needed;
+    }, 0),
+    ready: items.every(function (item) {
+      return !item.locked && !item.missing;
+    }),
+    blocked: blocked,
+  };
+}
+
+// Locked topics ranked by how close they are to unlocking: those whose
+// missing prerequisites can all be studied now come first, then those
+// with the fewest percentage points to go.  Returns `{ ranked, blocked }`,
+// where ranked is `[{ node, shortfall }]` and blocked lists the topics
+// that can never unlock.
+function unlockForecast(nodes, settings) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const ranked = [];
+  const blocked = [];
+  nodes.forEach(function (n) {
+    if (n.unlocked) return;
+    const shortfall = unlockShortfall(evaluateUnlock(n, byId, settings), byId);
+    if (shortfall.blocked) blocked.push(n);
+    else ranked.push({ node: n, shortfall: shortfall });
+  });
+  ranked.sort(function (a, b) {
+    if (a.shortfall.ready !== b.shortfall.ready) return a.shortfall.ready ? -1 : 1;
+    return a.shortfall.points - b.shortfall.points;
+  });
+  return { ranked: ranked, blocked: blocked };
+}
+
+// The topics whose lock state would change if topic `id` had `progress`:
+// `{ unlocked: [node], locked: [node] }`.
+function previewProgress(nodes, settings, id, progress) {
+  const after = computeUnlocks(
+    nodes.map(function (n) {
+      return n.id === id ? Object.assign({}, n, { progress: progress }) : n;
+    }),
+    settings,
+  );
+  const result = { unlocked: [], locked: [] };
+  after.forEach(function (n, idx) {
+    if (n.unlocked && !nodes[idx].unlocked) result.unlocked.push(n);
+    if (!n.unlocked && nodes[idx].unlocked) result.locked.push(n);
+  });
+  return result;
+}
+
+// Given a list of nodes, compute a new list with `unlocked` flags using
+// the unlock rules above.  Nodes with no blocking prerequisites are
+// unlocked by default.
+function computeUnlocks(nodes, settings) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  return nodes.map((node) => {
+    return Object.assign({}, node, { unlocked: evaluateUnlock(node, byId, settings).unlocked });
+  });
+}
+
+// Plan the shortest route to a goal topic.  Starting from the goal, each
+// topic that has not yet reached the level it is needed at pulls in its
+// required prerequisites and, for every alternative group that is not yet
+// satisfied, the cheapest of the missing alternatives.  "Cheapest" uses
+// the optional per-topic `effort` estimate (in hours), including the
+// effort of whatever that alternative would itself pull in, and falls back
+// to counting topics when no estimates exist.  The result lists the steps
+// in study order (prerequisites first):
+//   { goal, steps: [{ id, title, progress, target, remaining, unlocked }],
+//     totalEffort, hasEffort, blocked }
+// where `target` is the progress the step needs, `remaining` the effort
+// still required to get there, and `blocked` is true when part of the
+// route is missing or circular.
+function planLearningPath(nodes, goalId, settings) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const goal = byId[goalId];
+  if (!goal) return null;
+  const hasEffort = nodes.some(function (n) {
+    return typeof n.effort === 'number';
+  });
+  let blocked = false;
+
+  function remainingEffort(node, target) {
+    const fraction = Math.max(0, target - node.progress) / 100;
+    return hasEffort ? (typeof node.effort === 'number' ? node.effort : 0) * fraction : fraction > 0 ? 1 : 0;
+  }
+
+  // Topics (with the level they are needed at) required to bring `id` up
+  // to `target`, memoised per id/target.  Returns a map id -> target.
+  const memo = Object.create(null);
+  const active = Object.create(null);
+  function requirements(id, target) {
+    const key = id + '@' + target;
+    if (memo[key]) return memo[key];
+    const node = byId[id];
+    const result = Object.create(null);
+    if (!node) {
+      blocked = true;
+      return result;
+    }
+    if (node.progress >= target) return result;
+    if (active[id]) {
+      blocked = true;
+      return result;
+    }
+    active[id] = true;
+    result[id] = target;
+    const threshold = unlockThresholdFor(node, settings);
+    function include(depId) {
+      const sub = requirements(depId, threshold);
+      Object.keys(sub).forEach(function (subId) {
+        result[subId] = Math.max(result[subId] || 0, sub[subId]);
+      });
+    }
+    (node.dependencies || []).forEach(include);
+    (node.alternatives || []).forEach(function (group) {
+      const met = group.topics.filter(function (depId) {
+        return byId[depId] && byId[depId].progress >= threshold;
+      });
+      const missing = group.count - met.length;
+      if (missing <= 0) return;
+      const options = group.topics
+        .filter(function (depId) {
+          return met.indexOf(depId) === -1 && byId[depId] && !active[depId];
+        })
+        .map(function (depId) {
+          return { id: depId, cost: costOf(requirements(depId, threshold)) };
+        })
+        .sort(function (a, b) {
+          return a.cost - b.cost;
+        });
+      if (options.length < missing) blocked = true;
+      options.slice(0, missing).forEach(function (option) {
+        include(option.id);
+      });
+    });
+    active[id] = false;
+    memo[key] = result;
+    return result;
+  }
+  function costOf(reqs) {
+    return Object.keys(reqs).reduce(function (sum, id) {
+      return sum + remainingEffort(byId[id], reqs[id]);
+    }, 0);
+  }
+
+  const needed = requirements(goalId, 100);
+  // Study order: a depth-first post-order walk over the needed topics so
+  // every prerequisite comes before the topics that require it.
+  const order = [];
+  const visited = Object.create(null);
+  function visit(id) {
+    if (visited[id] || needed[id] === undefined) return;
+    visited[id] = true;
+    allPrerequisites(byId[id]).forEach(visit);
+    order.push(id);
+  }
+  visit(goalId);
+  Object.keys(needed).forEach(visit);
+
+  const steps = order.map(function (id) {
+    const node = byId[id];
+    return {
+      id: id,
+      title: node.title,
+      progress: node.progress,
+      target: needed[id],
+      remaining: remainingEffort(node, needed[id]),
+      unlocked: node.unlocked,
+    };
+  });
+  return {
+    goal: goalId,
+    steps: steps,
+    totalEffort: hasEffort ? costOf(needed) : null,
+    hasEffort: hasEffort,
+    blocked: blocked,
+  };
+}
+
+// Inspect the dependency graph for problems that computeUnlocks cannot
+// cope with.  The returned report contains:
+//   cycles      – arrays of topic ids that depend on each other in a loop
+//                 (a self-dependency is a cycle of length one)
+//   dangling    – `{ node, dep, kind }` where `dep` is not a known topic id
+//   unreachable – topics that can never unlock because their requirements
+//                 depend on a cycle or a dangling reference
+//   redundant   – `{ source, target, via }` required edges already implied
+//                 by a longer chain of required prerequisites through `via`
+// Cycles are found with Tarjan's strongly connected components algorithm
+// over the blocking (required and alternative) prerequisites.
+function diagnoseGraph(nodes) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  function known(dep) {
+    return Object.prototype.hasOwnProperty.call(byId, dep);
+  }
+  function depsOf(id) {
+    return blockingPrerequisites(byId[id]).filter(known);
+  }
+  function requiredOf(id) {
+    return (byId[id].dependencies || []).filter(known);
+  }
+
+  const dangling = [];
+  nodes.forEach(function (n) {
+    prerequisiteLinks(n).forEach(function (link) {
+      if (!known(link.id)) {
+        dangling.push({ node: n.id, dep: link.id, kind: link.kind });
+      }
+    });
+  });
+
+  // Tarjan's SCC.  Any component with more than one member, or a single
+  // member that lists itself, is a cycle.
+  const index = Object.create(null);
+  const low = Object.create(null);
+  const onStack = Object.create(null);
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+  function strongConnect(id) {
+    index[id] = low[id] = counter++;
+    stack.push(id);
+    onStack[id] = true;
+    depsOf(id).forEach(function (dep) {
+      if (index[dep] === undefined) {
+        strongConnect(dep);
+        low[id] = Math.min(low[id], low[dep]);
+      } else if (onStack[dep]) {
+        low[id] = Math.min(low[id], index[dep]);
+      }
+    });
+    if (low[id] === index[id]) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack[member] = false;
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1 || depsOf(id).indexOf(id) !== -1) {
+        cycles.push(component.reverse());
+      }
+    }
+  }
+  nodes.forEach(function (n) {
+    if (index[n.id] === undefined) strongConnect(n.id);
+  });
+
+  // Find every topic that could ever unlock: start with none and keep
+  // adding topics whose required prerequisites, and enough members of each
+  // alternative group, are already reachable.  Whatever is left over is
+  // stuck behind a cycle or a missing topic.
+  const reachable = Object.create(null);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    nodes.forEach(function (n) {
+      if (reachable[n.id]) return;
+      const requiredOk = (n.dependencies || []).every(function (dep) {
+        return reachable[dep];
+      });
+      const groupsOk = (n.alternatives || []).every(function (group) {
+        return (
+          group.topics.filter(function (dep) {
+            return reachable[dep];
+          }).length >= group.count
+        );
+      });
+      if (requiredOk && groupsOk) {
+        reachable[n.id] = true;
+        changed = true;
+      }
+    });
+  }
+  const unreachable = nodes
+    .filter(function (n) {
+      return !reachable[n.id];
+    })
+    .map(function (n) {
+      return n.id;
+    });
+
+  // An edge dep -> node is redundant when another prerequisite of node
+  // already (transitively) requires dep.
+  const ancestorCache = Object.create(null);
+  function ancestors(id) {
+    if (ancestorCache[id]) return ancestorCache[id];
+    const seen = Object.create(null);
+    const pending = requiredOf(id).slice();
+    while (pending.length > 0) {
+      const next = pending.pop();
+      if (seen[next]) continue;
+      seen[next] = true;
+      Array.prototype.push.apply(pending, requiredOf(next));
+    }
+    ancestorCache[id] = seen;
+    return seen;
+  }
+  const inCycle = Object.create(null);
+  cycles.forEach(function (cycle) {
+    cycle.forEach(function (id) {
+      inCycle[id] = true;
+    });
+  });
+  const redundant = [];
+  nodes.forEach(function (n) {
+    if (inCycle[n.id]) return;
+    const deps = requiredOf(n.id);
+    deps.forEach(function (dep) {
+      if (dep === n.id) return;
+      const via = deps.find(function (other) {
+        return other !== dep && other !== n.id && ancestors(other)[dep];
+      });
+      if (via) {
+        redundant.push({ source: dep, target: n.id, via: via });
+      }
+    });
+  });
+
+  return { cycles: cycles, dangling: dangling, unreachable: unreachable, redundant: redundant };
+}
+
+// Count the problems in a diagnoseGraph report.  Redundant edges are
+// warnings rather than errors, so they are counted separately.
+function diagnosticCounts(report) {
+  return {
+    errors: report.cycles.length + report.dangling.length,
+    warnings: report.redundant.length + (report.unreachable.length > 0 ? 1 : 0),
+  };
+}
+
+// Curriculum-wide completion: the average progress of all topics, plus how
+// many of them are finished.
+function progressSummary(nodes) {
+  const total = nodes.reduce(function (sum, n) {
+    return sum + n.progress;
+  }, 0);
+  return {
+    percent: nodes.length > 0 ? Math.round(total / nodes.length) : 0,
+    completed: nodes.filter(function (n) {
+      return n.progress >= 100;
+    }).length,
+    count: nodes.length,
+  };
+}
+
+// Completion of each topic's subtree, i.e. the topic and everything that
+// builds on it, as an id -> { percent, count } map.  The rings around the
+// nodes show these values.
+function subtreeProgress(nodes) {
+  const dependents = Object.create(null);
+  nodes.forEach(function (n) {
+    dependents[n.id] = [];
+  });
+  nodes.forEach(function (n) {
+    allPrerequisites(n).forEach(function (dep) {
+      if (dependents[dep]) dependents[dep].push(n);
+    });
+  });
+  const result = Object.create(null);
+  nodes.forEach(function (root) {
+    const seen = Object.create(null);
+    seen[root.id] = true;
+    const stack = [root];
+    let total = 0;
+    let count = 0;
+    while (stack.length > 0) {
+      const node = stack.pop();
+      total += node.progress;
+      count += 1;
+      dependents[node.id].forEach(function (child) {
+        if (!seen[child.id]) {
+          seen[child.id] = true;
+          stack.push(child);
+        }
+      });
+    }
+    result[root.id] = { percent: Math.round(total / count), count: count };
+  });
+  return result;
+}
+
+// Progress history.  Every change is recorded as an event
+// `{ topic, from, to, at, source }` where `at` is an ISO timestamp and
+// `source` says what caused it ('modal', 'import' or 'undo').  History is
+// stored per profile and curriculum, oldest first, and capped so
+// localStorage does not fill up.
+const HISTORY_LIMIT = 5000;
+const EXPORT_HISTORY_KEY = 'kpv-react-export-history';
+
+function historyStorageKey(curriculumId, profileId) {
+  return profileScopedKey(profileId, 'kpv-react-history-' + curriculumId);
+}
+
+function loadHistory(curriculumId, profileId) {
+  try {
+    const stored = JSON.parse(activeStorage.getItem(historyStorageKey(curriculumId, profileId)));
+    return Array.isArray(stored) ? stored.filter(isHistoryEvent) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveHistory(curriculumId, profileId, history) {
+  activeStorage.setItem(historyStorageKey(curriculumId, profileId), JSON.stringify(history));
+}
+
+function isHistoryEvent(event) {
+  return (
+    event !== null &&
+    typeof event === 'object' &&
+    typeof event.topic === 'string' &&
+    typeof event.from === 'number' &&
+    typeof event.to === 'number' &&
+    typeof event.at === 'string' &&
+    !isNaN(Date.parse(event.at))
+  );
+}
+
+// Append events (already in time order) and merge with imported ones,
+// keeping the result sorted, free of exact duplicates and within the cap.
+function mergeHistory(history, events) {
+  const seen = Object.create(null);
+  const merged = [];
+  history.concat(events).forEach(function (event) {
+    const key = event.at + '|' + event.topic + '|' + event.from + '|' + event.to;
+    if (seen[key]) return;
+    seen[key] = true;
+    merged.push(event);
+  });
+  merged.sort(function (a, b) {
+    return Date.parse(a.at) - Date.parse(b.at);
+  });
+  return merged.slice(-HISTORY_LIMIT);
+}
+
+// Reconstruct every topic's progress as it was at `time` (a millisecond
+// timestamp).  A topic takes the `to` of its last event at or before that
+// time; a topic whose first event is later takes that event's `from`;
+// topics with no events keep their current progress.
+function progressAt(nodes, history, time) {
+  const before = Object.create(null);
+  const after = Object.create(null);
+  history.forEach(function (event) {
+    if (Date.parse(event.at) <= time) {
+      before[event.topic] = event.to;
+    } else if (after[event.topic] === undefined) {
+      after[event.topic] = event.from;
+    }
+  });
+  return nodes.map(function (n) {
+    let progress = n.progress;
+    if (before[n.id] !== undefined) progress = before[n.id];
+    else if (after[n.id] !== undefined) progress = after[n.id];
+    return Object.assign({}, n, { progress: progress });
+  });
+}
+
+// Spaced repetition.  A topic that reaches 100% gets a review schedule
+// `{ repetitions, interval, ease, due, log }` following SM-2: after each
+// review the learner rates their recall from 0 to 5, and the interval in
+// days grows by the ease factor while recall is good (3 or better) and
+// starts over when it is not.  Schedules are kept per profile and
+// curriculum as a map of topic id -> schedule.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MINIMUM_EASE = 1.3;
+const REVIEW_LOG_LIMIT = 50;
+const RECALL_SCORES = [
+  { score: 0, label: 'Forgot', hint: 'No recall at all' },
+  { score: 1, label: 'Barely', hint: 'Wrong, but it rang a bell once seen' },
+  { score: 2, label: 'Vague', hint: 'Wrong, but it felt easy once seen' },
+  { score: 3, label: 'Hard', hint: 'Right, with serious effort' },
+  { score: 4, label: 'Good', hint: 'Right, after some hesitation' },
+  { score: 5, label: 'Easy', hint: 'Right, straight away' },
+];
+
+function reviewsStorageKey(curriculumId, profileId) {
+  return profileScopedKey(profileId, 'kpv-react-reviews-' + curriculumId);
+}
+
+function loadReviews(curriculumId, profileId) {
+  try {
+    const stored = JSON.parse(activeStorage.getItem(reviewsStorageKey(curriculumId, profileId)));
+    const valid = stored && typeof stored === 'object' && !Array.isArray(stored);
+    return Object.assign(Object.create(null), valid ? stored : {});
+  } catch (err) {
+    return Object.create(null);
+  }
+}
+
+function saveReviews(curriculumId, profileId, reviews) {
+  if (Object.keys(reviews).length === 0) {
+    activeStorage.removeItem(reviewsStorageKey(curriculumId, profileId));
+  } else {
+    activeStorage.setItem(reviewsStorageKey(curriculumId, profileId), JSON.stringify(reviews));
+  }
+}
+
+// The first review is due a day after a topic is completed.
+function newReviewSchedule(now) {
+  return { repetitions: 0, interval: 1, ease: INITIAL_EASE, due: new Date(now + DAY_MS).toISOString(), log: [] };
+}
+
+// Schedule after a review rated `score` (0-5) at `now`.
+function applyRecall(schedule, score, now) {
+  let repetitions = schedule.repetitions;
+  let interval;
+  if (score < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(schedule.interval * schedule.ease);
+    repetitions += 1;
+  }
+  const ease = Math.max(MINIMUM_EASE, schedule.ease + 0.1 - (5 - score) * (0.08 + (5 - score) * 0.02));
+  return {
+    repetitions: repetitions,
+    interval: interval,
+    ease: Math.round(ease * 100) / 100,
+    due: new Date(now + interval * DAY_MS).toISOString(),
+    log: (schedule.log || [])
+      .concat([{ at: new Date(now).toISOString(), score: score, interval: interval }])
+      .slice(-REVIEW_LOG_LIMIT),
+  };
+}
+
+// Bring the schedules in line with progress: newly completed topics get a
+// schedule and topics that are no longer complete lose theirs.  Returns
+// the same object when nothing changed.
+function syncReviews(reviews, nodes, now) {
+  let next = reviews;
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+    if (n.progress >= 100 && !Object.prototype.hasOwnProperty.call(reviews, n.id)) {
+      if (next === reviews) next = Object.assign(Object.create(null), reviews);
+      next[n.id] = newReviewSchedule(now);
+    }
+  });
+  Object.keys(reviews).forEach(function (id) {
+    if (!byId[id] || byId[id].progress < 100) {
+      if (next === reviews) next = Object.assign(Object.create(null), reviews);
+      delete next[id];
+    }
+  });
+  return next;
+}
+
+// How far an overdue review has faded, from 0 (not yet due) to 1 (overdue
+// by a whole interval or more).
+function reviewDecay(schedule, now) {
+  const overdue = now - Date.parse(schedule.due);
+  if (!(overdue > 0)) return 0;
+  return Math.min(1, overdue / (schedule.interval * DAY_MS));
+}
+
+// Completed topics split into those due for review (most overdue first)
+// and those scheduled later (soonest first).
+function reviewQueue(reviews, nodes, now) {
+  const due = [];
+  const upcoming = [];
+  nodes.forEach(function (n) {
+    if (!Object.prototype.hasOwnProperty.call(reviews, n.id)) return;
+    const schedule = reviews[n.id];
+    const entry = { node: n, schedule: schedule, dueAt: Date.parse(schedule.due) };
+    (entry.dueAt <= now ? due : upcoming).push(entry);
+  });
+  function byDue(a, b) {
+    return a.dueAt - b.dueAt;
+  }
+  return { due: due.sort(byDue), upcoming: upcoming.sort(byDue) };
+}
+
+// Goals and deadlines.  A goal is a topic with a target date, kept per
+// profile and curriculum as a map of topic id -> 'YYYY-MM-DD'.  The route
+// to a goal comes from planLearningPath; spreading its remaining effort
+// evenly over the days left gives a study schedule, and the learner's
+// actual pace, read from the progress history, projects when the route
+// will really be finished.  Dates are local calendar days.
+const PACE_WINDOW_DAYS = 28;
+
+// Goal statuses from best to worst; a topic on the route to several goals
+// shows the worst of them.
+const GOAL_STATUSES = [
+  { id: 'done', label: 'Complete' },
+  { id: 'on-track', label: 'On track' },
+  { id: 'at-risk', label: 'At risk' },
+  { id: 'overdue', label: 'Overdue' },
+];
+
+function goalsStorageKey(curriculumId, profileId) {
+  return profileScopedKey(profileId, 'kpv-react-goals-' + curriculumId);
+}
+
+// The local midnight of a 'YYYY-MM-DD' day, or NaN for anything else
+// (including days that do not exist, such as February 30th).
+function parseDay(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text));
+  if (!match) return NaN;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getDate() === Number(match[3]) ? date.getTime() : NaN;
+}
+
+// The 'YYYY-MM-DD' of the local day a timestamp falls on.
+function dayString(time) {
+  const date = new Date(time);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(function (part, idx) {
+      return String(part).padStart(idx === 0 ? 4 : 2, '0');
+    })
+    .join('-');
+}
+
+function addDays(day, count) {
+  const date = new Date(parseDay(day));
+  date.setDate(date.getDate() + count);
+  return dayString(date.getTime());
+}
+
+// Whole days from one day to another; rounding absorbs daylight saving.
+function daysBetween(from, to) {
+  return Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+}
+
+function loadGoals(curriculumId, profileId) {
+  const goals = {};
+  try {
+    const stored = JSON.parse(activeStorage.getItem(goalsStorageKey(curriculumId, profileId)));
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+      Object.keys(stored).forEach(function (id) {
+        if (!isNaN(parseDay(stored[id]))) goals[id] = stored[id];
+      });
+    }
+  } catch (err) {
+    // fall through to no goals
+  }
+  return goals;
+}
+
+function saveGoals(curriculumId, profileId, goals) {
+  if (Object.keys(goals).length === 0) {
+    activeStorage.removeItem(goalsStorageKey(curriculumId, profileId));
+  } else {
+    activeStorage.setItem(goalsStorageKey(curriculumId, profileId), JSON.stringify(goals));
+  }
+}
+
+// Set (or, with a null date, clear) the target date of a goal.  Returns
+// `{ goals, error }` and leaves the input alone.
+function setGoal(goals, topicId, due) {
+  const next = Object.assign({}, goals);
+  if (due === null || due === '') {
+    delete next[topicId];
+    return { goals: next, error: null };
+  }
+  if (isNaN(parseDay(due))) return { goals: goals, error: 'A goal needs a date in the form YYYY-MM-DD.' };
+  next[topicId] = due;
+  return { goals: next, error: null };
+}
+
+// The learner's pace over the last PACE_WINDOW_DAYS days, in the units
+// planLearningPath measures effort in: hours a day when topics have
+// effort estimates, topics a day otherwise.  Each recorded change counts
+// its share of the topic's effort and setbacks count against it.  The
+// window starts at the first change inside it, so a learner who began
+// last week is not measured over a month.  Returns
+// `{ perDay, hasEffort, days }`, with perDay null when nothing changed.
+function studyPace(nodes, history, now) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const hasEffort = nodes.some(function (n) {
+    return typeof n.effort === 'number';
+  });
+  const windowStart = now - PACE_WINDOW_DAYS * DAY_MS;
+  let first = null;
+  let gained = 0;
+  history.forEach(function (event) {
+    const time = Date.parse(event.at);
+    const node = byId[event.topic];
+    if (!node || time < windowStart || time > now) return;
+    const size = hasEffort ? (typeof node.effort === 'number' ? node.effort : 0) : 1;
+    gained += (size * (event.to - event.from)) / 100;
+    first = first === null ? time : Math.min(first, time);
+  });
+  if (first === null) return { perDay: null, hasEffort: hasEffort, days: 0 };
+  const days = Math.max(1, (now - first) / DAY_MS);
+  return { perDay: Math.max(0, gained) / days, hasEffort: hasEffort, days: days };
+}
+
+// Schedule and projection for the goal `topicId`, due on `due`:
+//   { goal, title, due, status, steps, remaining, hasEffort, daysLeft,
+//     neededPerDay, projected, blocked }
+// `steps` follow the route in study order as `{ id, title, progress,
+// target, remaining, start, end }`, scheduled back to back over the days
+// from today to the due date (both included) at `neededPerDay`.
+// `projected` is the day the route would be finished at the actual pace
+// (see studyPace), or null without one.  A goal is on track when that day
+// is no later than the due date; a route that is blocked or has no pace
+// is at risk.  Returns null when the topic does not exist.
+function goalProjection(nodes, topicId, due, settings, pace, now) {
+  const plan = planLearningPath(nodes, topicId, settings);
+  if (!plan) return null;
+  const today = dayString(now);
+  const daysLeft = daysBetween(today, due) + 1;
+  const remaining = plan.steps.reduce(function (sum, step) {
+    return sum + step.remaining;
+  }, 0);
+  const neededPerDay = remaining / Math.max(1, daysLeft);
+  let scheduled = 0;
+  const steps = plan.steps.map(function (step) {
+    // Day offsets from today; the small allowance keeps rounding errors
+    // from pushing a step that ends exactly on a day boundary over it.
+    const first = neededPerDay > 0 ? Math.floor(scheduled / neededPerDay + 1e-9) : 0;
+    scheduled += step.remaining;
+    const last = neededPerDay > 0 ? Math.max(first, Math.ceil(scheduled / neededPerDay - 1e-9) - 1) : first;
+    return {
+      id: step.id,
+      title: step.title,
+      progress: step.progress,
+      target: step.target,
+      remaining: step.remaining,
+      start: addDays(today, first),
+      end: addDays(today, last),
+    };
+  });
+  let projected = null;
+  if (remaining === 0) {
+    projected = today;
+  } else if (pace.perDay > 0) {
+    projected = addDays(today, Math.max(0, Math.ceil(remaining / pace.perDay) - 1));
+  }
+  let status = 'at-risk';
+  if (plan.steps.length === 0) status = 'done';
+  else if (daysLeft <= 0) status = 'overdue';
+  else if (!plan.blocked && projected !== null && projected <= due) status = 'on-track';
+  const goal = nodes.find(function (n) {
+    return n.id === topicId;
+  });
+  return {
+    goal: topicId,
+    title: goal.title,
+    due: due,
+    status: status,
+    steps: steps,
+    remaining: remaining,
+    hasEffort: plan.hasEffort,
+    daysLeft: daysLeft,
+    neededPerDay: neededPerDay,
+    projected: projected,
+    blocked: plan.blocked,
+  };
+}
+
+function goalStatusRank(status) {
+  return GOAL_STATUSES.findIndex(function (s) {
+    return s.id === status;
+  });
+}
+
+// Every goal projected at the learner's pace, soonest deadline first:
+//   { pace, goals: [projection], byTopic }
+// where `byTopic` maps each topic on a route (and each goal) to the worst
+// status among the goals it serves.  Goals whose topic no longer exists
+// are left out.
+function goalOverview(nodes, goals, history, settings, now) {
+  const pace = studyPace(nodes, history, now);
+  const projections = Object.keys(goals)
+    .map(function (id) {
+      return goalProjection(nodes, id, goals[id], settings, pace, now);
+    })
+    .filter(Boolean)
+    .sort(function (a, b) {
+      return a.due < b.due ? -1 : a.due > b.due ? 1 : a.title.localeCompare(b.title);
+    });
+  const byTopic = Object.create(null);
+  function mark(id, status) {
+    if (byTopic[id] === undefined || goalStatusRank(status) > goalStatusRank(byTopic[id])) byTopic[id] = status;
+  }
+  projections.forEach(function (projection) {
+    mark(projection.goal, projection.status);
+    projection.steps.forEach(function (step) {
+      mark(step.id, projection.status);
+    });
+  });
+  return { pace: pace, goals: projections, byTopic: byTopic };
+}
+
+// iCalendar text values escape backslashes, semicolons, commas and line
+// breaks.
+function icsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line into pieces of at most 75 octets (of UTF-8), each
+// continuation starting with a space, as RFC 5545 requires.
+function foldIcsLine(line) {
+  const pieces = [];
+  let piece = '';
+  let size = 0;
+  Array.from(line).forEach(function (char) {
+    const code = char.codePointAt(0);
+    const octets = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    if (size + octets > (pieces.length === 0 ? 75 : 74)) {
+      pieces.push(piece);
+      piece = '';
+      size = 0;
+    }
+    piece += char;
+    size += octets;
+  });
+  pieces.push(piece);
+  return pieces.join('\r\n ');
+}
+
+// The study plan as an iCalendar file: an all-day event for each step of
+// every goal's schedule and one for each deadline.  UIDs are derived from
+// the curriculum, goal and topic ids so importing a newer export updates
+// the events instead of adding copies.
+function goalsToIcs(curriculum, overview, now) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Knowledge Path Visualizer//Study plan//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:' + icsText(curriculum.title + ' study plan'),
+  ];
+  function addEvent(uid, start, end, summary, description) {
+    lines.push(
+      'BEGIN:VEVENT',
+      'UID:' + icsText(curriculum.id + '/' + uid + '@knowledge-path-visualizer'),
+      'DTSTAMP:' + stamp,
+      'DTSTART;VALUE=DATE:' + start.replace(/-/g, ''),
+      'DTEND;VALUE=DATE:' + addDays(end, 1).replace(/-/g, ''),
+      'SUMMARY:' + icsText(summary),
+      'DESCRIPTION:' + icsText(description),
+      'END:VEVENT',
+    );
+  }
+  overview.goals.forEach(function (goal) {
+    goal.steps.forEach(function (step) {
+      addEvent(
+        goal.goal + '/' + step.id,
+        step.start,
+        step.end,
+        'Study: ' + step.title,
+        'Bring ' + step.title + ' from ' + step.progress + '% to ' + step.target + '%' +
+          (step.id === goal.goal ? ', the goal due ' : ' for ' + goal.title + ', due ') + goal.due + '.',
+      );
+    });
+    const status = GOAL_STATUSES[goalStatusRank(goal.status)].label;
+    addEvent(
+      goal.goal + '/deadline',
+      goal.due,
+      goal.due,
+      'Deadline: ' + goal.title,
+      status + (goal.projected && goal.status !== 'done' ? '; projected to finish on ' + goal.projected : '') + '.',
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Checklist ticks and notes are personal, so like progress they are kept
+// per profile and curriculum: `kpv-react-checklist-<curriculum>/<topic>`
+// holds the ids of the ticked items and `kpv-react-notes-<curriculum>/<topic>`
+// the learner's notes as plain text.
+function topicStorageKey(kind, curriculumId, topicId, profileId) {
+  return profileScopedKey(profileId, 'kpv-react-' + kind + '-' + curriculumId + '/' + topicId);
+}
+
+function loadChecklist(curriculumId, topicId, profileId) {
+  try {
+    const stored = JSON.parse(activeStorage.getItem(topicStorageKey('checklist', curriculumId, topicId, profileId)));
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveChecklist(curriculumId, topicId, profileId, done) {
+  const key = topicStorageKey('checklist', curriculumId, topicId, profileId);
+  if (done.length === 0) activeStorage.removeItem(key);
+  else activeStorage.setItem(key, JSON.stringify(done));
+}
+
+function loadNotes(curriculumId, topicId, profileId) {
+  return activeStorage.getItem(topicStorageKey('notes', curriculumId, topicId, profileId)) || '';
+}
+
+function saveNotes(curriculumId, topicId, profileId, text) {
+  const key = topicStorageKey('notes', curriculumId, topicId, profileId);
+  if (text.trim() === '') activeStorage.removeItem(key);
+  else activeStorage.setItem(key, text);
+}
+
+// Progress implied by a checklist: the share of ticked items in whole
+// percent, rounded down so a topic only reaches 100% once every item is
+// done.
+function checklistProgress(checklist, done) {
+  const ticked = checklist.filter(function (item) {
+    return done.indexOf(item.id) !== -1;
+  }).length;
+  return Math.floor((ticked / checklist.length) * 100);
+}
+
+// A learner can switch a topic's checklist off as the source of its
+// progress and set the value by hand instead.  The choice is stored per
+// profile like the ticks themselves.
+function loadManualProgress(curriculumId, topicId, profileId) {
+  return activeStorage.getItem(topicStorageKey('manual', curriculumId, topicId, profileId)) === 'true';
+}
+
+function saveManualProgress(curriculumId, topicId, profileId, manual) {
+  const key = topicStorageKey('manual', curriculumId, topicId, profileId);
+  if (manual) activeStorage.setItem(key, 'true');
+  else activeStorage.removeItem(key);
+}
+
+// Progress files.  Exports are wrapped in a versioned envelope that names
+// the curriculum and profile they came from:
+//
+//   { format: 'kpv-progress', version: 1, curriculum, profile: { id, name },
+//     exportedAt, progress: [{ id, progress }], history? }
+//
+// Imports also accept the older bare `[{ id, progress }]` array, the
+// `{ progress, history }` object and CSV files with `id` and `progress`
+// columns (a `title` column is written on export for readability and
+// ignored on import).  Progress is clamped to 0–100 and rounded to whole
+// percent like the modal's slider.
+const PROGRESS_FORMAT = 'kpv-progress';
+const PROGRESS_FORMAT_VERSION = 1;
+
+const MERGE_STRATEGIES = [
+  { id: 'replace', label: 'Replace', hint: 'Use the imported value for every listed topic.' },
+  { id: 'max', label: 'Keep highest', hint: 'Only raise progress; never lower it.' },
+  { id: 'fill-empty', label: 'Fill empty only', hint: 'Only set topics that have no progress yet.' },
+];
+
+function normaliseProgress(value) {
+  return Math.round(Math.max(0, Math.min(100, value)));
+}
+
+function progressEnvelope(curriculum, profile, nodes, history) {
+  const envelope = {
+    format: PROGRESS_FORMAT,
+    version: PROGRESS_FORMAT_VERSION,
+    curriculum: curriculum.id,
+    profile: { id: profile.id, name: profile.name },
+    exportedAt: new Date().toISOString(),
+    progress: nodes.map(function (n) {
+      return { id: n.id, progress: n.progress };
+    }),
+  };
+  if (history) envelope.history = history;
+  return envelope;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",;\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function progressToCsv(nodes) {
+  const lines = [['id', 'title', 'progress'].join(',')];
+  nodes.forEach(function (n) {
+    lines.push([csvField(n.id), csvField(n.title), n.progress].join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Split CSV text into rows of fields.  Handles quoted fields with embedded
+// commas, quotes and line breaks as spreadsheets write them.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',' || ch === ';') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(function (r) {
+    return r.some(function (f) {
+      return f.trim() !== '';
+    });
+  });
+}
+
+// Read the raw `{ id, progress }` entries out of a progress file.  Returns
+// `{ entries, history, meta, errors }`; `errors` is non-empty when the file
+// cannot be used at all.
+function readProgressFile(text, fileName) {
+  const result = { entries: [], history: [], meta: {}, errors: [] };
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (/\.csv$/i.test(fileName || '') || (trimmed[0] !== '[' && trimmed[0] !== '{')) {
+    const rows = parseCsv(trimmed);
+    const header = (rows[0] || []).map(function (h) {
+      return h.trim().toLowerCase();
+    });
+    const idCol = header.indexOf('id');
+    const progressCol = header.indexOf('progress');
+    if (idCol === -1 || progressCol === -1) {
+      result.errors.push('The CSV file needs a header row with "id" and "progress" columns.');
+      return result;
+    }
+    rows.slice(1).forEach(function (row, idx) {
+      const raw = (row[progressCol] || '').trim().replace(/%$/, '');
+      result.entries.push({
+        id: (row[idCol] || '').trim(),
+        progress: raw === '' ? NaN : Number(raw),
+        line: idx + 2,
+      });
+    });
+    result.meta.format = 'CSV';
+    return result;
+  }
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    result.errors.push('The file is not valid JSON: ' + err.message);
+    return result;
+  }
+  let list = null;
+  if (Array.isArray(data)) {
+    list = data;
+    result.meta.format = 'JSON (legacy)';
+  } else if (data && Array.isArray(data.progress)) {
+    list = data.progress;
+    if (data.format === PROGRESS_FORMAT) {
+      if (data.version > PROGRESS_FORMAT_VERSION) {
+        result.errors.push(
+          'The file uses format version ' + data.version + '; this version of the app reads up to ' +
+            PROGRESS_FORMAT_VERSION + '.',
+        );
+        return result;
+      }
+      result.meta = {
+        format: 'JSON v' + data.version,
+        curriculum: data.curriculum,
+        profile: data.profile && data.profile.name,
+        exportedAt: data.exportedAt,
+      };
+    } else {
+      result.meta.format = 'JSON (legacy)';
+    }
+    if (Array.isArray(data.history)) result.history = data.history.filter(isHistoryEvent);
+  }
+  if (!list) {
+    result.errors.push('The file does not contain a progress list.');
+    return result;
+  }
+  list.forEach(function (entry, idx) {
+    result.entries.push({
+      id: entry && typeof entry.id === 'string' ? entry.id : '',
+      progress: entry && typeof entry.progress === 'number' ? entry.progress : NaN,
+      line: idx + 1,
+    });
+  });
+  return result;
+}
+
+// Compare a parsed progress file against the current topics.  Returns the
+// entries that can be applied and human-readable warnings for everything
+// that was skipped or adjusted.
+function checkProgressEntries(nodes, file) {
+  const known = Object.create(null);
+  nodes.forEach(function (n) {
+    known[n.id] = n;
+  });
+  const values = Object.create(null);
+  const warnings = [];
+  file.entries.forEach(function (entry) {
+    const where = (file.meta.format === 'CSV' ? 'Row ' : 'Entry ') + entry.line;
+    if (entry.id === '') {
+      warnings.push(where + ' has no topic id and was skipped.');
+    } else if (!known[entry.id]) {
+      warnings.push(where + ': unknown topic "' + entry.id + '" was skipped.');
+    } else if (!isFinite(entry.progress)) {
+      warnings.push(where + ': progress for "' + entry.id + '" is not a number and was skipped.');
+    } else {
+      const value = normaliseProgress(entry.progress);
+      if (value !== entry.progress) {
+        warnings.push(where + ': ' + entry.progress + '% for "' + entry.id + '" was adjusted to ' + value + '%.');
+      }
+      values[entry.id] = value;
+    }
+  });
+  const history = file.history.filter(function (event) {
+    return known[event.topic];
+  });
+  return { values: values, history: history, warnings: warnings };
+}
+
+// Work out the progress changes an import would make under a merge
+// strategy.  Returns one `{ topic, from, to }` per topic that changes.
+function planProgressImport(nodes, values, strategy) {
+  const changes = [];
+  nodes.forEach(function (n) {
+    if (!Object.prototype.hasOwnProperty.call(values, n.id)) return;
+    let to = values[n.id];
+    if (strategy === 'max') to = Math.max(n.progress, to);
+    if (strategy === 'fill-empty') to = n.progress === 0 ? to : n.progress;
+    if (to !== n.progress) changes.push({ topic: n.id, from: n.progress, to: to });
+  });
+  return changes;
+}
+
+// Cohort dashboard.  A cohort is a list of learners
+// `{ id, name, source, progress }` where `progress` maps topic ids to
+// percentages; topics a learner's file leaves out count as 0 %.  Learners
+// come from progress exports (cohortLearnerFromFile) or from the profiles
+// in this browser (cohortLearnersFromProfiles).
+const COHORT_MEASURES = [
+  { id: 'mean', label: 'Average' },
+  { id: 'median', label: 'Median' },
+];
+
+// Histogram bins of the per-topic distribution, by lowest percentage.
+const COHORT_BINS = [
+  { from: 0, label: '0\u201324%' },
+  { from: 25, label: '25\u201349%' },
+  { from: 50, label: '50\u201374%' },
+  { from: 75, label: '75\u201399%' },
+  { from: 100, label: '100%' },
+];
+
+// A topic is a bottleneck when at least this share of the cohort has
+// started it but is stuck below the threshold the topics after it need.
+const BOTTLENECK_SHARE = 1 / 3;
+
+// Read one learner out of a progress export.  Returns
+// `{ learner, errors, warnings }`; `learner` is null when the file cannot
+// be used.  A file exported from another curriculum is still read, with a
+// warning, since its topic ids may well match.
+function cohortLearnerFromFile(nodes, text, fileName, curriculumId) {
+  const parsed = readProgressFile(text, fileName);
+  if (parsed.errors.length > 0) return { learner: null, errors: parsed.errors, warnings: [] };
+  const checked = checkProgressEntries(nodes, parsed);
+  const warnings = checked.warnings.slice();
+  if (parsed.meta.curriculum && curriculumId && parsed.meta.curriculum !== curriculumId) {
+    warnings.unshift('The file was exported from the curriculum "' + parsed.meta.curriculum + '".');
+  }
+  return {
+    learner: {
+      id: 'file:' + fileName,
+      name: parsed.meta.profile || String(fileName).replace(/\.[^.]*$/, ''),
+      source: fileName,
+      progress: checked.values,
+    },
+    errors: [],
+    warnings: warnings,
+  };
+}
+
+// Every profile in this browser as a learner.
+function cohortLearnersFromProfiles(curriculum, profiles) {
+  return profiles.profiles.map(function (profile) {
+    const progress = Object.create(null);
+    nodesFromCurriculum(curriculum, profile.id).forEach(function (n) {
+      progress[n.id] = n.progress;
+    });
+    return { id: 'profile:' + profile.id, name: profile.name, source: 'profile', progress: progress };
+  });
+}
+
+function medianOf(sorted) {
+  if (sorted.length === 0) return 0;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Per-topic statistics over a cohort.  Returns
+// `{ count, topics: { id: stats }, bottlenecks: [id] }`, where stats is
+// `{ values, mean, median, histogram: [{ label, count }], completed,
+// started, stuck, threshold, bottleneck }`.  `threshold` is the lowest
+// threshold among the topics the topic unlocks (null when it unlocks
+// nothing), and `stuck` counts the learners who have the topic unlocked
+// and started but are still below it.  Bottlenecks are sorted with the
+// most stuck learners first.
+function cohortStats(nodes, learners, settings) {
+  const thresholds = Object.create(null);
+  nodes.forEach(function (n) {
+    blockingPrerequisites(n).forEach(function (id) {
+      const threshold = unlockThresholdFor(n, settings);
+      if (thresholds[id] === undefined || threshold < thresholds[id]) thresholds[id] = threshold;
+    });
+  });
+  const learnerNodes = learners.map(function (learner) {
+    return computeUnlocks(
+      nodes.map(function (n) {
+        const listed = Object.prototype.hasOwnProperty.call(learner.progress, n.id);
+        return Object.assign({}, n, { progress: listed ? learner.progress[n.id] : 0 });
+      }),
+      settings,
+    );
+  });
+  const topics = Object.create(null);
+  nodes.forEach(function (n, idx) {
+    const values = learnerNodes.map(function (list) {
+      return list[idx].progress;
+    });
+    const sorted = values.slice().sort(function (a, b) {
+      return a - b;
+    });
+    const total = values.reduce(function (sum, v) {
+      return sum + v;
+    }, 0);
+    const threshold = thresholds[n.id] === undefined ? null : thresholds[n.id];
+    const stuck =
+      threshold === null
+        ? 0
+        : learnerNodes.filter(function (list) {
+            const own = list[idx];
+            return own.unlocked && own.progress > 0 && own.progress < threshold;
+          }).length;
+    topics[n.id] = {
+      values: values,
+      mean: values.length > 0 ? Math.round(total / values.length) : 0,
+      median: Math.round(medianOf(sorted)),
+      histogram: COHORT_BINS.map(function (bin, binIdx) {
+        const next = COHORT_BINS[binIdx + 1];
+        return {
+          label: bin.label,
+          count: values.filter(function (v) {
+            return v >= bin.from && (!next || v < next.from);
+          }).length,
+        };
+      }),
+      completed: values.filter(function (v) {
+        return v >= 100;
+      }).length,
+      started: values.filter(function (v) {
+        return v > 0;
+      }).length,
+      stuck: stuck,
+      threshold: threshold,
+      bottleneck: stuck > 0 && stuck >= learners.length * BOTTLENECK_SHARE,
+    };
+  });
+  const bottlenecks = nodes
+    .filter(function (n) {
+      return topics[n.id].bottleneck;
+    })
+    .sort(function (a, b) {
+      return topics[b.id].stuck - topics[a.id].stuck;
+    })
+    .map(function (n) {
+      return n.id;
+    });
+  return { count: learners.length, topics: topics, bottlenecks: bottlenecks };
+}
+
+// The topics as the cohort stands: each at its average or median, with
+// unlocks worked out from those values, for colouring the graph.
+function cohortNodes(nodes, stats, measure, settings) {
+  return computeUnlocks(
+    nodes.map(function (n) {
+      const topic = stats.topics[n.id];
+      return Object.assign({}, n, { progress: topic ? topic[measure === 'median' ? 'median' : 'mean'] : 0 });
+    }),
+    settings,
+  );
+}
+
+// Summary report as CSV, one row per topic, for spreadsheets.
+function cohortToCsv(nodes, stats) {
+  const header = ['id', 'title', 'learners', 'average', 'median', 'started', 'completed', 'stuck', 'threshold'];
+  const lines = [header.concat(['bottleneck']).join(',')];
+  nodes.forEach(function (n) {
+    const topic = stats.topics[n.id];
+    lines.push(
+      [
+        csvField(n.id),
+        csvField(n.title),
+        stats.count,
+        topic.mean,
+        topic.median,
+        topic.started,
+        topic.completed,
+        topic.stuck,
+        topic.threshold === null ? '' : topic.threshold,
+        topic.bottleneck ? 'yes' : 'no',
+      ].join(','),
+    );
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Summary report as Markdown, to read or paste into a document: the
+// learners, the bottlenecks and a table of every topic.
+function cohortToMarkdown(curriculum, nodes, stats, learners) {
+  function cell(text) {
+    return String(text).replace(/\|/g, '\\|');
+  }
+  const lines = [
+    '# Cohort report: ' + curriculum.title,
+    '',
+    'Generated ' + new Date().toISOString() + ' from ' + learners.length + ' learners: ' +
+      learners
+        .map(function (l) {
+          return l.name;
+        })
+        .join(', ') +
+      '.',
+    '',
+    '## Bottlenecks',
+    '',
+  ];
+  if (stats.bottlenecks.length === 0) {
+    lines.push('No topic holds back a third of the cohort or more.');
+  }
+  stats.bottlenecks.forEach(function (id) {
+    const topic = stats.topics[id];
+    const node = nodes.find(function (n) {
+      return n.id === id;
+    });
+    lines.push(
+      '- **' + node.title + '**: ' + topic.stuck + ' of ' + stats.count + ' learners are below the ' +
+        topic.threshold + '% that the next topics need.',
+    );
+  });
+  lines.push('', '## Topics', '', '| Topic | Average | Median | Started | Completed | Stuck |');
+  lines.push('|---|---|---|---|---|---|');
+  nodes.forEach(function (n) {
+    const topic = stats.topics[n.id];
+    const cells = [cell(n.title), topic.mean + '%', topic.median + '%', topic.started, topic.completed, topic.stuck];
+    lines.push('| ' + cells.join(' | ') + ' |');
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Event emitter behind the API's on/off.  Listeners are called in the
+// order they were added; `on` returns a function that removes the
+// listener again.
+function createEmitter() {
+  const listeners = {};
+  function off(type, listener) {
+    listeners[type] = (listeners[type] || []).filter(function (l) {
+      return l !== listener;
+    });
+  }
+  return {
+    on: function (type, listener) {
+      listeners[type] = (listeners[type] || []).concat([listener]);
+      return function () {
+        off(type, listener);
+      };
+    },
+    off: off,
+    emit: function (type, detail) {
+      (listeners[type] || []).forEach(function (listener) {
+        listener(detail);
+      });
+    },
+  };
+}
+
+// Emit 'progress', 'unlock' and 'lock' events for the difference between
+// two versions of the same curriculum's topics.  Topics only present on
+// one side (added or removed in the editor) are ignored.
+function emitProgressEvents(events, before, after) {
+  const previous = Object.create(null);
+  before.forEach(function (n) {
+    previous[n.id] = n;
+  });
+  after.forEach(function (n) {
+    const old = previous[n.id];
+    if (!old) return;
+    if (old.progress !== n.progress) events.emit('progress', { topic: n.id, from: old.progress, to: n.progress });
+    if (n.unlocked && !old.unlocked) events.emit('unlock', { topic: n.id });
+    if (!n.unlocked && old.unlocked) events.emit('lock', { topic: n.id });
+  });
+}
+
+// Scripting API.  createKnowledgePathApi wraps a host that owns the live
+// state and returns the object documented under "Scripting API" in the
+// README.  A host provides:
+//
+//   events                           – an emitter (see createEmitter)
+//   state()                          – { curriculum, nodes, profile }
+//   applyCurriculum(curriculum)      – switch to a validated curriculum
+//   applyProgress(changes, source)   – apply `[{ topic, from, to }]`
+//
+// and emits the events itself once its state has changed.  react_app.js
+// is the host in the browser; createHeadlessHost keeps the state in plain
+// objects.  Like the editing helpers, methods report problems in their
+// result rather than throwing.
+const API_VERSION = 1;
+
+function createKnowledgePathApi(host) {
+  function topicCopy(node) {
+    return Object.assign({}, node);
+  }
+  function findNode(id) {
+    return host.state().nodes.find(function (n) {
+      return n.id === id;
+    });
+  }
+  return {
+    version: API_VERSION,
+    // Load a curriculum object or its JSON/YAML text.  Returns
+    // `{ curriculum, errors }`; nothing changes when there are errors.
+    loadCurriculum: function (source, sourceName) {
+      const result =
+        typeof source === 'string' ? loadCurriculumText(source, sourceName) : validateCurriculum(source, sourceName);
+      if (result.curriculum) host.applyCurriculum(result.curriculum);
+      return result;
+    },
+    getCurriculum: function () {
+      const curriculum = host.state().curriculum;
+      return { id: curriculum.id, title: curriculum.title };
+    },
+    getTopics: function () {
+      return host.state().nodes.map(topicCopy);
+    },
+    getTopic: function (id) {
+      const node = findNode(id);
+      return node ? topicCopy(node) : null;
+    },
+    // Set a topic's progress (clamped to 0-100 and rounded).  Returns
+    // `{ change, error }`, where change is `{ topic, from, to }` or null
+    // when the value was already set.
+    setProgress: function (id, progress) {
+      const node = findNode(id);
+      if (!node) return { change: null, error: 'Unknown topic "' + id + '".' };
+      if (typeof progress !== 'number' || isNaN(progress)) {
+        return { change: null, error: 'Progress must be a number from 0 to 100.' };
+      }
+      const to = normaliseProgress(progress);
+      if (to === node.progress) return { change: null, error: null };
+      const change = { topic: id, from: node.progress, to: to };
+      host.applyProgress([change], 'api');
+      return { change: change, error: null };
+    },
+    // The current progress as a JSON envelope or CSV text.
+    exportProgress: function (format) {
+      const state = host.state();
+      if (format === 'csv') return progressToCsv(state.nodes);
+      return JSON.stringify(progressEnvelope(state.curriculum, state.profile, state.nodes, null), null, 2);
+    },
+    // Apply a progress file (any format readProgressFile accepts) with a
+    // merge strategy from MERGE_STRATEGIES, 'replace' by default.
+    // Returns `{ changes, errors, warnings }`.
+    importProgress: function (text, fileName, strategy) {
+      const nodes = host.state().nodes;
+      const parsed = readProgressFile(text, fileName);
+      if (parsed.errors.length > 0) return { changes: [], errors: parsed.errors, warnings: [] };
+      const checked = checkProgressEntries(nodes, parsed);
+      const changes = planProgressImport(nodes, checked.values, strategy || 'replace');
+      if (changes.length > 0) host.applyProgress(changes, 'import');
+      return { changes: changes, errors: [], warnings: checked.warnings };
+    },
+    on: host.events.on,
+    off: host.events.off,
+  };
+}
+
+// A host without any UI.  It starts on the built-in example curriculum
+// with the stored progress of `options.profileId` (the default profile
+// when omitted), and saves progress and history like the app does.
+function createHeadlessHost(options) {
+  const profileId = (options && options.profileId) || DEFAULT_PROFILE_ID;
+  const known = loadProfiles().profiles.find(function (p) {
+    return p.id === profileId;
+  });
+  const profile = { id: profileId, name: known ? known.name : profileId };
+  const events = createEmitter();
+  let curriculum = BUILTIN_CURRICULUM;
+  let nodes = nodesFromCurriculum(curriculum, profileId);
+  return {
+    events: events,
+    state: function () {
+      return { curriculum: curriculum, nodes: nodes, profile: profile };
+    },
+    applyCurriculum: function (next) {
+      curriculum = next;
+      nodes = nodesFromCurriculum(next, profileId);
+      events.emit('curriculum', { curriculum: { id: next.id, title: next.title } });
+    },
+    applyProgress: function (changes, source) {
+      const values = {};
+      const at = new Date().toISOString();
+      changes.forEach(function (change) {
+        values[change.topic] = change.to;
+        saveProgress(curriculum.id, change.topic, profileId, change.to);
+      });
+      const history = mergeHistory(
+        loadHistory(curriculum.id, profileId),
+        changes.map(function (change) {
+          return { topic: change.topic, from: change.from, to: change.to, at: at, source: source };
+        }),
+      );
+      saveHistory(curriculum.id, profileId, history);
+      const before = nodes;
+      nodes = computeUnlocks(
+        nodes.map(function (n) {
+          if (!Object.prototype.hasOwnProperty.call(values, n.id)) return n;
+          return Object.assign({}, n, { progress: values[n.id] });
+        }),
+        curriculum.settings,
+      );
+      emitProgressEvents(events, before, nodes);
+    },
+  };
+}
+
+// The API over a headless host, for scripts and tests in Node:
+//
+//   const { createSession } = require('./kpv_core.js');
+//   const kpv = createSession();
+//   kpv.on('unlock', function (event) { ... });
+//   kpv.setProgress('html', 100);
+function createSession(options) {
+  return createKnowledgePathApi(createHeadlessHost(options));
+}
+
+// In Node the core is a CommonJS module; in the browser the declarations
+// above are globals already.
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    createMemoryStorage, setStorage, getStorage, STORAGE_CONFIG_KEY, STORAGE_BACKENDS, loadStorageConfig,
+    saveStorageConfig, createStorage, isSyncedKey, createIndexedDbStorage, SYNC_STRATEGIES, findSyncStrategy,
+    storageKeyKind, mergeStoredValues, resolveSyncConflict, SYNC_PENDING_KEY, SYNC_STATE_KEY,
+    createRestStorage, initialNodes, buildEdges, computeLayeredLayout, BUILTIN_CURRICULUM_ID,
+    BUILTIN_CURRICULUM, ACTIVE_CURRICULUM_KEY, PROFILES_KEY, DEFAULT_PROFILE_ID, profileScopedKey,
+    loadProfiles, saveProfiles, createProfile, renameProfile, deleteProfile, progressStorageKey,
+    slugify, parseCurriculumText, looksLikeMermaid, validateCurriculum, isPercentage, isTagList, RESOURCE_TYPES,
+    isSafeUrl, normaliseChecklist, topicTags, normaliseTopic, CURRICULUM_FORMATS,
+    markdownOutlineToCurriculum, curriculumToMarkdown, mermaidToCurriculum, curriculumToMermaid,
+    curriculumLinks, curriculumToDot, curriculumToGraphML, curriculumToGexf, exportCurriculum, loadCurriculumText,
+    loadStoredCurriculum, saveCurriculum, wouldCreateCycle, findTopic, findGroup, withNodes,
+    groupAncestry, addTopic, updateTopic, formatResourceLines, parseResourceLines, withoutPrerequisite,
+    removeTopic, prerequisiteKind, setPrerequisite, setAlternativeCount, updateSettings,
+    nodesFromCurriculum, saveProgress, DEFAULT_UNLOCK_THRESHOLD, unlockThresholdFor,
+    prerequisiteLinks, blockingPrerequisites, allPrerequisites, evaluateUnlock, requirementSummary,
+    lockedMessage, unlockShortfall, unlockForecast, previewProgress, computeUnlocks, planLearningPath,
+    diagnoseGraph, diagnosticCounts,
+    progressSummary, subtreeProgress, HISTORY_LIMIT, EXPORT_HISTORY_KEY, historyStorageKey,
+    loadHistory, saveHistory, isHistoryEvent, mergeHistory, progressAt, DAY_MS, INITIAL_EASE,
+    MINIMUM_EASE, REVIEW_LOG_LIMIT, RECALL_SCORES, reviewsStorageKey, loadReviews, saveReviews,
+    newReviewSchedule, applyRecall, syncReviews, reviewDecay, reviewQueue, PACE_WINDOW_DAYS, GOAL_STATUSES,
+    goalsStorageKey, parseDay, dayString, addDays, daysBetween, loadGoals, saveGoals, setGoal, studyPace,
+    goalProjection, goalStatusRank, goalOverview, icsText, foldIcsLine, goalsToIcs, topicStorageKey,
+    loadChecklist, saveChecklist, loadNotes, saveNotes, checklistProgress, loadManualProgress,
+    saveManualProgress, PROGRESS_FORMAT, PROGRESS_FORMAT_VERSION, MERGE_STRATEGIES,
+    normaliseProgress, progressEnvelope, csvField, progressToCsv, parseCsv, readProgressFile,
+    checkProgressEntries, planProgressImport, COHORT_MEASURES, COHORT_BINS, BOTTLENECK_SHARE,
+    cohortLearnerFromFile, cohortLearnersFromProfiles, cohortStats, cohortNodes, cohortToCsv, cohortToMarkdown,
+    createEmitter, emitProgressEvents, API_VERSION,
+    createKnowledgePathApi, createHeadlessHost, createSession,
+  };
+}
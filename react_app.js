@@ -7,76 +7,98 @@
   progress tracking with a drop‑down, unlock logic, and filters for active
   and completed topics and dependency lines.  The styling defined in
   style.css provides the Civilization VI inspired look.
+
+  The curriculum model, unlock engine, progress store and file formats
+  live in kpv_core.js, which is loaded first; this file is the user
+  interface on top of it.
 */
 
-// Data definitions: topics and their prerequisites.  Progress is stored as a
-// percentage (0, 25, 50, 75, 100).  You can modify these arrays to add
-// additional topics and dependencies.
-const initialNodes = [
-  {
-    id: 'basics',
-    title: 'Programming Fundamentals',
-    description:
-      'Learn variables, control flow, functions and the building blocks of code.',
-    dependencies: [],
-    progress: 0,
-  },
+// Colour themes.  Each theme is a set of CSS custom properties in
+// style.css, selected by a `data-theme` attribute on the document element,
+// plus the progress scale below that progressColor interpolates.  The Civ
+// VI palette steps from navy through blue to gold; the others trade its
+// close blue steps for scales that differ in lightness as well as hue, so
+// they stay distinct for colour-blind learners and in greyscale.
+const THEMES = [
   {
-    id: 'datastructures',
-    title: 'Data Structures',
-    description:
-      'Study arrays, lists, stacks, queues, trees and more.  Knowing how data is organised is essential.',
-    dependencies: ['basics'],
-    progress: 0,
+    id: 'civ',
+    label: 'Civ\u00a0VI (dark)',
+    progress: [
+      { p: 0, color: [10, 26, 47] },
+      { p: 25, color: [32, 55, 93] },
+      { p: 50, color: [62, 88, 145] },
+      { p: 75, color: [97, 122, 180] },
+      { p: 100, color: [255, 215, 0] },
+    ],
   },
   {
-    id: 'algorithms',
-    title: 'Algorithms',
-    description:
-      'Explore sorting, searching and other fundamental algorithms.  Learn to reason about complexity.',
-    dependencies: ['basics'],
-    progress: 0,
+    id: 'light',
+    label: 'Light',
+    progress: [
+      { p: 0, color: [250, 247, 238] },
+      { p: 25, color: [214, 224, 240] },
+      { p: 50, color: [150, 176, 220] },
+      { p: 75, color: [78, 112, 176] },
+      { p: 100, color: [196, 140, 0] },
+    ],
   },
   {
-    id: 'graphs',
-    title: 'Graph Theory',
-    description:
-      'Understand nodes and edges, traversal algorithms and shortest paths.',
-    dependencies: ['datastructures', 'algorithms'],
-    progress: 0,
+    id: 'high-contrast',
+    label: 'High contrast',
+    progress: [
+      { p: 0, color: [0, 0, 0] },
+      { p: 25, color: [70, 70, 70] },
+      { p: 50, color: [135, 135, 135] },
+      { p: 75, color: [200, 200, 200] },
+      { p: 100, color: [255, 255, 0] },
+    ],
   },
   {
-    id: 'machinelearning',
-    title: 'Machine Learning',
-    description:
-      'Dive into supervised and unsupervised learning, regression, classification and neural networks.',
-    dependencies: ['algorithms'],
-    progress: 0,
+    // Viridis: perceptually uniform and safe for the common forms of
+    // colour blindness.
+    id: 'colour-blind',
+    label: 'Colour-blind safe',
+    progress: [
+      { p: 0, color: [68, 1, 84] },
+      { p: 25, color: [59, 82, 139] },
+      { p: 50, color: [33, 145, 140] },
+      { p: 75, color: [94, 201, 98] },
+      { p: 100, color: [253, 231, 37] },
+    ],
   },
 ];
+const THEME_STORAGE_KEY = 'kpv-react-theme';
 
-// Derive edges from dependencies.  For each dependency, we create an edge
-// connecting the prerequisite (source) to the dependent topic (target).
-const initialEdges = [];
-for (const node of initialNodes) {
-  if (Array.isArray(node.dependencies)) {
-    for (const dep of node.dependencies) {
-      initialEdges.push({ source: dep, target: node.id });
-    }
-  }
+function findTheme(id) {
+  return (
+    THEMES.find(function (theme) {
+      return theme.id === id;
+    }) || THEMES[0]
+  );
 }
 
-// Interpolate a colour for a given progress value.  Colours are chosen to
-// approximate the Civ VI palette: dark navy through to gold.  This helper
-// returns a CSS `rgb(r,g,b)` string.  See style.css for stroke colours.
-function progressColor(progress) {
-  const stops = [
-    { p: 0, color: [10, 26, 47] },
-    { p: 25, color: [32, 55, 93] },
-    { p: 50, color: [62, 88, 145] },
-    { p: 75, color: [97, 122, 180] },
-    { p: 100, color: [255, 215, 0] },
-  ];
+// The stored theme, else high contrast for users who asked their system
+// for more contrast, else the Civ VI theme.
+function loadTheme() {
+  const stored = activeStorage.getItem(THEME_STORAGE_KEY);
+  if (stored) return findTheme(stored).id;
+  if (window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+  return THEMES[0].id;
+}
+
+function applyTheme(id) {
+  document.documentElement.setAttribute('data-theme', findTheme(id).id);
+}
+
+// Interpolate a colour for a given progress value along a theme's
+// progress scale (the Civ VI one by default) and return it as [r, g, b].
+// `decay` (0-1, see reviewDecay) fades a topic whose review is overdue back
+// down the scale, to the 60% shade at most.
+const REVIEW_DECAY_RANGE = 40;
+
+function progressRgb(progress, decay, stops) {
+  if (decay) progress = Math.max(0, progress - decay * REVIEW_DECAY_RANGE);
+  stops = stops || THEMES[0].progress;
   let lower = stops[0];
   let upper = stops[stops.length - 1];
   for (let i = 0; i < stops.length - 1; i++) {
@@ -87,43 +109,1248 @@ function progressColor(progress) {
     }
   }
   const ratio = lower.p === upper.p ? 0 : (progress - lower.p) / (upper.p - lower.p);
-  const interp = lower.color.map((c, idx) => Math.round(c + (upper.color[idx] - c) * ratio));
+  return lower.color.map((c, idx) => Math.round(c + (upper.color[idx] - c) * ratio));
+}
+
+// The same colour as a CSS `rgb(r,g,b)` string.  See style.css for stroke
+// colours.
+function progressColor(progress, decay, stops) {
+  const interp = progressRgb(progress, decay, stops);
   return 'rgb(' + interp[0] + ', ' + interp[1] + ', ' + interp[2] + ')';
 }
 
-// Given a list of nodes, compute a new list with `unlocked` flags based on
-// whether all dependencies have reached at least 75% progress.  Nodes with no
-// dependencies are unlocked by default.
-function computeUnlocks(nodes) {
-  return nodes.map((node) => {
-    if (!node.dependencies || node.dependencies.length === 0) {
-      return Object.assign({}, node, { unlocked: true });
+// Whether a fill is light enough to need dark label text (relative
+// luminance, as in WCAG).
+function isLightColor(rgb) {
+  const linear = rgb.map(function (c) {
+    c /= 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2] > 0.3;
+}
+
+// Progress as one of five steps for the node icon, so the amount is
+// readable without colour: empty, a quarter, half, three quarters, full.
+// Any progress at all shows at least a quarter.
+function progressStep(progress) {
+  if (progress <= 0) return 0;
+  if (progress >= 100) return 100;
+  return Math.max(25, Math.floor(progress / 25) * 25);
+}
+
+// Layout modes offered in the navbar.  "force" is the original d3 force
+// simulation; the two tree modes use computeLayeredLayout and differ only
+// in how connectors are drawn.
+const LAYOUT_MODES = [
+  { id: 'force', label: 'Force layout' },
+  { id: 'tree-curved', label: 'Tech tree (curved)' },
+  { id: 'tree-orthogonal', label: 'Tech tree (orthogonal)' },
+];
+const LAYOUT_STORAGE_KEY = 'kpv-react-layout';
+
+function isLayeredLayout(mode) {
+  return mode === 'tree-curved' || mode === 'tree-orthogonal';
+}
+
+// SVG path for a connector between two positioned nodes.  Force layout
+// uses straight lines; tree layouts leave the right edge of the
+// prerequisite and enter the left edge of the dependent, either as a
+// smooth curve or with right-angled elbows.
+function connectorPath(mode, source, target) {
+  if (!isLayeredLayout(mode)) {
+    return 'M' + source.x + ',' + source.y + 'L' + target.x + ',' + target.y;
+  }
+  const x1 = source.x + 50;
+  const x2 = target.x - 50;
+  const mid = (x1 + x2) / 2;
+  if (mode === 'tree-orthogonal') {
+    return 'M' + x1 + ',' + source.y + 'H' + mid + 'V' + target.y + 'H' + x2;
+  }
+  return (
+    'M' + x1 + ',' + source.y + 'C' + mid + ',' + source.y + ' ' + mid + ',' + target.y + ' ' + x2 + ',' + target.y
+  );
+}
+
+// Keyboard navigation between topics on the graph.  Left and Right move to
+// a prerequisite or a dependent topic (the one drawn closest vertically
+// when there are several), Up and Down step through the topics in
+// curriculum order and Home/End jump to the first and last topic.
+// `nodes` are the visible simulation nodes with their x/y positions.
+// Returns the id to focus, or null when there is nowhere to go.
+function keyboardTarget(nodes, id, key) {
+  const index = nodes.findIndex(function (n) {
+    return n.id === id;
+  });
+  if (index === -1) return nodes.length > 0 ? nodes[0].id : null;
+  const current = nodes[index];
+  let candidates = [];
+  if (key === 'ArrowLeft') {
+    candidates = nodes.filter(function (n) {
+      return allPrerequisites(current).indexOf(n.id) !== -1;
+    });
+  } else if (key === 'ArrowRight') {
+    candidates = nodes.filter(function (n) {
+      return allPrerequisites(n).indexOf(current.id) !== -1;
+    });
+  } else if (key === 'ArrowUp') {
+    return index > 0 ? nodes[index - 1].id : null;
+  } else if (key === 'ArrowDown') {
+    return index < nodes.length - 1 ? nodes[index + 1].id : null;
+  } else if (key === 'Home') {
+    return nodes[0].id;
+  } else if (key === 'End') {
+    return nodes[nodes.length - 1].id;
+  }
+  if (candidates.length === 0) return null;
+  candidates.sort(function (a, b) {
+    return Math.abs((a.y || 0) - (current.y || 0)) - Math.abs((b.y || 0) - (current.y || 0));
+  });
+  return candidates[0].id;
+}
+
+// Arrange the topics as a tree for the outline view.  A DAG has no single
+// parent per topic, so each topic is listed under its deepest prerequisite
+// (the one furthest from the roots); topics without prerequisites are the
+// roots.  Returns `[{ id, children: [...] }]` in curriculum order.
+function outlineTree(nodes) {
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const depth = Object.create(null);
+  const visiting = Object.create(null);
+  function depthOf(id) {
+    if (depth[id] !== undefined) return depth[id];
+    // A topic on a cycle counts as shallow so the cycle is broken.
+    if (visiting[id]) return 0;
+    visiting[id] = true;
+    let d = 0;
+    allPrerequisites(byId[id]).forEach(function (dep) {
+      if (byId[dep]) d = Math.max(d, depthOf(dep) + 1);
+    });
+    visiting[id] = false;
+    depth[id] = d;
+    return d;
+  }
+  const items = Object.create(null);
+  nodes.forEach(function (n) {
+    items[n.id] = { id: n.id, children: [] };
+  });
+  const roots = [];
+  nodes.forEach(function (n) {
+    let parent = null;
+    allPrerequisites(n).forEach(function (dep) {
+      // Parents must be strictly shallower, which also keeps cycles out.
+      if (byId[dep] && depthOf(dep) < depthOf(n.id) && (parent === null || depthOf(dep) > depthOf(parent))) {
+        parent = dep;
+      }
+    });
+    if (parent === null) roots.push(items[n.id]);
+    else items[parent].children.push(items[n.id]);
+  });
+  return roots;
+}
+
+// Fuzzy matching for the navbar search.  Every character of the query has
+// to appear in the text in order; runs of consecutive characters, matches
+// at the start of a word and exact substrings score higher.  Returns 0
+// when the text does not match.
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = String(text || '').toLowerCase();
+  if (q === '') return 0;
+  const exact = t.indexOf(q);
+  if (exact !== -1) {
+    return 10 * q.length + (exact === 0 || /\W/.test(t[exact - 1]) ? 20 : 0);
+  }
+  let score = 0;
+  let from = 0;
+  let run = 0;
+  for (let i = 0; i < q.length; i++) {
+    const found = t.indexOf(q[i], from);
+    if (found === -1) return 0;
+    run = i > 0 && found === from ? run + 1 : 0;
+    score += 1 + 2 * run + (found === 0 || /\W/.test(t[found - 1]) ? 3 : 0);
+    from = found + 1;
+  }
+  return score;
+}
+
+// Rank topics against a search query.  Titles are matched fuzzily as a
+// whole; in descriptions and tags every query word has to fuzzily match a
+// word starting with the same letter, so short queries do not match every
+// long description.  Returns `[{ id, score }]`, best first.
+function searchTopics(nodes, query) {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+  function wordScore(text) {
+    const candidates = String(text || '').toLowerCase().split(/\W+/);
+    let total = 0;
+    for (const word of words) {
+      let best = 0;
+      candidates.forEach(function (candidate) {
+        if (candidate[0] === word[0]) best = Math.max(best, fuzzyScore(word, candidate));
+      });
+      if (best === 0) return 0;
+      total += best;
+    }
+    return total;
+  }
+  const results = [];
+  nodes.forEach(function (n) {
+    const score = Math.max(
+      2 * fuzzyScore(words.join(' '), n.title),
+      wordScore(n.description + ' ' + topicTags(n).join(' ')),
+    );
+    if (score > 0) results.push({ id: n.id, score: score });
+  });
+  results.sort(function (a, b) {
+    return b.score - a.score;
+  });
+  return results;
+}
+
+// Every tag used in a curriculum, sorted alphabetically.
+function curriculumTags(nodes) {
+  const tags = [];
+  nodes.forEach(function (n) {
+    topicTags(n).forEach(function (tag) {
+      if (tags.indexOf(tag) === -1) tags.push(tag);
+    });
+  });
+  return tags.sort(function (a, b) {
+    return a.localeCompare(b);
+  });
+}
+
+// A topic together with all of its ancestors and descendants, as an
+// id -> true map.  Focus mode shows only these.
+function relatedTopics(nodes, id) {
+  const related = Object.create(null);
+  related[id] = true;
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const ancestors = [id];
+  while (ancestors.length > 0) {
+    const node = byId[ancestors.pop()];
+    if (!node) continue;
+    allPrerequisites(node).forEach(function (dep) {
+      if (!related[dep] && byId[dep]) {
+        related[dep] = true;
+        ancestors.push(dep);
+      }
+    });
+  }
+  const descendants = [id];
+  const below = Object.create(null);
+  while (descendants.length > 0) {
+    const current = descendants.pop();
+    nodes.forEach(function (n) {
+      if (!below[n.id] && allPrerequisites(n).indexOf(current) !== -1) {
+        below[n.id] = true;
+        related[n.id] = true;
+        descendants.push(n.id);
+      }
+    });
+  }
+  return related;
+}
+
+// Topic groups.  A curriculum may define `groups` (modules such as
+// "Foundations"), optionally nested through `parent`, and a topic joins
+// one with `group`.  On the graph an expanded group is a labelled frame
+// around its members and a collapsed group is a single node showing the
+// combined progress of everything inside it.  Collapsing only changes the
+// drawing: topics still unlock one by one underneath.
+const GROUP_NODE_PREFIX = 'group:';
+
+function groupNodeId(groupId) {
+  return GROUP_NODE_PREFIX + groupId;
+}
+
+// The outermost collapsed group around a topic in `groupId`, or null when
+// the topic is on show.
+function collapsedGroupOf(groups, collapsed, groupId) {
+  let outer = null;
+  groupAncestry(groups, groupId).forEach(function (id) {
+    if (collapsed[id]) outer = id;
+  });
+  return outer;
+}
+
+// The nodes to draw: topics inside collapsed groups are replaced by one
+// aggregate node per group, whose progress is the average of its members
+// and which counts as unlocked once any member is.  Prerequisites are
+// re-routed to the node standing in for them, so links into and out of a
+// collapsed group attach to the group node and links inside it vanish.
+function collapseGroups(nodes, groups, collapsed) {
+  const shownAs = Object.create(null);
+  const aggregates = Object.create(null);
+  nodes.forEach(function (n) {
+    const outer = n.group ? collapsedGroupOf(groups, collapsed, n.group) : null;
+    shownAs[n.id] = outer ? groupNodeId(outer) : n.id;
+    if (outer) {
+      if (!aggregates[outer]) aggregates[outer] = [];
+      aggregates[outer].push(n);
+    }
+  });
+  if (Object.keys(aggregates).length === 0) return nodes;
+  function reroute(ids, selfId) {
+    const result = [];
+    ids.forEach(function (id) {
+      const target = shownAs[id] || id;
+      if (target !== selfId && result.indexOf(target) === -1) result.push(target);
+    });
+    return result;
+  }
+  function rerouted(source, selfId) {
+    const dependencies = reroute(
+      source.reduce(function (ids, n) {
+        return ids.concat(n.dependencies || []);
+      }, []),
+      selfId,
+    );
+    const alternatives = [];
+    source.forEach(function (n) {
+      (n.alternatives || []).forEach(function (group) {
+        const topics = reroute(group.topics, selfId);
+        if (topics.length > 0) {
+          alternatives.push({ count: Math.min(group.count, topics.length), topics: topics });
+        }
+      });
+    });
+    const recommended = reroute(
+      source.reduce(function (ids, n) {
+        return ids.concat(n.recommended || []);
+      }, []),
+      selfId,
+    ).filter(function (id) {
+      return dependencies.indexOf(id) === -1;
+    });
+    return { dependencies: dependencies, alternatives: alternatives, recommended: recommended };
+  }
+  const titles = Object.create(null);
+  groups.forEach(function (group) {
+    titles[group.id] = group.title;
+  });
+  const result = [];
+  const placed = Object.create(null);
+  nodes.forEach(function (n) {
+    const id = shownAs[n.id];
+    if (id === n.id) {
+      result.push(Object.assign({}, n, rerouted([n], n.id)));
+      return;
+    }
+    if (placed[id]) return;
+    placed[id] = true;
+    const groupId = id.slice(GROUP_NODE_PREFIX.length);
+    const members = aggregates[groupId];
+    const tags = [];
+    members.forEach(function (m) {
+      topicTags(m).forEach(function (tag) {
+        if (tags.indexOf(tag) === -1) tags.push(tag);
+      });
+    });
+    result.push(
+      Object.assign(
+        {
+          id: id,
+          title: titles[groupId],
+          description: '',
+          isGroup: true,
+          groupId: groupId,
+          members: members.map(function (m) {
+            return m.id;
+          }),
+          tags: tags,
+          progress: Math.round(
+            members.reduce(function (sum, m) {
+              return sum + m.progress;
+            }, 0) / members.length,
+          ),
+          unlocked: members.some(function (m) {
+            return m.unlocked;
+          }),
+        },
+        rerouted(members, id),
+      ),
+    );
+  });
+  return result;
+}
+
+// Expanded groups to frame on the graph, outermost first, each with the
+// ids of the drawn nodes it contains and how many framed groups are nested
+// inside it (outer frames get more padding so they do not overlap).
+function groupFrames(drawn, groups, collapsed) {
+  const frames = [];
+  groups.forEach(function (group) {
+    const chain = groupAncestry(groups, group.id);
+    if (
+      chain.some(function (id) {
+        return collapsed[id];
+      })
+    ) {
+      return;
+    }
+    const members = drawn
+      .filter(function (n) {
+        const own = n.isGroup ? groupAncestry(groups, n.groupId).slice(1) : n.group ? groupAncestry(groups, n.group) : [];
+        return own.indexOf(group.id) !== -1;
+      })
+      .map(function (n) {
+        return n.id;
+      });
+    if (members.length > 0) {
+      frames.push({ id: group.id, title: group.title, depth: chain.length - 1, members: members, nested: 0 });
+    }
+  });
+  frames.forEach(function (frame) {
+    frames.forEach(function (other) {
+      if (other !== frame && groupAncestry(groups, other.id).indexOf(frame.id) !== -1) {
+        frame.nested = Math.max(frame.nested, other.depth - frame.depth);
+      }
+    });
+  });
+  return frames.sort(function (a, b) {
+    return a.depth - b.depth;
+  });
+}
+
+// Swimlane of a drawn node for the tree layouts: its outermost group, in
+// the order the groups are defined, with ungrouped topics last.  The
+// innermost group keeps nested groups together inside the lane.
+function groupLane(groups) {
+  const index = Object.create(null);
+  groups.forEach(function (group, idx) {
+    index[group.id] = idx;
+  });
+  return function (n) {
+    const chain = n.isGroup ? groupAncestry(groups, n.groupId) : n.group ? groupAncestry(groups, n.group) : [];
+    if (chain.length === 0) return [groups.length, -1];
+    return [index[chain[chain.length - 1]], index[chain[0]]];
+  };
+}
+
+// Which groups are collapsed is remembered per profile and curriculum as a
+// map of group id -> true.  Until the learner changes it, groups marked
+// `collapsed: true` in the curriculum start collapsed.
+function collapsedStorageKey(curriculumId, profileId) {
+  return profileScopedKey(profileId, 'kpv-react-collapsed-' + curriculumId);
+}
+
+function loadCollapsedGroups(curriculum, profileId) {
+  const groups = curriculum.groups || [];
+  let stored = null;
+  try {
+    stored = JSON.parse(activeStorage.getItem(collapsedStorageKey(curriculum.id, profileId)));
+  } catch (err) {
+    stored = null;
+  }
+  const collapsed = Object.create(null);
+  groups.forEach(function (group) {
+    if (stored && typeof stored === 'object' ? stored[group.id] === true : group.collapsed === true) {
+      collapsed[group.id] = true;
+    }
+  });
+  return collapsed;
+}
+
+function saveCollapsedGroups(curriculumId, profileId, collapsed) {
+  activeStorage.setItem(collapsedStorageKey(curriculumId, profileId), JSON.stringify(collapsed));
+}
+
+// Decide whether a topic passes the navbar filters: the active/completed
+// toggles, the tag filter (a topic needs any one of the selected tags) and
+// focus mode.  `related` is the relatedTopics map of the focused topic, or
+// null when focus mode is off.
+function passesFilters(node, filters, related) {
+  if (!filters.showCompleted && node.progress >= 100) return false;
+  if (!filters.showActive && node.progress < 100) return false;
+  if (
+    filters.tags.length > 0 &&
+    !topicTags(node).some(function (tag) {
+      return filters.tags.indexOf(tag) !== -1;
+    })
+  ) {
+    return false;
+  }
+  return !related || related[node.id] === true;
+}
+
+// The navbar filters are mirrored in the query string so a filtered view
+// can be shared: `q` (search), `tags` (comma separated), `focus` (topic id)
+// and `active=0`, `completed=0` or `deps=0` for unticked checkboxes.  Other
+// parameters such as `curriculum` are left untouched.
+const VIEW_PARAMS = ['q', 'tags', 'focus', 'active', 'completed', 'deps'];
+
+function readViewState(search) {
+  const params = new URLSearchParams(search);
+  return {
+    query: params.get('q') || '',
+    tags: (params.get('tags') || '').split(',').filter(function (tag) {
+      return tag.trim() !== '';
+    }),
+    focus: params.get('focus') || null,
+    showActive: params.get('active') !== '0',
+    showCompleted: params.get('completed') !== '0',
+    showDependencies: params.get('deps') !== '0',
+  };
+}
+
+function viewStateSearch(search, view) {
+  const params = new URLSearchParams(search);
+  VIEW_PARAMS.forEach(function (name) {
+    params.delete(name);
+  });
+  if (view.query) params.set('q', view.query);
+  if (view.tags.length > 0) params.set('tags', view.tags.join(','));
+  if (view.focus) params.set('focus', view.focus);
+  if (!view.showActive) params.set('active', '0');
+  if (!view.showCompleted) params.set('completed', '0');
+  if (!view.showDependencies) params.set('deps', '0');
+  const text = params.toString();
+  return text ? '?' + text : '';
+}
+
+// Nodes dragged in the force layout stay where they are dropped.  Pins are
+// saved per profile and curriculum as a map of topic id -> { x, y }.
+function pinsStorageKey(curriculumId, profileId) {
+  return profileScopedKey(profileId, 'kpv-react-pins-' + curriculumId);
+}
+
+function loadPins(curriculumId, profileId) {
+  try {
+    const stored = JSON.parse(activeStorage.getItem(pinsStorageKey(curriculumId, profileId)));
+    return Object.assign(Object.create(null), stored && typeof stored === 'object' ? stored : {});
+  } catch (err) {
+    return Object.create(null);
+  }
+}
+
+function savePins(curriculumId, profileId, pins) {
+  if (Object.keys(pins).length === 0) {
+    activeStorage.removeItem(pinsStorageKey(curriculumId, profileId));
+  } else {
+    activeStorage.setItem(pinsStorageKey(curriculumId, profileId), JSON.stringify(pins));
+  }
+}
+
+function formatTimestamp(at) {
+  return new Date(at).toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+// "today", "in 3 days" or "2 days ago" for a due date, counted in
+// calendar days.
+function formatDue(dueAt, now) {
+  const days = Math.round((new Date(dueAt).setHours(0, 0, 0, 0) - new Date(now).setHours(0, 0, 0, 0)) / DAY_MS);
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days === -1) return 'yesterday';
+  return days > 0 ? 'in ' + days + ' days' : -days + ' days ago';
+}
+
+// A 'YYYY-MM-DD' day as the reader writes dates, e.g. "Oct 28, 2026".
+function formatDay(day) {
+  return new Date(parseDay(day)).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Graph scene.  The SVG, zoomable viewport, minimap and force simulation
+// are created once per mount and then updated in place with D3 data joins,
+// so neither the simulation nor the user's zoom level is thrown away when
+// progress, filters or the curriculum change.  The scene object carries
+// the current selections and layout mode for the tick handler.
+const NODE_WIDTH = 100;
+const NODE_HEIGHT = 40;
+const RING_RADIUS = 7;
+const MINIMAP_WIDTH = 180;
+const MINIMAP_HEIGHT = 120;
+
+function createGraphScene(container) {
+  const svg = d3
+    .select(container)
+    .append('svg')
+    .attr('class', 'graph-svg')
+    .attr('role', 'group')
+    .attr('aria-label', 'Curriculum graph')
+    .attr('aria-describedby', 'graph-instructions');
+  const viewport = svg.append('g').attr('class', 'viewport');
+  const scene = {
+    container: container,
+    svg: svg,
+    viewport: viewport,
+    groupLayer: viewport.append('g').attr('class', 'group-frames'),
+    linkGroup: viewport.append('g').attr('class', 'link'),
+    nodeGroup: viewport.append('g').attr('class', 'nodes'),
+    minimap: d3.select(container).append('svg').attr('class', 'minimap').attr('aria-hidden', 'true'),
+    links: null,
+    nodeElements: null,
+    nodesById: Object.create(null),
+    simNodes: [],
+    frames: [],
+    frameElements: null,
+    // Progress scale of the active theme, for the node and minimap fills.
+    palette: null,
+    signature: null,
+    layoutMode: 'force',
+    transform: d3.zoomIdentity,
+    fitPending: true,
+    width: 0,
+    height: 0,
+  };
+  scene.minimapContent = scene.minimap.append('g');
+  scene.minimapView = scene.minimap.append('rect').attr('class', 'minimap-view');
+  scene.simulation = d3
+    .forceSimulation()
+    .force(
+      'link',
+      d3
+        .forceLink()
+        .id(function (d) {
+          return d.id;
+        })
+        .distance(160)
+        .strength(0.1),
+    )
+    .force('charge', d3.forceManyBody().strength(-500))
+    .force('center', d3.forceCenter())
+    .force('collision', d3.forceCollide().radius(60))
+    .stop();
+  scene.simulation.on('tick', function () {
+    positionScene(scene);
+  });
+  // Once a fresh force layout settles, frame it if a fit was requested.
+  scene.simulation.on('end', function () {
+    if (scene.fitPending) fitScene(scene, true);
+  });
+  scene.zoom = d3
+    .zoom()
+    .scaleExtent([0.1, 4])
+    .extent(function () {
+      return [
+        [0, 0],
+        [scene.width, scene.height],
+      ];
+    })
+    .on('zoom', function (event) {
+      scene.transform = event.transform;
+      viewport.attr('transform', event.transform);
+      updateMinimap(scene);
+    });
+  svg.call(scene.zoom).on('dblclick.zoom', null);
+  // Clicking the minimap centres the main view on that point.
+  scene.minimap.on('click', function (event) {
+    if (!scene.minimapScale) return;
+    const point = d3.pointer(event, scene.minimap.node());
+    const x = scene.minimapBounds.x + (point[0] - scene.minimapOffset[0]) / scene.minimapScale;
+    const y = scene.minimapBounds.y + (point[1] - scene.minimapOffset[1]) / scene.minimapScale;
+    svg.transition().duration(300).call(scene.zoom.translateTo, x, y);
+  });
+  resizeScene(scene);
+  return scene;
+}
+
+function resizeScene(scene) {
+  scene.width = scene.container.clientWidth;
+  scene.height = scene.container.clientHeight;
+  scene.svg.attr('width', scene.width).attr('height', scene.height);
+  scene.simulation.force('center').x(scene.width / 2).y(scene.height / 2);
+  updateMinimap(scene);
+}
+
+// Move links and nodes to their current coordinates.
+function positionScene(scene) {
+  if (!scene.links) return;
+  scene.links.attr('d', function (d) {
+    return connectorPath(scene.layoutMode, d.source, d.target);
+  });
+  scene.nodeElements.attr('transform', function (d) {
+    return 'translate(' + d.x + ',' + d.y + ')';
+  });
+  positionGroupFrames(scene);
+  updateMinimap(scene);
+}
+
+// Fit each group frame around its visible members.  Frames with nested
+// frames inside get extra padding (GROUP_PADDING), and every frame leaves
+// room at the top for its label (GROUP_LABEL_HEIGHT).
+function positionGroupFrames(scene) {
+  if (!scene.frameElements) return;
+  scene.frameElements.each(function (frame) {
+    const members = frame.members
+      .map(function (id) {
+        return scene.nodesById[id];
+      })
+      .filter(function (n) {
+        return n && !n.hidden && n.x !== undefined;
+      });
+    const element = d3.select(this).style('display', members.length > 0 ? null : 'none');
+    if (members.length === 0) return;
+    const pad = GROUP_PADDING * (1 + frame.nested);
+    const x = d3.min(members, function (n) {
+      return n.x;
+    }) - NODE_WIDTH / 2 - pad;
+    const y = d3.min(members, function (n) {
+      return n.y;
+    }) - NODE_HEIGHT / 2 - pad - GROUP_LABEL_HEIGHT * (1 + frame.nested);
+    const right = d3.max(members, function (n) {
+      return n.x;
+    }) + NODE_WIDTH / 2 + pad;
+    const bottom = d3.max(members, function (n) {
+      return n.y;
+    }) + NODE_HEIGHT / 2 + pad;
+    element
+      .select('rect')
+      .attr('x', x)
+      .attr('y', y)
+      .attr('width', right - x)
+      .attr('height', bottom - y);
+    element
+      .select('text')
+      .attr('x', x + 8)
+      .attr('y', y + GROUP_LABEL_HEIGHT - 4);
+  });
+}
+
+// Bounding box of the visible nodes (all nodes when the filters hide every
+// one) and their group frames in graph coordinates, or null when empty.
+function sceneBounds(scene) {
+  const visible = scene.simNodes.filter(function (n) {
+    return !n.hidden;
+  });
+  const framed = visible.length > 0 ? visible : scene.simNodes;
+  if (framed.length === 0) return null;
+  const xs = framed.map(function (n) {
+    return n.x;
+  });
+  const ys = framed.map(function (n) {
+    return n.y;
+  });
+  // Leave room for the widest group frame and its label.
+  const nested = scene.frames.reduce(function (max, frame) {
+    return Math.max(max, frame.nested + 1);
+  }, 0);
+  const pad = GROUP_PADDING * nested;
+  const x = Math.min.apply(null, xs) - NODE_WIDTH / 2 - pad;
+  const y = Math.min.apply(null, ys) - NODE_HEIGHT / 2 - pad - GROUP_LABEL_HEIGHT * nested;
+  return {
+    x: x,
+    y: y,
+    width: Math.max.apply(null, xs) + NODE_WIDTH / 2 + pad - x,
+    height: Math.max.apply(null, ys) + NODE_HEIGHT / 2 + pad - y,
+  };
+}
+
+// Zoom and pan so every node is visible.  Small graphs are not blown up
+// beyond their natural size.
+function fitScene(scene, animate) {
+  scene.fitPending = false;
+  const bounds = sceneBounds(scene);
+  if (!bounds || scene.width === 0) return;
+  const padding = 40;
+  const scale = Math.min(
+    1,
+    (scene.width - 2 * padding) / bounds.width,
+    (scene.height - 2 * padding) / bounds.height,
+  );
+  const transform = d3.zoomIdentity
+    .translate(scene.width / 2, scene.height / 2)
+    .scale(Math.max(0.1, scale))
+    .translate(-(bounds.x + bounds.width / 2), -(bounds.y + bounds.height / 2));
+  const target = animate ? scene.svg.transition().duration(400) : scene.svg;
+  target.call(scene.zoom.transform, transform);
+}
+
+function zoomScene(scene, factor) {
+  scene.svg.transition().duration(200).call(scene.zoom.scaleBy, factor);
+}
+
+// Pan so a node is comfortably on screen, for example when keyboard focus
+// or the outline view moves to it.  With `centre` set the node is always
+// moved to the middle of the view, as for search results.
+function revealNode(scene, id, centre) {
+  const node = scene.nodesById[id];
+  if (!node || node.x === undefined) return;
+  const x = scene.transform.applyX(node.x);
+  const y = scene.transform.applyY(node.y);
+  if (
+    centre ||
+    x < NODE_WIDTH ||
+    x > scene.width - NODE_WIDTH ||
+    y < NODE_HEIGHT ||
+    y > scene.height - NODE_HEIGHT
+  ) {
+    scene.svg.transition().duration(300).call(scene.zoom.translateTo, node.x, node.y);
+  }
+}
+
+// Redraw the minimap: every visible node as a dot-sized rectangle plus a
+// frame marking the part of the graph currently on screen.
+function updateMinimap(scene) {
+  const bounds = sceneBounds(scene);
+  if (!bounds || scene.width === 0) {
+    scene.minimapScale = 0;
+    return;
+  }
+  // Include the visible area so the frame never leaves the minimap.
+  const t = scene.transform;
+  const view = {
+    x: -t.x / t.k,
+    y: -t.y / t.k,
+    width: scene.width / t.k,
+    height: scene.height / t.k,
+  };
+  const minX = Math.min(bounds.x, view.x);
+  const minY = Math.min(bounds.y, view.y);
+  const maxX = Math.max(bounds.x + bounds.width, view.x + view.width);
+  const maxY = Math.max(bounds.y + bounds.height, view.y + view.height);
+  const scale = Math.min(MINIMAP_WIDTH / (maxX - minX), MINIMAP_HEIGHT / (maxY - minY));
+  const offset = [
+    (MINIMAP_WIDTH - (maxX - minX) * scale) / 2,
+    (MINIMAP_HEIGHT - (maxY - minY) * scale) / 2,
+  ];
+  scene.minimapScale = scale;
+  scene.minimapBounds = { x: minX, y: minY };
+  scene.minimapOffset = offset;
+  scene.minimapContent
+    .selectAll('rect')
+    .data(
+      scene.simNodes.filter(function (n) {
+        return !n.hidden;
+      }),
+      function (d) {
+        return d.id;
+      },
+    )
+    .join('rect')
+    .attr('x', function (d) {
+      return offset[0] + (d.x - NODE_WIDTH / 2 - minX) * scale;
+    })
+    .attr('y', function (d) {
+      return offset[1] + (d.y - NODE_HEIGHT / 2 - minY) * scale;
+    })
+    .attr('width', Math.max(2, NODE_WIDTH * scale))
+    .attr('height', Math.max(1.5, NODE_HEIGHT * scale))
+    .attr('fill', function (d) {
+      return d.unlocked ? progressColor(d.progress, 0, scene.palette) : 'var(--locked)';
+    });
+  scene.minimapView
+    .attr('x', offset[0] + (view.x - minX) * scale)
+    .attr('y', offset[1] + (view.y - minY) * scale)
+    .attr('width', view.width * scale)
+    .attr('height', view.height * scale);
+}
+
+// Offer a blob as a download by clicking a temporary anchor element.  A
+// timestamp is appended to the filename so repeated exports do not
+// clobber one another.
+function downloadBlob(blob, baseName, extension) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  a.href = url;
+  a.download = baseName + '-' + timestamp + extension;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Graph export.  The live SVG is cloned as it is on screen, so filters,
+// search matches, the planned route and other highlights carry over;
+// topics hidden by the filters and their links are dropped.  The clone is
+// framed on the visible topics (or on `area`, a rectangle in graph
+// coordinates, for a single poster page) and the stylesheet rules it needs
+// are copied into it so the file renders the same outside the app.
+const EXPORT_PADDING = 40;
+const PNG_SCALES = [1, 2, 4];
+// Height of a printed poster page relative to its width (A4 landscape).
+const POSTER_PAGE_RATIO = 210 / 297;
+
+// CSS rules from the page's stylesheets that apply inside `root`, plus the
+// :root custom properties of the active theme.  Rules that only style the root
+// element itself (such as the full-size `svg` rule) are left out so the
+// exported size comes from its width and height.  Stylesheets from other
+// origins, like the web fonts, cannot be read and are skipped.
+function graphStyles(root) {
+  const rules = [];
+  Array.prototype.forEach.call(document.styleSheets, function (sheet) {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (err) {
+      return;
     }
-    const unlocked = node.dependencies.every((depId) => {
-      const depNode = nodes.find((n) => n.id === depId);
-      return depNode && depNode.progress >= 75;
+    Array.prototype.forEach.call(cssRules || [], function (rule) {
+      if (!rule.selectorText) return;
+      // Theme variables are carried over as plain :root rules, since the
+      // exported file has no data-theme attribute to select them by.
+      if (/^:root/.test(rule.selectorText)) {
+        if (document.documentElement.matches(rule.selectorText)) rules.push(':root { ' + rule.style.cssText + ' }');
+        return;
+      }
+      let used;
+      try {
+        used = root.querySelector(rule.selectorText) !== null;
+      } catch (err) {
+        used = false;
+      }
+      if (used) rules.push(rule.cssText);
     });
-    return Object.assign({}, node, { unlocked: unlocked });
   });
+  return rules.join('\n');
+}
+
+function graphExportArea(scene) {
+  const bounds = sceneBounds(scene);
+  if (!bounds) return null;
+  return {
+    x: Math.floor(bounds.x - EXPORT_PADDING),
+    y: Math.floor(bounds.y - EXPORT_PADDING),
+    width: Math.ceil(bounds.width + 2 * EXPORT_PADDING),
+    height: Math.ceil(bounds.height + 2 * EXPORT_PADDING),
+  };
+}
+
+// Standalone SVG markup of the graph, or null when there is nothing to
+// export.  Returns { markup, width, height } in graph units.
+function graphSvgMarkup(scene, area) {
+  const frame = area || graphExportArea(scene);
+  if (!frame) return null;
+  const svg = scene.svg.node().cloneNode(true);
+  svg.querySelectorAll('.node.hidden').forEach(function (el) {
+    el.remove();
+  });
+  svg.querySelectorAll('.link path').forEach(function (el) {
+    if (el.style.opacity === '0') el.remove();
+  });
+  svg.querySelectorAll('.group-frame').forEach(function (el) {
+    if (el.style.display === 'none') el.remove();
+  });
+  svg.removeAttribute('aria-describedby');
+  svg.removeAttribute('style');
+  svg.setAttribute('width', frame.width);
+  svg.setAttribute('height', frame.height);
+  svg.setAttribute('viewBox', [frame.x, frame.y, frame.width, frame.height].join(' '));
+  svg.querySelector('.viewport').removeAttribute('transform');
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('class', 'export-background');
+  background.setAttribute('x', frame.x);
+  background.setAttribute('y', frame.y);
+  background.setAttribute('width', frame.width);
+  background.setAttribute('height', frame.height);
+  svg.insertBefore(background, svg.firstChild);
+  const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+  style.textContent = graphStyles(svg);
+  svg.insertBefore(style, svg.firstChild);
+  return {
+    markup: '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg),
+    width: frame.width,
+    height: frame.height,
+  };
+}
+
+function svgDataUrl(markup) {
+  return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+}
+
+// Rasterise exported SVG markup to a PNG blob, `scale` pixels per graph
+// unit.  Resolves with null when the browser cannot draw the image.
+function svgToPng(exported, scale) {
+  return new Promise(function (resolve) {
+    const image = new Image();
+    image.onload = function () {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(exported.width * scale);
+      canvas.height = Math.ceil(exported.height * scale);
+      const context = canvas.getContext('2d');
+      if (!context) {
+        resolve(null);
+        return;
+      }
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(resolve, 'image/png');
+    };
+    image.onerror = function () {
+      resolve(null);
+    };
+    image.src = svgDataUrl(exported.markup);
+  });
+}
+
+// Split the exported area into poster pages `across` pages wide.  Pages
+// keep the printed page's proportions and are listed row by row.
+function posterPages(area, across) {
+  const width = area.width / across;
+  const height = width * POSTER_PAGE_RATIO;
+  const down = Math.max(1, Math.ceil(area.height / height));
+  const pages = [];
+  for (let row = 0; row < down; row++) {
+    for (let column = 0; column < across; column++) {
+      pages.push({
+        row: row,
+        column: column,
+        x: area.x + column * width,
+        y: area.y + row * height,
+        width: width,
+        height: height,
+      });
+    }
+  }
+  return pages;
 }
 
 // Helper alias for React.createElement to shorten element creation.
 const e = React.createElement;
 
+// Keep keyboard focus inside a dialog while it is open.  Focus moves to the
+// first control when the dialog opens, Tab and Shift+Tab wrap around inside
+// it, Escape closes it and focus returns to whatever had it before (for
+// example the graph node that opened the modal).
+const FOCUSABLE_SELECTOR =
+  'button:not([disabled]), select:not([disabled]), input:not([disabled]), textarea:not([disabled]), ' +
+  'a[href], summary, [tabindex]:not([tabindex="-1"])';
+
+function useFocusTrap(ref, onClose) {
+  const onCloseRef = React.useRef(onClose);
+  onCloseRef.current = onClose;
+  React.useEffect(function () {
+    const dialog = ref.current;
+    const previous = document.activeElement;
+    function focusable() {
+      return Array.prototype.slice.call(dialog.querySelectorAll(FOCUSABLE_SELECTOR));
+    }
+    const first = focusable()[0];
+    if (first) first.focus();
+    function onKeyDown(ev) {
+      if (ev.key === 'Escape') {
+        ev.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (ev.key !== 'Tab') return;
+      const items = focusable();
+      if (items.length === 0) {
+        ev.preventDefault();
+      } else if (ev.shiftKey && document.activeElement === items[0]) {
+        ev.preventDefault();
+        items[items.length - 1].focus();
+      } else if (!ev.shiftKey && document.activeElement === items[items.length - 1]) {
+        ev.preventDefault();
+        items[0].focus();
+      }
+    }
+    dialog.addEventListener('keydown', onKeyDown);
+    return function () {
+      dialog.removeEventListener('keydown', onKeyDown);
+      if (previous && previous.focus && document.body.contains(previous)) previous.focus();
+    };
+  }, []);
+}
+
+// Minimal markdown for topic content: headings, paragraphs, bulleted and
+// numbered lists, block quotes, fenced code, and inline code, bold,
+// italics and links.  It builds React elements rather than HTML, so text
+// from a curriculum file can never inject markup, and links go through
+// isSafeUrl.  Headings start at h4 because the modal already uses h2/h3.
+function renderInlineMarkdown(text, keyPrefix) {
+  const pattern = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/g;
+  const parts = [];
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) parts.push(text.slice(last, match.index));
+    const token = match[0];
+    const key = keyPrefix + '-' + match.index;
+    if (match[1]) {
+      parts.push(e('code', { key: key }, token.slice(1, -1)));
+    } else if (match[2]) {
+      parts.push(e('strong', { key: key }, renderInlineMarkdown(token.slice(2, -2), key)));
+    } else if (match[3]) {
+      parts.push(e('em', { key: key }, renderInlineMarkdown(token.slice(1, -1), key)));
+    } else {
+      const split = token.indexOf('](');
+      const label = token.slice(1, split);
+      const url = token.slice(split + 2, -1);
+      parts.push(
+        isSafeUrl(url)
+          ? e('a', { key: key, href: url, target: '_blank', rel: 'noopener noreferrer' }, renderInlineMarkdown(label, key))
+          : label,
+      );
+    }
+    last = match.index + token.length;
+  }
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
+
+function renderMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+  function collect(test, strip) {
+    const items = [];
+    while (i < lines.length && test.test(lines[i])) {
+      items.push(lines[i].replace(strip, ''));
+      i++;
+    }
+    return items;
+  }
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = 'md-' + i;
+    let heading;
+    if (/^\s*$/.test(line)) {
+      i++;
+    } else if (/^```/.test(line)) {
+      i++;
+      const code = [];
+      while (i < lines.length && !/^```/.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(e('pre', { key: key }, e('code', null, code.join('\n'))));
+    } else if ((heading = /^(#{1,6})\s+(.*)$/.exec(line))) {
+      i++;
+      blocks.push(e('h' + Math.min(6, heading[1].length + 3), { key: key }, renderInlineMarkdown(heading[2], key)));
+    } else if (/^\s*[-*+]\s+/.test(line)) {
+      const items = collect(/^\s*[-*+]\s+/, /^\s*[-*+]\s+/);
+      blocks.push(
+        e(
+          'ul',
+          { key: key },
+          items.map(function (item, idx) {
+            return e('li', { key: idx }, renderInlineMarkdown(item, key + '-' + idx));
+          }),
+        ),
+      );
+    } else if (/^\s*\d+[.)]\s+/.test(line)) {
+      const items = collect(/^\s*\d+[.)]\s+/, /^\s*\d+[.)]\s+/);
+      blocks.push(
+        e(
+          'ol',
+          { key: key },
+          items.map(function (item, idx) {
+            return e('li', { key: idx }, renderInlineMarkdown(item, key + '-' + idx));
+          }),
+        ),
+      );
+    } else if (/^>/.test(line)) {
+      const quoted = collect(/^>/, /^>\s?/);
+      blocks.push(e('blockquote', { key: key }, renderInlineMarkdown(quoted.join(' '), key)));
+    } else {
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && !/^\s*$/.test(lines[i]) && !/^(```|#{1,6}\s|>|\s*[-*+]\s|\s*\d+[.)]\s)/.test(lines[i])) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      blocks.push(e('p', { key: key }, renderInlineMarkdown(paragraph.join(' '), key)));
+    }
+  }
+  return blocks;
+}
+
 // Modal component: displays topic details and allows progress updates.  The
 // component is built using plain React element calls (no JSX).  It closes
-// when the overlay is clicked or when the close button is pressed.  After
-// updating progress, it also closes automatically.
+// when the overlay is clicked, when the close button or Escape is pressed.
+// Progress is set with a slider, a number field or the quick-step buttons
+// and the modal stays open so the effect can be seen.
 function Modal(props) {
   const node = props.node;
   const nodes = props.nodes;
   const onClose = props.onClose;
   const updateProgress = props.updateProgress;
-  // Build prerequisites text list
-  const deps = node.dependencies.map((depId) => {
-    const depNode = nodes.find((n) => n.id === depId);
-    return depNode ? depNode.title + ' – ' + depNode.progress + '%' : depId;
+  const dialogRef = React.useRef(null);
+  useFocusTrap(dialogRef, onClose);
+  const checklist = node.checklist || [];
+  const [done, setDone] = React.useState(function () {
+    return loadChecklist(props.curriculumId, node.id, props.profileId);
+  });
+  const [notes, setNotes] = React.useState(function () {
+    return loadNotes(props.curriculumId, node.id, props.profileId);
+  });
+  const doneCount = checklist.filter(function (item) {
+    return done.indexOf(item.id) !== -1;
+  }).length;
+  const [manual, setManual] = React.useState(function () {
+    return loadManualProgress(props.curriculumId, node.id, props.profileId);
+  });
+  const fromChecklist = checklist.length > 0 && !manual;
+  // The slider moves freely and commits when released, so dragging it is
+  // one progress change rather than dozens.
+  const [sliderValue, setSliderValue] = React.useState(node.progress);
+  React.useEffect(
+    function () {
+      setSliderValue(node.progress);
+    },
+    [node.progress],
+  );
+  function commitProgress(value) {
+    const clamped = Math.round(Math.max(0, Math.min(100, value)));
+    if (clamped !== node.progress) updateProgress(node.id, clamped);
+  }
+  // Pointing at (or focusing) a quick step, or dragging the slider,
+  // previews which other topics the new value would unlock or lock.
+  const [hoverValue, setHoverValue] = React.useState(null);
+  const previewValue = hoverValue !== null ? hoverValue : sliderValue;
+  const preview = previewValue === node.progress ? null : previewProgress(nodes, props.settings, node.id, previewValue);
+  // Evaluate the unlock rules so each requirement can be listed with
+  // whether it is met.
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const status = evaluateUnlock(node, byId, props.settings);
+  function requirementItem(item, idx, prefix) {
+    return e(
+      'li',
+      { key: prefix + idx, className: item.met ? 'requirement met' : 'requirement unmet' },
+      (item.met ? '\u2713 ' : '\u2717 ') + item.title + ' – ' + item.progress + '%',
+    );
+  }
+  const deps = [];
+  status.required.forEach(function (item, idx) {
+    deps.push(requirementItem(item, idx, 'req-'));
+  });
+  status.groups.forEach(function (group, gIdx) {
+    deps.push(
+      e(
+        'li',
+        { key: 'group-' + gIdx, className: group.met ? 'requirement-group met' : 'requirement-group unmet' },
+        [
+          'Any ' + group.count + ' of (' + group.metCount + ' done):',
+          e(
+            'ul',
+            { key: 'items' },
+            group.items.map(function (item, idx) {
+              return requirementItem(item, idx, 'alt-' + gIdx + '-');
+            }),
+          ),
+        ],
+      ),
+    );
   });
+  status.recommended.forEach(function (item, idx) {
+    deps.push(
+      e(
+        'li',
+        { key: 'rec-' + idx, className: 'requirement recommended' },
+        'Recommended: ' + item.title + ' – ' + item.progress + '%',
+      ),
+    );
+  });
+  // One sentence naming what is still missing, if anything.
+  const summary = requirementSummary(status);
   return e(
     'div',
     {
@@ -136,15 +1363,16 @@ function Modal(props) {
     },
     e(
       'div',
-      { className: 'modal' },
+      { className: 'modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'modal-title', ref: dialogRef },
       e(
         'div',
         { className: 'modal-header' },
         [
-          e('h2', null, node.title),
+          e('h2', { key: 'title', id: 'modal-title' }, node.title),
           e(
             'button',
             {
+              key: 'close',
               id: 'modal-close',
               'aria-label': 'close',
               onClick: function () {
@@ -159,160 +1387,3783 @@ function Modal(props) {
         'div',
         { className: 'modal-body' },
         [
-          e('p', null, node.description),
-          e('h3', null, 'Prerequisites'),
-          e(
-            'ul',
-            null,
-            deps.length === 0
-              ? [e('li', { key: 'none' }, 'None')]
-              : deps.map(function (text, idx) {
-                  return e('li', { key: 'dep-' + idx }, text);
+          e('p', { key: 'description' }, node.description),
+          props.cohort
+            ? e(CohortDistribution, { key: 'cohort', topic: props.cohort.topic, count: props.cohort.count })
+            : null,
+          node.content ? e('div', { key: 'content', className: 'topic-content' }, renderMarkdown(node.content)) : null,
+          node.resources ? e('h3', { key: 'resources-heading' }, 'Resources') : null,
+          node.resources
+            ? e(
+                'ul',
+                { key: 'resources', className: 'topic-resources' },
+                node.resources.map(function (resource, idx) {
+                  return e(
+                    'li',
+                    { key: 'res-' + idx },
+                    [
+                      e('span', { key: 'type', className: 'resource-type ' + resource.type }, resource.type),
+                      resource.url
+                        ? e(
+                            'a',
+                            { key: 'title', href: resource.url, target: '_blank', rel: 'noopener noreferrer' },
+                            resource.title,
+                          )
+                        : e('span', { key: 'title' }, resource.title),
+                    ],
+                  );
                 }),
-          ),
-          e('h3', null, 'Progress'),
+              )
+            : null,
+          e('h3', { key: 'prerequisites-heading' }, 'Prerequisites'),
+          e('p', { key: 'summary', className: 'requirement-summary' }, summary),
+          e('ul', { key: 'prerequisites' }, deps.length === 0 ? [e('li', { key: 'none' }, 'None')] : deps),
+          checklist.length > 0
+            ? e('h3', { key: 'checklist-heading' }, 'Checklist (' + doneCount + ' of ' + checklist.length + ')')
+            : null,
+          checklist.length > 0
+            ? e(
+                'ul',
+                { key: 'checklist', className: 'topic-checklist' },
+                checklist.map(function (item) {
+                  const checked = done.indexOf(item.id) !== -1;
+                  return e(
+                    'li',
+                    { key: item.id, className: checked ? 'done' : null },
+                    e(
+                      'label',
+                      null,
+                      [
+                        e('input', {
+                          key: 'box',
+                          type: 'checkbox',
+                          checked: checked,
+                          onChange: function () {
+                            const next = checked
+                              ? done.filter(function (id) {
+                                  return id !== item.id;
+                                })
+                              : done.concat([item.id]);
+                            setDone(next);
+                            props.onChecklistChange(node.id, next);
+                          },
+                        }),
+                        ' ' + item.title,
+                      ],
+                    ),
+                  );
+                }),
+              )
+            : null,
+          e('h3', { key: 'progress-heading', id: 'modal-progress-label' }, 'Progress'),
+          checklist.length > 0
+            ? e(
+                'label',
+                { key: 'progress-source', className: 'progress-source' },
+                [
+                  e('input', {
+                    key: 'box',
+                    type: 'checkbox',
+                    checked: !manual,
+                    onChange: function () {
+                      setManual(!manual);
+                      props.onManualProgressChange(node.id, !manual);
+                    },
+                  }),
+                  ' Set progress from the checklist',
+                ],
+              )
+            : null,
           e(
-            'select',
+            'div',
+            { key: 'progress', className: 'progress-control' },
+            [
+              e('input', {
+                key: 'slider',
+                type: 'range',
+                min: 0,
+                max: 100,
+                step: 1,
+                'aria-labelledby': 'modal-progress-label',
+                'aria-valuetext': sliderValue + '%',
+                disabled: fromChecklist,
+                value: sliderValue,
+                onChange: function (ev) {
+                  setSliderValue(parseInt(ev.target.value, 10));
+                },
+                onPointerUp: function (ev) {
+                  commitProgress(parseInt(ev.target.value, 10));
+                },
+                onKeyUp: function (ev) {
+                  commitProgress(parseInt(ev.target.value, 10));
+                },
+                onBlur: function (ev) {
+                  commitProgress(parseInt(ev.target.value, 10));
+                },
+              }),
+              e(
+                'span',
+                { key: 'number', className: 'progress-number' },
+                [
+                  e(NumberField, {
+                    key: 'field',
+                    id: 'modal-progress',
+                    value: node.progress,
+                    disabled: fromChecklist,
+                    label: 'progress in percent',
+                    onCommit: function (value) {
+                      if (value !== undefined && !isNaN(value)) commitProgress(value);
+                    },
+                  }),
+                  ' %',
+                ],
+              ),
+            ],
+          ),
+          e(
+            'div',
+            { key: 'steps', className: 'progress-steps', role: 'group', 'aria-label': 'quick progress' },
+            [0, 25, 50, 75, 100].map(function (step) {
+              return e(
+                'button',
+                {
+                  key: step,
+                  className: 'nav-action',
+                  'aria-pressed': node.progress === step,
+                  disabled: fromChecklist,
+                  onClick: function () {
+                    commitProgress(step);
+                  },
+                  onMouseEnter: function () {
+                    setHoverValue(step);
+                  },
+                  onMouseLeave: function () {
+                    setHoverValue(null);
+                  },
+                  onFocus: function () {
+                    setHoverValue(step);
+                  },
+                  onBlur: function () {
+                    setHoverValue(null);
+                  },
+                },
+                step + ' %',
+              );
+            }),
+          ),
+          e(
+            'p',
+            { key: 'preview', className: 'unlock-preview', 'aria-live': 'polite' },
+            preview ? previewSummary(previewValue, preview) : '',
+          ),
+          // Completed topics come back for review on a spaced schedule.
+          props.review ? e('h3', { key: 'review-heading' }, 'Review') : null,
+          props.review
+            ? e(
+                'p',
+                { key: 'review-due', className: 'requirement-summary' },
+                (Date.parse(props.review.due) <= props.now
+                  ? 'Due for review (' + formatDue(Date.parse(props.review.due), props.now) + ')'
+                  : 'Next review ' + formatDue(Date.parse(props.review.due), props.now)) +
+                  (props.review.log && props.review.log.length > 0
+                    ? ' \u00b7 reviewed ' + props.review.log.length + (props.review.log.length === 1 ? ' time' : ' times')
+                    : ''),
+              )
+            : null,
+          props.review
+            ? e(RecallButtons, {
+                key: 'recall',
+                title: node.title,
+                onRecall: function (score) {
+                  props.onRecall(node.id, score);
+                },
+              })
+            : null,
+          e('h3', { key: 'notes-heading' }, e('label', { htmlFor: 'modal-notes' }, 'My notes')),
+          e('textarea', {
+            key: 'notes',
+            id: 'modal-notes',
+            className: 'topic-notes',
+            rows: 4,
+            placeholder: 'Private to this profile',
+            value: notes,
+            onChange: function (ev) {
+              setNotes(ev.target.value);
+              saveNotes(props.curriculumId, node.id, props.profileId, ev.target.value);
+            },
+          }),
+          e('h3', { key: 'history-heading' }, 'History'),
+          e(
+            'ul',
+            { key: 'history', className: 'topic-history' },
+            (function () {
+              const events = (props.history || [])
+                .filter(function (event) {
+                  return event.topic === node.id;
+                })
+                .slice(-10)
+                .reverse();
+              if (events.length === 0) return [e('li', { key: 'none' }, 'No changes recorded yet.')];
+              return events.map(function (event, idx) {
+                return e(
+                  'li',
+                  { key: event.at + '-' + idx },
+                  formatTimestamp(event.at) + ' – ' + event.from + '% \u2192 ' + event.to + '%',
+                );
+              });
+            })(),
+          ),
+          props.onPlanGoal
+            ? e(
+                'button',
+                {
+                  key: 'plan',
+                  className: 'nav-action modal-action',
+                  onClick: function () {
+                    props.onPlanGoal(node.id);
+                  },
+                },
+                'Plan route to this topic',
+              )
+            : null,
+        ],
+      ),
+    ),
+  );
+}
+
+// "At 100%: unlocks A and B." for the result of previewProgress.
+function previewSummary(value, preview) {
+  function titles(list) {
+    return list
+      .map(function (n) {
+        return n.title;
+      })
+      .join(', ');
+  }
+  const parts = [];
+  if (preview.unlocked.length > 0) parts.push('unlocks ' + titles(preview.unlocked));
+  if (preview.locked.length > 0) parts.push('locks ' + titles(preview.locked) + ' again');
+  return 'At ' + value + '%: ' + (parts.length > 0 ? parts.join('; ') : 'no other topic changes') + '.';
+}
+
+// Read-only card for a locked topic: what it is about and exactly which
+// prerequisites are short of the threshold, and by how much.  It shares
+// the modal's layout (and its element ids, as only one is open at once).
+function LockedCard(props) {
+  const node = props.node;
+  const dialogRef = React.useRef(null);
+  useFocusTrap(dialogRef, props.onClose);
+  const byId = Object.create(null);
+  props.nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const status = evaluateUnlock(node, byId, props.settings);
+  const shortfall = unlockShortfall(status, byId);
+  function gapItem(item, key) {
+    const dep = byId[item.id];
+    const text = dep
+      ? item.title + ' \u2013 ' + item.progress + '% of ' + status.threshold + '%, ' +
+        (status.threshold - item.progress) + ' to go' + (dep.unlocked ? '' : ' (locked itself)')
+      : item.title + ' \u2013 not in this curriculum';
+    return e('li', { key: key, className: 'requirement unmet' }, '\u2717 ' + text);
+  }
+  const gaps = [];
+  status.required.forEach(function (item, idx) {
+    if (!item.met) gaps.push(gapItem(item, 'req-' + idx));
+  });
+  status.groups.forEach(function (group, gIdx) {
+    if (group.met) return;
+    gaps.push(
+      e(
+        'li',
+        { key: 'group-' + gIdx, className: 'requirement-group unmet' },
+        [
+          'Any ' + (group.count - group.metCount) + ' more of:',
+          e(
+            'ul',
+            { key: 'items' },
+            group.items
+              .filter(function (item) {
+                return !item.met;
+              })
+              .map(function (item, idx) {
+                return gapItem(item, 'alt-' + idx);
+              }),
+          ),
+        ],
+      ),
+    );
+  });
+  let summary;
+  if (shortfall.blocked) {
+    summary = 'This topic cannot unlock until its prerequisites are fixed in the curriculum.';
+  } else {
+    summary =
+      shortfall.points + ' percentage points to go' +
+      (shortfall.ready ? ', all in topics you can study now.' : ', some in topics that are locked themselves.');
+  }
+  return e(
+    'div',
+    {
+      id: 'modal-overlay',
+      onClick: function (ev) {
+        if (ev.target.id === 'modal-overlay') props.onClose();
+      },
+    },
+    e(
+      'div',
+      {
+        className: 'modal locked-card',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'modal-title',
+        ref: dialogRef,
+      },
+      [
+        e(
+          'div',
+          { key: 'header', className: 'modal-header' },
+          [
+            e('h2', { key: 'title', id: 'modal-title' }, node.title),
+            e('button', { key: 'close', id: 'modal-close', 'aria-label': 'close', onClick: props.onClose }, '\u2715'),
+          ],
+        ),
+        e(
+          'div',
+          { key: 'body', className: 'modal-body' },
+          [
+            e(
+              'p',
+              { key: 'status', className: 'locked-status' },
+              'Locked \u00b7 prerequisites need ' + status.threshold + '%',
+            ),
+            e('p', { key: 'description' }, node.description),
+            props.cohort
+              ? e(CohortDistribution, { key: 'cohort', topic: props.cohort.topic, count: props.cohort.count })
+              : null,
+            e('h3', { key: 'gaps-heading' }, 'Still needed'),
+            e('p', { key: 'summary', className: 'requirement-summary' }, summary),
+            e('ul', { key: 'gaps' }, gaps),
+            props.onPlanGoal
+              ? e(
+                  'button',
+                  {
+                    key: 'plan',
+                    className: 'nav-action modal-action',
+                    onClick: function () {
+                      props.onPlanGoal(node.id);
+                    },
+                  },
+                  'Plan route to this topic',
+                )
+              : null,
+          ],
+        ),
+      ],
+    ),
+  );
+}
+
+// Numeric input that keeps a local draft and only reports the value on
+// blur or Enter, so typing "80" is one edit rather than two.  An empty
+// field commits `undefined`, meaning "use the default".
+function NumberField(props) {
+  const [draft, setDraft] = React.useState(props.value === undefined ? '' : String(props.value));
+  React.useEffect(
+    function () {
+      setDraft(props.value === undefined ? '' : String(props.value));
+    },
+    [props.value],
+  );
+  function commit() {
+    const value = draft.trim() === '' ? undefined : Number(draft);
+    if (value !== props.value) props.onCommit(value);
+  }
+  return e('input', {
+    id: props.id,
+    type: 'number',
+    min: props.min !== undefined ? props.min : 0,
+    max: props.max !== undefined ? props.max : 100,
+    value: draft,
+    placeholder: props.placeholder,
+    disabled: props.disabled,
+    'aria-label': props.label,
+    onChange: function (ev) {
+      setDraft(ev.target.value);
+    },
+    onBlur: commit,
+    onKeyDown: function (ev) {
+      if (ev.key === 'Enter') ev.target.blur();
+    },
+  });
+}
+
+// Authoring sidebar opened from the hamburger button.  Lists every topic,
+// and for the selected one offers title/description fields, a checklist of
+// prerequisites and a delete button.  Text fields commit on blur or Enter
+// so that each finished edit, not each keystroke, becomes one undo step.
+function EditorSidebar(props) {
+  const curriculum = props.curriculum;
+  const topic = props.editingId ? findTopic(curriculum, props.editingId) : null;
+  // Draft values for the text fields, reset whenever the selected topic or
+  // its stored text changes (for example after an undo).
+  const emptyDraft = { title: '', description: '', tags: '', content: '', resources: '', checklist: '' };
+  const [draft, setDraft] = React.useState(emptyDraft);
+  const tagText = topic ? topicTags(topic).join(', ') : '';
+  const resourceText = topic ? formatResourceLines(topic.resources) : '';
+  const checklistText = topic
+    ? (topic.checklist || [])
+        .map(function (item) {
+          return item.title;
+        })
+        .join('\n')
+    : '';
+  React.useEffect(
+    function () {
+      setDraft(
+        topic
+          ? {
+              title: topic.title,
+              description: topic.description,
+              tags: tagText,
+              content: topic.content || '',
+              resources: resourceText,
+              checklist: checklistText,
+            }
+          : emptyDraft,
+      );
+    },
+    [
+      topic && topic.id,
+      topic && topic.title,
+      topic && topic.description,
+      topic && topic.content,
+      tagText,
+      resourceText,
+      checklistText,
+    ],
+  );
+
+  function commitOnEnter(ev) {
+    if (ev.key === 'Enter' && ev.target.tagName === 'INPUT') {
+      ev.target.blur();
+    }
+  }
+
+  let details = e('p', { key: 'hint', className: 'editor-hint' }, 'Select a topic to edit it, or add a new one.');
+  if (topic) {
+    details = e(
+      'div',
+      { key: 'details', className: 'editor-details' },
+      [
+        e('label', { key: 'title-label', htmlFor: 'editor-title' }, 'Title'),
+        e('input', {
+          key: 'title',
+          id: 'editor-title',
+          type: 'text',
+          value: draft.title,
+          onChange: function (ev) {
+            setDraft(Object.assign({}, draft, { title: ev.target.value }));
+          },
+          onKeyDown: commitOnEnter,
+          onBlur: function () {
+            if (draft.title === topic.title) return;
+            props.onUpdate(topic.id, { title: draft.title });
+            if (draft.title.trim() === '') {
+              setDraft(Object.assign({}, draft, { title: topic.title }));
+            }
+          },
+        }),
+        e('label', { key: 'desc-label', htmlFor: 'editor-description' }, 'Description'),
+        e('textarea', {
+          key: 'description',
+          id: 'editor-description',
+          rows: 4,
+          value: draft.description,
+          onChange: function (ev) {
+            setDraft(Object.assign({}, draft, { description: ev.target.value }));
+          },
+          onBlur: function () {
+            if (draft.description !== topic.description) {
+              props.onUpdate(topic.id, { description: draft.description });
+            }
+          },
+        }),
+        e('label', { key: 'content-label', htmlFor: 'editor-content' }, 'Long description (markdown)'),
+        e('textarea', {
+          key: 'content',
+          id: 'editor-content',
+          rows: 6,
+          value: draft.content,
+          onChange: function (ev) {
+            setDraft(Object.assign({}, draft, { content: ev.target.value }));
+          },
+          onBlur: function () {
+            if (draft.content !== (topic.content || '')) {
+              props.onUpdate(topic.id, { content: draft.content.trim() === '' ? undefined : draft.content });
+            }
+          },
+        }),
+        e('label', { key: 'resources-label', htmlFor: 'editor-resources' }, 'Resources (title | url | type per line)'),
+        e('textarea', {
+          key: 'resources',
+          id: 'editor-resources',
+          rows: 3,
+          value: draft.resources,
+          onChange: function (ev) {
+            setDraft(Object.assign({}, draft, { resources: ev.target.value }));
+          },
+          onBlur: function () {
+            const resources = parseResourceLines(draft.resources);
+            if (formatResourceLines(resources) !== resourceText) {
+              props.onUpdate(topic.id, { resources: resources.length > 0 ? resources : undefined });
+            }
+          },
+        }),
+        e('label', { key: 'checklist-label', htmlFor: 'editor-checklist' }, 'Checklist (one item per line)'),
+        e('textarea', {
+          key: 'checklist',
+          id: 'editor-checklist',
+          rows: 3,
+          value: draft.checklist,
+          onChange: function (ev) {
+            setDraft(Object.assign({}, draft, { checklist: ev.target.value }));
+          },
+          onBlur: function () {
+            const checklist = normaliseChecklist(draft.checklist.split('\n'));
+            const text = checklist
+              .map(function (item) {
+                return item.title;
+              })
+              .join('\n');
+            if (text !== checklistText) {
+              props.onUpdate(topic.id, { checklist: checklist.length > 0 ? checklist : undefined });
+            }
+          },
+        }),
+        e('label', { key: 'tags-label', htmlFor: 'editor-tags' }, 'Tags (comma separated)'),
+        e('input', {
+          key: 'tags',
+          id: 'editor-tags',
+          type: 'text',
+          value: draft.tags,
+          onChange: function (ev) {
+            setDraft(Object.assign({}, draft, { tags: ev.target.value }));
+          },
+          onKeyDown: commitOnEnter,
+          onBlur: function () {
+            const tags = topicTags({ tags: draft.tags.split(',') });
+            if (tags.join(', ') !== tagText) props.onUpdate(topic.id, { tags: tags });
+          },
+        }),
+        (curriculum.groups || []).length > 0
+          ? e('label', { key: 'group-label', htmlFor: 'editor-group' }, 'Group')
+          : null,
+        (curriculum.groups || []).length > 0
+          ? e(
+              'select',
+              {
+                key: 'group',
+                id: 'editor-group',
+                value: topic.group || '',
+                onChange: function (ev) {
+                  props.onUpdate(topic.id, { group: ev.target.value || undefined });
+                },
+              },
+              [e('option', { key: '', value: '' }, 'No group')].concat(
+                curriculum.groups.map(function (group) {
+                  return e(
+                    'option',
+                    { key: group.id, value: group.id },
+                    groupAncestry(curriculum.groups, group.id)
+                      .reverse()
+                      .map(function (id) {
+                        return findGroup(curriculum, id).title;
+                      })
+                      .join(' / '),
+                  );
+                }),
+              ),
+            )
+          : null,
+        e('label', { key: 'threshold-label', htmlFor: 'editor-threshold' }, 'Unlock threshold (%)'),
+        e(NumberField, {
+          key: 'threshold',
+          id: 'editor-threshold',
+          value: topic.unlockThreshold,
+          placeholder: 'Default (' + unlockThresholdFor({}, curriculum.settings) + ')',
+          onCommit: function (value) {
+            props.onUpdate(topic.id, { unlockThreshold: value });
+          },
+        }),
+        e('label', { key: 'effort-label', htmlFor: 'editor-effort' }, 'Effort estimate (hours)'),
+        e(NumberField, {
+          key: 'effort',
+          id: 'editor-effort',
+          value: topic.effort,
+          max: 10000,
+          placeholder: 'None',
+          onCommit: function (value) {
+            props.onUpdate(topic.id, { effort: value });
+          },
+        }),
+        e('h3', { key: 'prereq-heading' }, 'Prerequisites'),
+        e(
+          'ul',
+          { key: 'prereqs', className: 'editor-prereqs' },
+          curriculum.nodes
+            .filter(function (n) {
+              return n.id !== topic.id;
+            })
+            .map(function (n) {
+              const kind = prerequisiteKind(topic, n.id);
+              const blocked = !kind && wouldCreateCycle(curriculum.nodes, n.id, topic.id);
+              return e(
+                'li',
+                {
+                  key: n.id,
+                  className: blocked ? 'disabled' : '',
+                  title: blocked ? n.title + ' already depends on this topic' : '',
+                },
+                [
+                  e('span', { key: 'title' }, n.title),
+                  e(
+                    'select',
+                    {
+                      key: 'kind',
+                      'aria-label': 'prerequisite type for ' + n.title,
+                      value: kind || '',
+                      disabled: blocked,
+                      onChange: function (ev) {
+                        props.onSetPrerequisite(n.id, topic.id, ev.target.value || null);
+                      },
+                    },
+                    [
+                      e('option', { key: 'none', value: '' }, '\u2014'),
+                      e('option', { key: 'required', value: 'required' }, 'Required'),
+                      e('option', { key: 'alternative', value: 'alternative' }, 'Alternative'),
+                      e('option', { key: 'recommended', value: 'recommended' }, 'Recommended'),
+                    ],
+                  ),
+                ],
+              );
+            }),
+        ),
+        topic.alternatives && topic.alternatives.length > 0
+          ? e(
+              'div',
+              { key: 'alternatives', className: 'editor-alternatives' },
+              [
+                e('label', { key: 'label', htmlFor: 'editor-alt-count' }, 'Alternatives needed'),
+                e(NumberField, {
+                  key: 'count',
+                  id: 'editor-alt-count',
+                  value: topic.alternatives[0].count,
+                  min: 1,
+                  max: topic.alternatives[0].topics.length,
+                  onCommit: function (value) {
+                    props.onSetAlternativeCount(topic.id, value === undefined ? 1 : value);
+                  },
+                }),
+                topic.alternatives.length > 1
+                  ? e(
+                      'p',
+                      { key: 'more', className: 'editor-hint' },
+                      'This topic has ' +
+                        (topic.alternatives.length - 1) +
+                        ' further alternative group(s) from its curriculum file; they are kept as they are.',
+                    )
+                  : null,
+              ],
+            )
+          : null,
+        e(
+          'p',
+          { key: 'drag-hint', className: 'editor-hint' },
+          'Tip: shift-drag from one node to another on the graph to add a required prerequisite.',
+        ),
+        e(
+          'button',
+          {
+            key: 'delete',
+            className: 'nav-action danger',
+            onClick: function () {
+              if (window.confirm('Delete "' + topic.title + '"?  Topics that require it will lose that prerequisite.')) {
+                props.onDelete(topic.id);
+              }
+            },
+          },
+          'Delete topic',
+        ),
+      ],
+    );
+  }
+
+  return e(
+    'aside',
+    { className: 'side-panel editor-sidebar', 'aria-label': 'Curriculum editor' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Edit curriculum'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close editor',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e(
+        'div',
+        { key: 'toolbar', className: 'editor-toolbar' },
+        [
+          e('button', { key: 'add', className: 'nav-action', onClick: props.onAdd }, 'New topic'),
+          e(
+            'button',
+            { key: 'undo', className: 'nav-action', disabled: !props.canUndo, onClick: props.onUndo, title: 'Ctrl+Z' },
+            'Undo',
+          ),
+          e(
+            'button',
+            { key: 'redo', className: 'nav-action', disabled: !props.canRedo, onClick: props.onRedo, title: 'Ctrl+Y' },
+            'Redo',
+          ),
+        ],
+      ),
+      props.error ? e('p', { key: 'error', className: 'editor-error', role: 'alert' }, props.error) : null,
+      e(
+        'div',
+        { key: 'settings', className: 'editor-details editor-settings' },
+        [
+          e('label', { key: 'label', htmlFor: 'editor-default-threshold' }, 'Default unlock threshold (%)'),
+          e(NumberField, {
+            key: 'threshold',
+            id: 'editor-default-threshold',
+            value: curriculum.settings && curriculum.settings.unlockThreshold,
+            placeholder: String(DEFAULT_UNLOCK_THRESHOLD),
+            onCommit: props.onSetDefaultThreshold,
+          }),
+        ],
+      ),
+      e(
+        'ul',
+        { key: 'topics', className: 'editor-topics' },
+        curriculum.nodes.map(function (n) {
+          return e(
+            'li',
+            { key: n.id },
+            e(
+              'button',
+              {
+                className: n.id === props.editingId ? 'selected' : '',
+                onClick: function () {
+                  props.onSelect(n.id);
+                },
+              },
+              n.title,
+            ),
+          );
+        }),
+      ),
+      details,
+    ],
+  );
+}
+
+// Format an effort figure in hours for display.
+function formatHours(hours) {
+  const rounded = Math.round(hours * 10) / 10;
+  return rounded + (rounded === 1 ? ' hour' : ' hours');
+}
+
+// Learning path planner.  Lets the user pick a goal topic and shows the
+// ordered checklist produced by planLearningPath together with the total
+// remaining effort.  Steps that are unlocked can be opened directly.
+function PlannerPanel(props) {
+  const plan = props.plan;
+  const nodes = props.nodes;
+  let body;
+  if (!plan) {
+    body = e('p', { key: 'hint', className: 'editor-hint' }, 'Choose a goal to see the route to it.');
+  } else if (plan.steps.length === 0) {
+    body = e('p', { key: 'done', className: 'diagnostics-ok' }, 'This goal is already complete.');
+  } else {
+    body = e(
+      'div',
+      { key: 'plan' },
+      [
+        e(
+          'p',
+          { key: 'summary', className: 'planner-summary' },
+          plan.steps.length +
+            (plan.steps.length === 1 ? ' topic' : ' topics') +
+            ' to go' +
+            (plan.hasEffort ? ', about ' + formatHours(plan.totalEffort) + ' of study.' : '.'),
+        ),
+        plan.blocked
+          ? e(
+              'p',
+              { key: 'blocked', className: 'editor-error' },
+              'Part of this route is missing or circular; see Diagnostics.',
+            )
+          : null,
+        e(
+          'ol',
+          { key: 'steps', className: 'planner-steps' },
+          plan.steps.map(function (step) {
+            return e(
+              'li',
+              { key: step.id, className: step.unlocked ? 'available' : 'locked' },
+              [
+                e(
+                  'button',
+                  {
+                    key: 'title',
+                    className: 'planner-step',
+                    disabled: !step.unlocked,
+                    title: step.unlocked ? 'Open ' + step.title : 'Locked until its prerequisites are done',
+                    onClick: function () {
+                      props.onOpen(step.id);
+                    },
+                  },
+                  step.title,
+                ),
+                e(
+                  'span',
+                  { key: 'detail', className: 'planner-detail' },
+                  step.progress + '% \u2192 ' + step.target + '%' +
+                    (plan.hasEffort ? ' \u00b7 ' + formatHours(step.remaining) : ''),
+                ),
+              ],
+            );
+          }),
+        ),
+      ],
+    );
+  }
+  return e(
+    'aside',
+    { className: 'side-panel planner-panel', 'aria-label': 'Learning path planner' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Path planner'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close planner',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e('label', { key: 'goal-label', htmlFor: 'planner-goal', className: 'planner-label' }, 'Goal'),
+      e(
+        'select',
+        {
+          key: 'goal',
+          id: 'planner-goal',
+          className: 'planner-goal',
+          value: props.goalId || '',
+          onChange: function (ev) {
+            props.onGoalChange(ev.target.value || null);
+          },
+        },
+        [e('option', { key: 'none', value: '' }, 'No goal')].concat(
+          nodes.map(function (n) {
+            return e('option', { key: n.id, value: n.id }, n.title);
+          }),
+        ),
+      ),
+      body,
+    ],
+  );
+}
+
+// Activity timeline.  Lists every recorded progress change, newest first,
+// with an undo button for changes that are still current.  A slider replays
+// the graph as it stood after any event; "Back to live" returns to the
+// present.  The panel also holds the "include history in exports" option.
+const TIMELINE_DISPLAY_LIMIT = 200;
+
+function TimelinePanel(props) {
+  const history = props.history;
+  const nodes = props.nodes;
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  // Slider position k shows the state after the first k events.
+  const times = history.map(function (event) {
+    return Date.parse(event.at);
+  });
+  let position = history.length;
+  if (props.replayTime !== null) {
+    position = times.filter(function (t) {
+      return t <= props.replayTime;
+    }).length;
+  }
+  function replayTo(k) {
+    if (k >= history.length) {
+      props.onReplay(null);
+    } else {
+      props.onReplay(k === 0 ? times[0] - 1 : times[k - 1]);
+    }
+  }
+  const recent = history.slice(-TIMELINE_DISPLAY_LIMIT).reverse();
+  return e(
+    'aside',
+    { className: 'side-panel timeline-panel', 'aria-label': 'Activity timeline' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Timeline'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close timeline',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e(
+        'label',
+        { key: 'export', className: 'timeline-option' },
+        [
+          e('input', {
+            key: 'box',
+            type: 'checkbox',
+            checked: props.exportHistory,
+            onChange: function () {
+              props.onExportHistoryChange(!props.exportHistory);
+            },
+          }),
+          ' Include history in exports',
+        ],
+      ),
+      history.length === 0
+        ? e('p', { key: 'empty', className: 'diagnostics-ok' }, 'No progress changes recorded yet.')
+        : e(
+            'div',
+            { key: 'replay', className: 'timeline-replay' },
+            [
+              e('label', { key: 'label', htmlFor: 'timeline-slider' }, 'Replay'),
+              e('input', {
+                key: 'slider',
+                id: 'timeline-slider',
+                type: 'range',
+                min: 0,
+                max: history.length,
+                value: position,
+                onChange: function (ev) {
+                  replayTo(parseInt(ev.target.value, 10));
+                },
+              }),
+              e(
+                'p',
+                { key: 'when', className: 'timeline-when' },
+                props.replayTime === null
+                  ? 'Showing current progress.'
+                  : position === 0
+                    ? 'Showing progress before the first recorded change.'
+                    : 'Showing progress as of ' + formatTimestamp(history[position - 1].at) + '.',
+              ),
+              props.replayTime !== null
+                ? e(
+                    'button',
+                    {
+                      key: 'live',
+                      className: 'nav-action',
+                      onClick: function () {
+                        props.onReplay(null);
+                      },
+                    },
+                    'Back to live',
+                  )
+                : null,
+            ],
+          ),
+      e(
+        'ol',
+        { key: 'events', className: 'timeline-events', reversed: true },
+        recent.map(function (event, idx) {
+          const node = byId[event.topic];
+          const current = node && node.progress === event.to;
+          return e(
+            'li',
+            { key: event.at + '-' + event.topic + '-' + idx },
+            [
+              e('span', { key: 'when', className: 'timeline-time' }, formatTimestamp(event.at)),
+              e(
+                'span',
+                { key: 'what' },
+                (node ? node.title : event.topic) + ': ' + event.from + '% \u2192 ' + event.to + '%' +
+                  (event.source && event.source !== 'modal' ? ' (' + event.source + ')' : ''),
+              ),
+              e(
+                'button',
+                {
+                  key: 'undo',
+                  className: 'timeline-undo',
+                  disabled: !current || props.replayTime !== null,
+                  title: current ? 'Set back to ' + event.from + '%' : 'Progress has changed since',
+                  onClick: function () {
+                    props.onUndo(event);
+                  },
+                },
+                'Undo',
+              ),
+            ],
+          );
+        }),
+      ),
+    ],
+  );
+}
+
+// Navbar search box.  Results are listed under the input as the user
+// types; arrow keys move through them, Enter picks the highlighted one and
+// Escape clears the query.  Picking a result centres it on the graph.
+const SEARCH_RESULT_LIMIT = 8;
+
+function SearchBox(props) {
+  const [open, setOpen] = React.useState(false);
+  const [active, setActive] = React.useState(0);
+  const byId = Object.create(null);
+  props.nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const shown = props.results.slice(0, SEARCH_RESULT_LIMIT);
+  const expanded = open && shown.length > 0;
+  function choose(id) {
+    setOpen(false);
+    props.onSelect(id);
+  }
+  return e(
+    'div',
+    { className: 'search-box' },
+    [
+      e('input', {
+        key: 'input',
+        type: 'search',
+        placeholder: 'Search topics',
+        'aria-label': 'search topics',
+        role: 'combobox',
+        'aria-autocomplete': 'list',
+        'aria-expanded': expanded,
+        'aria-controls': 'search-results',
+        'aria-activedescendant': expanded ? 'search-result-' + active : null,
+        value: props.query,
+        onChange: function (ev) {
+          props.onQueryChange(ev.target.value);
+          setActive(0);
+          setOpen(true);
+        },
+        onFocus: function () {
+          setOpen(true);
+        },
+        onBlur: function () {
+          setOpen(false);
+        },
+        onKeyDown: function (ev) {
+          if (ev.key === 'ArrowDown' && shown.length > 0) {
+            ev.preventDefault();
+            setOpen(true);
+            setActive((active + 1) % shown.length);
+          } else if (ev.key === 'ArrowUp' && shown.length > 0) {
+            ev.preventDefault();
+            setActive((active + shown.length - 1) % shown.length);
+          } else if (ev.key === 'Enter' && shown.length > 0) {
+            ev.preventDefault();
+            choose(shown[Math.min(active, shown.length - 1)].id);
+          } else if (ev.key === 'Escape') {
+            props.onQueryChange('');
+            setOpen(false);
+          }
+        },
+      }),
+      props.query.trim() !== ''
+        ? e(
+            'span',
+            { key: 'count', className: 'search-count', 'aria-live': 'polite' },
+            props.results.length === 1 ? '1 match' : props.results.length + ' matches',
+          )
+        : null,
+      expanded
+        ? e(
+            'ul',
+            { key: 'results', id: 'search-results', className: 'search-results', role: 'listbox' },
+            shown.map(function (result, idx) {
+              const node = byId[result.id];
+              return e(
+                'li',
+                {
+                  key: result.id,
+                  id: 'search-result-' + idx,
+                  role: 'option',
+                  'aria-selected': idx === active,
+                  className: idx === active ? 'active' : null,
+                  // Keep focus in the input so the list does not close
+                  // before the click lands.
+                  onMouseDown: function (ev) {
+                    ev.preventDefault();
+                  },
+                  onClick: function () {
+                    choose(result.id);
+                  },
+                },
+                [
+                  e('span', { key: 'title' }, node.title),
+                  node.unlocked ? null : e('span', { key: 'locked', className: 'search-locked' }, ' (locked)'),
+                ],
+              );
+            }),
+          )
+        : null,
+    ],
+  );
+}
+
+// Multi-select tag filter in the navbar.  A topic is shown when it has any
+// of the ticked tags; with none ticked every topic is shown.
+function TagFilter(props) {
+  if (props.tags.length === 0) return null;
+  const selected = props.selected.filter(function (tag) {
+    return props.tags.indexOf(tag) !== -1;
+  });
+  function toggle(tag) {
+    props.onChange(
+      selected.indexOf(tag) === -1
+        ? selected.concat([tag])
+        : selected.filter(function (t) {
+            return t !== tag;
+          }),
+    );
+  }
+  return e(
+    'details',
+    { className: 'tag-filter' },
+    [
+      e('summary', { key: 'summary' }, selected.length > 0 ? 'Tags (' + selected.length + ')' : 'Tags'),
+      e(
+        'div',
+        { key: 'menu', className: 'tag-filter-menu', role: 'group', 'aria-label': 'filter by tag' },
+        props.tags
+          .map(function (tag) {
+            return e(
+              'label',
+              { key: tag },
+              [
+                e('input', {
+                  key: 'box',
+                  type: 'checkbox',
+                  checked: selected.indexOf(tag) !== -1,
+                  onChange: function () {
+                    toggle(tag);
+                  },
+                }),
+                ' ' + tag,
+              ],
+            );
+          })
+          .concat(
+            selected.length > 0
+              ? [
+                  e(
+                    'button',
+                    {
+                      key: 'clear',
+                      className: 'nav-action',
+                      onClick: function () {
+                        props.onChange([]);
+                      },
+                    },
+                    'Show all',
+                  ),
+                ]
+              : [],
+          ),
+      ),
+    ],
+  );
+}
+
+// Recall rating buttons for a review, from "Forgot" (0) to "Easy" (5).
+function RecallButtons(props) {
+  return e(
+    'div',
+    { className: 'recall-buttons', role: 'group', 'aria-label': 'How well did you recall ' + props.title + '?' },
+    RECALL_SCORES.map(function (option) {
+      return e(
+        'button',
+        {
+          key: option.score,
+          className: 'nav-action recall-' + option.score,
+          title: option.score + ' \u2013 ' + option.hint,
+          onClick: function () {
+            props.onRecall(option.score);
+          },
+        },
+        option.label,
+      );
+    }),
+  );
+}
+
+// Review panel: completed topics due for review, each rated with how well
+// it was recalled, followed by the reviews scheduled for later.
+function ReviewPanel(props) {
+  const queue = props.queue;
+  return e(
+    'aside',
+    { className: 'side-panel review-panel', 'aria-label': 'Reviews' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Reviews'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close reviews',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e('h3', { key: 'due-heading' }, 'Due for review'),
+      queue.due.length === 0
+        ? e('p', { key: 'none-due', className: 'diagnostics-ok' }, 'Nothing is due right now.')
+        : e(
+            'ul',
+            { key: 'due', className: 'review-list' },
+            queue.due.map(function (entry) {
+              return e(
+                'li',
+                { key: entry.node.id },
+                [
+                  e(
+                    'button',
+                    {
+                      key: 'title',
+                      className: 'planner-step',
+                      title: 'Show ' + entry.node.title + ' on the graph',
+                      onClick: function () {
+                        props.onFocusTopic(entry.node.id);
+                      },
+                    },
+                    entry.node.title,
+                  ),
+                  e('span', { key: 'due', className: 'planner-detail' }, 'Due ' + formatDue(entry.dueAt, props.now)),
+                  e(RecallButtons, {
+                    key: 'recall',
+                    title: entry.node.title,
+                    onRecall: function (score) {
+                      props.onRecall(entry.node.id, score);
+                    },
+                  }),
+                ],
+              );
+            }),
+          ),
+      e('h3', { key: 'upcoming-heading' }, 'Coming up'),
+      queue.upcoming.length === 0
+        ? e('p', { key: 'none-upcoming', className: 'editor-hint' }, 'Complete a topic to schedule its first review.')
+        : e(
+            'ul',
+            { key: 'upcoming', className: 'review-list' },
+            queue.upcoming.map(function (entry) {
+              return e(
+                'li',
+                { key: entry.node.id },
+                [
+                  e('span', { key: 'title' }, entry.node.title),
+                  e(
+                    'span',
+                    { key: 'due', className: 'planner-detail' },
+                    'Due ' + formatDue(entry.dueAt, props.now) + ' \u00b7 every ' + entry.schedule.interval +
+                      (entry.schedule.interval === 1 ? ' day' : ' days'),
+                  ),
+                ],
+              );
+            }),
+          ),
+    ],
+  );
+}
+
+// Locked topics closest to unlocking (see unlockForecast), each with the
+// prerequisites it is waiting for.
+const NEXT_UNLOCKS_LIMIT = 10;
+
+function NextUnlocksPanel(props) {
+  const forecast = props.forecast;
+  const shown = forecast.ranked.slice(0, NEXT_UNLOCKS_LIMIT);
+  return e(
+    'aside',
+    { className: 'side-panel next-unlocks-panel', 'aria-label': 'Next unlocks' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Next unlocks'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close next unlocks',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      shown.length === 0
+        ? e('p', { key: 'none', className: 'diagnostics-ok' }, 'Every topic that can unlock is unlocked.')
+        : e(
+            'ol',
+            { key: 'list', className: 'review-list next-unlocks' },
+            shown.map(function (entry) {
+              const shortfall = entry.shortfall;
+              return e(
+                'li',
+                { key: entry.node.id },
+                [
+                  e(
+                    'button',
+                    {
+                      key: 'title',
+                      className: 'planner-step',
+                      title: 'What ' + entry.node.title + ' still needs',
+                      onClick: function () {
+                        props.onSelect(entry.node.id);
+                      },
+                    },
+                    entry.node.title,
+                  ),
+                  e(
+                    'span',
+                    { key: 'points', className: 'planner-detail' },
+                    shortfall.points + ' points to go' + (shortfall.ready ? '' : ' \u00b7 waits on locked topics'),
+                  ),
+                  e(
+                    'ul',
+                    { key: 'items', className: 'next-unlocks-needs' },
+                    shortfall.items.map(function (item) {
+                      return e(
+                        'li',
+                        { key: item.id, className: item.locked ? 'locked' : null },
+                        item.title + ' ' + item.progress + '% \u2192 ' + (item.progress + item.needed) + '%' +
+                          (item.alternative ? ' (or an alternative)' : ''),
+                      );
+                    }),
+                  ),
+                ],
+              );
+            }),
+          ),
+      forecast.ranked.length > shown.length
+        ? e(
+            'p',
+            { key: 'more', className: 'editor-hint' },
+            forecast.ranked.length - shown.length + ' more locked topics.',
+          )
+        : null,
+      forecast.blocked.length > 0
+        ? e(
+            'p',
+            { key: 'blocked', className: 'editor-hint' },
+            forecast.blocked.length +
+              (forecast.blocked.length === 1 ? ' topic' : ' topics') +
+              ' can never unlock because of a missing prerequisite; see Diagnostics.',
+          )
+        : null,
+    ],
+  );
+}
+
+// An amount of study in the units of studyPace: hours when the
+// curriculum estimates effort, topics otherwise.
+function formatStudy(amount, hasEffort) {
+  if (hasEffort) return formatHours(amount);
+  const rounded = Math.round(amount * 10) / 10;
+  return rounded + (rounded === 1 ? ' topic' : ' topics');
+}
+
+// The first and last day of a scheduled step, or the one day it takes.
+function formatDayRange(start, end) {
+  return start === end ? formatDay(start) : formatDay(start) + ' \u2013 ' + formatDay(end);
+}
+
+// Goals panel.  Sets a target date on any topic and lists every goal with
+// its status (see goalOverview), what is left, the study needed each day
+// to make the date and the schedule of the route, which can be exported
+// as a calendar.
+function GoalsPanel(props) {
+  const overview = props.overview;
+  const pace = overview.pace;
+  const [topicId, setTopicId] = React.useState('');
+  const [due, setDue] = React.useState('');
+  function dueOf(id) {
+    return Object.prototype.hasOwnProperty.call(props.goals, id) ? props.goals[id] : null;
+  }
+  return e(
+    'aside',
+    { className: 'side-panel goals-panel', 'aria-label': 'Goals' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Goals'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close goals',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e(
+        'p',
+        { key: 'pace', className: 'planner-summary' },
+        pace.perDay === null
+          ? 'No progress in the last ' + PACE_WINDOW_DAYS + ' days, so there is no pace to project from yet.'
+          : 'Your pace: ' +
+              formatStudy(pace.perDay, pace.hasEffort) +
+              ' a day over the last ' +
+              Math.round(pace.days) +
+              (Math.round(pace.days) === 1 ? ' day.' : ' days.'),
+      ),
+      e(
+        'div',
+        { key: 'form', className: 'goals-form' },
+        [
+          e('label', { key: 'topic-label', htmlFor: 'goals-topic', className: 'planner-label' }, 'Topic'),
+          e(
+            'select',
+            {
+              key: 'topic',
+              id: 'goals-topic',
+              className: 'planner-goal',
+              value: topicId,
+              onChange: function (ev) {
+                setTopicId(ev.target.value);
+                if (dueOf(ev.target.value)) setDue(dueOf(ev.target.value));
+              },
+            },
+            [e('option', { key: 'none', value: '' }, 'Choose a topic')].concat(
+              props.nodes.map(function (n) {
+                return e('option', { key: n.id, value: n.id }, n.title);
+              }),
+            ),
+          ),
+          e('label', { key: 'due-label', htmlFor: 'goals-due', className: 'planner-label' }, 'Due'),
+          e('input', {
+            key: 'due',
+            id: 'goals-due',
+            type: 'date',
+            className: 'goals-due',
+            value: due,
+            min: dayString(props.now),
+            onChange: function (ev) {
+              setDue(ev.target.value);
+            },
+          }),
+          e(
+            'button',
+            {
+              key: 'set',
+              className: 'nav-action',
+              disabled: !topicId || !due,
+              onClick: function () {
+                if (props.onSetGoal(topicId, due)) {
+                  setTopicId('');
+                  setDue('');
+                }
+              },
+            },
+            dueOf(topicId) ? 'Change goal' : 'Set goal',
+          ),
+        ],
+      ),
+      props.error ? e('p', { key: 'error', className: 'editor-error', role: 'alert' }, props.error) : null,
+      overview.goals.length === 0
+        ? e(
+            'p',
+            { key: 'empty', className: 'editor-hint' },
+            'Pick a topic and the date you want to reach it by to get a study schedule for the route there.',
+          )
+        : e(
+            'ul',
+            { key: 'goals', className: 'review-list goals-list' },
+            overview.goals.map(function (goal) {
+              const open = goal.status !== 'done';
+              const details = ['Due ' + formatDay(goal.due) + ' (' + formatDue(parseDay(goal.due), props.now) + ')'];
+              if (open) {
+                details.push(
+                  formatStudy(goal.remaining, goal.hasEffort) +
+                    ' left, ' +
+                    formatStudy(goal.neededPerDay, goal.hasEffort) +
+                    ' a day',
+                );
+                details.push(goal.projected ? 'projected ' + formatDay(goal.projected) : 'no pace yet');
+              }
+              return e(
+                'li',
+                { key: goal.goal, className: 'goal-' + goal.status },
+                [
+                  e(
+                    'button',
+                    {
+                      key: 'title',
+                      className: 'planner-step',
+                      title: 'Show ' + goal.title + ' on the graph',
+                      onClick: function () {
+                        props.onFocusTopic(goal.goal);
+                      },
+                    },
+                    goal.title,
+                  ),
+                  e(
+                    'span',
+                    { key: 'status', className: 'goal-status ' + goal.status },
+                    GOAL_STATUSES[goalStatusRank(goal.status)].label,
+                  ),
+                  e(
+                    'button',
+                    {
+                      key: 'remove',
+                      className: 'side-panel-close',
+                      'aria-label': 'remove the goal ' + goal.title,
+                      onClick: function () {
+                        props.onSetGoal(goal.goal, null);
+                      },
+                    },
+                    '\u2715',
+                  ),
+                  e('span', { key: 'detail', className: 'planner-detail' }, details.join(' \u00b7 ')),
+                  goal.blocked
+                    ? e(
+                        'p',
+                        { key: 'blocked', className: 'editor-error' },
+                        'Part of this route is missing or circular; see Diagnostics.',
+                      )
+                    : null,
+                  open
+                    ? e(
+                        'ol',
+                        { key: 'schedule', className: 'goal-schedule' },
+                        goal.steps.map(function (step) {
+                          return e(
+                            'li',
+                            { key: step.id },
+                            [
+                              e(
+                                'span',
+                                { key: 'title' },
+                                step.title + ' ' + step.progress + '% \u2192 ' + step.target + '%',
+                              ),
+                              e(
+                                'span',
+                                { key: 'days', className: 'planner-detail' },
+                                formatDayRange(step.start, step.end),
+                              ),
+                            ],
+                          );
+                        }),
+                      )
+                    : null,
+                ],
+              );
+            }),
+          ),
+      e(
+        'button',
+        {
+          key: 'export',
+          className: 'nav-action',
+          disabled: overview.goals.length === 0,
+          onClick: props.onExport,
+        },
+        'Export calendar (.ics)',
+      ),
+    ],
+  );
+}
+
+// One topic's spread over the cohort, shown in the modal and the locked
+// card while the cohort dashboard is on: the average and median and a
+// bar per histogram bin (see cohortStats).
+function CohortDistribution(props) {
+  const topic = props.topic;
+  const count = props.count;
+  const widest = Math.max.apply(
+    null,
+    topic.histogram.map(function (bin) {
+      return bin.count;
+    }),
+  );
+  const parts = ['Average ' + topic.mean + '%, median ' + topic.median + '% over ' + count + ' learners'];
+  parts.push(topic.completed + ' completed');
+  if (topic.threshold !== null) parts.push(topic.stuck + ' stuck below ' + topic.threshold + '%');
+  return e(
+    'section',
+    { className: 'cohort-distribution', 'aria-label': 'cohort distribution' },
+    [
+      e('h3', { key: 'heading' }, 'Cohort'),
+      e(
+        'p',
+        { key: 'summary', className: 'requirement-summary' + (topic.bottleneck ? ' bottleneck' : '') },
+        parts.join(' \u00b7 ') + (topic.bottleneck ? ' \u00b7 bottleneck' : '') + '.',
+      ),
+      e(
+        'ul',
+        { key: 'bins', className: 'cohort-histogram' },
+        topic.histogram.map(function (bin) {
+          return e(
+            'li',
+            { key: bin.label },
+            [
+              e('span', { key: 'label', className: 'cohort-bin' }, bin.label),
+              e(
+                'span',
+                { key: 'bar', className: 'cohort-bar-track' },
+                e('span', {
+                  className: 'cohort-bar',
+                  style: { width: (widest > 0 ? (bin.count / widest) * 100 : 0) + '%' },
+                }),
+              ),
+              e('span', { key: 'count', className: 'cohort-count' }, bin.count),
+            ],
+          );
+        }),
+      ),
+    ],
+  );
+}
+
+// Cohort dashboard.  Instructors add learners from progress exports or
+// from this browser's profiles; while the panel is open the graph shows
+// the cohort's average or median instead of the active profile.  The
+// panel lists bottlenecks (see cohortStats) and exports a summary report.
+function CohortPanel(props) {
+  const cohort = props.cohort;
+  const stats = props.stats;
+  function titleOf(id) {
+    const node = props.nodes.find(function (n) {
+      return n.id === id;
+    });
+    return node ? node.title : id;
+  }
+  return e(
+    'aside',
+    { className: 'side-panel cohort-panel', 'aria-label': 'Cohort dashboard' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Cohort'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close cohort dashboard',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e(
+        'div',
+        { key: 'add', className: 'cohort-actions' },
+        [
+          e(
+            'button',
+            { key: 'files', className: 'nav-action', onClick: props.onAddFiles },
+            'Add progress files\u2026',
+          ),
+          e('button', { key: 'profiles', className: 'nav-action', onClick: props.onAddProfiles }, 'Add profiles'),
+        ],
+      ),
+      props.issues.length > 0
+        ? e(
+            'ul',
+            { key: 'issues', className: 'editor-error cohort-issues', role: 'alert' },
+            props.issues.map(function (issue, idx) {
+              return e('li', { key: 'issue-' + idx }, issue);
+            }),
+          )
+        : null,
+      cohort.learners.length === 0
+        ? e(
+            'p',
+            { key: 'empty', className: 'editor-hint' },
+            'Add the kpv-progress files your learners exported, or the profiles in this browser, to see ' +
+              'how the cohort is doing on each topic.',
+          )
+        : null,
+      cohort.learners.length > 0
+        ? e('h3', { key: 'learners-heading' }, 'Learners (' + cohort.learners.length + ')')
+        : null,
+      cohort.learners.length > 0
+        ? e(
+            'ul',
+            { key: 'learners', className: 'cohort-learners' },
+            cohort.learners.map(function (learner) {
+              return e(
+                'li',
+                { key: learner.id },
+                [
+                  e('span', { key: 'name', title: learner.source }, learner.name),
+                  e(
+                    'button',
+                    {
+                      key: 'remove',
+                      className: 'side-panel-close',
+                      'aria-label': 'remove ' + learner.name,
+                      onClick: function () {
+                        props.onRemove(learner.id);
+                      },
+                    },
+                    '\u2715',
+                  ),
+                ],
+              );
+            }),
+          )
+        : null,
+      stats
+        ? e(
+            'label',
+            { key: 'measure', className: 'cohort-measure' },
+            [
+              'Colour topics by ',
+              e(
+                'select',
+                {
+                  key: 'select',
+                  value: cohort.measure,
+                  onChange: function (ev) {
+                    props.onMeasureChange(ev.target.value);
+                  },
+                },
+                COHORT_MEASURES.map(function (measure) {
+                  return e('option', { key: measure.id, value: measure.id }, measure.label.toLowerCase());
+                }),
+              ),
+            ],
+          )
+        : null,
+      stats ? e('h3', { key: 'bottlenecks-heading' }, 'Bottlenecks') : null,
+      stats && stats.bottlenecks.length === 0
+        ? e(
+            'p',
+            { key: 'no-bottlenecks', className: 'diagnostics-ok' },
+            'No topic is holding back a third of the cohort.',
+          )
+        : null,
+      stats && stats.bottlenecks.length > 0
+        ? e(
+            'ol',
+            { key: 'bottlenecks', className: 'review-list' },
+            stats.bottlenecks.map(function (id) {
+              const topic = stats.topics[id];
+              return e(
+                'li',
+                { key: id },
+                [
+                  e(
+                    'button',
+                    {
+                      key: 'title',
+                      className: 'planner-step',
+                      onClick: function () {
+                        props.onSelect(id);
+                      },
+                    },
+                    titleOf(id),
+                  ),
+                  e(
+                    'span',
+                    { key: 'detail', className: 'planner-detail' },
+                    topic.stuck + ' of ' + stats.count + ' learners stuck below ' + topic.threshold + '%',
+                  ),
+                ],
+              );
+            }),
+          )
+        : null,
+      stats
+        ? e(
+            'div',
+            { key: 'export', className: 'cohort-actions' },
+            [
+              e(
+                'button',
+                {
+                  key: 'markdown',
+                  className: 'nav-action',
+                  onClick: function () {
+                    props.onExport('md');
+                  },
+                },
+                'Export report',
+              ),
+              e(
+                'button',
+                {
+                  key: 'csv',
+                  className: 'nav-action',
+                  onClick: function () {
+                    props.onExport('csv');
+                  },
+                },
+                'Export CSV',
+              ),
+              e('button', { key: 'clear', className: 'nav-action danger', onClick: props.onClear }, 'Clear'),
+            ],
+          )
+        : null,
+    ],
+  );
+}
+
+// Outline panel: the curriculum as a nested list, an accessible
+// alternative to the graph.  Each topic sits under its deepest
+// prerequisite (see outlineTree) and names all of its prerequisites, so
+// nothing the graph shows is lost.  The focused topic is shared with the
+// graph: moving through the outline highlights the node and vice versa.
+function OutlinePanel(props) {
+  const nodes = props.nodes;
+  const [collapsed, setCollapsed] = React.useState(function () {
+    return Object.create(null);
+  });
+  const listRef = React.useRef(null);
+  const byId = Object.create(null);
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const tree = outlineTree(nodes);
+  // Keep the topic focused on the graph visible in the outline.
+  React.useEffect(
+    function () {
+      if (!props.focusedId || !listRef.current) return;
+      const item = listRef.current.querySelector('[data-topic="' + props.focusedId + '"]');
+      if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    },
+    [props.focusedId],
+  );
+  function status(node) {
+    if (!node.unlocked) return 'locked';
+    return node.progress >= 100 ? 'complete' : node.progress + '%';
+  }
+  function renderItems(items) {
+    return items.map(function (item) {
+      const node = byId[item.id];
+      const open = !collapsed[item.id];
+      const prereqs = allPrerequisites(node)
+        .filter(function (dep) {
+          return byId[dep];
+        })
+        .map(function (dep) {
+          return byId[dep].title;
+        });
+      return e(
+        'li',
+        { key: item.id, className: node.unlocked ? null : 'locked' },
+        [
+          e(
+            'div',
+            { key: 'row', className: 'outline-row' },
+            [
+              item.children.length > 0
+                ? e(
+                    'button',
+                    {
+                      key: 'toggle',
+                      className: 'outline-toggle',
+                      'aria-expanded': open,
+                      'aria-label': (open ? 'collapse ' : 'expand ') + node.title,
+                      onClick: function () {
+                        setCollapsed(function (prev) {
+                          const next = Object.assign(Object.create(null), prev);
+                          next[item.id] = open;
+                          return next;
+                        });
+                      },
+                    },
+                    open ? '\u25BE' : '\u25B8',
+                  )
+                : e('span', { key: 'spacer', className: 'outline-toggle', 'aria-hidden': 'true' }),
+              e(
+                'button',
+                {
+                  key: 'topic',
+                  className: 'outline-topic' + (item.id === props.focusedId ? ' focused' : ''),
+                  'data-topic': item.id,
+                  'aria-current': item.id === props.focusedId ? 'true' : null,
+                  'aria-description': prereqs.length > 0 ? 'Requires ' + prereqs.join(', ') : null,
+                  onFocus: function () {
+                    props.onFocusTopic(item.id);
+                  },
+                  onClick: function () {
+                    props.onOpen(item.id);
+                  },
+                },
+                [
+                  e('span', { key: 'title' }, node.title),
+                  e('span', { key: 'status', className: 'outline-status' }, ' – ' + status(node)),
+                ],
+              ),
+            ],
+          ),
+          prereqs.length > 1
+            ? e('p', { key: 'requires', className: 'outline-requires' }, 'Requires ' + prereqs.join(', '))
+            : null,
+          item.children.length > 0 && open
+            ? e('ul', { key: 'children', role: 'group' }, renderItems(item.children))
+            : null,
+        ],
+      );
+    });
+  }
+  return e(
+    'aside',
+    { className: 'side-panel outline-panel', 'aria-label': 'Curriculum outline' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Outline'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close outline',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e(
+        'p',
+        { key: 'hint', className: 'editor-hint' },
+        'Each topic is listed under the prerequisite furthest along its path.  Choose a topic to open it.',
+      ),
+      e('ul', { key: 'tree', className: 'outline-tree', ref: listRef }, renderItems(tree)),
+    ],
+  );
+}
+
+// Text input that keeps a local draft and commits it on blur or Enter,
+// like NumberField.  Used to rename learner profiles.
+function TextField(props) {
+  const [draft, setDraft] = React.useState(props.value);
+  React.useEffect(
+    function () {
+      setDraft(props.value);
+    },
+    [props.value],
+  );
+  function commit() {
+    if (draft !== props.value) props.onCommit(draft);
+  }
+  return e('input', {
+    id: props.id,
+    type: 'text',
+    value: draft,
+    'aria-label': props.label,
+    onChange: function (ev) {
+      setDraft(ev.target.value);
+    },
+    onBlur: commit,
+    onKeyDown: function (ev) {
+      if (ev.key === 'Enter') ev.target.blur();
+    },
+  });
+}
+
+// Profiles panel: create, rename, switch and delete learner profiles, and
+// pick a second profile whose progress is overlaid on the graph.
+function ProfilesPanel(props) {
+  const profiles = props.profiles;
+  const [newName, setNewName] = React.useState('');
+  const others = profiles.profiles.filter(function (p) {
+    return p.id !== profiles.active;
+  });
+  function create() {
+    if (props.onCreate(newName)) setNewName('');
+  }
+  return e(
+    'aside',
+    { className: 'side-panel profiles-panel', 'aria-label': 'Learner profiles' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Profiles'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close profiles',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      props.error ? e('p', { key: 'error', className: 'editor-error', role: 'alert' }, props.error) : null,
+      e(
+        'ul',
+        { key: 'list', className: 'profile-list' },
+        profiles.profiles.map(function (profile) {
+          const active = profile.id === profiles.active;
+          return e(
+            'li',
+            { key: profile.id, className: active ? 'active' : null },
+            [
+              e(TextField, {
+                key: 'name',
+                label: 'name of ' + profile.name,
+                value: profile.name,
+                onCommit: function (name) {
+                  props.onRename(profile.id, name);
+                },
+              }),
+              active
+                ? e('span', { key: 'current', className: 'profile-current' }, 'Active')
+                : e(
+                    'button',
+                    {
+                      key: 'switch',
+                      className: 'nav-action',
+                      onClick: function () {
+                        props.onSwitch(profile.id);
+                      },
+                    },
+                    'Switch',
+                  ),
+              e(
+                'button',
+                {
+                  key: 'delete',
+                  className: 'nav-action danger',
+                  disabled: profile.id === DEFAULT_PROFILE_ID,
+                  title:
+                    profile.id === DEFAULT_PROFILE_ID
+                      ? 'The default profile cannot be deleted'
+                      : 'Delete this profile and all of its progress',
+                  onClick: function () {
+                    if (window.confirm('Delete profile "' + profile.name + '" and all of its progress?')) {
+                      props.onDelete(profile.id);
+                    }
+                  },
+                },
+                'Delete',
+              ),
+            ],
+          );
+        }),
+      ),
+      e(
+        'div',
+        { key: 'add', className: 'profile-add' },
+        [
+          e('input', {
+            key: 'name',
+            type: 'text',
+            placeholder: 'New profile name',
+            'aria-label': 'new profile name',
+            value: newName,
+            onChange: function (ev) {
+              setNewName(ev.target.value);
+            },
+            onKeyDown: function (ev) {
+              if (ev.key === 'Enter') create();
+            },
+          }),
+          e('button', { key: 'create', className: 'nav-action', onClick: create }, 'Add'),
+        ],
+      ),
+      e('h3', { key: 'compare-heading' }, 'Compare'),
+      e(
+        'select',
+        {
+          key: 'compare',
+          className: 'profile-compare',
+          'aria-label': 'compare with profile',
+          value: props.compareId || '',
+          disabled: others.length === 0,
+          onChange: function (ev) {
+            props.onCompareChange(ev.target.value || null);
+          },
+        },
+        [e('option', { key: '', value: '' }, others.length === 0 ? 'No other profiles' : 'No comparison')].concat(
+          others.map(function (p) {
+            return e('option', { key: p.id, value: p.id }, p.name);
+          }),
+        ),
+      ),
+      props.compareId
+        ? e(
+            'ul',
+            { key: 'legend', className: 'profile-legend' },
+            [
+              e('li', { key: 'self' }, [
+                e('span', { key: 'swatch', className: 'swatch self' }),
+                props.activeName,
+              ]),
+              e('li', { key: 'other' }, [
+                e('span', { key: 'swatch', className: 'swatch other' }),
+                props.compareName,
+              ]),
+            ],
+          )
+        : null,
+    ],
+  );
+}
+
+// Summary line for a sync server backend's status (see createRestStorage).
+function syncStatusText(status) {
+  if (status.syncing) return 'Syncing\u2026';
+  const waiting =
+    status.pending === 0
+      ? 'nothing waiting to send'
+      : status.pending + (status.pending === 1 ? ' change' : ' changes') + ' waiting to send';
+  if (status.online === false) return 'Offline (' + status.error + '); ' + waiting + '.';
+  if (!status.lastSync) return 'Not synced yet; ' + waiting + '.';
+  return 'Last synced ' + formatTimestamp(status.lastSync) + '; ' + waiting + '.';
+}
+
+// Where this device keeps its data: localStorage, IndexedDB or a sync
+// server (see createStorage).  Every panel reads its state from storage
+// when the app starts, so a new choice is saved and the page reloaded.
+function SyncPanel(props) {
+  const [draft, setDraft] = React.useState(props.config);
+  const status = props.status;
+  const config = props.config;
+  function change(fields) {
+    setDraft(Object.assign({}, draft, fields));
+  }
+  const unchanged =
+    draft.backend === config.backend &&
+    (draft.backend !== 'rest' || (draft.url === config.url && draft.strategy === config.strategy));
+  function radios(name, options, value, onChange) {
+    return options.map(function (option) {
+      return e(
+        'label',
+        { key: option.id, title: option.hint },
+        [
+          e('input', {
+            key: 'radio',
+            type: 'radio',
+            name: name,
+            value: option.id,
+            checked: value === option.id,
+            onChange: function () {
+              onChange(option.id);
+            },
+          }),
+          ' ' + option.label,
+          e('span', { key: 'hint', className: 'planner-detail' }, option.hint),
+        ],
+      );
+    });
+  }
+  return e(
+    'aside',
+    { className: 'side-panel sync-panel', 'aria-label': 'Storage and sync' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Sync'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close sync',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      props.error ? e('p', { key: 'error', className: 'editor-error', role: 'alert' }, props.error) : null,
+      status
+        ? e(
+            'p',
+            { key: 'status', className: 'sync-status' + (status.online === false ? ' offline' : '') },
+            syncStatusText(status),
+          )
+        : null,
+      status
+        ? e(
+            'button',
+            { key: 'sync', className: 'nav-action', disabled: status.syncing, onClick: props.onSyncNow },
+            'Sync now',
+          )
+        : null,
+      e('h3', { key: 'backend-heading' }, 'Storage'),
+      e(
+        'div',
+        { key: 'backends', className: 'sync-options', role: 'radiogroup', 'aria-label': 'storage' },
+        radios('storage-backend', STORAGE_BACKENDS, draft.backend, function (id) {
+          change({ backend: id });
+        }),
+      ),
+      draft.backend === 'rest'
+        ? e(
+            'label',
+            { key: 'url', className: 'sync-url' },
+            [
+              'Server URL',
+              e('input', {
+                key: 'input',
+                type: 'url',
+                placeholder: 'http://localhost:8787/api',
+                value: draft.url,
+                onChange: function (ev) {
+                  change({ url: ev.target.value.trim() });
+                },
+              }),
+            ],
+          )
+        : null,
+      draft.backend === 'rest' ? e('h3', { key: 'strategy-heading' }, 'Conflicts') : null,
+      draft.backend === 'rest'
+        ? e(
+            'div',
+            { key: 'strategies', className: 'sync-options', role: 'radiogroup', 'aria-label': 'conflicts' },
+            radios('sync-strategy', SYNC_STRATEGIES, draft.strategy, function (id) {
+              change({ strategy: id });
+            }),
+          )
+        : null,
+      e(
+        'button',
+        {
+          key: 'apply',
+          className: 'nav-action',
+          disabled: unchanged || (draft.backend === 'rest' && draft.url === ''),
+          onClick: function () {
+            props.onApply(draft);
+          },
+        },
+        'Switch and reload',
+      ),
+      e(
+        'p',
+        { key: 'hint', className: 'editor-hint' },
+        'Run node sync_server.js for a sync server on this machine. Edits made offline are sent when it is ' +
+          'reachable again; a conflict is an entry changed on two devices between syncs.',
+      ),
+    ],
+  );
+}
+
+// Graph export panel: save the graph as it is shown (filters and
+// highlights included) as SVG or PNG, or print it as a poster spread over
+// several pages.
+function GraphExportPanel(props) {
+  const [scale, setScale] = React.useState(2);
+  const [across, setAcross] = React.useState(1);
+  const [format, setFormat] = React.useState(CURRICULUM_FORMATS[0].id);
+  return e(
+    'aside',
+    { className: 'side-panel graph-export-panel', 'aria-label': 'Export graph' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Export graph'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close graph export',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      e(
+        'p',
+        { key: 'hint', className: 'export-hint' },
+        'Exports show the topics currently visible, with active filters and highlights.',
+      ),
+      props.error ? e('p', { key: 'error', className: 'editor-error', role: 'alert' }, props.error) : null,
+      e('h3', { key: 'svg-heading' }, 'SVG'),
+      e(
+        'div',
+        { key: 'svg', className: 'export-row' },
+        e('button', { className: 'nav-action', onClick: props.onExportSvg }, 'Download SVG'),
+      ),
+      e('h3', { key: 'png-heading' }, 'PNG'),
+      e(
+        'div',
+        { key: 'png', className: 'export-row' },
+        [
+          e(
+            'select',
+            {
+              key: 'scale',
+              'aria-label': 'PNG resolution',
+              value: scale,
+              onChange: function (ev) {
+                setScale(parseInt(ev.target.value, 10));
+              },
+            },
+            PNG_SCALES.map(function (value) {
+              return e('option', { key: value, value: value }, value + '\u00d7 resolution');
+            }),
+          ),
+          e(
+            'button',
+            {
+              key: 'download',
+              className: 'nav-action',
+              onClick: function () {
+                props.onExportPng(scale);
+              },
+            },
+            'Download PNG',
+          ),
+        ],
+      ),
+      e('h3', { key: 'poster-heading' }, 'Poster'),
+      e(
+        'div',
+        { key: 'poster', className: 'export-row' },
+        [
+          e(
+            'select',
+            {
+              key: 'across',
+              'aria-label': 'poster pages across',
+              value: across,
+              onChange: function (ev) {
+                setAcross(parseInt(ev.target.value, 10));
+              },
+            },
+            [1, 2, 3, 4].map(function (value) {
+              return e('option', { key: value, value: value }, value === 1 ? '1 page wide' : value + ' pages wide');
+            }),
+          ),
+          e(
+            'button',
+            {
+              key: 'print',
+              className: 'nav-action',
+              onClick: function () {
+                props.onPrintPoster(across);
+              },
+            },
+            'Print',
+          ),
+        ],
+      ),
+      e(
+        'p',
+        { key: 'poster-hint', className: 'export-hint' },
+        'The poster is split into landscape pages; choose "Save as PDF" in the print dialog for a PDF.',
+      ),
+      e('h3', { key: 'curriculum-heading' }, 'Curriculum'),
+      e(
+        'div',
+        { key: 'curriculum', className: 'export-row' },
+        [
+          e(
+            'select',
+            {
+              key: 'format',
+              'aria-label': 'curriculum format',
+              value: format,
+              onChange: function (ev) {
+                setFormat(ev.target.value);
+              },
+            },
+            CURRICULUM_FORMATS.map(function (f) {
+              return e('option', { key: f.id, value: f.id }, f.label + ' (' + f.extension + ')');
+            }),
+          ),
+          e(
+            'button',
+            {
+              key: 'download',
+              className: 'nav-action',
+              onClick: function () {
+                props.onExportCurriculum(format);
+              },
+            },
+            'Download',
+          ),
+        ],
+      ),
+      e(
+        'p',
+        { key: 'curriculum-hint', className: 'export-hint' },
+        'The whole curriculum, whatever is filtered. Markdown outlines and Mermaid charts load back with ' +
+          '"Load curriculum"; DOT, GraphML and GEXF open in Graphviz, yEd and Gephi.',
+      ),
+    ],
+  );
+}
+
+// Poster pages for printing.  Only shown by the print stylesheet; each
+// page is one tile of the exported graph with its position on the poster.
+function PosterPrint(props) {
+  const pages = props.pages;
+  const down = pages[pages.length - 1].row + 1;
+  const across = pages[pages.length - 1].column + 1;
+  return e(
+    'div',
+    { className: 'poster-print', 'aria-hidden': 'true' },
+    pages.map(function (page) {
+      return e(
+        'section',
+        { key: page.row + '-' + page.column, className: 'poster-page' },
+        [
+          e('img', { key: 'tile', src: svgDataUrl(page.markup), alt: '' }),
+          e(
+            'p',
+            { key: 'caption', className: 'poster-caption' },
+            props.title +
+              (pages.length > 1
+                ? ' \u2013 row ' + (page.row + 1) + ' of ' + down + ', column ' + (page.column + 1) + ' of ' + across
+                : ''),
+          ),
+        ],
+      );
+    }),
+  );
+}
+
+// Diagnostics panel: lists graph integrity problems reported by
+// diagnoseGraph.  Topic ids are shown with their titles where known.
+function DiagnosticsPanel(props) {
+  const report = props.report;
+  const nodes = props.nodes;
+  function label(id) {
+    const node = nodes.find(function (n) {
+      return n.id === id;
+    });
+    return node ? node.title : id;
+  }
+  function section(key, heading, className, items) {
+    return e(
+      'section',
+      { key: key, className: 'diagnostics-section ' + className },
+      [
+        e('h3', { key: 'h' }, heading + ' (' + items.length + ')'),
+        items.length === 0
+          ? e('p', { key: 'none', className: 'diagnostics-ok' }, 'None found.')
+          : e(
+              'ul',
+              { key: 'list' },
+              items.map(function (text, idx) {
+                return e('li', { key: key + '-' + idx }, text);
+              }),
+            ),
+      ],
+    );
+  }
+  return e(
+    'aside',
+    { className: 'side-panel diagnostics-panel', 'aria-label': 'Graph diagnostics' },
+    [
+      e(
+        'div',
+        { key: 'header', className: 'side-panel-header' },
+        [
+          e('h2', { key: 'title' }, 'Diagnostics'),
+          e(
+            'button',
+            {
+              key: 'close',
+              className: 'side-panel-close',
+              'aria-label': 'close diagnostics',
+              onClick: props.onClose,
+            },
+            '\u2715',
+          ),
+        ],
+      ),
+      section(
+        'cycles',
+        'Dependency cycles',
+        'error',
+        report.cycles.map(function (cycle) {
+          return cycle.length === 1
+            ? label(cycle[0]) + ' depends on itself'
+            : cycle.concat([cycle[0]]).map(label).join(' \u2192 ');
+        }),
+      ),
+      section(
+        'dangling',
+        'Missing prerequisites',
+        'error',
+        report.dangling.map(function (d) {
+          return label(d.node) + (d.kind === 'recommended' ? ' recommends' : ' requires') +
+            ' unknown topic "' + d.dep + '"';
+        }),
+      ),
+      section(
+        'unreachable',
+        'Topics that can never unlock',
+        'warning',
+        report.unreachable.map(label),
+      ),
+      section(
+        'redundant',
+        'Redundant prerequisites',
+        'warning',
+        report.redundant.map(function (r) {
+          return (
+            label(r.target) + ' lists ' + label(r.source) + ', already required through ' + label(r.via)
+          );
+        }),
+      ),
+    ],
+  );
+}
+
+// Error dialog shown when a curriculum cannot be loaded.  It reuses the
+// modal styling and lists every parse or validation problem found.
+function CurriculumErrorDialog(props) {
+  const dialogRef = React.useRef(null);
+  useFocusTrap(dialogRef, props.onClose);
+  return e(
+    'div',
+    {
+      id: 'modal-overlay',
+      onClick: function (ev) {
+        if (ev.target.id === 'modal-overlay') {
+          props.onClose();
+        }
+      },
+    },
+    e(
+      'div',
+      {
+        className: 'modal',
+        role: 'alertdialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'curriculum-error-title',
+        ref: dialogRef,
+      },
+      e(
+        'div',
+        { className: 'modal-header' },
+        [
+          e('h2', { key: 'title', id: 'curriculum-error-title' }, 'Curriculum not loaded'),
+          e(
+            'button',
             {
-              value: node.progress,
-              onChange: function (ev) {
-                var newVal = parseInt(ev.target.value, 10);
-                updateProgress(node.id, newVal);
-                onClose();
+              key: 'close',
+              id: 'modal-close',
+              'aria-label': 'close',
+              onClick: function () {
+                props.onClose();
               },
             },
+            '\u2715',
+          ),
+        ],
+      ),
+      e(
+        'div',
+        { className: 'modal-body' },
+        [
+          e(
+            'p',
+            { key: 'intro' },
+            (props.source ? props.source + ' ' : 'The file ') +
+              'could not be loaded.  Fix the following and try again:',
+          ),
+          e(
+            'ul',
+            { key: 'errors', className: 'error-list' },
+            props.errors.map(function (msg, idx) {
+              return e('li', { key: 'err-' + idx }, msg);
+            }),
+          ),
+        ],
+      ),
+    ),
+  );
+}
+
+// Preview shown before a progress file is applied.  Lists where the file
+// came from, anything that was skipped or adjusted, and the changes the
+// chosen merge strategy would make, so nothing is overwritten by surprise.
+function ImportPreviewDialog(props) {
+  const preview = props.preview;
+  const dialogRef = React.useRef(null);
+  useFocusTrap(dialogRef, props.onClose);
+  const meta = preview.meta;
+  const byId = Object.create(null);
+  props.nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const changes = preview.errors.length === 0 ? planProgressImport(props.nodes, preview.values, props.strategy) : [];
+  const details = [e('li', { key: 'format' }, 'Format: ' + (meta.format || 'unknown'))];
+  if (meta.profile) details.push(e('li', { key: 'profile' }, 'Exported from profile: ' + meta.profile));
+  if (meta.exportedAt) details.push(e('li', { key: 'when' }, 'Exported: ' + formatTimestamp(meta.exportedAt)));
+  if (meta.curriculum && meta.curriculum !== props.curriculumId) {
+    details.push(
+      e(
+        'li',
+        { key: 'curriculum', className: 'import-mismatch' },
+        'Exported from curriculum "' + meta.curriculum + '", not the one currently loaded.',
+      ),
+    );
+  }
+  let body;
+  if (preview.errors.length > 0) {
+    body = [
+      e('p', { key: 'intro' }, 'The file cannot be imported:'),
+      e(
+        'ul',
+        { key: 'errors', className: 'error-list' },
+        preview.errors.map(function (msg, idx) {
+          return e('li', { key: 'err-' + idx }, msg);
+        }),
+      ),
+    ];
+  } else {
+    body = [
+      e('ul', { key: 'details', className: 'import-details' }, details),
+      preview.warnings.length > 0
+        ? e(
+            'details',
+            { key: 'warnings', className: 'import-warnings' },
+            [
+              e('summary', { key: 'summary' }, preview.warnings.length + ' entries skipped or adjusted'),
+              e(
+                'ul',
+                { key: 'list' },
+                preview.warnings.map(function (msg, idx) {
+                  return e('li', { key: 'warn-' + idx }, msg);
+                }),
+              ),
+            ],
+          )
+        : null,
+      e('h3', { key: 'strategy-heading' }, 'Merge strategy'),
+      e(
+        'div',
+        { key: 'strategies', className: 'import-strategies', role: 'radiogroup' },
+        MERGE_STRATEGIES.map(function (strategy) {
+          return e(
+            'label',
+            { key: strategy.id, title: strategy.hint },
             [
-              e('option', { value: 0 }, '0 %'),
-              e('option', { value: 25 }, '25 %'),
-              e('option', { value: 50 }, '50 %'),
-              e('option', { value: 75 }, '75 %'),
-              e('option', { value: 100 }, '100 %'),
+              e('input', {
+                key: 'radio',
+                type: 'radio',
+                name: 'merge-strategy',
+                value: strategy.id,
+                checked: props.strategy === strategy.id,
+                onChange: function () {
+                  props.onStrategyChange(strategy.id);
+                },
+              }),
+              ' ' + strategy.label,
+            ],
+          );
+        }),
+      ),
+      e('h3', { key: 'changes-heading' }, 'Changes (' + changes.length + ')'),
+      changes.length === 0
+        ? e('p', { key: 'none', className: 'diagnostics-ok' }, 'Nothing would change.')
+        : e(
+            'table',
+            { key: 'changes', className: 'import-diff' },
+            [
+              e(
+                'thead',
+                { key: 'head' },
+                e('tr', null, [
+                  e('th', { key: 'topic' }, 'Topic'),
+                  e('th', { key: 'from' }, 'Now'),
+                  e('th', { key: 'to' }, 'After'),
+                ]),
+              ),
+              e(
+                'tbody',
+                { key: 'body' },
+                changes.map(function (change) {
+                  return e(
+                    'tr',
+                    { key: change.topic, className: change.to < change.from ? 'lower' : 'higher' },
+                    [
+                      e('td', { key: 'topic' }, byId[change.topic].title),
+                      e('td', { key: 'from' }, change.from + '%'),
+                      e('td', { key: 'to' }, change.to + '%'),
+                    ],
+                  );
+                }),
+              ),
             ],
           ),
+      e(
+        'div',
+        { key: 'actions', className: 'import-actions' },
+        [
+          e('button', { key: 'cancel', className: 'nav-action', onClick: props.onClose }, 'Cancel'),
+          e(
+            'button',
+            {
+              key: 'apply',
+              className: 'nav-action',
+              disabled: changes.length === 0 && preview.history.length === 0,
+              onClick: function () {
+                props.onApply(changes);
+              },
+            },
+            'Apply',
+          ),
+        ],
+      ),
+    ];
+  }
+  return e(
+    'div',
+    {
+      id: 'modal-overlay',
+      onClick: function (ev) {
+        if (ev.target.id === 'modal-overlay') {
+          props.onClose();
+        }
+      },
+    },
+    e(
+      'div',
+      {
+        className: 'modal import-preview',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'import-title',
+        ref: dialogRef,
+      },
+      e(
+        'div',
+        { className: 'modal-header' },
+        [
+          e('h2', { key: 'title', id: 'import-title' }, 'Import ' + preview.fileName),
+          e(
+            'button',
+            {
+              key: 'close',
+              id: 'modal-close',
+              'aria-label': 'close',
+              onClick: function () {
+                props.onClose();
+              },
+            },
+            '\u2715',
+          ),
         ],
       ),
+      e('div', { className: 'modal-body' }, body),
     ),
   );
 }
 
-// Main application component.  Manages state for nodes, edges, filters and
-// selected node.  Renders the navigation bar, graph container and modal when
-// needed.  Uses D3 to draw a force-directed graph into the graph container
-// whenever nodes or filter settings change.
-function KnowledgeGraphApp() {
-  // React state hooks
-  const _useState = React.useState;
-  const [nodes, setNodes] = _useState(function () {
-    // Initialise by loading progress from localStorage.  Use a unique
-    // prefix (kpv-react-progress-) so that stored values from older
-    // implementations do not interfere with this React version.
-    const loaded = initialNodes.map(function (node) {
-      const stored = localStorage.getItem('kpv-react-progress-' + node.id);
-      if (stored !== null) {
-        return Object.assign({}, node, { progress: parseInt(stored, 10) });
+// Main application component.  Manages state for nodes, edges, filters and
+// selected node.  Renders the navigation bar, graph container and modal when
+// needed.  Uses D3 to draw a force-directed graph into the graph container
+// whenever nodes or filter settings change.
+function KnowledgeGraphApp() {
+  // React state hooks
+  const _useState = React.useState;
+  const [curriculum, setCurriculumState] = _useState(loadStoredCurriculum);
+  const [profiles, setProfiles] = _useState(loadProfiles);
+  const profileId = profiles.active;
+  const [nodes, setNodesState] = _useState(function () {
+    // Initialise by loading progress from storage.  Keys use the
+    // kpv-react-progress- prefix so that stored values from older
+    // implementations do not interfere with this React version.
+    return nodesFromCurriculum(curriculum, profileId);
+  });
+  // The nodes as last set, ahead of the next render, so that changes made
+  // in one tick (such as back-to-back scripting calls) build on each other
+  // and can be saved outside a state updater.
+  const nodesRef = React.useRef(nodes);
+  function setNodes(next) {
+    nodesRef.current = next;
+    setNodesState(next);
+  }
+  // Likewise for the curriculum, so that progress set right after a
+  // curriculum switch is saved under the new curriculum's keys.
+  const curriculumRef = React.useRef(curriculum);
+  function setCurriculum(next) {
+    curriculumRef.current = next;
+    setCurriculumState(next);
+  }
+  const [showProfiles, setShowProfiles] = _useState(false);
+  // Status of a sync server backend (see createRestStorage), or null for
+  // the backends that stay on this device.
+  const [showSync, setShowSync] = _useState(false);
+  const [syncStatus, setSyncStatus] = _useState(function () {
+    const storage = getStorage();
+    return storage.status ? storage.status() : null;
+  });
+  const [profileError, setProfileError] = _useState(null);
+  // Second profile overlaid on the graph, or null when not comparing.
+  const [compareId, setCompareId] = _useState(null);
+  const compareNodes = React.useMemo(
+    function () {
+      return compareId ? nodesFromCurriculum(curriculum, compareId) : null;
+    },
+    [curriculum, compareId],
+  );
+  const diagnostics = React.useMemo(
+    function () {
+      return diagnoseGraph(curriculum.nodes);
+    },
+    [curriculum],
+  );
+  const [showDiagnostics, setShowDiagnostics] = _useState(false);
+  const [history, setHistoryState] = _useState(function () {
+    return loadHistory(curriculum.id, profileId);
+  });
+  const historyRef = React.useRef(history);
+  function setHistory(next) {
+    historyRef.current = next;
+    setHistoryState(next);
+  }
+  // Review schedules of completed topics, and the time they are measured
+  // against; the clock moves on every minute so due reviews appear and
+  // overdue nodes fade without a reload.
+  const [reviews, setReviews] = _useState(function () {
+    return loadReviews(curriculum.id, profileId);
+  });
+  const [clock, setClock] = _useState(Date.now);
+  const [showReviews, setShowReviews] = _useState(false);
+  const [showNextUnlocks, setShowNextUnlocks] = _useState(false);
+  // Target dates of goal topics (see goalOverview) and the Goals panel.
+  const [goals, setGoals] = _useState(function () {
+    return loadGoals(curriculum.id, profileId);
+  });
+  const [showGoals, setShowGoals] = _useState(false);
+  const [goalError, setGoalError] = _useState(null);
+  // Cohort dashboard: the learners loaded into it, the measure the graph
+  // is coloured by and problems with the files read.  While the panel is
+  // open and has learners, the graph shows the cohort (`dashboard`).
+  const [showCohort, setShowCohort] = _useState(false);
+  const [cohort, setCohort] = _useState({ learners: [], measure: 'mean' });
+  const [cohortIssues, setCohortIssues] = _useState([]);
+  const cohortSummary = React.useMemo(
+    function () {
+      return cohort.learners.length > 0 ? cohortStats(nodes, cohort.learners, curriculum.settings) : null;
+    },
+    [nodes, cohort, curriculum],
+  );
+  const dashboard = showCohort ? cohortSummary : null;
+  const [showTimeline, setShowTimeline] = _useState(false);
+  // Millisecond timestamp being replayed, or null for the live state.
+  const [replayTime, setReplayTime] = _useState(null);
+  const [exportHistory, setExportHistory] = _useState(function () {
+    return activeStorage.getItem(EXPORT_HISTORY_KEY) === 'true';
+  });
+  // The nodes drawn on the graph: live progress, the reconstructed state
+  // at the replayed time, or the cohort's average or median.
+  const displayNodes = React.useMemo(
+    function () {
+      if (replayTime !== null) return computeUnlocks(progressAt(nodes, history, replayTime), curriculum.settings);
+      if (dashboard) return cohortNodes(nodes, dashboard, cohort.measure, curriculum.settings);
+      return nodes;
+    },
+    [nodes, history, replayTime, curriculum, dashboard, cohort.measure],
+  );
+  // Collapsed groups stand in for their topics on the graph, so the graph
+  // draws these nodes and edges rather than the topics themselves.
+  const [collapsedGroups, setCollapsedGroups] = _useState(function () {
+    return loadCollapsedGroups(curriculum, profileId);
+  });
+  const graphNodes = React.useMemo(
+    function () {
+      return collapseGroups(displayNodes, curriculum.groups || [], collapsedGroups);
+    },
+    [displayNodes, curriculum, collapsedGroups],
+  );
+  const edges = React.useMemo(
+    function () {
+      return buildEdges(graphNodes);
+    },
+    [graphNodes],
+  );
+  const [showPlanner, setShowPlanner] = _useState(false);
+  const [goalId, setGoalId] = _useState(null);
+  const plan = React.useMemo(
+    function () {
+      return goalId ? planLearningPath(nodes, goalId, curriculum.settings) : null;
+    },
+    [nodes, goalId, curriculum],
+  );
+  const [editorOpen, setEditorOpen] = _useState(false);
+  const [editingId, setEditingId] = _useState(null);
+  const [editError, setEditError] = _useState(null);
+  const [editHistory, setEditHistory] = _useState({ past: [], future: [] });
+  const [loadErrors, setLoadErrors] = _useState(null);
+  // Parsed progress file awaiting confirmation, and the merge strategy
+  // chosen for it.
+  const [pendingImport, setPendingImport] = _useState(null);
+  const [mergeStrategy, setMergeStrategy] = _useState('replace');
+  const [dragActive, setDragActive] = _useState(false);
+  // Filters start from the query string so shared links open the same view.
+  const [initialView] = _useState(function () {
+    return readViewState(window.location.search);
+  });
+  const [showActive, setShowActive] = _useState(initialView.showActive);
+  const [showCompleted, setShowCompleted] = _useState(initialView.showCompleted);
+  const [showDependencies, setShowDependencies] = _useState(initialView.showDependencies);
+  const [searchQuery, setSearchQuery] = _useState(initialView.query);
+  const [tagFilter, setTagFilter] = _useState(initialView.tags);
+  // Topic whose ancestors and descendants focus mode shows, or null.
+  const [focusRoot, setFocusRoot] = _useState(initialView.focus);
+  const searchResults = React.useMemo(
+    function () {
+      return searchTopics(nodes, searchQuery);
+    },
+    [nodes, searchQuery],
+  );
+  const allTags = React.useMemo(
+    function () {
+      return curriculumTags(curriculum.nodes);
+    },
+    [curriculum],
+  );
+  const summary = React.useMemo(
+    function () {
+      return progressSummary(nodes);
+    },
+    [nodes],
+  );
+  const [selectedNode, setSelectedNode] = _useState(null);
+  // Topic holding keyboard focus on the graph; shared with the outline.
+  const [focusedId, setFocusedId] = _useState(null);
+  const [showOutline, setShowOutline] = _useState(false);
+  const [showGraphExport, setShowGraphExport] = _useState(false);
+  const [graphExportError, setGraphExportError] = _useState(null);
+  // Poster pages waiting to be printed; see printPoster.
+  const [poster, setPoster] = _useState(null);
+  // Message for the status live region: unlock events and explanations
+  // for locked topics.  `id` makes repeated identical messages re-announce.
+  const [announcement, setAnnouncement] = _useState(null);
+  const [layoutMode, setLayoutMode] = _useState(function () {
+    const stored = activeStorage.getItem(LAYOUT_STORAGE_KEY);
+    return isLayeredLayout(stored) ? stored : 'force';
+  });
+  const [theme, setTheme] = _useState(loadTheme);
+  const [pins, setPins] = _useState(function () {
+    return loadPins(curriculum.id, profileId);
+  });
+  const graphRef = React.useRef(null);
+  const sceneRef = React.useRef(null);
+
+  // Export current progress to a downloadable file.  JSON exports use the
+  // versioned envelope (see progressEnvelope) and CSV exports a plain
+  // id/title/progress table for spreadsheets.
+  // When "include history" is switched on in the timeline, JSON exports
+  // carry the history as well.
+  function exportProgress(format) {
+    const profile = { id: profileId, name: profileName(profileId) };
+    const content =
+      format === 'csv'
+        ? progressToCsv(nodes)
+        : JSON.stringify(progressEnvelope(curriculum, profile, nodes, exportHistory ? history : null), null, 2);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    downloadBlob(blob, 'kpv-progress', format === 'csv' ? '.csv' : '.json');
+  }
+
+  // Download the graph as shown on screen; see graphSvgMarkup.
+  function exportGraphSvg() {
+    const exported = sceneRef.current && graphSvgMarkup(sceneRef.current);
+    if (!exported) {
+      setGraphExportError('There are no visible topics to export.');
+      return;
+    }
+    setGraphExportError(null);
+    downloadBlob(new Blob([exported.markup], { type: 'image/svg+xml' }), 'kpv-graph', '.svg');
+  }
+
+  function exportGraphPng(scale) {
+    const exported = sceneRef.current && graphSvgMarkup(sceneRef.current);
+    if (!exported) {
+      setGraphExportError('There are no visible topics to export.');
+      return;
+    }
+    setGraphExportError(null);
+    svgToPng(exported, scale).then(function (blob) {
+      if (!blob) {
+        setGraphExportError('This browser could not draw the graph as a PNG; try the SVG export instead.');
+        return;
+      }
+      downloadBlob(blob, 'kpv-graph', '.png');
+    });
+  }
+
+  // Download the curriculum definition in one of CURRICULUM_FORMATS.
+  function exportCurriculumFile(formatId) {
+    const format = CURRICULUM_FORMATS.find(function (f) {
+      return f.id === formatId;
+    });
+    const blob = new Blob([exportCurriculum(curriculum, format.id)], { type: format.type });
+    downloadBlob(blob, 'kpv-curriculum', format.extension);
+  }
+
+  // Lay the graph out over poster pages and open the print dialog.  The
+  // pages are rendered first and printed by the effect below.
+  function printPoster(across) {
+    const scene = sceneRef.current;
+    const area = scene && graphExportArea(scene);
+    if (!area) {
+      setGraphExportError('There are no visible topics to export.');
+      return;
+    }
+    setGraphExportError(null);
+    setPoster(
+      posterPages(area, across).map(function (page) {
+        return Object.assign({}, page, { markup: graphSvgMarkup(scene, page).markup });
+      }),
+    );
+  }
+
+  React.useEffect(
+    function () {
+      if (!poster) return undefined;
+      function done() {
+        setPoster(null);
+      }
+      window.addEventListener('afterprint', done);
+      window.print();
+      return function () {
+        window.removeEventListener('afterprint', done);
+      };
+    },
+    [poster],
+  );
+
+  // Import progress from a user‑selected JSON or CSV file.  This function
+  // triggers a hidden file input.  When a file is chosen it is parsed and
+  // checked against the current topics, and the result is shown in the
+  // import preview dialog; nothing changes until the user applies it.
+  function importProgress() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json,text/csv,.csv';
+    input.onchange = function (ev) {
+      const file = ev.target.files && ev.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = function () {
+        const parsed = readProgressFile(String(reader.result), file.name);
+        const checked = checkProgressEntries(nodes, parsed);
+        setPendingImport({
+          fileName: file.name,
+          meta: parsed.meta,
+          errors: parsed.errors,
+          values: checked.values,
+          history: checked.history,
+          warnings: checked.warnings,
+        });
+      };
+      reader.readAsText(file);
+    };
+    // click the hidden input to open file chooser
+    input.click();
+  }
+
+  // Apply the changes confirmed in the import preview.  Every value the
+  // import changes is recorded as a history event, and history carried by
+  // the file joins the timeline.
+  function applyImport(changes) {
+    applyProgressChanges(changes, 'import', pendingImport.history);
+    setPendingImport(null);
+  }
+
+  // Save, record and apply several progress changes `[{ topic, from, to }]`
+  // at once (imports and the scripting API).
+  function applyProgressChanges(changes, source, imported) {
+    const values = {};
+    changes.forEach(function (change) {
+      values[change.topic] = change.to;
+    });
+    recordProgress(changes, source, imported);
+    const active = curriculumRef.current;
+    const updated = nodesRef.current.map(function (n) {
+      if (!Object.prototype.hasOwnProperty.call(values, n.id)) return n;
+      saveProgress(active.id, n.id, profileId, values[n.id]);
+      return Object.assign({}, n, { progress: values[n.id] });
+    });
+    setNodes(computeUnlocks(updated, active.settings));
+  }
+
+  // Switch to a validated curriculum.  Nodes and edges are rebuilt from
+  // scratch and progress is read from the curriculum's own storage keys, so
+  // the built-in example and external curricula never share state.
+  function applyCurriculum(next) {
+    saveCurriculum(next);
+    setSelectedNode(null);
+    setLoadErrors(null);
+    setEditingId(null);
+    setEditError(null);
+    setEditHistory({ past: [], future: [] });
+    setPins(loadPins(next.id, profileId));
+    setCollapsedGroups(loadCollapsedGroups(next, profileId));
+    setGoalId(null);
+    setHistory(loadHistory(next.id, profileId));
+    setReviews(loadReviews(next.id, profileId));
+    setGoals(loadGoals(next.id, profileId));
+    setGoalError(null);
+    setReplayTime(null);
+    setCohort(function (prev) {
+      return { learners: [], measure: prev.measure };
+    });
+    setCohortIssues([]);
+    // Filters that do not apply to the new curriculum are dropped; the
+    // rest carry over, so a shared link with ?curriculum= keeps its view.
+    const nextTags = curriculumTags(next.nodes);
+    setTagFilter(function (prev) {
+      return prev.filter(function (tag) {
+        return nextTags.indexOf(tag) !== -1;
+      });
+    });
+    setFocusRoot(function (prev) {
+      return prev && findTopic(next, prev) ? prev : null;
+    });
+    setCurriculum(next);
+    setNodes(nodesFromCurriculum(next, profileId));
+  }
+
+  // Swap in an edited version of the current curriculum.  Progress lives
+  // in storage keyed by topic id, so rebuilding the nodes from storage
+  // keeps it, and restores it for topics brought back by undo.
+  function replaceCurriculum(next) {
+    saveCurriculum(next);
+    setSelectedNode(null);
+    setCurriculum(next);
+    setNodes(nodesFromCurriculum(next, profileId));
+  }
+
+  // Apply the result of one of the profile helpers.  When the active
+  // profile changes, its progress, pins and history replace the current
+  // ones; the curriculum itself is shared by every profile.
+  function applyProfiles(result) {
+    if (result.error) {
+      setProfileError(result.error);
+      return false;
+    }
+    const next = result.state;
+    setProfileError(null);
+    saveProfiles(next);
+    setProfiles(next);
+    if (
+      compareId &&
+      (compareId === next.active ||
+        !next.profiles.some(function (p) {
+          return p.id === compareId;
+        }))
+    ) {
+      setCompareId(null);
+    }
+    if (next.active !== profileId) {
+      setSelectedNode(null);
+      setPins(loadPins(curriculum.id, next.active));
+      setCollapsedGroups(loadCollapsedGroups(curriculum, next.active));
+      setHistory(loadHistory(curriculum.id, next.active));
+      setReviews(loadReviews(curriculum.id, next.active));
+      setGoals(loadGoals(curriculum.id, next.active));
+      setGoalError(null);
+      setReplayTime(null);
+      setNodes(nodesFromCurriculum(curriculum, next.active));
+    }
+    return true;
+  }
+
+  // Take in entries another device changed through the sync server.  The
+  // active profile stays this device's choice unless it was deleted.
+  function reloadFromStorage(keys) {
+    const stored = loadProfiles();
+    const active = stored.profiles.some(function (p) {
+      return p.id === profileId;
+    })
+      ? profileId
+      : stored.active;
+    setProfiles({ active: active, profiles: stored.profiles });
+    let next = curriculum;
+    if (keys.indexOf(ACTIVE_CURRICULUM_KEY) !== -1) {
+      next = loadStoredCurriculum();
+      if (next.id !== curriculum.id) {
+        setSelectedNode(null);
+        setEditingId(null);
+        setGoalId(null);
+        setReplayTime(null);
+      }
+      setEditHistory({ past: [], future: [] });
+      setCurriculum(next);
+    }
+    setPins(loadPins(next.id, active));
+    setCollapsedGroups(loadCollapsedGroups(next, active));
+    setHistory(loadHistory(next.id, active));
+    setReviews(loadReviews(next.id, active));
+    setGoals(loadGoals(next.id, active));
+    setNodes(nodesFromCurriculum(next, active));
+  }
+
+  // Read progress exports into the cohort.  Reading a file again replaces
+  // the learner it added before.
+  function addCohortFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = 'application/json,.json,text/csv,.csv';
+    input.onchange = function (ev) {
+      Array.from(ev.target.files || []).forEach(function (file) {
+        const reader = new FileReader();
+        reader.onload = function () {
+          const read = cohortLearnerFromFile(nodes, String(reader.result), file.name, curriculum.id);
+          const issues = read.errors.concat(read.warnings).map(function (message) {
+            return file.name + ': ' + message;
+          });
+          if (issues.length > 0) {
+            setCohortIssues(function (prev) {
+              return prev.concat(issues);
+            });
+          }
+          if (read.learner) addCohortLearners([read.learner]);
+        };
+        reader.readAsText(file);
+      });
+    };
+    input.click();
+  }
+
+  function addCohortLearners(learners) {
+    const ids = learners.map(function (learner) {
+      return learner.id;
+    });
+    setCohort(function (prev) {
+      const kept = prev.learners.filter(function (learner) {
+        return ids.indexOf(learner.id) === -1;
+      });
+      return Object.assign({}, prev, { learners: kept.concat(learners) });
+    });
+  }
+
+  // Download the cohort summary as Markdown ('md') or CSV.
+  function exportCohortReport(format) {
+    const content =
+      format === 'csv'
+        ? cohortToCsv(nodes, cohortSummary)
+        : cohortToMarkdown(curriculum, nodes, cohortSummary, cohort.learners);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'text/markdown' });
+    downloadBlob(blob, 'kpv-cohort-report', format === 'csv' ? '.csv' : '.md');
+  }
+
+  function profileName(id) {
+    const profile = profiles.profiles.find(function (p) {
+      return p.id === id;
+    });
+    return profile ? profile.name : id;
+  }
+
+  function announce(text) {
+    setAnnouncement(function (prev) {
+      return { text: text, id: prev ? prev.id + 1 : 1 };
+    });
+  }
+
+  // Open a topic's modal, or for a locked topic the card listing what it
+  // still needs.  Shared by mouse clicks, the keyboard, the planner, the
+  // outline view and the next unlocks panel.
+  function activateTopic(id) {
+    const node = nodes.find(function (n) {
+      return n.id === id;
+    });
+    if (!node) return;
+    // Past states are read-only while the timeline is replaying.
+    if (replayTime !== null) {
+      announce('Progress is read only while the timeline is replaying.');
+    } else {
+      setSelectedNode(node);
+    }
+  }
+
+  // Collapse or expand a group on the graph.
+  function toggleGroup(id) {
+    const next = Object.assign(Object.create(null), collapsedGroups);
+    if (next[id]) {
+      delete next[id];
+    } else {
+      next[id] = true;
+    }
+    saveCollapsedGroups(curriculum.id, profileId, next);
+    setCollapsedGroups(next);
+  }
+
+  // Move keyboard focus to a topic on the graph, panning it into view.
+  function focusTopic(id) {
+    setFocusedId(id);
+    const scene = sceneRef.current;
+    if (!scene || !scene.nodeElements) return;
+    const element = scene.nodeElements
+      .filter(function (d) {
+        return d.id === id;
+      })
+      .node();
+    if (element) element.focus();
+    revealNode(scene, id);
+  }
+
+  // Centre the graph on a search result and give it the focus highlight.
+  function goToTopic(id) {
+    setFocusedId(id);
+    const scene = sceneRef.current;
+    if (!scene) return;
+    // A topic inside a collapsed group is revealed by expanding the groups
+    // around it; the graph centres it once it has been drawn.
+    const topic = findTopic(curriculum, id);
+    const groups = curriculum.groups || [];
+    if (topic && topic.group && collapsedGroupOf(groups, collapsedGroups, topic.group)) {
+      const next = Object.assign(Object.create(null), collapsedGroups);
+      groupAncestry(groups, topic.group).forEach(function (groupId) {
+        delete next[groupId];
+      });
+      saveCollapsedGroups(curriculum.id, profileId, next);
+      setCollapsedGroups(next);
+      scene.revealPending = id;
+      return;
+    }
+    const node = scene.nodesById[id];
+    if (node && node.hidden) {
+      announce(node.title + ' is hidden by the current filters.');
+      return;
+    }
+    revealNode(scene, id, true);
+  }
+
+  // Apply the result of one of the curriculum editing helpers.  Refused
+  // edits only show their message; accepted ones become an undo step.
+  function commitEdit(result) {
+    if (result.error) {
+      setEditError(result.error);
+      return;
+    }
+    setEditError(null);
+    if (result.curriculum === curriculum) return;
+    setEditHistory({ past: editHistory.past.concat([curriculum]), future: [] });
+    replaceCurriculum(result.curriculum);
+  }
+
+  function undoEdit() {
+    if (editHistory.past.length === 0) return;
+    const previous = editHistory.past[editHistory.past.length - 1];
+    setEditHistory({
+      past: editHistory.past.slice(0, -1),
+      future: [curriculum].concat(editHistory.future),
+    });
+    setEditError(null);
+    replaceCurriculum(previous);
+  }
+
+  function redoEdit() {
+    if (editHistory.future.length === 0) return;
+    const next = editHistory.future[0];
+    setEditHistory({
+      past: editHistory.past.concat([curriculum]),
+      future: editHistory.future.slice(1),
+    });
+    setEditError(null);
+    replaceCurriculum(next);
+  }
+
+  // Undo/redo keyboard shortcuts while the editor is open.  Text fields
+  // keep their own native undo.
+  React.useEffect(
+    function () {
+      if (!editorOpen) return undefined;
+      function onKeyDown(ev) {
+        if (!(ev.ctrlKey || ev.metaKey)) return;
+        const tag = ev.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        const key = ev.key.toLowerCase();
+        if (key === 'z' && !ev.shiftKey) {
+          ev.preventDefault();
+          undoEdit();
+        } else if (key === 'y' || (key === 'z' && ev.shiftKey)) {
+          ev.preventDefault();
+          redoEdit();
+        }
       }
-      return Object.assign({}, node);
-    });
-    return computeUnlocks(loaded);
-  });
-  const [edges] = _useState(initialEdges);
-  const [showActive, setShowActive] = _useState(true);
-  const [showCompleted, setShowCompleted] = _useState(true);
-  const [showDependencies, setShowDependencies] = _useState(true);
-  const [selectedNode, setSelectedNode] = _useState(null);
-  const graphRef = React.useRef(null);
+      window.addEventListener('keydown', onKeyDown);
+      return function () {
+        window.removeEventListener('keydown', onKeyDown);
+      };
+    },
+    [editorOpen, editHistory, curriculum],
+  );
 
-  // Export current progress to a downloadable JSON file.  This function
-  // serialises the id and progress fields for each node into a JSON
-  // string, wraps it in a Blob, creates an object URL and clicks a
-  // temporary anchor element to trigger download.  A timestamp is
-  // appended to the filename so repeated exports do not clobber one
-  // another.
-  function exportProgress() {
-    const progressData = nodes.map(function (n) {
-      return { id: n.id, progress: n.progress };
-    });
-    const jsonStr = JSON.stringify(progressData, null, 2);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    a.href = url;
-    a.download = 'kpv-progress-' + timestamp + '.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }
-
-  // Import progress from a user‑selected JSON file.  This function
-  // triggers a hidden file input.  When a file is chosen, it reads
-  // the JSON, validates that each entry has id and progress fields,
-  // then updates the state accordingly.  Unknown ids are ignored.
-  function importProgress() {
+  // Parse, validate and apply curriculum text.  Problems are surfaced in
+  // the error dialog instead of being logged to the console.
+  function handleCurriculumText(text, sourceName) {
+    const result = loadCurriculumText(text, sourceName);
+    if (result.curriculum) {
+      applyCurriculum(result.curriculum);
+    } else {
+      setLoadErrors({ source: sourceName, errors: result.errors });
+    }
+  }
+
+  function readCurriculumFile(file) {
+    const reader = new FileReader();
+    reader.onload = function () {
+      handleCurriculumText(String(reader.result), file.name);
+    };
+    reader.onerror = function () {
+      setLoadErrors({ source: file.name, errors: ['The file could not be read.'] });
+    };
+    reader.readAsText(file);
+  }
+
+  // Open a file chooser for a curriculum definition: JSON, YAML, a
+  // Markdown outline or a Mermaid flowchart.
+  function chooseCurriculumFile() {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = 'application/json';
+    input.accept = '.json,.yaml,.yml,.md,.markdown,.mmd,.mermaid,application/json,text/yaml,text/markdown';
     input.onchange = function (ev) {
       const file = ev.target.files && ev.target.files[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = function () {
-        try {
-          const arr = JSON.parse(reader.result);
-          if (!Array.isArray(arr)) return;
-          setNodes(function (prev) {
-            const updated = prev.map(function (n) {
-              const match = arr.find(function (entry) {
-                return entry.id === n.id;
-              });
-              if (match && typeof match.progress === 'number') {
-                const newProg = Math.max(0, Math.min(100, match.progress));
-                localStorage.setItem('kpv-react-progress-' + n.id, String(newProg));
-                return Object.assign({}, n, { progress: newProg });
-              }
-              return n;
-            });
-            return computeUnlocks(updated);
-          });
-        } catch (err) {
-          console.error('Error parsing JSON', err);
-        }
-      };
-      reader.readAsText(file);
+      if (file) readCurriculumFile(file);
     };
-    // click the hidden input to open file chooser
     input.click();
   }
 
-  // Function to update progress on a node and persist it
-  function updateProgress(id, newProgress) {
-    setNodes(function (prev) {
-      const updated = prev.map(function (n) {
-        return n.id === id ? Object.assign({}, n, { progress: newProgress }) : n;
+  // Load a curriculum named by the `?curriculum=<url>` query parameter once
+  // on mount.  Relative URLs resolve against the page.
+  React.useEffect(function () {
+    const url = new URLSearchParams(window.location.search).get('curriculum');
+    if (!url) return;
+    fetch(url)
+      .then(function (res) {
+        if (!res.ok) {
+          throw new Error('HTTP ' + res.status + ' ' + res.statusText);
+        }
+        return res.text();
+      })
+      .then(function (text) {
+        handleCurriculumText(text, url.split('/').pop());
+      })
+      .catch(function (err) {
+        setLoadErrors({ source: url, errors: ['Could not fetch the curriculum: ' + err.message] });
       });
-      localStorage.setItem('kpv-react-progress-' + id, String(newProgress));
-      return computeUnlocks(updated);
+  }, []);
+
+  // Accept curriculum files dropped anywhere on the page.  A counter is
+  // used for dragenter/dragleave because those events fire for every child
+  // element the pointer crosses.
+  React.useEffect(function () {
+    let depth = 0;
+    function hasFiles(ev) {
+      return ev.dataTransfer && Array.prototype.indexOf.call(ev.dataTransfer.types, 'Files') !== -1;
+    }
+    function onDragEnter(ev) {
+      if (!hasFiles(ev)) return;
+      depth += 1;
+      setDragActive(true);
+    }
+    function onDragLeave(ev) {
+      if (!hasFiles(ev)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) setDragActive(false);
+    }
+    function onDragOver(ev) {
+      if (hasFiles(ev)) ev.preventDefault();
+    }
+    function onDrop(ev) {
+      if (!hasFiles(ev)) return;
+      ev.preventDefault();
+      depth = 0;
+      setDragActive(false);
+      const file = ev.dataTransfer.files[0];
+      if (file) readCurriculumFile(file);
+    }
+    window.addEventListener('dragenter', onDragEnter);
+    window.addEventListener('dragleave', onDragLeave);
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('drop', onDrop);
+    return function () {
+      window.removeEventListener('dragenter', onDragEnter);
+      window.removeEventListener('dragleave', onDragLeave);
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('drop', onDrop);
+    };
+  }, []);
+
+  // Update the pinned node positions and persist them for this curriculum.
+  function updatePins(change) {
+    const next = change(pins);
+    setPins(next);
+    savePins(curriculum.id, profileId, next);
+  }
+
+  // Record progress changes `[{ topic, from, to }]` in the history, all
+  // stamped with the current time, plus any events imported from a file.
+  function recordProgress(changes, source, imported) {
+    const at = new Date().toISOString();
+    const events = changes.map(function (change) {
+      return { topic: change.topic, from: change.from, to: change.to, at: at, source: source };
+    });
+    if (events.length === 0 && !(imported && imported.length)) return;
+    const next = mergeHistory(historyRef.current, (imported || []).concat(events));
+    saveHistory(curriculumRef.current.id, profileId, next);
+    setHistory(next);
+  }
+
+  // Revert the change recorded by a history event.  The revert is itself
+  // recorded, so it can be undone in turn.
+  function undoProgressEvent(event) {
+    updateProgress(event.topic, event.from, 'undo');
+  }
+
+  // Function to update progress on a node and persist it
+  function updateProgress(id, newProgress, source) {
+    const prev = nodesRef.current;
+    const current = prev.find(function (n) {
+      return n.id === id;
+    });
+    if (current && current.progress !== newProgress) {
+      recordProgress([{ topic: id, from: current.progress, to: newProgress }], source || 'modal');
+    }
+    const active = curriculumRef.current;
+    saveProgress(active.id, id, profileId, newProgress);
+    const updated = prev.map(function (n) {
+      return n.id === id ? Object.assign({}, n, { progress: newProgress }) : n;
+    });
+    setNodes(computeUnlocks(updated, active.settings));
+  }
+
+  // Tick or untick checklist items.  Unless the learner switched it off
+  // for this topic, a checklist sets the topic's progress to the share of
+  // ticked items.
+  function updateChecklist(id, done) {
+    const node = nodes.find(function (n) {
+      return n.id === id;
+    });
+    saveChecklist(curriculum.id, id, profileId, done);
+    if (!loadManualProgress(curriculum.id, id, profileId)) {
+      updateProgress(id, checklistProgress(node.checklist, done), 'checklist');
+    }
+  }
+
+  // Record a review rated `score` (see RECALL_SCORES) and reschedule.
+  function recordReview(id, score) {
+    const node = nodes.find(function (n) {
+      return n.id === id;
     });
+    if (!reviews[id] || !node) return;
+    const now = Date.now();
+    const schedule = applyRecall(reviews[id], score, now);
+    const next = Object.assign(Object.create(null), reviews);
+    next[id] = schedule;
+    saveReviews(curriculum.id, profileId, next);
+    setReviews(next);
+    setClock(now);
+    announce('Next review of ' + node.title + ' ' + formatDue(Date.parse(schedule.due), now) + '.');
   }
 
-  // Draw the force-directed graph whenever nodes or filters change
+  // Set the target date of a goal, or clear it with a null date.  Returns
+  // whether the date was accepted.
+  function updateGoal(id, due) {
+    const result = setGoal(goals, id, due);
+    setGoalError(result.error);
+    if (result.error) return false;
+    saveGoals(curriculum.id, profileId, result.goals);
+    setGoals(result.goals);
+    setClock(Date.now());
+    return true;
+  }
+
+  function exportGoalCalendar() {
+    const blob = new Blob([goalsToIcs(curriculum, goalPlan, Date.now())], { type: 'text/calendar' });
+    downloadBlob(blob, 'kpv-study-plan', '.ics');
+  }
+
+  // Switch a topic between checklist-driven and hand-set progress.  Going
+  // back to the checklist brings progress in line with the ticks at once.
+  function setManualProgress(id, manual) {
+    saveManualProgress(curriculum.id, id, profileId, manual);
+    const node = nodes.find(function (n) {
+      return n.id === id;
+    });
+    if (!manual && node.checklist) {
+      updateProgress(id, checklistProgress(node.checklist, loadChecklist(curriculum.id, id, profileId)), 'checklist');
+    }
+  }
+
+  // Completing a topic schedules its first review; dropping below 100%
+  // removes the schedule again.
+  React.useEffect(
+    function () {
+      const next = syncReviews(reviews, nodes, Date.now());
+      if (next !== reviews) {
+        saveReviews(curriculum.id, profileId, next);
+        setReviews(next);
+      }
+    },
+    [nodes, reviews],
+  );
+
+  React.useEffect(function () {
+    const timer = setInterval(function () {
+      setClock(Date.now());
+    }, 60 * 1000);
+    return function () {
+      clearInterval(timer);
+    };
+  }, []);
+
+  const selectedTopic = selectedNode
+    ? nodes.find(function (n) {
+        return n.id === selectedNode.id;
+      }) || selectedNode
+    : null;
+  const selectedCohort =
+    selectedTopic && dashboard && dashboard.topics[selectedTopic.id]
+      ? { topic: dashboard.topics[selectedTopic.id], count: dashboard.count }
+      : null;
+  const forecast = React.useMemo(
+    function () {
+      return unlockForecast(nodes, curriculum.settings);
+    },
+    [nodes, curriculum],
+  );
+  const queue = React.useMemo(
+    function () {
+      return reviewQueue(reviews, nodes, clock);
+    },
+    [reviews, nodes, clock],
+  );
+  const goalPlan = React.useMemo(
+    function () {
+      return goalOverview(nodes, goals, history, curriculum.settings, clock);
+    },
+    [nodes, goals, history, curriculum, clock],
+  );
+  const goalsBehind = goalPlan.goals.filter(function (goal) {
+    return goal.status === 'at-risk' || goal.status === 'overdue';
+  }).length;
+  const decay = React.useMemo(
+    function () {
+      const result = Object.create(null);
+      Object.keys(reviews).forEach(function (id) {
+        result[id] = reviewDecay(reviews[id], clock);
+      });
+      return result;
+    },
+    [reviews, clock],
+  );
+
+  // Create the graph scene once.  It is kept in a ref and updated in place
+  // by the effect below; a ResizeObserver keeps it sized to its container
+  // as side panels open and close.
+  React.useEffect(function () {
+    const scene = createGraphScene(graphRef.current);
+    sceneRef.current = scene;
+    let observer = null;
+    if (typeof ResizeObserver !== 'undefined') {
+      observer = new ResizeObserver(function () {
+        resizeScene(scene);
+      });
+      observer.observe(graphRef.current);
+    }
+    return function () {
+      if (observer) observer.disconnect();
+      scene.simulation.stop();
+      scene.svg.remove();
+      scene.minimap.remove();
+      sceneRef.current = null;
+    };
+  }, []);
+
+  React.useEffect(
+    function () {
+      applyTheme(theme);
+    },
+    [theme],
+  );
+
+  // A new curriculum or layout mode deserves a fresh framing of the graph.
+  React.useEffect(
+    function () {
+      if (sceneRef.current) sceneRef.current.fitPending = true;
+    },
+    [curriculum.id, layoutMode],
+  );
+
+  // Update the graph whenever nodes, layout or filters change.  Nodes and
+  // links are matched to their SVG elements by id with D3 data joins, and
+  // the simulation node objects are reused so positions (and the user's
+  // dragging) carry over.  The simulation is only reheated when the set of
+  // topics or prerequisites actually changed.
   React.useEffect(
     function () {
-      const container = graphRef.current;
-      if (!container) {
+      const scene = sceneRef.current;
+      if (!scene) {
         return;
       }
-      // Clear previous SVG
-      d3.select(container).selectAll('*').remove();
-      const width = container.clientWidth;
-      const height = container.clientHeight;
-      const svg = d3
-        .select(container)
-        .append('svg')
-        .attr('width', width)
-        .attr('height', height)
-        .classed('hidden-links', !showDependencies);
+      const svg = scene.svg;
+      svg.classed('hidden-links', !showDependencies);
+      const width = scene.width;
+      const height = scene.height;
 
       // Create or select a tooltip div for hover information.  We attach
       // it to the document body so that it is not clipped by the
@@ -329,106 +5180,546 @@ function KnowledgeGraphApp() {
           .style('position', 'absolute')
           .style('visibility', 'hidden');
       }
-      const linkGroup = svg.append('g').attr('class', 'link');
-      const nodeGroup = svg.append('g');
-      // Use copies so we don't mutate state objects
-      const simNodes = nodes.map(function (n) {
-        return Object.assign({}, n);
-      });
-      const simEdges = edges.map(function (e) {
-        return Object.assign({}, e);
-      });
-      const simulation = d3
-        .forceSimulation(simNodes)
-        .force(
-          'link',
-          d3
-            .forceLink(simEdges)
-            .id(function (d) {
-              return d.id;
-            })
-            .distance(160)
-            .strength(0.1),
-        )
-        .force('charge', d3.forceManyBody().strength(-500))
-        .force('center', d3.forceCenter(width / 2, height / 2))
-        .force('collision', d3.forceCollide().radius(60));
+
+      // Reuse the simulation objects from the previous update so x/y and
+      // velocities survive.  New topics start next to a prerequisite, or
+      // in the centre when they have none.
+      const previous = scene.nodesById;
+      const nodesById = Object.create(null);
+      let reused = 0;
+      const simNodes = graphNodes.map(function (n) {
+        if (previous[n.id]) reused += 1;
+        const sim = Object.assign(previous[n.id] || {}, n);
+        nodesById[n.id] = sim;
+        return sim;
+      });
+      const groups = curriculum.groups || [];
+      simNodes.forEach(function (sim) {
+        if (sim.x !== undefined) return;
+        // A group that was just collapsed starts where its members were,
+        // and the members of a group that was just expanded start where
+        // the group node was.
+        const origin = sim.isGroup
+          ? sim.members
+              .map(function (id) {
+                return previous[id];
+              })
+              .filter(function (m) {
+                return m && m.x !== undefined;
+              })
+          : groupAncestry(groups, sim.group)
+              .map(function (groupId) {
+                return previous[groupNodeId(groupId)];
+              })
+              .filter(function (g) {
+                return g && g.x !== undefined;
+              })
+              .slice(0, 1);
+        if (origin.length > 0) {
+          sim.x = d3.mean(origin, function (o) {
+            return o.x;
+          }) + (Math.random() - 0.5) * 50;
+          sim.y = d3.mean(origin, function (o) {
+            return o.y;
+          }) + (Math.random() - 0.5) * 50;
+          return;
+        }
+        const anchor = allPrerequisites(sim)
+          .map(function (dep) {
+            return nodesById[dep];
+          })
+          .find(function (dep) {
+            return dep && dep.x !== undefined;
+          });
+        sim.x = anchor ? anchor.x + 120 : width / 2 + (Math.random() - 0.5) * 50;
+        sim.y = anchor ? anchor.y + (Math.random() - 0.5) * 50 : height / 2 + (Math.random() - 0.5) * 50;
+      });
+      const simEdges = edges.map(function (edge) {
+        return { source: nodesById[edge.source], target: nodesById[edge.target], kind: edge.kind };
+      });
+      const signature =
+        simNodes
+          .map(function (n) {
+            return n.id;
+          })
+          .join(',') +
+        '|' +
+        edges
+          .map(function (edge) {
+            return edge.source + '>' + edge.target;
+          })
+          .join(',');
+      const structureChanged = signature !== scene.signature;
+      const modeChanged = scene.layoutMode !== layoutMode;
+      scene.signature = signature;
+      scene.nodesById = nodesById;
+      scene.simNodes = simNodes;
+      scene.layoutMode = layoutMode;
+
+      const simulation = scene.simulation;
+      const layered = isLayeredLayout(layoutMode);
+      simulation.nodes(simNodes);
+      simulation.force('link').links(simEdges);
+      if (layered) {
+        // Tree layouts are computed up front and do not move.
+        simulation.stop();
+        const layout = computeLayeredLayout(simNodes, width, height, groups.length > 0 ? groupLane(groups) : undefined);
+        simNodes.forEach(function (n) {
+          n.x = layout[n.id].x;
+          n.y = layout[n.id].y;
+          n.fx = null;
+          n.fy = null;
+        });
+      } else {
+        simNodes.forEach(function (n) {
+          const pin = pins[n.id];
+          n.fx = pin ? pin.x : null;
+          n.fy = pin ? pin.y : null;
+        });
+        if (structureChanged || modeChanged) {
+          simulation.alpha(reused === 0 ? 1 : 0.5).restart();
+        }
+      }
+
+      // Index the diagnostics so offending nodes and edges can be
+      // highlighted.  Cycles and missing prerequisites are always shown;
+      // unreachable topics and redundant edges only while the diagnostics
+      // panel is open.
+      const issueNodes = { cycle: {}, dangling: {}, unreachable: {} };
+      const issueEdges = { cycle: {}, redundant: {} };
+      diagnostics.cycles.forEach(function (cycle) {
+        cycle.forEach(function (id) {
+          issueNodes.cycle[id] = true;
+        });
+        cycle.forEach(function (id) {
+          blockingPrerequisites(
+            displayNodes.find(function (n) {
+              return n.id === id;
+            }),
+          ).forEach(function (dep) {
+              if (cycle.indexOf(dep) !== -1) {
+                issueEdges.cycle[dep + '>' + id] = true;
+              }
+            });
+        });
+      });
+      diagnostics.dangling.forEach(function (d) {
+        issueNodes.dangling[d.node] = true;
+      });
+      diagnostics.unreachable.forEach(function (id) {
+        issueNodes.unreachable[id] = true;
+      });
+      diagnostics.redundant.forEach(function (r) {
+        issueEdges.redundant[r.source + '>' + r.target] = true;
+      });
+      // While the planner is open, the route to the goal is highlighted
+      // and everything else is dimmed.
+      const onPath = Object.create(null);
+      const planning = showPlanner && plan !== null;
+      if (planning) {
+        onPath[plan.goal] = true;
+        plan.steps.forEach(function (step) {
+          onPath[step.id] = true;
+        });
+      }
+      // Deadline status of the topics on the way to a goal, shown on the
+      // live graph only: replays and the cohort have no deadlines.
+      function deadlineStatus(d) {
+        return replayTime === null && !dashboard ? goalPlan.byTopic[d.id] : undefined;
+      }
+      // Frames around expanded groups.  Clicking a frame's label collapses
+      // the group.
+      scene.frames = groupFrames(simNodes, groups, collapsedGroups);
+      scene.frameElements = scene.groupLayer
+        .selectAll('g.group-frame')
+        .data(scene.frames, function (d) {
+          return d.id;
+        })
+        .join(function (enter) {
+          const g = enter.append('g').attr('class', 'group-frame');
+          g.append('rect').attr('rx', 12).attr('ry', 12);
+          g.append('text').attr('class', 'group-label').attr('role', 'button').attr('tabindex', 0);
+          return g;
+        })
+        .attr('data-depth', function (d) {
+          return d.depth;
+        });
+      scene.frameElements
+        .select('text')
+        .text(function (d) {
+          return '\u25be ' + d.title;
+        })
+        .attr('aria-label', function (d) {
+          return 'collapse group ' + d.title;
+        })
+        .on('click', function (event, d) {
+          toggleGroup(d.id);
+        })
+        .on('keydown', function (event, d) {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            toggleGroup(d.id);
+          }
+        });
+      // Temporary line shown while shift-dragging a new prerequisite
+      let linkPreview = null;
       // Render links
-      const links = linkGroup
-        .selectAll('line')
-        .data(simEdges)
-        .enter()
-        .append('line');
-      // Render nodes with drag and click handlers
-      const nodeElements = nodeGroup
-        .selectAll('g')
-        .data(simNodes)
-        .enter()
-        .append('g')
+      const links = scene.linkGroup
+        .selectAll('path')
+        .data(simEdges, function (d) {
+          return d.source.id + '>' + d.target.id;
+        })
+        .join('path')
+        .attr('class', function (d) {
+          return d.kind;
+        })
+        .classed('cycle', function (d) {
+          return issueEdges.cycle[d.source.id + '>' + d.target.id] === true;
+        })
+        .classed('redundant', function (d) {
+          return showDiagnostics && issueEdges.redundant[d.source.id + '>' + d.target.id] === true;
+        })
+        .classed('on-path', function (d) {
+          return planning && onPath[d.source.id] === true && onPath[d.target.id] === true;
+        })
+        .classed('dimmed', function (d) {
+          return planning && !(onPath[d.source.id] && onPath[d.target.id]);
+        });
+      // Render nodes.  Entering nodes get their rectangle, label and
+      // native tooltip; everything data-dependent is set on the merged
+      // selection so existing nodes pick up progress changes in place.
+      const nodeElements = scene.nodeGroup
+        .selectAll('g.node')
+        .data(simNodes, function (d) {
+          return d.id;
+        })
+        .join(function (enter) {
+          const g = enter.append('g');
+          // Node rectangles
+          g.append('rect')
+            .attr('x', -NODE_WIDTH / 2)
+            .attr('y', -NODE_HEIGHT / 2)
+            .attr('width', NODE_WIDTH)
+            .attr('height', NODE_HEIGHT);
+          // Node labels
+          g.append('text').attr('dy', '0.35em').style('pointer-events', 'none');
+          // Progress bars for the profile comparison overlay: the active
+          // profile on top, the compared profile underneath.
+          g.append('rect')
+            .attr('class', 'compare-bar self')
+            .attr('x', -NODE_WIDTH / 2 + 4)
+            .attr('y', NODE_HEIGHT / 2 - 9)
+            .attr('height', 2);
+          g.append('rect')
+            .attr('class', 'compare-bar other')
+            .attr('x', -NODE_WIDTH / 2 + 4)
+            .attr('y', NODE_HEIGHT / 2 - 5)
+            .attr('height', 2);
+          // Ring on the top-right corner showing how far the learner is
+          // through the topic and everything that builds on it.
+          const ring = g
+            .append('g')
+            .attr('class', 'progress-ring')
+            .attr('transform', 'translate(' + NODE_WIDTH / 2 + ',' + -NODE_HEIGHT / 2 + ')');
+          ring.append('circle').attr('class', 'progress-ring-track').attr('r', RING_RADIUS);
+          ring.append('path').attr('class', 'progress-ring-fill');
+          // Icon on the top-left corner: the topic's own progress in
+          // quarters, so it can be read without telling colours apart.
+          const icon = g
+            .append('g')
+            .attr('class', 'progress-icon')
+            .attr('transform', 'translate(' + -NODE_WIDTH / 2 + ',' + -NODE_HEIGHT / 2 + ')');
+          icon.append('circle').attr('class', 'progress-icon-track').attr('r', RING_RADIUS);
+          icon.append('path').attr('class', 'progress-icon-fill');
+          // Add a title element for native browser tooltips.  This acts
+          // as a fallback in case the custom tooltip fails or is clipped.
+          g.append('title');
+          return g;
+        })
         .attr('class', function (d) {
           return d.unlocked ? 'node' : 'node locked';
         })
+        .classed('pinned', function (d) {
+          return !layered && pins[d.id] !== undefined;
+        })
+        .classed('editing', function (d) {
+          return editorOpen && d.id === editingId;
+        })
+        .classed('goal', function (d) {
+          return planning && d.id === plan.goal;
+        })
+        .classed('on-path', function (d) {
+          return planning && onPath[d.id] === true;
+        })
+        .classed('dimmed', function (d) {
+          return planning && !onPath[d.id];
+        })
+        .classed('issue-cycle', function (d) {
+          return issueNodes.cycle[d.id] === true;
+        })
+        .classed('issue-dangling', function (d) {
+          return issueNodes.dangling[d.id] === true;
+        })
+        .classed('issue-unreachable', function (d) {
+          return showDiagnostics && issueNodes.unreachable[d.id] === true;
+        })
+        .classed('group-node', function (d) {
+          return d.isGroup === true;
+        })
+        .classed('bottleneck', function (d) {
+          return dashboard !== null && dashboard.topics[d.id] !== undefined && dashboard.topics[d.id].bottleneck;
+        })
+        .classed('deadline-on-track', function (d) {
+          return deadlineStatus(d) === 'on-track';
+        })
+        .classed('deadline-at-risk', function (d) {
+          return deadlineStatus(d) === 'at-risk';
+        })
+        .classed('deadline-overdue', function (d) {
+          return deadlineStatus(d) === 'overdue';
+        });
+      // Overdue reviews fade the live graph; replays show past progress
+      // as it was.  Labels switch to dark text on light fills.
+      scene.palette = findTheme(theme).progress;
+      function nodeFill(d) {
+        return progressRgb(d.progress, replayTime === null && !dashboard ? decay[d.id] : 0, scene.palette);
+      }
+      nodeElements.select('rect').attr('fill', function (d) {
+        const rgb = nodeFill(d);
+        return 'rgb(' + rgb[0] + ', ' + rgb[1] + ', ' + rgb[2] + ')';
+      });
+      nodeElements
+        .select('text')
+        .text(function (d) {
+          return d.title;
+        })
+        .classed('on-light', function (d) {
+          return isLightColor(nodeFill(d));
+        });
+      const iconArc = d3
+        .arc()
+        .innerRadius(0)
+        .outerRadius(RING_RADIUS - 2)
+        .startAngle(0);
+      nodeElements.select('path.progress-icon-fill').attr('d', function (d) {
+        return iconArc({ endAngle: (2 * Math.PI * progressStep(d.progress)) / 100 });
+      });
+      // Profile comparison: each node shows both learners' progress as
+      // thin bars, and the tooltips name both values.
+      const compareById = Object.create(null);
+      if (compareNodes) {
+        compareNodes.forEach(function (n) {
+          compareById[n.id] = n.progress;
+        });
+        simNodes.forEach(function (d) {
+          if (!d.isGroup) return;
+          compareById[d.id] = Math.round(
+            d3.mean(d.members, function (id) {
+              return compareById[id] || 0;
+            }),
+          );
+        });
+      }
+      const subtree = subtreeProgress(displayNodes);
+      function progressLabel(d) {
+        const branch =
+          subtree[d.id] && subtree[d.id].count > 1
+            ? ' (' + subtree[d.id].percent + '% including the ' + (subtree[d.id].count - 1) + ' topics built on it)'
+            : '';
+        const review =
+          replayTime === null && reviews[d.id] && Date.parse(reviews[d.id].due) <= clock ? ', due for review' : '';
+        const status = deadlineStatus(d);
+        const statusLabel = status ? GOAL_STATUSES[goalStatusRank(status)].label.toLowerCase() : '';
+        let deadline = '';
+        if (status && status !== 'done') {
+          deadline = Object.prototype.hasOwnProperty.call(goals, d.id)
+            ? ', goal due ' + formatDay(goals[d.id]) + ', ' + statusLabel
+            : ', needed for a goal that is ' + statusLabel;
+        }
+        if (dashboard) {
+          const topic = dashboard.topics[d.id];
+          return (
+            d.title + ' – cohort ' + (cohort.measure === 'median' ? 'median ' : 'average ') + d.progress + '%' +
+            (topic && topic.stuck > 0 ? ', ' + topic.stuck + ' of ' + dashboard.count + ' stuck' : '') + branch
+          );
+        }
+        if (!compareNodes) return d.title + ' – ' + d.progress + '%' + review + deadline + branch;
+        return (
+          d.title + ' – ' + profileName(profileId) + ': ' + d.progress + '%, ' +
+          profileName(compareId) + ': ' + (compareById[d.id] || 0) + '%' + review + deadline + branch
+        );
+      }
+      const ringArc = d3
+        .arc()
+        .innerRadius(RING_RADIUS - 2)
+        .outerRadius(RING_RADIUS + 2)
+        .startAngle(0);
+      nodeElements.select('path.progress-ring-fill').attr('d', function (d) {
+        const percent = subtree[d.id] ? subtree[d.id].percent : d.progress;
+        return ringArc({ endAngle: (2 * Math.PI * percent) / 100 });
+      });
+      nodeElements
+        .select('rect.compare-bar.self')
+        .style('display', compareNodes ? null : 'none')
+        .attr('width', function (d) {
+          return ((NODE_WIDTH - 8) * d.progress) / 100;
+        });
+      nodeElements
+        .select('rect.compare-bar.other')
+        .style('display', compareNodes ? null : 'none')
+        .attr('width', function (d) {
+          return ((NODE_WIDTH - 8) * (compareById[d.id] || 0)) / 100;
+        });
+      nodeElements.select('title').text(function (d) {
+        return progressLabel(d) + (pins[d.id] ? ' (pinned; Alt+click to release)' : '');
+      });
+      // Screen readers get the same information as the tooltip plus the
+      // lock state, which sighted users read from the node colour.
+      nodeElements
+        .attr('role', 'button')
+        .attr('aria-disabled', function (d) {
+          return d.unlocked ? null : 'true';
+        })
+        .attr('aria-label', function (d) {
+          if (d.isGroup) {
+            return progressLabel(d) + ', collapsed group of ' + d.members.length + ' topics, press Enter to expand';
+          }
+          const dependents = simNodes.filter(function (n) {
+            return allPrerequisites(n).indexOf(d.id) !== -1;
+          }).length;
+          return (
+            progressLabel(d) + ', ' + (d.unlocked ? 'unlocked' : 'locked') + ', ' +
+            allPrerequisites(d).length + ' prerequisites, ' + dependents + ' dependents'
+          );
+        });
+
+      // While authoring, any node (locked or not) is selected for editing
+      // instead of opening the progress modal.
+      function activateNode(d) {
+        // Group nodes stand for several topics; opening one expands it.
+        if (d.isGroup) {
+          toggleGroup(d.groupId);
+          return;
+        }
+        if (editorOpen) {
+          setEditError(null);
+          setEditingId(d.id);
+          return;
+        }
+        activateTopic(d.id);
+      }
+
+      // Click and drag handlers are rebound on every update so they see
+      // the current state.
+      nodeElements
         .on('click', function (event, d) {
-          // Only respond if the node is unlocked
-          const orig = nodes.find(function (n) {
-            return n.id === d.id;
-          });
-          if (orig && orig.unlocked) {
-            setSelectedNode(orig);
+          // Alt+click releases a pinned node back to the simulation.
+          if (event.altKey && pins[d.id]) {
+            updatePins(function (prev) {
+              const next = Object.assign(Object.create(null), prev);
+              delete next[d.id];
+              return next;
+            });
+            simulation.alpha(0.3).restart();
+            return;
+          }
+          activateNode(d);
+        })
+        // Keyboard access: nodes form a single tab stop (roving
+        // tabindex), arrow keys move along the prerequisites and Enter
+        // or Space activates the focused node like a click.
+        .on('focus', function (event, d) {
+          if (d.id !== focusedId) setFocusedId(d.id);
+        })
+        .on('keydown', function (event, d) {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            activateNode(d);
+            return;
+          }
+          const target = keyboardTarget(
+            simNodes.filter(function (n) {
+              return !n.hidden;
+            }),
+            d.id,
+            event.key,
+          );
+          if (target) {
+            event.preventDefault();
+            focusTopic(target);
           }
         })
         .call(
           d3
             .drag()
             .on('start', function (event, d) {
+              // Shift-drag in the editor draws a new prerequisite link
+              // from this node instead of moving it.
+              if (editorOpen && event.sourceEvent.shiftKey && !d.isGroup) {
+                linkPreview = scene.viewport
+                  .append('line')
+                  .attr('class', 'link-preview')
+                  .attr('x1', d.x)
+                  .attr('y1', d.y)
+                  .attr('x2', d.x)
+                  .attr('y2', d.y);
+                return;
+              }
+              // Tree layouts are deterministic, so nodes stay put.
+              if (layered) return;
               if (!event.active) {
                 simulation.alphaTarget(0.3).restart();
               }
+              d.dragged = false;
               d.fx = d.x;
               d.fy = d.y;
             })
             .on('drag', function (event, d) {
+              if (linkPreview) {
+                linkPreview.attr('x2', event.x).attr('y2', event.y);
+                return;
+              }
+              if (layered) return;
+              d.dragged = true;
               d.fx = event.x;
               d.fy = event.y;
             })
             .on('end', function (event, d) {
+              if (linkPreview) {
+                linkPreview.remove();
+                linkPreview = null;
+                const target = simNodes.find(function (n) {
+                  return (
+                    n !== d &&
+                    !n.isGroup &&
+                    Math.abs(n.x - event.x) <= NODE_WIDTH / 2 &&
+                    Math.abs(n.y - event.y) <= NODE_HEIGHT / 2
+                  );
+                });
+                if (target) {
+                  commitEdit(setPrerequisite(curriculum, d.id, target.id, 'required'));
+                  setEditingId(target.id);
+                }
+                return;
+              }
+              if (layered) return;
               if (!event.active) {
                 simulation.alphaTarget(0);
               }
-              d.fx = null;
-              d.fy = null;
+              // A plain click is not a drag: restore the previous pin state.
+              if (!d.dragged) {
+                d.fx = pins[d.id] ? pins[d.id].x : null;
+                d.fy = pins[d.id] ? pins[d.id].y : null;
+                return;
+              }
+              // Keep the node where it was dropped and remember the pin.
+              updatePins(function (prev) {
+                const next = Object.assign(Object.create(null), prev);
+                next[d.id] = { x: Math.round(d.fx), y: Math.round(d.fy) };
+                return next;
+              });
             }),
         );
-      // Node rectangles
-      nodeElements
-        .append('rect')
-        .attr('x', -50)
-        .attr('y', -20)
-        .attr('width', 100)
-        .attr('height', 40)
-        .attr('fill', function (d) {
-          return progressColor(d.progress);
-        });
-      // Node labels
-      nodeElements
-        .append('text')
-        .attr('dy', '0.35em')
-        .text(function (d) {
-          return d.title;
-        })
-        .style('pointer-events', 'none');
-
-      // Add a title element for native browser tooltips.  This acts as a
-      // fallback tooltip in case the custom tooltip fails or is
-      // clipped.  It displays the topic title and current progress
-      // percentage when the user hovers over the node.  The custom
-      // tooltip is still created above, but this ensures some
-      // information is always available.
-      nodeElements
-        .append('title')
-        .text(function (d) {
-          return d.title + ' – ' + d.progress + '%';
-        });
 
       // Add tooltip handlers to node groups.  We attach listeners to
       // the group so that hovering anywhere on the node reveals a
@@ -437,7 +5728,7 @@ function KnowledgeGraphApp() {
       nodeElements
         .on('mouseover', function (event, d) {
           tooltip.style('visibility', 'visible');
-          tooltip.text(d.title + ' – ' + d.progress + '%');
+          tooltip.text(progressLabel(d));
         })
         .on('mousemove', function (event) {
           // Use pageX/pageY for absolute coordinates.  Because the
@@ -453,45 +5744,252 @@ function KnowledgeGraphApp() {
         .on('mouseout', function () {
           tooltip.style('visibility', 'hidden');
         });
-      // Tick update positions
-      simulation.on('tick', function () {
-        links
-          .attr('x1', function (d) {
-            return d.source.x;
-          })
-          .attr('y1', function (d) {
-            return d.source.y;
-          })
-          .attr('x2', function (d) {
-            return d.target.x;
+
+      // Apply visibility filters for nodes and links.  Hidden nodes are
+      // determined by the showActive and showCompleted toggles, the tag
+      // filter and focus mode.  Links attached to hidden nodes become
+      // invisible to avoid floating lines.
+      const filters = {
+        showActive: showActive,
+        showCompleted: showCompleted,
+        tags: tagFilter.filter(function (tag) {
+          return allTags.indexOf(tag) !== -1;
+        }),
+      };
+      const related = focusRoot && nodesById[focusRoot] ? relatedTopics(simNodes, focusRoot) : null;
+      simNodes.forEach(function (d) {
+        d.hidden = !passesFilters(d, filters, related);
+      });
+      // Search matches glow until the query is cleared.
+      const matches = Object.create(null);
+      searchResults.forEach(function (result) {
+        matches[result.id] = true;
+      });
+      nodeElements.classed('search-match', function (d) {
+        return matches[d.id] === true;
+      });
+      nodeElements.classed('hidden', function (d) {
+        return d.hidden;
+      });
+      // Only one node is in the tab order: the focused one, or the first
+      // visible topic until the user moves.
+      const visible = simNodes.filter(function (d) {
+        return !d.hidden;
+      });
+      const tabStop = visible.some(function (d) {
+        return d.id === focusedId;
+      })
+        ? focusedId
+        : visible.length > 0
+          ? visible[0].id
+          : null;
+      nodeElements
+        .attr('tabindex', function (d) {
+          return d.id === tabStop ? 0 : -1;
+        })
+        .attr('aria-hidden', function (d) {
+          return d.hidden ? 'true' : null;
+        })
+        .classed('focused', function (d) {
+          return d.id === focusedId;
+        });
+      // Visible links leave their opacity to the stylesheet, which
+      // differs by link kind and honours the "Show dependencies" toggle.
+      links.style('opacity', function (d) {
+        return d.source.hidden || d.target.hidden ? 0 : null;
+      });
+
+      scene.links = links;
+      scene.nodeElements = nodeElements;
+      positionScene(scene);
+      if (scene.fitPending && (layered || !structureChanged)) {
+        fitScene(scene, false);
+      }
+      if (scene.revealPending && nodesById[scene.revealPending]) {
+        revealNode(scene, scene.revealPending, true);
+        scene.revealPending = null;
+      }
+    },
+    [
+      displayNodes,
+      graphNodes,
+      edges,
+      collapsedGroups,
+      reviews,
+      decay,
+      theme,
+      pins,
+      layoutMode,
+      diagnostics,
+      showDiagnostics,
+      showPlanner,
+      plan,
+      replayTime,
+      dashboard,
+      goalPlan,
+      editorOpen,
+      editingId,
+      showActive,
+      showCompleted,
+      showDependencies,
+      compareNodes,
+      profiles,
+      focusedId,
+      searchResults,
+      tagFilter,
+      allTags,
+      focusRoot,
+    ],
+  );
+
+  // Mirror the filters in the address bar so the view can be shared.
+  React.useEffect(
+    function () {
+      const search = viewStateSearch(window.location.search, {
+        query: searchQuery.trim(),
+        tags: tagFilter,
+        focus: focusRoot,
+        showActive: showActive,
+        showCompleted: showCompleted,
+        showDependencies: showDependencies,
+      });
+      if (search !== window.location.search) {
+        window.history.replaceState(null, '', window.location.pathname + search + window.location.hash);
+      }
+    },
+    [searchQuery, tagFilter, focusRoot, showActive, showCompleted, showDependencies],
+  );
+
+  // Announce topics that become unlocked (or locked again) through
+  // progress changes.  Switching curriculum or profile, and topics added
+  // in the editor, are not announced.
+  const unlockedRef = React.useRef(null);
+  React.useEffect(
+    function () {
+      const key = curriculum.id + '|' + profileId;
+      const state = Object.create(null);
+      nodes.forEach(function (n) {
+        state[n.id] = n.unlocked;
+      });
+      const previous = unlockedRef.current;
+      unlockedRef.current = { key: key, state: state };
+      if (!previous || previous.key !== key || replayTime !== null) return;
+      function titles(filter) {
+        return nodes
+          .filter(function (n) {
+            return previous.state[n.id] !== undefined && filter(n);
           })
-          .attr('y2', function (d) {
-            return d.target.y;
+          .map(function (n) {
+            return n.title;
           });
-        nodeElements.attr('transform', function (d) {
-          return 'translate(' + d.x + ',' + d.y + ')';
-        });
+      }
+      const gained = titles(function (n) {
+        return n.unlocked && !previous.state[n.id];
       });
-      // Apply visibility filters for nodes and links.  Hidden nodes are
-      // determined by the showActive and showCompleted toggles.  Links
-      // attached to hidden nodes become invisible to avoid floating lines.
-      nodeElements.classed('hidden', function (d) {
-        if (!showCompleted && d.progress >= 100) return true;
-        if (!showActive && d.progress < 100) return true;
-        return false;
+      const lost = titles(function (n) {
+        return !n.unlocked && previous.state[n.id];
       });
-      links.style('opacity', function (d) {
-        // Determine if either end of the link is hidden.  We compare
-        // against the simulation nodes array (simNodes) because d.source
-        // and d.target refer to those copies.
-        const srcHidden = (!showCompleted && d.source.progress >= 100) ||
-          (!showActive && d.source.progress < 100);
-        const tgtHidden = (!showCompleted && d.target.progress >= 100) ||
-          (!showActive && d.target.progress < 100);
-        return srcHidden || tgtHidden ? 0 : 0.5;
+      const parts = [];
+      if (gained.length > 0) parts.push('Unlocked: ' + gained.join(', ') + '.');
+      if (lost.length > 0) parts.push('Locked again: ' + lost.join(', ') + '.');
+      if (parts.length > 0) announce(parts.join(' '));
+    },
+    [nodes],
+  );
+
+  // Scripting API (see createKnowledgePathApi).  `window.KPV` is created
+  // once; its host reads the latest state and functions from a ref that
+  // every render refreshes, and the curriculum and topics from
+  // curriculumRef and nodesRef, so calls made before the next render see
+  // each other's changes.  Events are emitted from the topics as
+  // rendered, so changes made in the UI are reported as well.
+  const apiRef = React.useRef(null);
+  apiRef.current = Object.assign(apiRef.current || { events: createEmitter() }, {
+    profile: { id: profileId, name: profileName(profileId) },
+    applyCurriculum: applyCurriculum,
+    applyProgressChanges: applyProgressChanges,
+  });
+  React.useEffect(function () {
+    const live = apiRef.current;
+    window.KPV = createKnowledgePathApi({
+      events: live.events,
+      state: function () {
+        return { curriculum: curriculumRef.current, nodes: nodesRef.current, profile: live.profile };
+      },
+      applyCurriculum: function (next) {
+        live.applyCurriculum(next);
+      },
+      applyProgress: function (changes, source) {
+        live.applyProgressChanges(changes, source);
+      },
+    });
+    return function () {
+      delete window.KPV;
+    };
+  }, []);
+  const emittedRef = React.useRef(null);
+  React.useEffect(
+    function () {
+      const events = apiRef.current.events;
+      const previous = emittedRef.current;
+      emittedRef.current = { curriculumId: curriculum.id, profileId: profileId, nodes: nodes };
+      if (!previous) return;
+      if (previous.curriculumId !== curriculum.id) {
+        events.emit('curriculum', { curriculum: { id: curriculum.id, title: curriculum.title } });
+      } else if (previous.profileId === profileId) {
+        emitProgressEvents(events, previous.nodes, nodes);
+      }
+    },
+    [nodes],
+  );
+
+  // Sync now, showing a failure in the Sync panel's status.
+  function syncStorage(storage) {
+    storage.sync().catch(function (err) {
+      setSyncStatus(Object.assign({}, storage.status(), { online: false, error: err.message }));
+    });
+  }
+
+  // A sync server backend syncs on start and whenever the browser comes
+  // back online, and reports its status and other devices' changes.
+  const reloadRef = React.useRef(null);
+  reloadRef.current = reloadFromStorage;
+  React.useEffect(function () {
+    const storage = getStorage();
+    if (!storage.events) return undefined;
+    const offStatus = storage.events.on('status', setSyncStatus);
+    // Changes arrive outside any React event, so the state updates are
+    // batched by hand; otherwise the review effect would see the new
+    // schedules with the old progress and drop them.
+    const offChange = storage.events.on('change', function (detail) {
+      ReactDOM.unstable_batchedUpdates(function () {
+        reloadRef.current(detail.keys);
       });
+    });
+    function reconnect() {
+      syncStorage(storage);
+    }
+    window.addEventListener('online', reconnect);
+    syncStorage(storage);
+    return function () {
+      offStatus();
+      offChange();
+      window.removeEventListener('online', reconnect);
+    };
+  }, []);
+
+  // Status messages fade after a few seconds.
+  React.useEffect(
+    function () {
+      if (!announcement) return undefined;
+      const timer = setTimeout(function () {
+        setAnnouncement(null);
+      }, 6000);
+      return function () {
+        clearTimeout(timer);
+      };
     },
-    [nodes, edges, showActive, showCompleted, showDependencies],
+    [announcement],
   );
 
   // Render function: navigation bar, graph container, optional modal
@@ -513,19 +6011,105 @@ function KnowledgeGraphApp() {
                 id: 'hamburger',
                 className: 'hamburger',
                 'aria-label': 'menu',
+                'aria-expanded': editorOpen,
                 onClick: function () {
-                  // Placeholder for future sidebar toggle
+                  setEditorOpen(function (v) {
+                    return !v;
+                  });
                 },
               },
               '\u2630',
             ),
             e('span', { className: 'title' }, 'Knowledge Path Visualizer'),
+            e('span', { className: 'curriculum-title' }, curriculum.title),
+            e(
+              'div',
+              {
+                className: 'overall-progress',
+                role: 'progressbar',
+                'aria-label': 'curriculum progress',
+                'aria-valuemin': 0,
+                'aria-valuemax': 100,
+                'aria-valuenow': summary.percent,
+                'aria-valuetext': summary.percent + '%, ' + summary.completed + ' of ' + summary.count + ' topics completed',
+                title: summary.completed + ' of ' + summary.count + ' topics completed',
+              },
+              [
+                e(
+                  'span',
+                  { key: 'track', className: 'overall-progress-track' },
+                  e('span', { className: 'overall-progress-fill', style: { width: summary.percent + '%' } }),
+                ),
+                e('span', { key: 'label', className: 'overall-progress-label' }, summary.percent + '%'),
+              ],
+            ),
           ],
         ),
         e(
           'div',
           { className: 'navbar-right' },
           [
+            // Learner profile switcher.  Each profile has its own
+            // progress, pins and history.
+            e(
+              'select',
+              {
+                className: 'profile-select',
+                'aria-label': 'learner profile',
+                value: profileId,
+                onChange: function (ev) {
+                  applyProfiles({ state: { active: ev.target.value, profiles: profiles.profiles }, error: null });
+                },
+              },
+              profiles.profiles.map(function (profile) {
+                return e('option', { key: profile.id, value: profile.id }, profile.name);
+              }),
+            ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showProfiles,
+                onClick: function () {
+                  setShowProfiles(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              'Profiles',
+            ),
+            // Storage and sync; the badge counts edits not yet on the sync
+            // server.
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showSync,
+                onClick: function () {
+                  setShowSync(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              [
+                'Sync',
+                syncStatus && syncStatus.pending > 0
+                  ? e(
+                      'span',
+                      { key: 'badge', className: 'badge', title: 'changes waiting to sync' },
+                      syncStatus.pending,
+                    )
+                  : null,
+              ],
+            ),
+            e(SearchBox, {
+              query: searchQuery,
+              results: searchResults,
+              nodes: nodes,
+              onQueryChange: setSearchQuery,
+              onSelect: goToTopic,
+            }),
+            e(TagFilter, { tags: allTags, selected: tagFilter, onChange: setTagFilter }),
             e(
               'label',
               null,
@@ -582,11 +6166,37 @@ function KnowledgeGraphApp() {
               {
                 className: 'nav-action',
                 onClick: function () {
-                  exportProgress();
+                  exportProgress('json');
                 },
               },
               'Export',
             ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                title: 'Export progress as a spreadsheet',
+                onClick: function () {
+                  exportProgress('csv');
+                },
+              },
+              'Export CSV',
+            ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showGraphExport,
+                title: 'Save the graph as an image or print it as a poster',
+                onClick: function () {
+                  setShowGraphExport(function (v) {
+                    return !v;
+                  });
+                  setGraphExportError(null);
+                },
+              },
+              'Export graph',
+            ),
             e(
               'button',
               {
@@ -597,35 +6207,659 @@ function KnowledgeGraphApp() {
               },
               'Import',
             ),
+            // Layout selector: force simulation or tech-tree layout
+            e(
+              'select',
+              {
+                className: 'layout-select',
+                'aria-label': 'layout',
+                value: layoutMode,
+                onChange: function (ev) {
+                  activeStorage.setItem(LAYOUT_STORAGE_KEY, ev.target.value);
+                  setLayoutMode(ev.target.value);
+                },
+              },
+              LAYOUT_MODES.map(function (mode) {
+                return e('option', { key: mode.id, value: mode.id }, mode.label);
+              }),
+            ),
+            e(
+              'select',
+              {
+                className: 'theme-select',
+                'aria-label': 'theme',
+                value: theme,
+                onChange: function (ev) {
+                  activeStorage.setItem(THEME_STORAGE_KEY, ev.target.value);
+                  setTheme(ev.target.value);
+                },
+              },
+              THEMES.map(function (option) {
+                return e('option', { key: option.id, value: option.id }, option.label);
+              }),
+            ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showPlanner,
+                onClick: function () {
+                  setShowPlanner(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              'Planner',
+            ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showOutline,
+                onClick: function () {
+                  setShowOutline(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              'Outline',
+            ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showTimeline,
+                onClick: function () {
+                  setShowTimeline(function (v) {
+                    return !v;
+                  });
+                  setReplayTime(null);
+                },
+              },
+              'Timeline',
+            ),
+            // Review queue toggle; the badge counts reviews due now.
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showReviews,
+                onClick: function () {
+                  setShowReviews(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              [
+                'Reviews',
+                queue.due.length > 0
+                  ? e('span', { key: 'badge', className: 'badge due', title: 'due for review' }, queue.due.length)
+                  : null,
+              ],
+            ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showNextUnlocks,
+                onClick: function () {
+                  setShowNextUnlocks(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              'Next unlocks',
+            ),
+            // Goals toggle; the badge counts goals at risk or overdue.
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showGoals,
+                onClick: function () {
+                  setShowGoals(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              [
+                'Goals',
+                goalsBehind > 0
+                  ? e('span', { key: 'badge', className: 'badge', title: 'goals at risk or overdue' }, goalsBehind)
+                  : null,
+              ],
+            ),
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                'aria-pressed': showCohort,
+                onClick: function () {
+                  setShowCohort(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              'Cohort',
+            ),
+            // Diagnostics toggle.  The badge counts cycles and missing
+            // prerequisites so broken curricula are noticed immediately.
+            e(
+              'button',
+              {
+                className: 'nav-action' + (diagnosticCounts(diagnostics).errors > 0 ? ' has-errors' : ''),
+                'aria-pressed': showDiagnostics,
+                onClick: function () {
+                  setShowDiagnostics(function (v) {
+                    return !v;
+                  });
+                },
+              },
+              [
+                'Diagnostics',
+                diagnosticCounts(diagnostics).errors > 0
+                  ? e('span', { key: 'badge', className: 'badge' }, diagnosticCounts(diagnostics).errors)
+                  : null,
+              ],
+            ),
+            // Curriculum actions: load an external definition or return
+            // to the built-in example.
+            e(
+              'button',
+              {
+                className: 'nav-action',
+                onClick: function () {
+                  chooseCurriculumFile();
+                },
+              },
+              'Load curriculum',
+            ),
+            curriculum !== BUILTIN_CURRICULUM
+              ? e(
+                  'button',
+                  {
+                    className: 'nav-action',
+                    onClick: function () {
+                      applyCurriculum(BUILTIN_CURRICULUM);
+                    },
+                  },
+                  'Example',
+                )
+              : null,
           ],
         ),
       ],
     ),
-    // Graph container
-    e('div', {
-      id: 'graph-container',
-      ref: graphRef,
-      style: { flexGrow: 1, position: 'relative', overflow: 'hidden' },
-    }),
-    // Conditional modal
-    selectedNode
+    // Workspace: the graph container flanked by any open side panels
+    e(
+      'div',
+      { className: 'workspace' },
+      [
+        editorOpen
+          ? e(EditorSidebar, {
+              key: 'editor',
+              curriculum: curriculum,
+              editingId: editingId,
+              error: editError,
+              canUndo: editHistory.past.length > 0,
+              canRedo: editHistory.future.length > 0,
+              onUndo: undoEdit,
+              onRedo: redoEdit,
+              onSelect: function (id) {
+                setEditError(null);
+                setEditingId(id);
+              },
+              onAdd: function () {
+                const result = addTopic(curriculum, 'New topic');
+                commitEdit(result);
+                setEditingId(result.id);
+              },
+              onUpdate: function (id, changes) {
+                commitEdit(updateTopic(curriculum, id, changes));
+              },
+              onDelete: function (id) {
+                commitEdit(removeTopic(curriculum, id));
+                setEditingId(null);
+              },
+              onSetPrerequisite: function (sourceId, targetId, kind) {
+                commitEdit(setPrerequisite(curriculum, sourceId, targetId, kind));
+              },
+              onSetAlternativeCount: function (targetId, count) {
+                commitEdit(setAlternativeCount(curriculum, targetId, count));
+              },
+              onSetDefaultThreshold: function (value) {
+                commitEdit(updateSettings(curriculum, { unlockThreshold: value }));
+              },
+              onClose: function () {
+                setEditorOpen(false);
+              },
+            })
+          : null,
+        e(
+          'div',
+          {
+            key: 'graph',
+            id: 'graph-container',
+            style: { flexGrow: 1, position: 'relative', overflow: 'hidden' },
+          },
+          [
+            // D3 owns everything inside the canvas element
+            e('div', { key: 'canvas', className: 'graph-canvas', ref: graphRef }),
+            e(
+              'p',
+              { key: 'instructions', id: 'graph-instructions', className: 'sr-only' },
+              'Press Tab to reach the topics.  Left and Right arrows move to a prerequisite or a dependent topic, ' +
+                'Up and Down step through all topics, Enter opens the focused topic.  ' +
+                'The Outline button offers the same curriculum as a list.',
+            ),
+            // Live region for unlock events and locked-topic explanations
+            e(
+              'div',
+              { key: 'status', className: 'graph-status', role: 'status', 'aria-live': 'polite' },
+              announcement ? e('span', { key: announcement.id }, announcement.text) : null,
+            ),
+            replayTime !== null
+              ? e(
+                  'div',
+                  { key: 'replay', className: 'replay-banner', role: 'status' },
+                  'Replaying progress as of ' + formatTimestamp(new Date(replayTime).toISOString()) +
+                    ' \u2013 read only',
+                )
+              : null,
+            e(
+              'div',
+              { key: 'toolbar', className: 'graph-toolbar' },
+              [
+                e(
+                  'button',
+                  {
+                    key: 'zoom-in',
+                    'aria-label': 'zoom in',
+                    title: 'Zoom in',
+                    onClick: function () {
+                      zoomScene(sceneRef.current, 1.25);
+                    },
+                  },
+                  '+',
+                ),
+                e(
+                  'button',
+                  {
+                    key: 'zoom-out',
+                    'aria-label': 'zoom out',
+                    title: 'Zoom out',
+                    onClick: function () {
+                      zoomScene(sceneRef.current, 0.8);
+                    },
+                  },
+                  '\u2212',
+                ),
+                e(
+                  'button',
+                  {
+                    key: 'fit',
+                    title: 'Fit the whole graph on screen',
+                    onClick: function () {
+                      fitScene(sceneRef.current, true);
+                    },
+                  },
+                  'Fit',
+                ),
+                // Focus mode: only the focused topic, its prerequisites and
+                // the topics that build on it.
+                focusRoot
+                  ? e(
+                      'button',
+                      {
+                        key: 'focus',
+                        'aria-pressed': true,
+                        title: 'Show every topic again',
+                        onClick: function () {
+                          setFocusRoot(null);
+                        },
+                      },
+                      'Exit focus',
+                    )
+                  : e(
+                      'button',
+                      {
+                        key: 'focus',
+                        'aria-pressed': false,
+                        disabled: !focusedId,
+                        title: focusedId
+                          ? 'Show only this topic with its prerequisites and dependents'
+                          : 'Select a topic to focus on it',
+                        onClick: function () {
+                          setFocusRoot(focusedId);
+                          if (sceneRef.current) sceneRef.current.fitPending = true;
+                        },
+                      },
+                      'Focus',
+                    ),
+                Object.keys(pins).length > 0 && !isLayeredLayout(layoutMode)
+                  ? e(
+                      'button',
+                      {
+                        key: 'unpin',
+                        title: 'Release every pinned node',
+                        onClick: function () {
+                          updatePins(function () {
+                            return Object.create(null);
+                          });
+                          sceneRef.current.simulation.alpha(0.5).restart();
+                        },
+                      },
+                      'Unpin all (' + Object.keys(pins).length + ')',
+                    )
+                  : null,
+              ],
+            ),
+          ],
+        ),
+        showPlanner
+          ? e(PlannerPanel, {
+              key: 'planner',
+              nodes: nodes,
+              goalId: goalId,
+              plan: plan,
+              onGoalChange: setGoalId,
+              onOpen: activateTopic,
+              onClose: function () {
+                setShowPlanner(false);
+              },
+            })
+          : null,
+        showOutline
+          ? e(OutlinePanel, {
+              key: 'outline',
+              nodes: nodes,
+              focusedId: focusedId,
+              onFocusTopic: function (id) {
+                setFocusedId(id);
+                if (sceneRef.current) revealNode(sceneRef.current, id);
+              },
+              onOpen: activateTopic,
+              onClose: function () {
+                setShowOutline(false);
+              },
+            })
+          : null,
+        showTimeline
+          ? e(TimelinePanel, {
+              key: 'timeline',
+              nodes: nodes,
+              history: history,
+              replayTime: replayTime,
+              exportHistory: exportHistory,
+              onReplay: setReplayTime,
+              onUndo: undoProgressEvent,
+              onExportHistoryChange: function (value) {
+                activeStorage.setItem(EXPORT_HISTORY_KEY, String(value));
+                setExportHistory(value);
+              },
+              onClose: function () {
+                setShowTimeline(false);
+                setReplayTime(null);
+              },
+            })
+          : null,
+        showReviews
+          ? e(ReviewPanel, {
+              key: 'reviews',
+              queue: queue,
+              now: clock,
+              onRecall: recordReview,
+              onFocusTopic: function (id) {
+                goToTopic(id);
+              },
+              onClose: function () {
+                setShowReviews(false);
+              },
+            })
+          : null,
+        showGoals
+          ? e(GoalsPanel, {
+              key: 'goals',
+              overview: goalPlan,
+              goals: goals,
+              nodes: nodes,
+              now: clock,
+              error: goalError,
+              onSetGoal: updateGoal,
+              onExport: exportGoalCalendar,
+              onFocusTopic: function (id) {
+                goToTopic(id);
+              },
+              onClose: function () {
+                setShowGoals(false);
+                setGoalError(null);
+              },
+            })
+          : null,
+        showNextUnlocks
+          ? e(NextUnlocksPanel, {
+              key: 'next-unlocks',
+              forecast: forecast,
+              onSelect: function (id) {
+                goToTopic(id);
+                activateTopic(id);
+              },
+              onClose: function () {
+                setShowNextUnlocks(false);
+              },
+            })
+          : null,
+        showSync
+          ? e(SyncPanel, {
+              key: 'sync',
+              config: loadStorageConfig(),
+              status: syncStatus,
+              error: storageError,
+              onSyncNow: function () {
+                syncStorage(getStorage());
+              },
+              onApply: function (config) {
+                saveStorageConfig(config);
+                window.location.reload();
+              },
+              onClose: function () {
+                setShowSync(false);
+              },
+            })
+          : null,
+        showCohort
+          ? e(CohortPanel, {
+              key: 'cohort',
+              cohort: cohort,
+              stats: cohortSummary,
+              nodes: nodes,
+              issues: cohortIssues,
+              onAddFiles: addCohortFiles,
+              onAddProfiles: function () {
+                addCohortLearners(cohortLearnersFromProfiles(curriculum, profiles));
+              },
+              onRemove: function (id) {
+                setCohort(function (prev) {
+                  return Object.assign({}, prev, {
+                    learners: prev.learners.filter(function (learner) {
+                      return learner.id !== id;
+                    }),
+                  });
+                });
+              },
+              onClear: function () {
+                setCohort(function (prev) {
+                  return { learners: [], measure: prev.measure };
+                });
+                setCohortIssues([]);
+              },
+              onMeasureChange: function (measure) {
+                setCohort(function (prev) {
+                  return Object.assign({}, prev, { measure: measure });
+                });
+              },
+              onSelect: function (id) {
+                goToTopic(id);
+                activateTopic(id);
+              },
+              onExport: exportCohortReport,
+              onClose: function () {
+                setShowCohort(false);
+              },
+            })
+          : null,
+        showProfiles
+          ? e(ProfilesPanel, {
+              key: 'profiles',
+              profiles: profiles,
+              error: profileError,
+              compareId: compareId,
+              activeName: profileName(profileId),
+              compareName: compareId ? profileName(compareId) : null,
+              onCreate: function (name) {
+                return applyProfiles(createProfile(profiles, name));
+              },
+              onRename: function (id, name) {
+                applyProfiles(renameProfile(profiles, id, name));
+              },
+              onSwitch: function (id) {
+                applyProfiles({ state: { active: id, profiles: profiles.profiles }, error: null });
+              },
+              onDelete: function (id) {
+                applyProfiles(deleteProfile(profiles, id));
+              },
+              onCompareChange: setCompareId,
+              onClose: function () {
+                setShowProfiles(false);
+                setProfileError(null);
+              },
+            })
+          : null,
+        showDiagnostics
+          ? e(DiagnosticsPanel, {
+              key: 'diagnostics',
+              report: diagnostics,
+              nodes: nodes,
+              onClose: function () {
+                setShowDiagnostics(false);
+              },
+            })
+          : null,
+        showGraphExport
+          ? e(GraphExportPanel, {
+              key: 'graph-export',
+              error: graphExportError,
+              onExportSvg: exportGraphSvg,
+              onExportPng: exportGraphPng,
+              onPrintPoster: printPoster,
+              onExportCurriculum: exportCurriculumFile,
+              onClose: function () {
+                setShowGraphExport(false);
+                setGraphExportError(null);
+              },
+            })
+          : null,
+      ],
+    ),
+    // Conditional modal.  The topic is looked up again so checklist ticks
+    // show their effect on progress while the modal stays open, and a topic
+    // that locks again swaps over to the locked card.
+    selectedTopic && !selectedTopic.unlocked
+      ? e(LockedCard, {
+          key: selectedTopic.id,
+          node: selectedTopic,
+          nodes: nodes,
+          settings: curriculum.settings,
+          cohort: selectedCohort,
+          onPlanGoal: function (id) {
+            setGoalId(id);
+            setShowPlanner(true);
+            setSelectedNode(null);
+          },
+          onClose: function () {
+            setSelectedNode(null);
+          },
+        })
+      : null,
+    selectedTopic && selectedTopic.unlocked
       ? e(Modal, {
-          node: selectedNode,
+          key: selectedTopic.id,
+          node: selectedTopic,
           nodes: nodes,
+          cohort: selectedCohort,
+          settings: curriculum.settings,
+          history: history,
+          curriculumId: curriculum.id,
+          profileId: profileId,
+          onChecklistChange: updateChecklist,
+          onManualProgressChange: setManualProgress,
+          review: reviews[selectedTopic.id] || null,
+          now: clock,
+          onRecall: recordReview,
+          onPlanGoal: function (id) {
+            setGoalId(id);
+            setShowPlanner(true);
+            setSelectedNode(null);
+          },
           onClose: function () {
             setSelectedNode(null);
           },
           updateProgress: updateProgress,
         })
       : null,
+    loadErrors
+      ? e(CurriculumErrorDialog, {
+          source: loadErrors.source,
+          errors: loadErrors.errors,
+          onClose: function () {
+            setLoadErrors(null);
+          },
+        })
+      : null,
+    pendingImport
+      ? e(ImportPreviewDialog, {
+          preview: pendingImport,
+          nodes: nodes,
+          curriculumId: curriculum.id,
+          strategy: mergeStrategy,
+          onStrategyChange: setMergeStrategy,
+          onApply: applyImport,
+          onClose: function () {
+            setPendingImport(null);
+          },
+        })
+      : null,
+    dragActive ? e('div', { id: 'drop-overlay' }, 'Drop a curriculum file to load it') : null,
+    poster ? e(PosterPrint, { pages: poster, title: curriculum.title }) : null,
   );
 }
 
+// How often a sync server backend looks for other devices' changes.
+const SYNC_INTERVAL_MS = 30000;
+
+// Why the chosen storage backend could not be used, shown in the Sync
+// panel; the app falls back to localStorage then.
+let storageError = null;
+
 // Mount the application when the DOM is ready.  If the root element is
-// present, we render the KnowledgeGraphApp into it.
+// present, the storage backend chosen in the Sync panel is opened and,
+// once its contents are loaded, we render the KnowledgeGraphApp into it.
 document.addEventListener('DOMContentLoaded', function () {
   const root = document.getElementById('root');
-  if (root) {
-    ReactDOM.render(e(KnowledgeGraphApp, null), root);
+  if (!root) return;
+  let storage = null;
+  try {
+    storage = createStorage(loadStorageConfig(), { interval: SYNC_INTERVAL_MS });
+  } catch (err) {
+    storageError = err.message;
   }
+  setStorage(storage);
+  Promise.resolve(storage && storage.ready)
+    .catch(function (err) {
+      storageError = 'Could not open the chosen storage: ' + err.message;
+      setStorage(null);
+    })
+    .then(function () {
+      ReactDOM.render(e(KnowledgeGraphApp, null), root);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,114 @@
+// Service worker for offline use.  The app shell, the vendored libraries
+// and fonts and the example curriculum are cached on install, so the app
+// starts without a network once it has been opened.
+//
+// Vendored files never change under the same name and are served from the
+// cache first.  Everything else (the page, its script and stylesheet and
+// curricula loaded by URL) is fetched from the network when possible so
+// edits show up on the next reload, and every good response is cached as
+// the offline fallback.  Bump CACHE_NAME when the shell list changes so
+// old caches are cleared on activation.
+const CACHE_NAME = 'kpv-shell-v2';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'kpv_core.js',
+  'react_app.js',
+  'manifest.webmanifest',
+  'icon.svg',
+  'vendor/react.production.min.js',
+  'vendor/react-dom.production.min.js',
+  'vendor/d3.min.js',
+  'vendor/js-yaml.min.js',
+  'vendor/fonts/fonts.css',
+  'vendor/fonts/lora-latin-400-normal.woff2',
+  'vendor/fonts/lora-latin-700-normal.woff2',
+  'vendor/fonts/merriweather-latin-700-normal.woff2',
+  'curricula/data-science.yaml',
+];
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then(function (cache) {
+        return cache.addAll(SHELL_FILES);
+      })
+      .then(function () {
+        return self.skipWaiting();
+      }),
+  );
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(function (names) {
+        return Promise.all(
+          names
+            .filter(function (name) {
+              return name !== CACHE_NAME;
+            })
+            .map(function (name) {
+              return caches.delete(name);
+            }),
+        );
+      })
+      .then(function () {
+        return self.clients.claim();
+      }),
+  );
+});
+
+// Store a copy of a successful response.  Opaque responses (cross-origin
+// requests without CORS) are skipped since their status cannot be checked.
+function remember(request, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then(function (cache) {
+      cache.put(request, copy);
+    });
+  }
+  return response;
+}
+
+// Page loads match the cached shell whatever their query string, so links
+// such as index.html?curriculum=... still open offline.
+function fromCache(request) {
+  return caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(function (cached) {
+    if (cached) return cached;
+    if (request.mode === 'navigate') return caches.match('index.html');
+    return Promise.reject(new Error('Not cached: ' + request.url));
+  });
+}
+
+self.addEventListener('fetch', function (event) {
+  const request = event.request;
+  if (request.method !== 'GET' || !/^https?:/.test(request.url)) return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && url.pathname.indexOf('/vendor/') !== -1) {
+    event.respondWith(
+      caches.match(request).then(function (cached) {
+        return (
+          cached ||
+          fetch(request).then(function (response) {
+            return remember(request, response);
+          })
+        );
+      }),
+    );
+    return;
+  }
+  event.respondWith(
+    fetch(request)
+      .then(function (response) {
+        return remember(request, response);
+      })
+      .catch(function () {
+        return fromCache(request);
+      }),
+  );
+});
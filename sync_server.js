@@ -0,0 +1,251 @@
+/*
+  Reference sync server for the Knowledge Path Visualizer.  It keeps the
+  entries the app stores (profiles, the active curriculum, progress,
+  checklists, notes, reviews and history) in one JSON file and serves the
+  app itself, so a team can share progress and curricula between devices:
+
+    node sync_server.js [--port 8787] [--data kpv-sync-data.json]
+
+  then open http://localhost:8787/ and pick "Sync server" with the URL
+  http://localhost:8787/api in the app's Sync panel.  It needs nothing but
+  Node and is meant for a trusted network: there are no accounts.
+
+  Protocol: POST /api/sync with `{ since, strategy, changes }`, where
+  `changes` are `{ key, value, time }` (value null for a removed entry).
+  Every stored entry carries the revision that last changed it; a change
+  to an entry changed after `since` by someone else is a conflict and is
+  settled by resolveSyncConflict in kpv_core.js.  The reply is
+  `{ revision, items }` with every entry changed after `since`.
+*/
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const core = require('./kpv_core.js');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_FILE = 'kpv-sync-data.json';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.yaml': 'text/yaml; charset=utf-8',
+  '.yml': 'text/yaml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+function emptyStore() {
+  return { revision: 0, items: {} };
+}
+
+// Read the data file; a missing file is an empty store, anything else
+// unreadable is an error rather than silently starting over.
+function loadStore(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return emptyStore();
+    throw err;
+  }
+  const store = JSON.parse(text);
+  if (!store || typeof store.revision !== 'number' || !store.items || typeof store.items !== 'object') {
+    throw new Error(file + ' is not a sync data file.');
+  }
+  return store;
+}
+
+// Write to a temporary file first so a crash never leaves half a store.
+function saveStore(file, store) {
+  const temp = file + '.tmp';
+  fs.writeFileSync(temp, JSON.stringify(store));
+  fs.renameSync(temp, file);
+}
+
+function isChange(change) {
+  return (
+    change !== null &&
+    typeof change === 'object' &&
+    typeof change.key === 'string' &&
+    core.isSyncedKey(change.key) &&
+    (change.value === null || typeof change.value === 'string') &&
+    typeof change.time === 'number'
+  );
+}
+
+// Apply one sync request to the store (in place).  Returns
+// `{ reply, changed, error }`, where `changed` says whether the store
+// needs saving.
+function applySync(store, request) {
+  if (!request || typeof request !== 'object' || !Array.isArray(request.changes)) {
+    return { reply: null, changed: false, error: 'A sync request needs a list of changes.' };
+  }
+  if (!request.changes.every(isChange)) {
+    return { reply: null, changed: false, error: 'Each change needs a key, a value (or null) and a time.' };
+  }
+  const since = typeof request.since === 'number' ? request.since : 0;
+  let changed = false;
+  request.changes.forEach(function (change) {
+    const current = store.items[change.key];
+    let winner = change;
+    if (current && current.revision > since) {
+      winner = core.resolveSyncConflict(
+        change,
+        { key: change.key, value: current.value, time: current.time },
+        request.strategy,
+      );
+    }
+    if (current && current.value === winner.value) return;
+    store.revision += 1;
+    store.items[change.key] = { value: winner.value, time: winner.time, revision: store.revision };
+    changed = true;
+  });
+  const items = Object.keys(store.items)
+    .filter(function (key) {
+      return store.items[key].revision > since;
+    })
+    .map(function (key) {
+      return { key: key, value: store.items[key].value, time: store.items[key].time };
+    });
+  return { reply: { revision: store.revision, items: items }, changed: changed, error: null };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise(function (resolve, reject) {
+    const chunks = [];
+    let size = 0;
+    req.on('data', function (chunk) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('The request is too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function () {
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Serve the app's files from `root`.  Only known file types are served,
+// never dotfiles, and never the data file.
+function serveStatic(root, dataFile, req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    sendJson(res, 400, { error: 'Bad path.' });
+    return;
+  }
+  const file = path.join(root, pathname.endsWith('/') ? pathname + 'index.html' : pathname);
+  const type = CONTENT_TYPES[path.extname(file)];
+  if (
+    !file.startsWith(root + path.sep) ||
+    file === dataFile ||
+    !type ||
+    file.split(path.sep).some(function (part) {
+      return part.charAt(0) === '.';
+    })
+  ) {
+    sendJson(res, 404, { error: 'Not found.' });
+    return;
+  }
+  fs.readFile(file, function (err, data) {
+    if (err) {
+      sendJson(res, 404, { error: 'Not found.' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(data);
+  });
+}
+
+// Create (but do not start) the server.  Options: `file`, the data file,
+// and `root`, the directory the app is served from.
+function createSyncServer(options) {
+  const opts = options || {};
+  const file = path.resolve(opts.file || DEFAULT_DATA_FILE);
+  const root = path.resolve(opts.root || __dirname);
+  let store = loadStore(file);
+  return http.createServer(function (req, res) {
+    // The app may be served from elsewhere (or opened from disk), so the
+    // API answers any origin.
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+    } else if (pathname === '/api/status' && req.method === 'GET') {
+      sendJson(res, 200, { revision: store.revision, entries: Object.keys(store.items).length });
+    } else if (pathname === '/api/sync' && req.method === 'POST') {
+      readBody(req)
+        .then(function (text) {
+          let request;
+          try {
+            request = JSON.parse(text);
+          } catch (err) {
+            sendJson(res, 400, { error: 'The request is not valid JSON.' });
+            return;
+          }
+          // Changes go to a copy that only replaces the store once it is
+          // on disk, so a failed save never serves unsaved data.
+          const next = { revision: store.revision, items: Object.assign({}, store.items) };
+          const result = applySync(next, request);
+          if (result.error) {
+            sendJson(res, 400, { error: result.error });
+            return;
+          }
+          if (result.changed) {
+            try {
+              saveStore(file, next);
+            } catch (err) {
+              sendJson(res, 500, { error: 'The changes could not be saved: ' + err.message });
+              return;
+            }
+            store = next;
+          }
+          sendJson(res, 200, result.reply);
+        })
+        .catch(function (err) {
+          sendJson(res, 400, { error: err.message });
+        });
+    } else if (req.method === 'GET') {
+      serveStatic(root, file, req, res);
+    } else {
+      sendJson(res, 405, { error: 'Method not allowed.' });
+    }
+  });
+}
+
+function readArgs(argv) {
+  const args = { port: DEFAULT_PORT, file: DEFAULT_DATA_FILE };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--data') args.file = argv[++i];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = readArgs(process.argv.slice(2));
+  createSyncServer({ file: args.file }).listen(args.port, function () {
+    console.log('Knowledge Path sync server on http://localhost:' + args.port + '/ (data in ' + args.file + ')');
+  });
+}
+
+module.exports = { createSyncServer, applySync, loadStore, saveStore, emptyStore, DEFAULT_PORT };
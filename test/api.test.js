@@ -0,0 +1,116 @@
+// The scripting API over a headless session.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+const CURRICULUM = {
+  id: 'api',
+  title: 'API',
+  settings: { unlockThreshold: 50 },
+  topics: [
+    { id: 'a', title: 'A' },
+    { id: 'b', title: 'B', dependencies: ['a'] },
+    { id: 'c', title: 'C', dependencies: ['b'] },
+  ],
+};
+
+function session() {
+  core.setStorage(core.createMemoryStorage());
+  const kpv = core.createSession();
+  assert.deepEqual(kpv.loadCurriculum(CURRICULUM).errors, []);
+  return kpv;
+}
+
+function record(kpv) {
+  const events = [];
+  ['progress', 'unlock', 'lock', 'curriculum'].forEach(function (type) {
+    kpv.on(type, function (detail) {
+      events.push(type + ' ' + (detail.topic || detail.curriculum.id));
+    });
+  });
+  return events;
+}
+
+test('starts on the example curriculum', function () {
+  core.setStorage(core.createMemoryStorage());
+  const kpv = core.createSession();
+  assert.equal(kpv.version, core.API_VERSION);
+  assert.equal(kpv.getCurriculum().id, core.BUILTIN_CURRICULUM_ID);
+  assert.ok(kpv.getTopics().length > 0);
+});
+
+test('loads curricula from objects and text', function () {
+  const kpv = session();
+  const events = record(kpv);
+  const result = kpv.loadCurriculum('id: text\ntitle: From text\ntopics:\n  - id: x\n    title: X\n', 'text.yaml');
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(kpv.getCurriculum(), { id: 'text', title: 'From text' });
+  assert.deepEqual(events, ['curriculum text']);
+  const broken = kpv.loadCurriculum({ topics: [{ title: 'No id' }] });
+  assert.equal(broken.curriculum, null);
+  assert.equal(kpv.getCurriculum().id, 'text');
+});
+
+test('setProgress saves, unlocks and reports events', function () {
+  const kpv = session();
+  const events = record(kpv);
+  const result = kpv.setProgress('a', 60.4);
+  assert.deepEqual(result, { change: { topic: 'a', from: 0, to: 60 }, error: null });
+  assert.deepEqual(events, ['progress a', 'unlock b']);
+  assert.equal(kpv.getTopic('b').unlocked, true);
+  assert.equal(core.getStorage().getItem(core.progressStorageKey('api', 'a', core.DEFAULT_PROFILE_ID)), '60');
+  assert.equal(core.loadHistory('api', core.DEFAULT_PROFILE_ID)[0].source, 'api');
+  kpv.setProgress('a', 10);
+  assert.deepEqual(events.slice(2), ['progress a', 'lock b']);
+});
+
+test('setProgress reports bad input instead of throwing', function () {
+  const kpv = session();
+  assert.match(kpv.setProgress('ghost', 10).error, /Unknown topic/);
+  assert.match(kpv.setProgress('a', 'lots').error, /number/);
+  assert.deepEqual(kpv.setProgress('a', 0), { change: null, error: null });
+});
+
+test('setProgress leaves topics named after Object.prototype members alone', function () {
+  core.setStorage(core.createMemoryStorage());
+  const kpv = core.createSession();
+  const curriculum = { id: 'proto', topics: [{ id: 'constructor', title: 'Constructor' }, { id: 'b', title: 'B' }] };
+  assert.deepEqual(kpv.loadCurriculum(curriculum).errors, []);
+  kpv.setProgress('b', 50);
+  assert.equal(kpv.getTopic('constructor').progress, 0);
+  assert.equal(kpv.getTopic('b').progress, 50);
+});
+
+test('off and the function returned by on remove listeners', function () {
+  const kpv = session();
+  const seen = [];
+  function listener(detail) {
+    seen.push(detail.topic);
+  }
+  const stop = kpv.on('unlock', listener);
+  kpv.on('progress', listener);
+  kpv.off('progress', listener);
+  kpv.setProgress('a', 100);
+  stop();
+  kpv.setProgress('b', 100);
+  assert.deepEqual(seen, ['b']);
+});
+
+test('progress exported from one session imports into another', function () {
+  const first = session();
+  first.setProgress('a', 100);
+  first.setProgress('b', 55);
+  const exported = first.exportProgress('json');
+  const second = session();
+  const events = record(second);
+  const result = second.importProgress(exported, 'progress.json');
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(
+    second.getTopics().map(function (t) {
+      return t.id + ':' + t.progress + (t.unlocked ? '' : ' locked');
+    }),
+    ['a:100', 'b:55', 'c:0'],
+  );
+  assert.deepEqual(events, ['progress a', 'progress b', 'unlock b', 'unlock c']);
+  assert.equal(second.exportProgress('csv'), 'id,title,progress\r\na,A,100\r\nb,B,55\r\nc,C,0\r\n');
+});
@@ -0,0 +1,110 @@
+// The cohort dashboard: learners from progress files and profiles, the
+// per-topic statistics and the summary reports.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+const CURRICULUM = core.validateCurriculum({
+  id: 'cohort',
+  title: 'Cohort',
+  settings: { unlockThreshold: 50 },
+  topics: [
+    { id: 'a', title: 'A' },
+    { id: 'b', title: 'B', dependencies: ['a'] },
+    { id: 'c', title: 'C', dependencies: ['b'], unlockThreshold: 80 },
+  ],
+}).curriculum;
+const NODES = core.nodesFromCurriculum(CURRICULUM, core.DEFAULT_PROFILE_ID);
+
+function learner(name, a, b, c) {
+  return { id: name, name: name, source: 'test', progress: { a: a, b: b, c: c } };
+}
+
+test.beforeEach(function () {
+  core.setStorage(core.createMemoryStorage());
+});
+
+test('learners are read from progress exports and profiles', function () {
+  const file = JSON.stringify({
+    format: core.PROGRESS_FORMAT,
+    version: core.PROGRESS_FORMAT_VERSION,
+    curriculum: 'other',
+    profile: { id: 'sam', name: 'Sam' },
+    progress: [{ id: 'a', progress: 60 }, { id: 'zz', progress: 10 }],
+  });
+  const read = core.cohortLearnerFromFile(NODES, file, 'kpv-progress-sam.json', CURRICULUM.id);
+  assert.equal(read.learner.name, 'Sam');
+  assert.deepEqual(read.learner.progress, Object.assign(Object.create(null), { a: 60 }));
+  assert.equal(read.warnings.length, 2);
+  assert.ok(/"other"/.test(read.warnings[0]));
+  const csv = core.cohortLearnerFromFile(NODES, 'id,progress\r\nb,20\r\n', 'alex.csv', CURRICULUM.id);
+  assert.equal(csv.learner.name, 'alex');
+  assert.equal(core.cohortLearnerFromFile(NODES, '{', 'broken.json').learner, null);
+
+  core.saveProgress(CURRICULUM.id, 'a', core.DEFAULT_PROFILE_ID, 40);
+  const learners = core.cohortLearnersFromProfiles(CURRICULUM, core.loadProfiles());
+  assert.deepEqual(learners, [
+    {
+      id: 'profile:default',
+      name: 'Default',
+      source: 'profile',
+      progress: Object.assign(Object.create(null), { a: 40, b: 0, c: 0 }),
+    },
+  ]);
+});
+
+test('statistics give the average, median and distribution of each topic', function () {
+  const stats = core.cohortStats(
+    NODES,
+    [learner('p', 100, 90, 0), learner('q', 30, 0, 0), learner('r', 20, 0, 0), learner('s', 100, 60, 0)],
+    CURRICULUM.settings,
+  );
+  assert.equal(stats.count, 4);
+  assert.equal(stats.topics.a.mean, 63);
+  assert.equal(stats.topics.a.median, 65);
+  assert.deepEqual(
+    stats.topics.a.histogram.map(function (bin) {
+      return bin.count;
+    }),
+    [1, 1, 0, 0, 2],
+  );
+  assert.equal(stats.topics.a.completed, 2);
+  assert.deepEqual(core.cohortNodes(NODES, stats, 'median', CURRICULUM.settings)[1].unlocked, true);
+});
+
+test('topics named after Object.prototype members count as not started', function () {
+  const curriculum = core.validateCurriculum({
+    id: 'proto',
+    topics: [
+      { id: 'constructor', title: 'Constructor' },
+      { id: 'toString', title: 'To string', dependencies: ['constructor'] },
+    ],
+  }).curriculum;
+  const nodes = core.nodesFromCurriculum(curriculum, core.DEFAULT_PROFILE_ID);
+  const stats = core.cohortStats(nodes, [{ id: 'p', name: 'p', source: 'test', progress: {} }], curriculum.settings);
+  assert.equal(stats.topics.constructor.mean, 0);
+  assert.equal(stats.topics.toString.mean, 0);
+  assert.equal(stats.topics.toString.threshold, null);
+});
+
+test('bottlenecks are topics many learners have started but not passed', function () {
+  const stats = core.cohortStats(
+    NODES,
+    [learner('p', 100, 60, 0), learner('q', 30, 0, 0), learner('r', 100, 70, 0), learner('s', 100, 10, 0)],
+    CURRICULUM.settings,
+  );
+  // a: one learner of four is stuck below 50 %.  b: three are stuck below
+  // the 80 % that c asks for.  c unlocks nothing.
+  assert.equal(stats.topics.a.stuck, 1);
+  assert.equal(stats.topics.b.threshold, 80);
+  assert.equal(stats.topics.b.stuck, 3);
+  assert.equal(stats.topics.c.threshold, null);
+  assert.deepEqual(stats.bottlenecks, ['b']);
+
+  const csv = core.cohortToCsv(NODES, stats).split('\r\n');
+  assert.equal(csv[0], 'id,title,learners,average,median,started,completed,stuck,threshold,bottleneck');
+  assert.equal(csv[2], 'b,B,4,35,35,3,0,3,80,yes');
+  const markdown = core.cohortToMarkdown(CURRICULUM, NODES, stats, []);
+  assert.ok(markdown.indexOf('- **B**: 3 of 4 learners are below the 80%') !== -1);
+  assert.ok(markdown.indexOf('| A | 83% | 100% | 4 | 3 | 1 |') !== -1);
+});
@@ -0,0 +1,109 @@
+// Curriculum parsing, validation and editing helpers.
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+test('parses JSON and YAML curricula', function () {
+  const json = core.loadCurriculumText('{"id": "j", "topics": [{"id": "a", "title": "A"}]}', 'j.json');
+  assert.deepEqual(json.errors, []);
+  assert.equal(json.curriculum.id, 'j');
+  const yaml = core.loadCurriculumText('id: y\ntopics:\n  - id: a\n    title: A\n', 'y.yaml');
+  assert.deepEqual(yaml.errors, []);
+  assert.deepEqual(
+    yaml.curriculum.nodes.map(function (n) {
+      return n.id;
+    }),
+    ['a'],
+  );
+});
+
+test('reports parse errors without throwing', function () {
+  const result = core.loadCurriculumText('{ not json', 'broken.json');
+  assert.equal(result.curriculum, null);
+  assert.match(result.errors[0], /as JSON/);
+});
+
+test('collects every validation problem in one pass', function () {
+  const result = core.validateCurriculum({
+    topics: [
+      { id: 'a', title: 'A' },
+      { id: 'a', title: 'Again' },
+      { id: 'b', unlockThreshold: 150 },
+    ],
+  });
+  assert.equal(result.curriculum, null);
+  assert.ok(result.errors.length >= 3, result.errors.join('\n'));
+});
+
+test('ids that name Object.prototype members are ordinary ids', function () {
+  const result = core.validateCurriculum({
+    id: 'proto',
+    topics: [
+      { id: 'constructor', title: 'Constructor' },
+      { id: 'valueOf', title: 'Value' },
+    ],
+  });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.curriculum.nodes.length, 2);
+});
+
+test('groups named after Object.prototype members are ordinary groups', function () {
+  const result = core.validateCurriculum({
+    id: 'proto',
+    groups: [{ id: 'toString', title: 'Group' }],
+    topics: [{ id: 'a', title: 'A', group: 'toString' }],
+  });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.curriculum.nodes[0].group, 'toString');
+});
+
+test('accepts a bare array of topics', function () {
+  const result = core.validateCurriculum([{ id: 'a', title: 'A' }], 'topics.json');
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.curriculum.nodes.length, 1);
+});
+
+test('rejects prerequisites that would create a cycle', function () {
+  const curriculum = core.validateCurriculum({
+    id: 'c',
+    topics: [
+      { id: 'a', title: 'A' },
+      { id: 'b', title: 'B', dependencies: ['a'] },
+    ],
+  }).curriculum;
+  const result = core.setPrerequisite(curriculum, 'b', 'a', 'required');
+  assert.ok(result.error);
+  assert.equal(result.curriculum, curriculum);
+});
+
+test('adds and removes topics along with links to them', function () {
+  let curriculum = core.validateCurriculum({ id: 'c', topics: [{ id: 'a', title: 'A' }] }).curriculum;
+  const added = core.addTopic(curriculum, 'Second topic');
+  assert.equal(added.error, null);
+  curriculum = core.setPrerequisite(added.curriculum, 'a', added.id, 'required').curriculum;
+  assert.deepEqual(core.findTopic(curriculum, added.id).dependencies, ['a']);
+  curriculum = core.removeTopic(curriculum, 'a').curriculum;
+  assert.equal(core.findTopic(curriculum, 'a'), undefined);
+  assert.deepEqual(core.findTopic(curriculum, added.id).dependencies || [], []);
+});
+
+test('the example curriculum is valid', function () {
+  const text = fs.readFileSync(path.join(__dirname, '..', 'curricula', 'data-science.yaml'), 'utf8');
+  const result = core.loadCurriculumText(text, 'data-science.yaml');
+  assert.deepEqual(result.errors, []);
+  assert.ok(result.curriculum.groups.length > 0);
+});
+
+test('groups must not be nested inside themselves', function () {
+  const result = core.validateCurriculum({
+    groups: [
+      { id: 'x', title: 'X', parent: 'y' },
+      { id: 'y', title: 'Y', parent: 'x' },
+    ],
+    topics: [{ id: 'a', title: 'A', group: 'x' }],
+  });
+  assert.equal(result.curriculum, null);
+  assert.deepEqual(core.groupAncestry([{ id: 'x', parent: 'y' }, { id: 'y', parent: 'x' }], 'x'), ['x', 'y']);
+});
@@ -0,0 +1,85 @@
+// Progress files: the JSON envelope, CSV, legacy formats and merging.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+const CURRICULUM = { id: 'formats', title: 'Formats' };
+const PROFILE = { id: 'default', name: 'Default' };
+const NODES = [
+  { id: 'a', title: 'Plain', progress: 100 },
+  { id: 'b', title: 'Comma, "quoted"', progress: 40 },
+  { id: 'c', title: 'Untouched', progress: 0 },
+];
+
+// Topic values are kept in maps without a prototype.
+function map(object) {
+  return Object.assign(Object.create(null), object);
+}
+
+function values(text, fileName) {
+  const file = core.readProgressFile(text, fileName);
+  assert.deepEqual(file.errors, []);
+  return core.checkProgressEntries(NODES, file).values;
+}
+
+test('the JSON envelope round-trips with its history', function () {
+  const history = [{ topic: 'a', from: 0, to: 100, at: '2024-01-01T00:00:00.000Z', source: 'modal' }];
+  const text = JSON.stringify(core.progressEnvelope(CURRICULUM, PROFILE, NODES, history));
+  const file = core.readProgressFile(text, 'progress.json');
+  assert.equal(file.meta.format, 'JSON v' + core.PROGRESS_FORMAT_VERSION);
+  assert.equal(file.meta.curriculum, 'formats');
+  assert.deepEqual(file.history, history);
+  assert.deepEqual(values(text, 'progress.json'), map({ a: 100, b: 40, c: 0 }));
+});
+
+test('CSV round-trips titles that need quoting', function () {
+  const csv = core.progressToCsv(NODES);
+  assert.match(csv, /"Comma, ""quoted"""/);
+  assert.deepEqual(core.parseCsv(csv)[2], ['b', 'Comma, "quoted"', '40']);
+  assert.deepEqual(values(csv, 'progress.csv'), map({ a: 100, b: 40, c: 0 }));
+});
+
+test('reads the legacy bare array', function () {
+  assert.deepEqual(values('[{"id": "b", "progress": 60}]', 'old.json'), map({ b: 60 }));
+});
+
+test('rejects newer format versions and files without a progress list', function () {
+  const newer = JSON.stringify({
+    format: core.PROGRESS_FORMAT,
+    version: core.PROGRESS_FORMAT_VERSION + 1,
+    progress: [],
+  });
+  assert.match(core.readProgressFile(newer, 'new.json').errors[0], /format version/);
+  assert.match(core.readProgressFile('{"topics": []}', 'x.json').errors[0], /progress list/);
+  assert.match(core.readProgressFile('name,value\nx,1\n', 'x.csv').errors[0], /"id" and "progress"/);
+});
+
+test('warns about unknown topics and clamps out-of-range values', function () {
+  const file = core.readProgressFile('[{"id": "ghost", "progress": 10}, {"id": "c", "progress": 130.4}]', 'x.json');
+  const checked = core.checkProgressEntries(NODES, file);
+  assert.deepEqual(checked.values, map({ c: 100 }));
+  assert.equal(checked.warnings.length, 2);
+});
+
+test('merge strategies decide which values change', function () {
+  const incoming = { a: 50, b: 70, c: 20 };
+  function plan(strategy) {
+    return core.planProgressImport(NODES, incoming, strategy).map(function (change) {
+      return change.topic + ':' + change.to;
+    });
+  }
+  assert.deepEqual(plan('replace'), ['a:50', 'b:70', 'c:20']);
+  assert.deepEqual(plan('max'), ['b:70', 'c:20']);
+  assert.deepEqual(plan('fill-empty'), ['c:20']);
+});
+
+test('imports progress for topics named after Object.prototype members', function () {
+  const nodes = [
+    { id: 'constructor', title: 'Constructor', progress: 0 },
+    { id: 'valueOf', title: 'Value', progress: 0 },
+    { id: '__proto__', title: 'Proto', progress: 0 },
+  ];
+  assert.deepEqual(core.planProgressImport(nodes, { valueOf: 50 }, 'replace'), [{ topic: 'valueOf', from: 0, to: 50 }]);
+  const file = core.readProgressFile('[{"id": "__proto__", "progress": 30}]', 'x.json');
+  assert.deepEqual(Object.keys(core.checkProgressEntries(nodes, file).values), ['__proto__']);
+});
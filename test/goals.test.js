@@ -0,0 +1,145 @@
+// Goals with deadlines: schedules, study pace, statuses and the iCalendar
+// export.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+const CURRICULUM = core.validateCurriculum({
+  id: 'goals',
+  title: 'Goals, deadlines; pace',
+  topics: [
+    { id: 'a', title: 'A', effort: 4 },
+    { id: 'b', title: 'B', effort: 6, dependencies: ['a'] },
+    { id: 'c', title: 'C', effort: 10, dependencies: ['b'] },
+    { id: 'd', title: 'D' },
+  ],
+}).curriculum;
+// Noon on a Monday, so no day boundary is close.
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+function nodes(progress) {
+  return core.computeUnlocks(
+    CURRICULUM.nodes.map(function (n) {
+      return Object.assign({}, n, { progress: (progress && progress[n.id]) || 0 });
+    }),
+    CURRICULUM.settings,
+  );
+}
+
+function change(topic, from, to, daysAgo) {
+  return { topic: topic, from: from, to: to, at: new Date(NOW - daysAgo * core.DAY_MS).toISOString() };
+}
+
+test.beforeEach(function () {
+  core.setStorage(core.createMemoryStorage());
+});
+
+test('goals are stored per profile and need a real date', function () {
+  let result = core.setGoal({}, 'c', '2026-11-01');
+  assert.deepEqual(result, { goals: { c: '2026-11-01' }, error: null });
+  assert.match(core.setGoal(result.goals, 'c', '2026-02-30').error, /YYYY-MM-DD/);
+  core.saveGoals('goals', 'sam', result.goals);
+  assert.deepEqual(core.loadGoals('goals', 'sam'), { c: '2026-11-01' });
+  assert.deepEqual(core.loadGoals('goals', core.DEFAULT_PROFILE_ID), {});
+  result = core.setGoal(result.goals, 'c', null);
+  assert.deepEqual(result.goals, {});
+});
+
+test('the remaining effort is spread evenly up to the due date', function () {
+  const pace = core.studyPace(nodes(), [], NOW);
+  assert.equal(pace.perDay, null);
+  // 3 + 4.5 + 10 hours over the ten days from today to the 28th.
+  const goal = core.goalProjection(nodes(), 'c', '2026-10-28', CURRICULUM.settings, pace, NOW);
+  assert.equal(goal.remaining, 17.5);
+  assert.equal(goal.daysLeft, 10);
+  assert.equal(goal.neededPerDay, 1.75);
+  assert.deepEqual(
+    goal.steps.map(function (step) {
+      return [step.id, step.start, step.end];
+    }),
+    [
+      ['a', '2026-10-19', '2026-10-20'],
+      ['b', '2026-10-20', '2026-10-23'],
+      ['c', '2026-10-23', '2026-10-28'],
+    ],
+  );
+  // Without any recorded progress there is no pace to project from.
+  assert.equal(goal.projected, null);
+  assert.equal(goal.status, 'at-risk');
+});
+
+test('the recorded pace decides whether a goal is on track', function () {
+  // 2 hours of A (half of its 4) over the four days since the change;
+  // D was finished before the window.  C needs 1 + 6 * 0.75 + 10 hours.
+  const history = [change('a', 0, 50, 4), change('d', 0, 100, 40)];
+  const progress = { a: 50, d: 100 };
+  const pace = core.studyPace(nodes(progress), history, NOW);
+  assert.equal(pace.perDay, 0.5);
+  assert.equal(pace.days, 4);
+  const overview = core.goalOverview(
+    nodes(progress),
+    { c: '2026-10-28', b: '2027-01-31', d: '2026-10-01' },
+    history,
+    CURRICULUM.settings,
+    NOW,
+  );
+  assert.deepEqual(
+    overview.goals.map(function (goal) {
+      return [goal.goal, goal.status, goal.projected];
+    }),
+    [
+      ['d', 'done', '2026-10-19'],
+      ['c', 'at-risk', '2026-11-18'],
+      ['b', 'on-track', '2026-11-01'],
+    ],
+  );
+  // Topics on several routes show the worst status.
+  assert.equal(overview.byTopic.a, 'at-risk');
+  assert.equal(overview.byTopic.d, 'done');
+  // A deadline that has passed with work left is overdue.
+  const late = core.goalOverview(nodes(), { b: '2026-10-18' }, [], CURRICULUM.settings, NOW);
+  assert.equal(late.goals[0].status, 'overdue');
+});
+
+test('the schedule exports as iCalendar with escaped and folded lines', function () {
+  const overview = core.goalOverview(nodes(), { c: '2026-10-28' }, [], CURRICULUM.settings, NOW);
+  const ics = core.goalsToIcs(CURRICULUM, overview, NOW);
+  const lines = ics.split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.equal(lines[lines.length - 2], 'END:VCALENDAR');
+  assert.equal((ics.match(/BEGIN:VEVENT/g) || []).length, 4);
+  assert.match(ics, /\r\nX-WR-CALNAME:Goals\\, deadlines\\; pace study plan\r\n/);
+  assert.match(ics, /\r\nUID:goals\/c\/a@knowledge-path-visualizer\r\nDTSTAMP:20261019T\d{6}Z\r\n/);
+  assert.match(ics, /\r\nDTSTART;VALUE=DATE:20261023\r\nDTEND;VALUE=DATE:20261029\r\nSUMMARY:Study: C\r\n/);
+  assert.match(ics, /\r\nSUMMARY:Deadline: C\r\nDESCRIPTION:At risk\.\r\n/);
+  lines.forEach(function (line) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  });
+  const folded = core.foldIcsLine('DESCRIPTION:' + '\u00e9'.repeat(60));
+  assert.deepEqual(
+    folded.split('\r\n').map(function (line) {
+      return Buffer.byteLength(line);
+    }),
+    [74, 59],
+  );
+});
+
+test('topics named after Object.prototype members have no goal status of their own', function () {
+  const curriculum = core.validateCurriculum({
+    id: 'proto',
+    topics: [
+      { id: 'constructor', title: 'Constructor' },
+      { id: 'toString', title: 'To string', dependencies: ['constructor'] },
+      { id: 'other', title: 'Other' },
+    ],
+  }).curriculum;
+  const nodes = curriculum.nodes.map(function (n) {
+    return Object.assign({}, n, { progress: 0 });
+  });
+  // History for a topic that does not exist is ignored.
+  const history = [change('valueOf', 0, 50, 1)];
+  const overview = core.goalOverview(nodes, { other: '2026-10-28' }, history, curriculum.settings, NOW);
+  assert.equal(overview.byTopic.constructor, undefined);
+  assert.equal(overview.byTopic.other, 'at-risk');
+  assert.equal(overview.pace.perDay, null);
+});
@@ -0,0 +1,320 @@
+// Curriculum interchange formats: Markdown outlines and Mermaid flowcharts
+// in both directions, and the DOT, GraphML and GEXF exports.
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+const EXAMPLE = core.loadCurriculumText(
+  fs.readFileSync(path.join(__dirname, '..', 'curricula', 'data-science.yaml'), 'utf8'),
+  'data-science.yaml',
+).curriculum;
+
+// A curriculum with the awkward cases: ids Mermaid cannot use, titles
+// that need quoting or escaping, and two groups of alternatives.
+const AWKWARD = core.validateCurriculum({
+  title: 'Tricky <"quoted"> & co',
+  groups: [
+    { id: 'end', title: 'The "end" group' },
+    { id: 'inner-most', title: 'Inner', parent: 'end' },
+  ],
+  topics: [
+    { id: 'a-1', title: 'A, with comma', group: 'end' },
+    { id: 'b.2', title: 'B "quoted" <tag>', group: 'inner-most' },
+    { id: 'c', title: 'C' },
+    { id: 'd', title: 'D & E', description: 'Two lines\nof text.' },
+    { id: 'f', title: 'F' },
+    { id: 'g', title: 'G', tags: ['x'], effort: 1.5, unlockThreshold: 40 },
+    {
+      id: 'e',
+      title: 'Goal',
+      dependencies: ['a-1'],
+      alternatives: [
+        { count: 1, topics: ['b.2', 'c'] },
+        { count: 2, topics: ['f', 'g'] },
+      ],
+      recommended: ['d'],
+    },
+  ],
+}).curriculum;
+
+// The parts of a curriculum a format is expected to keep, with ids passed
+// through `rename` and topics in id order.
+function structure(curriculum, rename, full) {
+  const id = rename || String;
+  return {
+    title: curriculum.title,
+    groups: curriculum.groups.map(function (g) {
+      return [id(g.id), g.title, g.parent ? id(g.parent) : null];
+    }),
+    topics: curriculum.nodes
+      .map(function (n) {
+        const topic = {
+          id: id(n.id),
+          title: n.title,
+          group: n.group ? id(n.group) : null,
+          dependencies: n.dependencies.map(id),
+          alternatives: n.alternatives.map(function (g) {
+            return { count: g.count, topics: g.topics.map(id) };
+          }),
+          recommended: n.recommended.map(id),
+        };
+        if (full) {
+          topic.description = n.description;
+          topic.tags = n.tags;
+          topic.unlockThreshold = n.unlockThreshold;
+          topic.effort = n.effort;
+        }
+        return topic;
+      })
+      .sort(function (a, b) {
+        return a.id < b.id ? -1 : 1;
+      }),
+  };
+}
+
+function reload(text, fileName) {
+  const result = core.loadCurriculumText(text, fileName);
+  assert.deepEqual(result.errors, []);
+  return result.curriculum;
+}
+
+test('a Markdown outline round-trips topics, groups and settings', function () {
+  [EXAMPLE, AWKWARD].forEach(function (curriculum) {
+    const back = reload(core.curriculumToMarkdown(curriculum), 'outline.md');
+    assert.deepEqual(structure(back, null, true), structure(curriculum, null, true));
+    assert.deepEqual(back.settings, curriculum.settings);
+  });
+  // Prerequisites are written by title unless the title is ambiguous.
+  const outline = core.curriculumToMarkdown(AWKWARD);
+  assert.match(outline, /^ {2}requires: a-1$/m);
+  assert.match(outline, /^ {2}recommended: D & E$/m);
+});
+
+test('description lines that look like outline structure survive a round trip', function () {
+  const description = [
+    '- not a topic',
+    'requires: a',
+    'any 1 of: a, b',
+    'Recommended: b',
+    'threshold: 10',
+    'tags: x',
+    'effort: 2',
+    '1. not numbered',
+    '| not a table |',
+    '```',
+    '\\ a backslash, \\- and \\requires: kept as written',
+  ].join('\n');
+  const curriculum = core.validateCurriculum({
+    id: 'escapes',
+    title: 'Escapes',
+    topics: [
+      { id: 'a', title: 'A' },
+      { id: 'b', title: 'B', description: description, dependencies: ['a'] },
+    ],
+  }).curriculum;
+  const outline = core.curriculumToMarkdown(curriculum);
+  assert.match(outline, /^ {2}\\- not a topic$/m);
+  assert.match(outline, /^ {2}\\\\ a backslash/m);
+  const back = reload(outline, 'escapes.md');
+  assert.deepEqual(structure(back, null, true), structure(curriculum, null, true));
+  // A backslash that escapes nothing is part of the text.
+  assert.equal(core.findTopic(reload('- A\n  \\n is a newline', 'a.md'), 'a').description, '\\n is a newline');
+});
+
+test('reads hand-written outlines by title, id and heading level', function () {
+  const outline = [
+    '# Web basics',
+    'Some introduction that is not a topic.',
+    'threshold: 60',
+    '',
+    '- HTML {#html}',
+    '  Markup and structure.',
+    '## Styling',
+    '- CSS',
+    '  requires: html',
+    '  tags: design, web',
+    '### Layout',
+    '- Flexbox',
+    '  requires: css',
+    '  any 1 of: HTML, Grid',
+    '  threshold: 80%',
+    '- Grid',
+  ].join('\n');
+  const curriculum = reload(outline, 'web.md');
+  assert.equal(curriculum.title, 'Web basics');
+  assert.deepEqual(curriculum.settings, { unlockThreshold: 60 });
+  assert.deepEqual(curriculum.groups, [
+    { id: 'styling', title: 'Styling' },
+    { id: 'layout', title: 'Layout', parent: 'styling' },
+  ]);
+  const flexbox = core.findTopic(curriculum, 'flexbox');
+  assert.equal(flexbox.group, 'layout');
+  assert.deepEqual(flexbox.dependencies, ['css']);
+  assert.deepEqual(flexbox.alternatives, [{ count: 1, topics: ['html', 'grid'] }]);
+  assert.equal(flexbox.unlockThreshold, 80);
+  assert.deepEqual(core.findTopic(curriculum, 'css').tags, ['design', 'web']);
+  assert.equal(core.findTopic(curriculum, 'html').description, 'Markup and structure.');
+  // After the first topic an unindented field is a mistake, not a default.
+  assert.match(core.loadCurriculumText('- A\nthreshold: 60\n', 'a.md').errors[0], /^Line 2: indent "threshold:"/);
+});
+
+test('titles and ids that name Object.prototype members read like any other', function () {
+  const outline = [
+    '- Constructor',
+    '- toString',
+    '  requires: Constructor',
+    '- Value {#valueOf}',
+    '  requires: tostring',
+  ].join('\n');
+  const curriculum = reload(outline, 'proto.md');
+  assert.deepEqual(core.findTopic(curriculum, 'tostring').dependencies, ['constructor']);
+  assert.deepEqual(core.findTopic(curriculum, 'valueOf').dependencies, ['tostring']);
+  assert.deepEqual(structure(reload(core.curriculumToMarkdown(curriculum), 'back.md')), structure(curriculum));
+  const chart = reload('graph TD\n  constructor[Constructor] --> hasOwnProperty\n', 'proto.mmd');
+  assert.deepEqual(core.findTopic(chart, 'hasOwnProperty').dependencies, ['constructor']);
+  assert.deepEqual(structure(reload(core.curriculumToMermaid(chart), 'back.mmd')), structure(chart));
+});
+
+test('outline constructs that cannot be translated are reported by line', function () {
+  const outline = [
+    '# Title',
+    '- A',
+    '  - nested',
+    '1. numbered',
+    '| a | table |',
+    '```',
+    '- not a topic',
+    '```',
+    '- B',
+    '  requires: Missing',
+    'requires: A',
+    '# Second title',
+  ].join('\n');
+  const result = core.loadCurriculumText(outline, 'bad.md');
+  assert.equal(result.curriculum, null);
+  assert.deepEqual(
+    result.errors.map(function (message) {
+      return message.split(':')[0];
+    }),
+    ['Line 3', 'Line 4', 'Line 5', 'Line 6', 'Line 10', 'Line 11', 'Line 12'],
+  );
+  assert.match(result.errors[0], /nested lists/);
+  assert.match(result.errors[4], /"Missing" is not the id or title/);
+});
+
+test('a Mermaid flowchart round-trips titles, groups and prerequisites', function () {
+  const text = core.curriculumToMermaid(AWKWARD);
+  assert.match(text, /^ {2}subgraph end_ \["The #quot;end#quot; group"\]$/m);
+  assert.match(text, /^ {2}g -->\|any 2 of #2\| e$/m);
+  const rename = function (id) {
+    return id.replace(/[^A-Za-z0-9_]/g, '_').replace(/^end$/, 'end_');
+  };
+  assert.deepEqual(structure(reload(text, 'chart.mmd')), structure(AWKWARD, rename));
+  assert.deepEqual(structure(reload(core.curriculumToMermaid(EXAMPLE), 'chart.mmd')), structure(EXAMPLE));
+});
+
+test('reads hand-written Mermaid and recognises it without an extension', function () {
+  const chart = [
+    '%% A comment',
+    'flowchart TD',
+    '  A(("Round #quot;one#quot;")) ==> B{Decide}:::big --> C[[Finish]]',
+    '  D -.-> C',
+    '  E -->|any 1 of| C',
+    '  F -- any 1 of --> C',
+    '  subgraph Extras',
+    '    D',
+    '  end',
+    '  classDef big fill:#f96',
+    '  style A stroke-width:2px',
+  ].join('\n');
+  const curriculum = reload(chart, 'pasted');
+  const c = core.findTopic(curriculum, 'C');
+  assert.equal(core.findTopic(curriculum, 'A').title, 'Round "one"');
+  assert.deepEqual(c.dependencies, ['B']);
+  assert.deepEqual(c.recommended, ['D']);
+  assert.deepEqual(c.alternatives, [{ count: 1, topics: ['E', 'F'] }]);
+  assert.deepEqual(curriculum.groups, [{ id: 'Extras', title: 'Extras' }]);
+  assert.equal(core.findTopic(curriculum, 'D').group, 'Extras');
+});
+
+test('unsupported Mermaid is reported by line', function () {
+  assert.match(
+    core.loadCurriculumText('sequenceDiagram\n  A->>B: hi\n', 'seq.mmd').errors[0],
+    /^Line 1: only Mermaid "graph" and "flowchart" diagrams/,
+  );
+  const chart = 'graph LR\n  A & B --> C\n  A --- B\n  A <--> C\n  A -- maybe --> C\n  subgraph S\n';
+  const errors = core.loadCurriculumText(chart, 'bad.mmd').errors;
+  assert.equal(errors.length, 5, errors.join('\n'));
+  assert.match(errors[0], /^Line 2: "&" is not supported/);
+  assert.match(errors[1], /^Line 3: only one-way arrows/);
+  assert.match(errors[2], /^Line 4: only one-way arrows/);
+  assert.match(errors[3], /^Line 5: the link label "maybe"/);
+  assert.match(errors[4], /never closed/);
+});
+
+// The links an export describes, read back with a pattern per format, in
+// the order and shape of curriculumLinks.
+function exportedLinks(text, pattern) {
+  const links = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    links.push(match.slice(1));
+  }
+  return links;
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+test('DOT, GraphML and GEXF describe every topic and link', function () {
+  const expected = core.curriculumLinks(AWKWARD).map(function (link) {
+    return [link.source, link.target, link.kind];
+  });
+  assert.equal(expected.length, 6);
+
+  const dot = core.curriculumToDot(AWKWARD);
+  assert.match(dot, /^digraph "Tricky <\\"quoted\\"> & co" \{/);
+  assert.match(dot, /"b\.2" \[label="B \\"quoted\\" <tag>"\];/);
+  assert.match(dot, /subgraph "cluster_end" \{\n {4}label="The \\"end\\" group";/);
+  const dotLinks = exportedLinks(dot, /^ {2}"([^"]+)" -> "([^"]+)"( \[[^\]]*\])?;$/gm).map(function (link) {
+    const kind = !link[2] ? 'required' : /dashed/.test(link[2]) ? 'recommended' : 'alternative';
+    return [link[0], link[1], kind];
+  });
+  assert.deepEqual(dotLinks, expected);
+
+  const graphml = core.curriculumToGraphML(AWKWARD);
+  assert.match(graphml, /<data key="name">Tricky &lt;&quot;quoted&quot;&gt; &amp; co<\/data>/);
+  assert.match(graphml, /<data key="description">Two lines\nof text.<\/data>/);
+  const graphmlLinks = exportedLinks(graphml, /<edge id="e\d+" source="([^"]+)" target="([^"]+)">\n.*"kind">(\w+)</g);
+  assert.deepEqual(
+    graphmlLinks.map(function (link) {
+      return link.map(unescapeXml);
+    }),
+    expected,
+  );
+  assert.equal((graphml.match(/<node id=/g) || []).length, AWKWARD.nodes.length);
+
+  const gexf = core.curriculumToGexf(AWKWARD);
+  assert.match(gexf, /<node id="b\.2" label="B &quot;quoted&quot; &lt;tag&gt;">/);
+  assert.match(gexf, /<attvalue for="group" value="Inner"\/>/);
+  const gexfLinks = exportedLinks(
+    gexf,
+    /<edge id="\d+" source="([^"]+)" target="([^"]+)">\n.*\n.*<attvalue for="kind" value="(\w+)"/g,
+  );
+  assert.deepEqual(gexfLinks, expected);
+
+  core.CURRICULUM_FORMATS.forEach(function (format) {
+    assert.equal(typeof core.exportCurriculum(EXAMPLE, format.id), 'string');
+  });
+  assert.throws(function () {
+    core.exportCurriculum(EXAMPLE, 'pdf');
+  }, /Unknown curriculum format/);
+});
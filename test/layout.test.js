@@ -0,0 +1,36 @@
+// The layered (tech tree) layout.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+function topic(id, extra) {
+  return Object.assign({ id: id, title: id.toUpperCase() }, extra);
+}
+
+test('ranks every topic to the right of its prerequisites', function () {
+  const layout = core.computeLayeredLayout(
+    [topic('a'), topic('b', { dependencies: ['a'] }), topic('c', { dependencies: ['a', 'b'] }), topic('d')],
+    1200,
+    800,
+  );
+  assert.deepEqual(
+    ['a', 'b', 'c', 'd'].map(function (id) {
+      return layout[id].rank;
+    }),
+    [0, 1, 2, 0],
+  );
+  assert.ok(layout.a.x < layout.b.x && layout.b.x < layout.c.x);
+});
+
+test('lays out topics named after Object.prototype members', function () {
+  const layout = core.computeLayeredLayout(
+    [topic('constructor'), topic('toString', { dependencies: ['constructor'] })],
+    1200,
+    800,
+    function () {
+      return [0, 0];
+    },
+  );
+  assert.equal(layout.constructor.rank, 0);
+  assert.equal(layout.toString.rank, 1);
+});
@@ -0,0 +1,90 @@
+// The progress store: stored progress, profiles, checklists, history and
+// review schedules.  Each test gets a fresh in-memory storage.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+const CURRICULUM = core.validateCurriculum({
+  id: 'store',
+  topics: [
+    { id: 'a', title: 'A', checklist: ['one', 'two', 'three'] },
+    { id: 'b', title: 'B', dependencies: ['a'] },
+  ],
+}).curriculum;
+
+test.beforeEach(function () {
+  core.setStorage(core.createMemoryStorage());
+});
+
+test('saved progress is read back and drives unlocks', function () {
+  core.saveProgress(CURRICULUM.id, 'a', core.DEFAULT_PROFILE_ID, 80);
+  const nodes = core.nodesFromCurriculum(CURRICULUM, core.DEFAULT_PROFILE_ID);
+  assert.equal(nodes[0].progress, 80);
+  assert.equal(nodes[1].unlocked, true);
+});
+
+test('profiles keep separate progress', function () {
+  const created = core.createProfile(core.loadProfiles(), 'Second learner');
+  assert.equal(created.error, null);
+  const other = created.state.active;
+  core.saveProgress(CURRICULUM.id, 'a', other, 100);
+  assert.equal(core.nodesFromCurriculum(CURRICULUM, core.DEFAULT_PROFILE_ID)[0].progress, 0);
+  assert.equal(core.nodesFromCurriculum(CURRICULUM, other)[0].progress, 100);
+  const deleted = core.deleteProfile(created.state, other);
+  assert.equal(deleted.error, null);
+  assert.equal(core.getStorage().getItem(core.progressStorageKey(CURRICULUM.id, 'a', other)), null);
+});
+
+test('checklists set progress in whole percent', function () {
+  core.saveChecklist(CURRICULUM.id, 'a', core.DEFAULT_PROFILE_ID, ['one']);
+  const done = core.loadChecklist(CURRICULUM.id, 'a', core.DEFAULT_PROFILE_ID);
+  assert.deepEqual(done, ['one']);
+  assert.equal(core.checklistProgress(CURRICULUM.nodes[0].checklist, done), 33);
+});
+
+test('history merges without duplicates and replays past progress', function () {
+  const first = { topic: 'a', from: 0, to: 50, at: '2024-01-01T00:00:00.000Z', source: 'modal' };
+  const second = { topic: 'a', from: 50, to: 100, at: '2024-01-02T00:00:00.000Z', source: 'modal' };
+  const history = core.mergeHistory([first], [second, first]);
+  assert.deepEqual(history, [first, second]);
+  core.saveHistory(CURRICULUM.id, core.DEFAULT_PROFILE_ID, history);
+  assert.deepEqual(core.loadHistory(CURRICULUM.id, core.DEFAULT_PROFILE_ID), history);
+  const nodes = [{ id: 'a', progress: 100 }, { id: 'b', progress: 0 }];
+  const then = core.progressAt(nodes, history, Date.parse('2024-01-01T12:00:00.000Z'));
+  assert.equal(then[0].progress, 50);
+  assert.equal(core.progressAt(nodes, history, 0)[0].progress, 0);
+});
+
+test('reviews follow SM-2 and restart after poor recall', function () {
+  let schedule = core.newReviewSchedule(0);
+  assert.equal(Date.parse(schedule.due), core.DAY_MS);
+  schedule = core.applyRecall(schedule, 5, 0);
+  schedule = core.applyRecall(schedule, 4, 0);
+  assert.equal(schedule.interval, 6);
+  schedule = core.applyRecall(schedule, 4, 0);
+  assert.equal(schedule.interval, Math.round(6 * 2.6));
+  schedule = core.applyRecall(schedule, 1, 0);
+  assert.equal(schedule.interval, 1);
+  assert.equal(schedule.repetitions, 0);
+  assert.ok(schedule.ease >= core.MINIMUM_EASE);
+});
+
+test('only completed topics are scheduled', function () {
+  const reviews = core.syncReviews({}, [{ id: 'a', progress: 100 }, { id: 'b', progress: 40 }], 0);
+  assert.deepEqual(Object.keys(reviews), ['a']);
+  assert.deepEqual(core.syncReviews(reviews, [{ id: 'a', progress: 60 }], 0), Object.create(null));
+});
+
+test('topics named after Object.prototype members are scheduled and queued', function () {
+  const nodes = [{ id: 'constructor', progress: 100 }, { id: 'toString', progress: 40 }];
+  const reviews = core.syncReviews(Object.create(null), nodes, 0);
+  assert.deepEqual(Object.keys(reviews), ['constructor']);
+  const queue = core.reviewQueue(reviews, nodes, core.DAY_MS);
+  assert.deepEqual(
+    queue.due.map(function (entry) {
+      return entry.node.id + ' ' + entry.dueAt;
+    }),
+    ['constructor ' + core.DAY_MS],
+  );
+  assert.deepEqual(queue.upcoming, []);
+});
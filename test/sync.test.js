@@ -0,0 +1,231 @@
+// Storage backends, conflict resolution and the reference sync server.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const core = require('../kpv_core.js');
+const syncServer = require('../sync_server.js');
+
+const PROGRESS_KEY = core.progressStorageKey('course', 'a', core.DEFAULT_PROFILE_ID);
+const NOTES_KEY = core.topicStorageKey('notes', 'course', 'a', core.DEFAULT_PROFILE_ID);
+
+function change(key, value, time) {
+  return { key: key, value: value, time: time };
+}
+
+// A running server on a free port with its own data file; `stop` closes
+// it and removes the file.
+function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kpv-sync-'));
+  const file = path.join(dir, 'data.json');
+  const server = syncServer.createSyncServer({ file: file });
+  return new Promise(function (resolve) {
+    server.listen(0, '127.0.0.1', function () {
+      resolve({
+        file: file,
+        url: 'http://127.0.0.1:' + server.address().port + '/api',
+        stop: function () {
+          return new Promise(function (done) {
+            server.close(function () {
+              fs.rmSync(dir, { recursive: true, force: true });
+              done();
+            });
+          });
+        },
+      });
+    });
+  });
+}
+
+// A device talking to `url`, with a clock the test moves by hand and a
+// switch to take it offline.
+function device(url, strategy) {
+  const clock = { time: 1000, online: true };
+  const storage = core.createRestStorage({
+    url: url,
+    strategy: strategy,
+    local: core.createMemoryStorage(),
+    delay: null,
+    now: function () {
+      return clock.time;
+    },
+    fetch: function (input, init) {
+      if (!clock.online) return Promise.reject(new Error('offline'));
+      return fetch(input, init);
+    },
+  });
+  return { storage: storage, clock: clock };
+}
+
+test('last write wins picks the later edit and the server on a tie', function () {
+  const local = change(NOTES_KEY, 'mine', 20);
+  const remote = change(NOTES_KEY, 'theirs', 10);
+  assert.equal(core.resolveSyncConflict(local, remote, 'last-write-wins'), local);
+  assert.equal(core.resolveSyncConflict(change(NOTES_KEY, 'mine', 10), remote, 'last-write-wins'), remote);
+});
+
+test('merging per topic keeps the higher progress and combines lists', function () {
+  const progress = core.resolveSyncConflict(change(PROGRESS_KEY, '80', 1), change(PROGRESS_KEY, '40', 2), 'per-topic');
+  assert.deepEqual(progress, change(PROGRESS_KEY, '80', 2));
+  const ticks = core.topicStorageKey('checklist', 'course', 'a', 'sam');
+  assert.equal(core.storageKeyKind(ticks), 'checklist');
+  const merged = core.resolveSyncConflict(change(ticks, '["x"]', 1), change(ticks, '["y","x"]', 2), 'per-topic');
+  assert.deepEqual(JSON.parse(merged.value), ['x', 'y']);
+  // Entries that cannot be merged fall back to the later edit.
+  assert.equal(core.resolveSyncConflict(change(NOTES_KEY, 'a', 1), change(NOTES_KEY, 'b', 2), 'per-topic').value, 'b');
+});
+
+test('the server only treats edits made since the last sync as conflicts', function () {
+  const store = syncServer.emptyStore();
+  syncServer.applySync(store, { since: 0, changes: [change(NOTES_KEY, 'first', 50)] });
+  // A device that has seen revision 1 overwrites it even with an older clock.
+  const result = syncServer.applySync(store, { since: 1, changes: [change(NOTES_KEY, 'second', 10)] });
+  assert.equal(store.items[NOTES_KEY].value, 'second');
+  assert.deepEqual(result.reply.items, [change(NOTES_KEY, 'second', 10)]);
+  // One that has not loses to the newer edit.
+  syncServer.applySync(store, { since: 0, changes: [change(NOTES_KEY, 'stale', 5)] });
+  assert.equal(store.items[NOTES_KEY].value, 'second');
+  assert.ok(syncServer.applySync(store, { changes: [{ key: 'other', value: 1 }] }).error);
+});
+
+test('two devices share edits through the server', async function () {
+  const server = await startServer();
+  try {
+    const laptop = device(server.url);
+    const phone = device(server.url);
+    const changed = [];
+    phone.storage.events.on('change', function (detail) {
+      changed.push.apply(changed, detail.keys);
+    });
+    laptop.storage.setItem(PROGRESS_KEY, 60);
+    assert.equal(laptop.storage.status().pending, 1);
+    await laptop.storage.sync();
+    assert.equal(laptop.storage.status().pending, 0);
+    await phone.storage.sync();
+    assert.equal(phone.storage.getItem(PROGRESS_KEY), '60');
+    assert.deepEqual(changed, [PROGRESS_KEY]);
+    // The data file outlives the server.
+    assert.equal(syncServer.loadStore(server.file).items[PROGRESS_KEY].value, '60');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('offline edits are kept and resolved when the device reconnects', async function () {
+  const server = await startServer();
+  try {
+    const laptop = device(server.url, 'per-topic');
+    const phone = device(server.url, 'per-topic');
+    laptop.storage.setItem(PROGRESS_KEY, 30);
+    await laptop.storage.sync();
+    await phone.storage.sync();
+
+    phone.clock.online = false;
+    phone.clock.time = 2000;
+    phone.storage.setItem(PROGRESS_KEY, 90);
+    phone.storage.setItem(NOTES_KEY, 'from the phone');
+    const status = await phone.storage.sync();
+    assert.equal(status.online, false);
+    assert.equal(status.pending, 2);
+
+    laptop.clock.time = 3000;
+    laptop.storage.setItem(PROGRESS_KEY, 50);
+    laptop.storage.setItem(NOTES_KEY, 'from the laptop');
+    await laptop.storage.sync();
+
+    phone.clock.online = true;
+    assert.equal((await phone.storage.sync()).pending, 0);
+    await laptop.storage.sync();
+    // Progress keeps the higher value; notes take the later edit.
+    [laptop, phone].forEach(function (d) {
+      assert.equal(d.storage.getItem(PROGRESS_KEY), '90');
+      assert.equal(d.storage.getItem(NOTES_KEY), 'from the laptop');
+    });
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a device uploads what it had before its first sync', async function () {
+  const server = await startServer();
+  try {
+    const local = core.createMemoryStorage({ [PROGRESS_KEY]: '70', 'kpv-storage': '{}' });
+    const storage = core.createRestStorage({ url: server.url, local: local, delay: null });
+    await storage.sync();
+    const items = syncServer.loadStore(server.file).items;
+    assert.equal(items[PROGRESS_KEY].value, '70');
+    assert.equal(items['kpv-storage'], undefined);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a reply the device does not understand leaves the journal queued', async function () {
+  const server = await startServer();
+  try {
+    let broken = true;
+    const storage = core.createRestStorage({
+      url: server.url,
+      local: core.createMemoryStorage(),
+      delay: null,
+      fetch: function (input, init) {
+        if (!broken) return fetch(input, init);
+        return Promise.resolve({
+          ok: true,
+          json: function () {
+            return Promise.resolve(null);
+          },
+        });
+      },
+    });
+    storage.setItem(PROGRESS_KEY, 60);
+    const failed = await storage.sync();
+    assert.equal(failed.syncing, false);
+    assert.equal(failed.pending, 1);
+    assert.match(failed.error, /not understood/);
+    broken = false;
+    const status = await storage.sync();
+    assert.equal(status.error, null);
+    assert.equal(status.pending, 0);
+    assert.equal(syncServer.loadStore(server.file).items[PROGRESS_KEY].value, '60');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('the server keeps its store unchanged when a save fails', async function () {
+  const server = await startServer();
+  function post(body) {
+    return fetch(server.url + '/sync', { method: 'POST', body: body }).then(function (response) {
+      return response.json().then(function (json) {
+        return { status: response.status, body: json };
+      });
+    });
+  }
+  try {
+    assert.equal((await post('{ not json')).status, 400);
+    assert.equal((await post(JSON.stringify({ changes: [change(PROGRESS_KEY, '40', 1)] }))).status, 200);
+    // A directory where the temporary file goes makes the next save fail.
+    fs.mkdirSync(server.file + '.tmp');
+    const failed = await post(JSON.stringify({ since: 1, changes: [change(PROGRESS_KEY, '90', 2)] }));
+    assert.equal(failed.status, 500);
+    const status = await (await fetch(server.url + '/status')).json();
+    assert.equal(status.revision, 1);
+    const reply = (await post(JSON.stringify({ since: 0, changes: [] }))).body;
+    assert.deepEqual(reply.items, [change(PROGRESS_KEY, '40', 1)]);
+    assert.equal(syncServer.loadStore(server.file).items[PROGRESS_KEY].value, '40');
+  } finally {
+    fs.rmSync(server.file + '.tmp', { recursive: true, force: true });
+    await server.stop();
+  }
+});
+
+test('the backend choice falls back to localStorage', function () {
+  const config = core.loadStorageConfig();
+  assert.equal(config.backend, 'local');
+  assert.equal(config.strategy, 'last-write-wins');
+  assert.throws(function () {
+    core.createStorage({ backend: 'rest', url: '' });
+  }, /URL/);
+});
@@ -0,0 +1,195 @@
+// The unlock engine, path planner and graph diagnostics.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../kpv_core.js');
+
+function topic(id, progress, extra) {
+  return Object.assign({ id: id, title: id.toUpperCase(), progress: progress }, extra);
+}
+
+function unlockedIds(nodes) {
+  return core
+    .computeUnlocks(nodes, {})
+    .filter(function (n) {
+      return n.unlocked;
+    })
+    .map(function (n) {
+      return n.id;
+    });
+}
+
+test('required prerequisites must all reach the threshold', function () {
+  const nodes = [topic('a', 75), topic('b', 74), topic('c', 0, { dependencies: ['a', 'b'] })];
+  assert.deepEqual(unlockedIds(nodes), ['a', 'b']);
+  nodes[1].progress = 75;
+  assert.deepEqual(unlockedIds(nodes), ['a', 'b', 'c']);
+});
+
+test('thresholds come from the topic, then the settings, then the default', function () {
+  const nodes = [
+    topic('a', 50),
+    topic('b', 0, { dependencies: ['a'] }),
+    topic('c', 0, { dependencies: ['a'], unlockThreshold: 40 }),
+  ];
+  assert.deepEqual(unlockedIds(nodes), ['a', 'c']);
+  const relaxed = core.computeUnlocks(nodes, { unlockThreshold: 50 });
+  assert.equal(relaxed[1].unlocked, true);
+  assert.equal(core.unlockThresholdFor({}, {}), core.DEFAULT_UNLOCK_THRESHOLD);
+});
+
+test('alternative groups need their count, recommended topics never block', function () {
+  const nodes = [
+    topic('a', 100),
+    topic('b', 0),
+    topic('c', 0),
+    topic('d', 0, { alternatives: [{ count: 1, topics: ['b', 'c'] }] }),
+    topic('e', 0, { alternatives: [{ count: 1, topics: ['a', 'b'] }], recommended: ['c'] }),
+  ];
+  assert.deepEqual(unlockedIds(nodes), ['a', 'b', 'c', 'e']);
+});
+
+test('a missing prerequisite never unlocks anything', function () {
+  assert.deepEqual(unlockedIds([topic('a', 0, { dependencies: ['ghost'] })]), []);
+});
+
+test('explains what is still missing', function () {
+  const byId = { a: topic('a', 30) };
+  const result = core.evaluateUnlock(topic('b', 0, { dependencies: ['a'] }), byId, {});
+  assert.equal(result.unlocked, false);
+  assert.equal(result.threshold, 75);
+  assert.deepEqual(
+    result.required.map(function (item) {
+      return [item.id, item.met];
+    }),
+    [['a', false]],
+  );
+});
+
+test('plans a path in study order through the cheapest alternative', function () {
+  const nodes = core.computeUnlocks(
+    [
+      topic('base', 0, { effort: 1 }),
+      topic('long', 0, { effort: 20 }),
+      topic('short', 0, { effort: 2, dependencies: ['base'] }),
+      topic('goal', 0, { effort: 3, alternatives: [{ count: 1, topics: ['long', 'short'] }] }),
+    ],
+    {},
+  );
+  const plan = core.planLearningPath(nodes, 'goal', {});
+  assert.deepEqual(
+    plan.steps.map(function (step) {
+      return step.id;
+    }),
+    ['base', 'short', 'goal'],
+  );
+  assert.equal(plan.blocked, false);
+});
+
+test('plans a path through topics named after Object.prototype members', function () {
+  const nodes = core.computeUnlocks(
+    [topic('constructor', 0), topic('valueOf', 0, { dependencies: ['constructor'] })],
+    {},
+  );
+  assert.deepEqual(
+    core.planLearningPath(nodes, 'valueOf', {}).steps.map(function (step) {
+      return step.id;
+    }),
+    ['constructor', 'valueOf'],
+  );
+});
+
+test('diagnoses cycles, dangling references and redundant edges', function () {
+  const report = core.diagnoseGraph([
+    topic('a', 0, { dependencies: ['b'] }),
+    topic('b', 0, { dependencies: ['a'] }),
+    topic('c', 0, { dependencies: ['ghost'] }),
+    topic('d', 0),
+    topic('e', 0, { dependencies: ['d'] }),
+    topic('f', 0, { dependencies: ['d', 'e'] }),
+  ]);
+  assert.deepEqual(
+    report.cycles.map(function (cycle) {
+      return cycle.slice().sort();
+    }),
+    [['a', 'b']],
+  );
+  assert.equal(report.dangling[0].dep, 'ghost');
+  assert.deepEqual(
+    report.redundant.map(function (edge) {
+      return edge.source + '>' + edge.target;
+    }),
+    ['d>f'],
+  );
+  assert.deepEqual(core.diagnosticCounts(report), { errors: 2, warnings: 2 });
+});
+
+test('measures how far a locked topic is from unlocking', function () {
+  const nodes = core.computeUnlocks(
+    [
+      topic('a', 40),
+      topic('b', 70),
+      topic('c', 10),
+      topic('d', 0, { dependencies: ['a'], alternatives: [{ count: 1, topics: ['b', 'c'] }] }),
+    ],
+    {},
+  );
+  const byId = {};
+  nodes.forEach(function (n) {
+    byId[n.id] = n;
+  });
+  const shortfall = core.unlockShortfall(core.evaluateUnlock(nodes[3], byId, {}), byId);
+  assert.deepEqual(
+    shortfall.items.map(function (item) {
+      return [item.id, item.needed, item.alternative];
+    }),
+    [
+      ['a', 35, false],
+      ['b', 5, true],
+    ],
+  );
+  assert.equal(shortfall.points, 40);
+  assert.equal(shortfall.ready, true);
+  assert.equal(shortfall.blocked, false);
+});
+
+test('ranks locked topics that can be worked on now first', function () {
+  const nodes = core.computeUnlocks(
+    [
+      topic('a', 70),
+      topic('b', 0, { dependencies: ['a'] }),
+      topic('c', 0, { dependencies: ['b'] }),
+      topic('d', 10),
+      topic('e', 0, { dependencies: ['d'] }),
+      topic('f', 0, { dependencies: ['ghost'] }),
+    ],
+    {},
+  );
+  const forecast = core.unlockForecast(nodes, {});
+  assert.deepEqual(
+    forecast.ranked.map(function (entry) {
+      return entry.node.id + ':' + entry.shortfall.points;
+    }),
+    ['b:5', 'e:65', 'c:75'],
+  );
+  assert.deepEqual(
+    forecast.blocked.map(function (n) {
+      return n.id;
+    }),
+    ['f'],
+  );
+});
+
+test('previews which topics a progress change unlocks or locks', function () {
+  const nodes = core.computeUnlocks(
+    [topic('a', 80), topic('b', 0, { dependencies: ['a'] }), topic('c', 0, { dependencies: ['a', 'b'] })],
+    {},
+  );
+  function ids(list) {
+    return list.map(function (n) {
+      return n.id;
+    });
+  }
+  assert.deepEqual(ids(core.previewProgress(nodes, {}, 'a', 20).locked), ['b']);
+  assert.deepEqual(ids(core.previewProgress(nodes, {}, 'b', 100).unlocked), ['c']);
+  assert.deepEqual(core.previewProgress(nodes, {}, 'a', 90), { unlocked: [], locked: [] });
+});